@@ -1,12 +1,14 @@
 /* Jazjo Prototype (Backend-enabled customer data)
    - Products + orders sync via native Node backend (/api/*) backed by Supabase
-   - Cart / profile / rewards remain localStorage for prototype speed
+   - Cart is saved per account on the server; localStorage keeps a copy (and the guest cart)
+   - Profile / rewards remain localStorage for prototype speed
    - Falls back to local demo data when backend is unavailable
 */
 
 const LS = {
   products: "jazjo_products_v1",
   cart: "jazjo_cart_v1",
+  cartOwner: "jazjo_cart_owner_v1",
   orders: "jazjo_orders_v1",
   profile: "jazjo_customer_profile_v1",
   rewards: "jazjo_rewards_v1",
@@ -89,7 +91,7 @@ function normalizeProduct(p){
     category: p.category,
     unit: p.unit,
     price: Number(p.price || 0),
-    stockCases: Number(p.stockCases ?? p.stock_cases ?? 0),
+    stockCases: Number(p.availableCases ?? p.stockCases ?? p.stock_cases ?? 0),
     img: p.img || p.image_url || placeholderImage(p.name)
   };
 }
@@ -101,6 +103,7 @@ function normalizeStatusLabel(status){
     preparing: "Preparing",
     in_transit: "In Transit",
     out_for_delivery: "Out for Delivery",
+    delivery_failed: "Delivery Failed",
     delivered: "Delivered",
     cancelled: "Cancelled"
   };
@@ -113,6 +116,7 @@ function currentStatusIndex(status){
     "Preparing": 1,
     "In Transit": 2,
     "Out for Delivery": 3,
+    "Delivery Failed": 1,
     "Delivered": 4,
     "Cancelled": 0
   };
@@ -158,9 +162,21 @@ function normalizeOrderForUI(order){
     contact: order.contact || "",
     address: order.address || "",
     paymentMethod: order.paymentMethod || order.payment_method || "QRPH",
+    paymentStatus: order.paymentStatus || order.payment_status || "",
+    paymentInstructions: order.paymentInstructions || "",
     subtotal: Number(order.subtotal || 0),
+    discount: Number(order.discount || 0),
+    promoCode: order.promoCode || order.promo_code || "",
+    rewardCode: order.rewardCode || order.reward_code || "",
+    rewardDiscount: Number(order.rewardDiscount ?? order.reward_discount ?? 0),
     deliveryFee: Number(order.deliveryFee ?? order.delivery_fee ?? 0),
     total: Number(order.total || 0),
+    deliveryDate: order.deliveryDate || order.delivery_date || "",
+    deliverySlotLabel: order.deliverySlotLabel || "",
+    deliveryAttempts: Number(order.deliveryAttempts || 0),
+    maxDeliveryAttempts: Number(order.maxDeliveryAttempts || 0),
+    lastFailedReason: order.lastFailedReason || "",
+    redeliveryUpdates: order.redeliveryUpdates || (order.status_events || []).filter(e => e.status === "delivery_failed"),
     status,
     items,
     deliveryTimeline: order.deliveryTimeline || buildTimeline(status, order.status_events)
@@ -170,7 +186,10 @@ function normalizeOrderForUI(order){
 function getProducts(){ return (load(LS.products, []) || []).map(normalizeProduct); }
 function setProducts(list){ save(LS.products, (list || []).map(normalizeProduct)); }
 function getCart(){ return load(LS.cart, []); }
-function setCart(items){ save(LS.cart, items); }
+function setCart(items){
+  save(LS.cart, items);
+  if(getAccessToken()) queueCartSave(items);
+}
 function getOrders(){ return (load(LS.orders, []) || []).map(normalizeOrderForUI); }
 function setOrders(list){ save(LS.orders, (list || []).map(normalizeOrderForUI)); }
 function favoritesKey(){ return `${LS.favorites}:${getCurrentCustomerEmail().toLowerCase()}`; }
@@ -179,9 +198,49 @@ function setFavorites(list){ save(favoritesKey(), [...new Set(list || [])]); }
 function isFavorite(productId){ return getFavorites().includes(productId); }
 function toggleFavorite(productId){
   const next = new Set(getFavorites());
-  if(next.has(productId)) next.delete(productId);
-  else next.add(productId);
+  const adding = !next.has(productId);
+  if(adding) next.add(productId);
+  else next.delete(productId);
   setFavorites([...next]);
+  if(!getAccessToken()) return Promise.resolve();
+  const request = adding
+    ? apiFetch("/api/favorites", { method: "POST", body: JSON.stringify({ productId }) })
+    : apiFetch(`/api/favorites/${encodeURIComponent(productId)}`, { method: "DELETE" });
+  return request
+    .then(data => setFavorites(data.favorites || []))
+    .catch(err => console.error(err));
+}
+
+// Favorites are stored per account; localStorage is a cache. Items saved
+// before favorites moved to the server are uploaded once, then the server wins.
+let favoritesSyncPromise = null;
+function syncFavoritesWithServer(){
+  if(!getAccessToken()) return Promise.resolve(getFavorites());
+  if(favoritesSyncPromise) return favoritesSyncPromise;
+  const importedKey = `${favoritesKey()}:imported`;
+  const local = getFavorites();
+  const request = local.length && !localStorage.getItem(importedKey)
+    ? apiFetch("/api/favorites", { method: "POST", body: JSON.stringify({ skus: local }) })
+    : apiFetch("/api/favorites");
+  favoritesSyncPromise = request
+    .then(data => {
+      localStorage.setItem(importedKey, "1");
+      setFavorites(data.favorites || []);
+      return getFavorites();
+    })
+    .catch(err => {
+      console.error(err);
+      favoritesSyncPromise = null;
+      return getFavorites();
+    });
+  return favoritesSyncPromise;
+}
+
+// Server recommendations use every customer's orders; the local ranking is
+// only the fallback when the API is unreachable.
+async function fetchRecommendations(limit){
+  const data = await apiFetch(`/api/recommendations?limit=${limit}`);
+  return (data.recommendations || []).map(r => ({ ...normalizeProduct(r), reason: r.reason || "" }));
 }
 
 async function syncProductsFromApi(){
@@ -247,7 +306,7 @@ function getRecommendedProducts(products = getProducts(), orders = getOrders(),
   ];
 }
 
-function productCardMarkup(p, { favorite=false, compact=false } = {}){
+function productCardMarkup(p, { favorite=false, compact=false, note="" } = {}){
   const stockLabel = p.stockCases <= 0 ? `<span class="badge red">Out of Stock</span>` :
                      p.stockCases <= 10 ? `<span class="badge yellow">Low Stock</span>` :
                      `<span class="badge green">In Stock</span>`;
@@ -265,6 +324,7 @@ function productCardMarkup(p, { favorite=false, compact=false } = {}){
           <button class="btn back favoriteBtn ${favorite ? "is-favorite" : ""}" type="button" data-favorite="${p.id}">${favText}</button>
         </div>
         <p class="productMeta">${p.category} - ${p.unit} - ${stockLabel}</p>
+        ${note ? `<p class="productMeta" style="color:#16a34a;font-weight:900">${note}</p>` : ""}
         <p class="productPrice">${money(p.price)}</p>
         <div class="productActions">
           <button class="btn" data-add="${p.id}" ${disabled}>Add to Cart</button>
@@ -285,13 +345,73 @@ function bindProductCardActions(scope = document){
   });
   qsa("[data-favorite]", scope).forEach(btn => {
     btn.addEventListener("click", ()=>{
-      toggleFavorite(btn.dataset.favorite);
-      const handler = window.__jazjoRefreshProducts;
-      if(typeof handler === "function") handler();
+      const refresh = ()=>{
+        const handler = window.__jazjoRefreshProducts;
+        if(typeof handler === "function") handler();
+      };
+      toggleFavorite(btn.dataset.favorite).then(refresh);
+      refresh();
     });
   });
 }
 
+// Signed-in carts live on the server. The last GET/PUT response is kept so the
+// cart page can show per-line price and stock notices.
+let serverCart = null;
+let cartSyncPromise = null;
+let cartSaveChain = Promise.resolve();
+let cartSaveSeq = 0;
+
+function applyServerCart(cart){
+  serverCart = cart || null;
+  save(LS.cart, (cart?.items || []).map(i => ({ productId: i.productId, qty: i.qty })));
+  setCartBadge();
+}
+
+// Runs once per page. A guest cart (no owner yet) is merged into the account;
+// a cart left by another account on this browser is replaced.
+function syncCartWithServer(){
+  if(!getAccessToken()) return Promise.resolve(null);
+  if(cartSyncPromise) return cartSyncPromise;
+  const email = getCurrentCustomerEmail().toLowerCase();
+  const owner = localStorage.getItem(LS.cartOwner) || "";
+  const local = getCart();
+  const request = !owner && local.length
+    ? apiFetch("/api/cart/merge", { method: "POST", body: JSON.stringify({ items: local }) })
+    : apiFetch("/api/cart");
+  cartSyncPromise = request
+    .then(data => {
+      localStorage.setItem(LS.cartOwner, email);
+      applyServerCart(data.cart);
+      return serverCart;
+    })
+    .catch(err => {
+      console.error(err);
+      cartSyncPromise = null;
+      return null;
+    });
+  return cartSyncPromise;
+}
+
+// Saves go out one at a time so an older cart can't land after a newer one.
+// keepalive lets the last save finish when checkout navigates away.
+function queueCartSave(items){
+  const body = JSON.stringify({ items: items.map(i => ({ productId: i.productId, qty: i.qty })) });
+  const seq = ++cartSaveSeq;
+  cartSaveChain = cartSaveChain
+    .then(() => syncCartWithServer())
+    .then(() => apiFetch("/api/cart", { method: "PUT", body, keepalive: true }))
+    .then(data => {
+      localStorage.setItem(LS.cartOwner, getCurrentCustomerEmail().toLowerCase());
+      if(seq !== cartSaveSeq) return;
+      applyServerCart(data.cart);
+      const handler = window.__jazjoRefreshCart;
+      if(typeof handler === "function") handler();
+    })
+    .catch(err => console.error(err));
+  return cartSaveChain;
+}
+
 function addToCart(productId, qty=1){
   const cart = getCart();
   const found = cart.find(i => i.productId === productId);
@@ -313,9 +433,27 @@ function computeCartTotals(){
   }).filter(x=>x.p);
 
   const subtotal = lines.reduce((a,b)=>a+b.lineTotal,0);
-  const deliveryFee = subtotal >= 800 ? 0 : (subtotal === 0 ? 0 : 60);
-  const total = subtotal + deliveryFee;
-  return {lines, subtotal, deliveryFee, total};
+  return {lines, subtotal};
+}
+
+// Delivery fee rules live on the server; the cart asks for a quote so the
+// total shown is the total createOrder() will charge.
+async function fetchCartQuote(lines, address, voucherCode, rewardCode){
+  return await apiFetch("/api/cart/quote", {
+    method: "POST",
+    body: JSON.stringify({ address, voucherCode, rewardCode, items: lines.map(l => ({ productId: l.p.id, qty: l.qty })) })
+  });
+}
+
+function deliveryQuoteNote(delivery){
+  if(!delivery) return "";
+  if(delivery.message) return delivery.message;
+  const parts = [];
+  if(delivery.zone) parts.push(`Zone: ${delivery.zone}`);
+  if(delivery.waived) parts.push(delivery.waived);
+  else if(delivery.amountToFreeDelivery > 0) parts.push(`Add ${money(delivery.amountToFreeDelivery)} more for free delivery`);
+  if(delivery.surcharge > 0) parts.push(`Bulk handling ${money(delivery.surcharge)}`);
+  return parts.join(" - ");
 }
 
 function setCartBadge(){
@@ -326,6 +464,7 @@ function setCartBadge(){
 
 function initPublicNav(){
   setCartBadge();
+  syncCartWithServer();
   qsa("[data-back]").forEach(btn => btn.addEventListener("click", ()=>history.back()));
 }
 
@@ -336,6 +475,7 @@ function renderShop(){
 
   let products = getProducts();
   let latestOrders = getOrders();
+  let recommended = null;
   const search = qs("#search");
   const cat = qs("#category");
   const favoritesWrap = qs("#favoritesGrid");
@@ -367,10 +507,10 @@ function renderShop(){
     }
 
     if(recommendationsWrap && recommendationsCard){
-      const recommendedProducts = getRecommendedProducts(products, latestOrders, 6);
+      const recommendedProducts = recommended || getRecommendedProducts(products, latestOrders, 6);
       recommendationsCard.style.display = "";
       recommendationsWrap.innerHTML = recommendedProducts.length
-        ? recommendedProducts.map(p => productCardMarkup(p, { favorite: isFavorite(p.id), compact: true })).join("")
+        ? recommendedProducts.map(p => productCardMarkup(p, { favorite: isFavorite(p.id), compact: true, note: p.reason })).join("")
         : `<div class="small">Recommendations will appear after you place a few orders.</div>`;
     }
 
@@ -390,6 +530,10 @@ function renderShop(){
   fetchOrdersFromApi()
     .then(orders => { latestOrders = orders; setOrders(orders); draw(); })
     .catch(err => console.error(err));
+  syncFavoritesWithServer().then(()=>draw());
+  fetchRecommendations(6)
+    .then(list => { recommended = list; draw(); })
+    .catch(err => console.error(err));
 }
 
 function renderCustomerDashboard(){
@@ -400,6 +544,7 @@ function renderCustomerDashboard(){
 
   let products = getProducts();
   let orders = getOrders();
+  let recommended = null;
 
   const draw = ()=>{
     if(favoritesWrap){
@@ -409,15 +554,22 @@ function renderCustomerDashboard(){
         : `<div class="card"><div class="small">No saved items yet. Save products from the Shop page for faster reordering.</div></div>`;
     }
     if(recommendationsWrap){
-      const recommendedProducts = getRecommendedProducts(products, orders, 4);
+      const recommendedProducts = recommended || getRecommendedProducts(products, orders, 4);
       recommendationsWrap.innerHTML = recommendedProducts.length
-        ? recommendedProducts.map(p => productCardMarkup(p, { favorite: isFavorite(p.id), compact: true })).join("")
+        ? recommendedProducts.map(p => productCardMarkup(p, { favorite: isFavorite(p.id), compact: true, note: p.reason })).join("")
         : `<div class="card"><div class="small">Recommendations will show up after repeat purchases.</div></div>`;
     }
     bindProductCardActions();
   };
 
   window.__jazjoRefreshProducts = draw;
+  apiFetch("/api/rewards")
+    .then(data => drawTierCard(data.rewards?.tier))
+    .catch(err => console.error(err));
+  syncFavoritesWithServer().then(()=>draw());
+  fetchRecommendations(4)
+    .then(list => { recommended = list; draw(); })
+    .catch(err => console.error(err));
   Promise.allSettled([syncProductsFromApi(), fetchOrdersFromApi()])
     .then(results => {
       if(results[0].status === "fulfilled") products = results[0].value;
@@ -430,22 +582,232 @@ function renderCustomerDashboard(){
   draw();
 }
 
+const SUBSCRIPTION_RUN_LABELS = {
+  created: "Order placed",
+  partial: "Placed with fewer items",
+  skipped: "Skipped",
+  failed: "Could not place"
+};
+
+function formatDay(date){
+  return date ? new Date(`${date}T00:00:00`).toLocaleDateString("en-PH", { weekday: "short", month: "short", day: "numeric" }) : "-";
+}
+
+// Scheduled orders on the customer dashboard. The server owns the calendar;
+// this only creates schedules from the cart and sends skip/pause/resume/cancel.
+function renderSubscriptions(){
+  const listWrap = qs("#subscriptionList");
+  const form = qs("#subscriptionForm");
+  if(!listWrap || !form) return;
+  const msg = qs("#subscriptionMsg");
+  const dayNames = ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"];
+
+  const fillDays = ()=>{
+    const monthly = qs("#subCadence").value === "monthly";
+    qs("#subDay").innerHTML = monthly
+      ? Array.from({ length: 28 }, (_, i)=>`<option value="${i + 1}">Day ${i + 1} of the month</option>`).join("")
+      : dayNames.map((d, i)=>`<option value="${i}" ${i === 1 ? "selected" : ""}>${d}</option>`).join("");
+  };
+  const drawCartItems = ()=>{
+    const {lines} = computeCartTotals();
+    qs("#subscriptionItems").innerHTML = lines.length
+      ? lines.map(l=>`${l.p.name} x${l.qty}`).join("<br/>")
+      : `Your cart is empty. <a href="customer-shop.html">Add items</a> to schedule them.`;
+  };
+  const draw = (subs)=>{
+    listWrap.innerHTML = subs.length ? subs.map(sub=>`
+      <div class="card" style="margin-bottom:12px">
+        <div class="row" style="justify-content:space-between">
+          <div style="font-weight:1200">${sub.schedule}</div>
+          <span class="badge">${sub.status === "active" ? "Active" : "Paused"}</span>
+        </div>
+        <div class="small" style="margin-top:6px">${sub.items.map(i=>`${getProducts().find(p=>p.id===i.productId)?.name || i.productId} x${i.qty}`).join(", ")}</div>
+        <div class="small">${sub.paymentMethod} - ${sub.address}</div>
+        ${sub.nextDeliveryOn ? `<div class="small" style="margin-top:6px"><b>Next delivery:</b> ${formatDay(sub.nextDeliveryOn)} (order placed ${formatDay(sub.nextOrderOn)})</div>` : ""}
+        ${sub.runs.length ? `<div class="small" style="margin-top:6px">${sub.runs.map(r=>`${formatDay(r.deliveryOn)}: ${SUBSCRIPTION_RUN_LABELS[r.status] || r.status}${r.orderCode ? ` (<a href="customer-order-details.html?id=${encodeURIComponent(r.orderCode)}">${r.orderCode}</a>)` : ""}${r.note ? ` - ${r.note}` : ""}`).join("<br/>")}</div>` : ""}
+        <div class="row" style="gap:8px;margin-top:10px;flex-wrap:wrap">
+          ${sub.status === "active"
+            ? `<button class="btn back" type="button" data-sub-action="skip" data-sub-id="${sub.id}">Skip Next</button>
+               <button class="btn back" type="button" data-sub-action="pause" data-sub-id="${sub.id}">Pause</button>`
+            : `<button class="btn back" type="button" data-sub-action="resume" data-sub-id="${sub.id}">Resume</button>`}
+          <button class="btn back" type="button" data-sub-action="cancel" data-sub-id="${sub.id}" style="color:#b91c1c">Cancel</button>
+        </div>
+      </div>
+    `).join("") : `<div class="card"><div class="small">No scheduled orders yet. Set one up to get your usual items delivered automatically.</div></div>`;
+
+    qsa("[data-sub-action]", listWrap).forEach(btn=>{
+      btn.addEventListener("click", async ()=>{
+        const action = btn.getAttribute("data-sub-action");
+        if(action === "cancel" && !confirm("Cancel this schedule? Orders already placed are not affected.")) return;
+        btn.disabled = true;
+        try{
+          const data = await apiFetch(`/api/subscriptions/${encodeURIComponent(btn.getAttribute("data-sub-id"))}/${action}`, { method: "POST" });
+          draw(data.subscriptions || []);
+        }catch(err){
+          alert(err.message);
+          btn.disabled = false;
+        }
+      });
+    });
+  };
+  const refresh = ()=> apiFetch("/api/subscriptions")
+    .then(data => draw(data.subscriptions || []))
+    .catch(err => { listWrap.innerHTML = `<div class="card"><div class="small">Failed to load scheduled orders: ${err.message}</div></div>`; });
+
+  fillDays();
+  drawCartItems();
+  qs("#subCadence").addEventListener("change", fillDays);
+  window.addEventListener("storage", drawCartItems);
+  apiFetch("/api/profile")
+    .then(({profile}) => {
+      qs("#subName").value = profile.full_name || "";
+      qs("#subContact").value = profile.contact || "";
+      qs("#subAddress").value = profile.address || "";
+    })
+    .catch(err => console.error(err));
+
+  form.addEventListener("submit", async (e)=>{
+    e.preventDefault();
+    const {lines} = computeCartTotals();
+    if(!lines.length){
+      msg.textContent = "Add items to your cart first.";
+      msg.style.color = "#dc2626";
+      return;
+    }
+    msg.textContent = "Saving...";
+    msg.style.color = "";
+    try{
+      await apiFetch("/api/subscriptions", {
+        method: "POST",
+        body: JSON.stringify({
+          items: lines.map(l => ({ productId: l.p.id, qty: l.qty })),
+          cadence: qs("#subCadence").value,
+          deliveryDay: Number(qs("#subDay").value),
+          paymentMethod: qs("#subPayment").value,
+          customerName: qs("#subName").value.trim(),
+          contact: qs("#subContact").value.trim(),
+          address: qs("#subAddress").value.trim()
+        })
+      });
+      msg.textContent = "Schedule saved.";
+      msg.style.color = "#16a34a";
+      await refresh();
+    }catch(err){
+      msg.textContent = err.message;
+      msg.style.color = "#dc2626";
+    }
+  });
+  refresh();
+}
+
 function renderCart(){
   initPublicNav();
   const list = qs("#cartList");
   if(!list) return;
 
+  let quoteSeq = 0;
+  let quoteTimer = null;
+  const refreshQuote = async ()=>{
+    const {lines, subtotal} = computeCartTotals();
+    const seq = ++quoteSeq;
+    const note = qs("#deliveryNote");
+    if(lines.length===0) return;
+    qs("#deliveryFee").textContent = "...";
+    qs("#total").textContent = "...";
+    try{
+      const quote = await fetchCartQuote(lines, qs("#shipAddress").value.trim(), qs("#voucherCode").value.trim(), qs("#rewardCode").value);
+      if(seq !== quoteSeq) return;
+      qs("#subtotal").textContent = money(quote.subtotal);
+      qs("#discountRow").style.display = quote.discount > 0 ? "" : "none";
+      qs("#discount").textContent = `- ${money(quote.discount)}`;
+      const voucherMsg = qs("#voucherMsg");
+      voucherMsg.textContent = quote.voucher?.message || "";
+      voucherMsg.style.color = quote.voucher && !quote.voucher.ok ? "#dc2626" : "#16a34a";
+      qs("#rewardRow").style.display = quote.rewardDiscount > 0 ? "" : "none";
+      qs("#rewardDiscount").textContent = `- ${money(quote.rewardDiscount)}`;
+      const rewardMsg = qs("#rewardMsg");
+      rewardMsg.textContent = quote.reward?.message || "";
+      rewardMsg.style.color = quote.reward && !quote.reward.ok ? "#dc2626" : "#16a34a";
+      qs("#deliveryFee").textContent = money(quote.deliveryFee);
+      qs("#total").textContent = money(quote.total);
+      if(note) note.textContent = deliveryQuoteNote(quote.delivery);
+    }catch(err){
+      if(seq !== quoteSeq) return;
+      qs("#subtotal").textContent = money(subtotal);
+      qs("#deliveryFee").textContent = "-";
+      qs("#total").textContent = "-";
+      if(note) note.textContent = `Could not compute delivery fee: ${err.message}`;
+    }
+  };
+  const scheduleQuote = ()=>{
+    clearTimeout(quoteTimer);
+    quoteTimer = setTimeout(refreshQuote, 400);
+  };
+
+  // Slots are reloaded when the case count changes because case limits decide
+  // which ones still have room. The field stays hidden when no slots are set up.
+  let slotCases = -1;
+  const loadSlots = async (cases)=>{
+    if(cases === slotCases) return;
+    slotCases = cases;
+    const select = qs("#deliverySlot");
+    const msg = qs("#slotMsg");
+    try{
+      const data = await apiFetch(`/api/delivery-slots?cases=${cases}`);
+      if(cases !== slotCases) return;
+      const days = data.days || [];
+      qs("#slotField").style.display = days.length ? "" : "none";
+      const previous = select.value;
+      select.innerHTML = `<option value="">Choose a delivery slot</option>` + days.map(d=>`
+        <optgroup label="${formatDay(d.date)}">
+          ${d.slots.map(sl=>`<option value="${d.date}|${sl.id}" ${sl.available ? "" : "disabled"}>${sl.label} (${sl.start}-${sl.end})${sl.available ? "" : " - Full"}</option>`).join("")}
+        </optgroup>
+      `).join("");
+      if(previous && qsa("option", select).some(o => o.value === previous && !o.disabled)) select.value = previous;
+      msg.textContent = days.length && !days.some(d => d.slots.some(sl => sl.available))
+        ? "Every slot in the booking window is full. Please try again later."
+        : "";
+      msg.style.color = "#dc2626";
+    }catch(err){
+      console.error(err);
+      msg.textContent = `Could not load delivery slots: ${err.message}`;
+      msg.style.color = "#dc2626";
+    }
+  };
+
   const draw = ()=>{
-    const {lines, subtotal, deliveryFee, total} = computeCartTotals();
+    const {lines, subtotal} = computeCartTotals();
+    const serverLines = new Map((serverCart?.items || []).map(i => [i.productId, i]));
+    const missing = (serverCart?.items || []).filter(i => i.issue === "not_found" && !lines.some(l => l.p.id === i.productId));
+    const missingMarkup = missing.map(i=>`
+      <div class="card" style="box-shadow:none;border-radius:18px;margin-bottom:10px">
+        <div class="row" style="justify-content:space-between">
+          <div>
+            <div style="font-weight:1100">${i.name}</div>
+            <div class="small" style="font-weight:900;color:#dc2626">${i.message}</div>
+          </div>
+          <button class="btn back" data-del="${i.productId}">Remove</button>
+        </div>
+      </div>
+    `).join("");
+    const notice = (productId)=>{
+      const line = serverLines.get(productId);
+      if(!line || !line.message) return "";
+      return `<div class="small" style="margin-top:8px;font-weight:900;color:${line.issue ? "#dc2626" : "#b45309"}">${line.message}</div>`;
+    };
+
     if(lines.length===0){
-      list.innerHTML = `<div class="small">Your cart is empty. Go to <a href="customer-shop.html" style="color:#16a34a;font-weight:900">Shop</a>.</div>`;
+      list.innerHTML = missingMarkup + `<div class="small">Your cart is empty. Go to <a href="customer-shop.html" style="color:#16a34a;font-weight:900">Shop</a>.</div>`;
+      qsa("[data-del]").forEach(b=>b.onclick=()=>removeItem(b.dataset.del));
       qs("#subtotal").textContent = money(0);
       qs("#deliveryFee").textContent = money(0);
       qs("#total").textContent = money(0);
+      const note = qs("#deliveryNote");
+      if(note) note.textContent = "";
       return;
     }
 
-    list.innerHTML = lines.map(li=>`
+    list.innerHTML = missingMarkup + lines.map(li=>`
       <div class="card" style="box-shadow:none;border-radius:18px;margin-bottom:10px">
         <div class="row" style="justify-content:space-between">
           <div class="row" style="gap:12px">
@@ -465,12 +827,13 @@ function renderCart(){
             <button class="btn back" data-del="${li.p.id}">Remove</button>
           </div>
         </div>
+        ${notice(li.p.id)}
       </div>
     `).join("");
 
     qs("#subtotal").textContent = money(subtotal);
-    qs("#deliveryFee").textContent = money(deliveryFee);
-    qs("#total").textContent = money(total);
+    scheduleQuote();
+    loadSlots(lines.reduce((sum, l)=>sum + l.qty, 0));
 
     qsa("[data-inc]").forEach(b=>b.onclick=()=>updateQty(b.dataset.inc, +1));
     qsa("[data-dec]").forEach(b=>b.onclick=()=>updateQty(b.dataset.dec, -1));
@@ -503,13 +866,18 @@ function renderCart(){
   qs("#checkoutForm").addEventListener("submit", async (e)=>{
     e.preventDefault();
 
-    const {lines, subtotal, deliveryFee, total} = computeCartTotals();
+    const {lines} = computeCartTotals();
     if(lines.length===0) return;
 
     const customerName = qs("#shipName").value.trim();
     const contact = qs("#shipContact").value.trim();
     const address = qs("#shipAddress").value.trim();
     const paymentMethod = qs("#paymentMethod").value;
+    const [deliveryDate, deliverySlot] = qs("#deliverySlot").value.split("|");
+    if(qs("#slotField").style.display !== "none" && !deliverySlot){
+      alert("Please choose a delivery slot.");
+      return;
+    }
     let createdOrder = null;
     let checkoutUrl = null;
     try{
@@ -518,12 +886,18 @@ function renderCart(){
         contact,
         address,
         paymentMethod,
+        voucherCode: qs("#voucherCode").value.trim(),
+        rewardCode: qs("#rewardCode").value,
+        deliveryDate: deliveryDate || "",
+        deliverySlot: deliverySlot || "",
         items: lines.map(l => ({ productId: l.p.id, qty: l.qty }))
       });
       createdOrder = result.order ? normalizeOrderForUI(result.order) : null;
       checkoutUrl = result.checkoutUrl || null;
     }catch(err){
       alert(`Order creation failed: ${err.message}`);
+      slotCases = -1;
+      loadSlots(lines.reduce((sum, l)=>sum + l.qty, 0));
       return;
     }
     if(!createdOrder){
@@ -540,17 +914,48 @@ function renderCart(){
       window.location.href = checkoutUrl;
       return;
     }
+    if(isBankTransferPayment(paymentMethod)){
+      window.location.href = `customer-order-details.html?id=${encodeURIComponent(createdOrder.id)}`;
+      return;
+    }
     window.location.href = `customer-orders.html?new=${encodeURIComponent(createdOrder.id)}`;
   });
 
+  qs("#shipAddress").addEventListener("input", scheduleQuote);
+  qs("#applyVoucher").addEventListener("click", refreshQuote);
+  qs("#rewardCode").addEventListener("change", refreshQuote);
+
+  // Issued reward codes come from the rewards page; the select stays hidden
+  // until the customer has one to use.
+  apiFetch("/api/rewards/catalog")
+    .then(data => {
+      const ready = (data.redemptions || []).filter(r => r.status === "issued");
+      if(!ready.length) return;
+      qs("#rewardCode").innerHTML = `<option value="">No reward</option>` + ready.map(r => `<option value="${r.code}">${r.name} (${r.code})</option>`).join("");
+      qs("#rewardField").style.display = "";
+    })
+    .catch(err => console.error(err));
+
+  window.__jazjoRefreshCart = draw;
   draw();
-  syncProductsFromApi().then(()=>draw()).catch(err => console.error(err));
+  Promise.allSettled([syncProductsFromApi(), syncCartWithServer()]).then(()=>draw());
+
+  const cancelledOrderCode = new URLSearchParams(location.search).get("cancelled");
+  if(cancelledOrderCode){
+    apiFetch(`/api/orders/${encodeURIComponent(cancelledOrderCode)}/cancel-checkout`, { method: "POST" })
+      .then(result => {
+        if(result.cancelled) alert(`Payment was not completed, so order ${cancelledOrderCode} was cancelled.`);
+        else if(result.status !== "Cancelled") alert(`Order ${cancelledOrderCode} is already ${result.status}.`);
+      })
+      .catch(err => console.error(err))
+      .finally(() => history.replaceState({}, "", location.pathname));
+  }
 }
 
 function statusBadgeClass(status){
   if(status === "Delivered") return "green";
   if(status === "In Transit" || status === "Out for Delivery") return "blue";
-  if(status === "Cancelled") return "red";
+  if(status === "Cancelled" || status === "Delivery Failed") return "red";
   return "yellow";
 }
 
@@ -569,7 +974,7 @@ function renderOrders(){
         <div class="row" style="justify-content:space-between">
           <div>
             <div style="font-weight:1200;font-size:18px">Your Orders</div>
-            <div class="small">Click View Details to open the order details page.</div>
+            <div class="small">Click View Details to open the order details page, or Reorder to put the same items back in your cart.</div>
           </div>
           <a class="btn" href="customer-shop.html">Shop Again</a>
         </div>
@@ -582,13 +987,19 @@ function renderOrders(){
                 <td>${o.createdAt}</td>
                 <td style="font-weight:1000">${money(o.total)}</td>
                 <td><span class="badge ${statusBadgeClass(o.status)}">${o.status}</span></td>
-                <td><a class="btn back" href="customer-order-details.html?id=${encodeURIComponent(o.id)}">View Details</a></td>
+                <td>
+                  <div class="row" style="gap:8px">
+                    <a class="btn back" href="customer-order-details.html?id=${encodeURIComponent(o.id)}">View Details</a>
+                    <button class="btn" type="button" data-reorder="${o.id}">Reorder</button>
+                  </div>
+                </td>
               </tr>
             `).join("")}
           </tbody>
         </table>
       </div>
     `;
+    bindReorderButtons(wrap);
   };
 
   wrap.innerHTML = `<div class="card"><div class="small">Loading orders...</div></div>`;
@@ -614,6 +1025,188 @@ function renderOrders(){
       console.error(err);
       wrap.innerHTML = `<div class="card"><div class="small">Failed to load orders from database: ${err.message}</div></div>`;
     });
+
+  const refresh = ()=> fetchOrdersFromApi()
+    .then(orders => {
+      setOrders(orders);
+      draw(orders);
+    })
+    .catch(err => console.error(err));
+  subscribeLiveEvents({ "order-created": refresh, "status-changed": refresh, "payment-confirmed": refresh });
+}
+
+// Reorder goes through the server so quantities are checked against current
+// stock; the updated cart comes back and replaces the local copy.
+async function reorderFromOrder(orderCode, btn){
+  if(btn) btn.disabled = true;
+  try{
+    const result = await apiFetch(`/api/orders/${encodeURIComponent(orderCode)}/reorder`, { method: "POST" });
+    applyServerCart(result.cart);
+    const skipped = (result.skipped || []).map(s => `- ${s.name}: ${s.reason}`);
+    if(!result.added?.length){
+      alert(`Nothing from ${orderCode} could be added to your cart.${skipped.length ? `\n\n${skipped.join("\n")}` : ""}`);
+      return;
+    }
+    const addedCases = result.added.reduce((sum, a) => sum + a.qty, 0);
+    const message = `Added ${addedCases} case${addedCases === 1 ? "" : "s"} from ${orderCode} to your cart at current prices.`
+      + (skipped.length ? `\n\nNot fully added:\n${skipped.join("\n")}` : "")
+      + "\n\nGo to your cart now?";
+    if(confirm(message)) window.location.href = "customer-cart.html";
+  }catch(err){
+    alert(`Reorder failed: ${err.message}`);
+  }finally{
+    if(btn) btn.disabled = false;
+  }
+}
+
+function bindReorderButtons(scope = document){
+  qsa("[data-reorder]", scope).forEach(btn => {
+    btn.addEventListener("click", ()=>reorderFromOrder(btn.dataset.reorder, btn));
+  });
+}
+
+function isBankTransferPayment(method){
+  return String(method || "").toUpperCase().includes("BANK TRANSFER");
+}
+
+const PAYMENT_STATUS_TEXT = {
+  paid: "Paid",
+  pending: "Awaiting payment",
+  cod_pending: "Pay cash on delivery",
+  awaiting_proof: "Awaiting your transfer",
+  proof_submitted: "Transfer under review",
+  proof_rejected: "Transfer proof rejected",
+  refund_pending: "Refund pending",
+  partially_refunded: "Partially refunded",
+  refunded: "Refunded",
+  voided: "Voided"
+};
+
+function paymentStatusText(status){
+  return PAYMENT_STATUS_TEXT[status] || status || "-";
+}
+
+function bankTransferProofCard(order){
+  if(!isBankTransferPayment(order.paymentMethod) || order.status === "Cancelled") return "";
+  if(!["awaiting_proof", "proof_rejected", "proof_submitted"].includes(order.paymentStatus)) return "";
+  const intro = order.paymentStatus === "proof_submitted"
+    ? "We received your proof. You can resubmit it below if you sent the wrong reference."
+    : order.paymentStatus === "proof_rejected"
+      ? "Your last proof was rejected. Check the order timeline for the reason and submit again."
+      : "Send the order total by bank transfer, then submit the reference number here.";
+  return `
+    <div class="card" style="margin-top:14px">
+      <div style="font-weight:1200;font-size:18px">Bank Transfer</div>
+      <div class="small">${intro}</div>
+      ${order.paymentInstructions ? `<div class="small" style="margin-top:6px"><b>Instructions:</b> ${order.paymentInstructions}</div>` : ""}
+      <div class="hr"></div>
+      <form id="proofForm">
+        <label class="small">Transfer reference number</label>
+        <input id="proofReference" class="input" required maxlength="80" placeholder="e.g. 0123 4567 8901" />
+        <div style="height:10px"></div>
+        <label class="small">Receipt screenshot (optional)</label>
+        <input id="proofImage" class="input" type="file" accept="image/png,image/jpeg" />
+        <div style="height:10px"></div>
+        <div id="proofMsg" class="small"></div>
+        <button class="btn" type="submit">Submit Proof of Payment</button>
+      </form>
+    </div>
+  `;
+}
+
+function readFileAsDataUrl(file){
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error("Could not read the selected image."));
+    reader.readAsDataURL(file);
+  });
+}
+
+function drawDeliveryProof(orderCode){
+  apiFetch(`/api/orders/${encodeURIComponent(orderCode)}/proof-of-delivery`)
+    .then(({proof}) => {
+      const card = qs("#deliveryProofCard");
+      if(!card) return;
+      if(!proof){
+        card.remove();
+        return;
+      }
+      card.innerHTML = `
+        <div style="font-weight:1200;font-size:18px">Proof of Delivery</div>
+        <div class="small">Delivered ${new Date(proof.capturedAt).toLocaleString("en-PH")}${proof.recipientName ? ` - received by <b>${proof.recipientName}</b>` : ""}</div>
+        ${proof.cashCollected !== null ? `<div class="small">Cash collected: ${money(proof.cashCollected)}</div>` : ""}
+        <div class="row" style="gap:14px;flex-wrap:wrap;margin-top:10px;align-items:flex-start">
+          ${proof.photo ? `<img src="${proof.photo}" alt="Delivery photo" style="max-width:320px;max-height:320px;border-radius:14px;border:1px solid rgba(229,231,235,.9)"/>` : ""}
+          ${proof.signature ? `<img src="${proof.signature}" alt="Recipient signature" style="max-width:320px;background:#fff;border-radius:14px;border:1px solid rgba(229,231,235,.9)"/>` : ""}
+        </div>
+      `;
+    })
+    .catch(err => console.error(err));
+}
+
+// Shown while an order waits for redelivery: what went wrong, the slot the
+// server booked next and a form to pick a different one.
+function redeliveryCard(order){
+  if(order.status !== "Delivery Failed") return "";
+  const left = order.maxDeliveryAttempts ? order.maxDeliveryAttempts - order.deliveryAttempts : 0;
+  return `
+    <div class="card" style="margin-top:14px">
+      <div style="font-weight:1200;font-size:18px">We Missed You</div>
+      <div class="small">Our rider could not complete the delivery${order.lastFailedReason ? `: ${order.lastFailedReason}` : ""}.
+        ${left > 0 ? `${left} more attempt${left === 1 ? "" : "s"} before the order is cancelled and refunded if paid.` : ""}</div>
+      <div class="small" style="margin-top:8px">${order.redeliveryUpdates.map(e=>`${new Date(e.created_at).toLocaleString("en-PH")} - ${e.note}`).join("<br/>")}</div>
+      <div class="small" style="margin-top:8px"><b>Next delivery:</b> ${order.deliveryDate ? `${formatDay(order.deliveryDate)}, ${order.deliverySlotLabel}` : "To be arranged"}</div>
+      <form id="rescheduleForm" class="row" style="gap:8px;margin-top:10px;flex-wrap:wrap">
+        <select class="input" id="rescheduleSlot" style="flex:1;min-width:220px" required><option value="">Loading slots...</option></select>
+        <button class="btn" type="submit">Reschedule</button>
+      </form>
+      <div class="small" id="rescheduleMsg"></div>
+    </div>
+  `;
+}
+
+function bindRescheduleForm(order, redraw){
+  const form = qs("#rescheduleForm");
+  if(!form) return;
+  const select = qs("#rescheduleSlot");
+  const msg = qs("#rescheduleMsg");
+  const cases = order.items.reduce((sum, it)=>sum + it.qty, 0);
+  apiFetch(`/api/delivery-slots?cases=${cases}`)
+    .then(data => {
+      const days = data.days || [];
+      if(!days.length){
+        form.remove();
+        return;
+      }
+      select.innerHTML = `<option value="">Choose a new delivery slot</option>` + days.map(d=>`
+        <optgroup label="${formatDay(d.date)}">
+          ${d.slots.map(sl=>`<option value="${d.date}|${sl.id}" ${sl.available ? "" : "disabled"}>${sl.label} (${sl.start}-${sl.end})${sl.available ? "" : " - Full"}</option>`).join("")}
+        </optgroup>
+      `).join("");
+    })
+    .catch(err => {
+      msg.textContent = `Could not load delivery slots: ${err.message}`;
+      msg.style.color = "#dc2626";
+    });
+  form.addEventListener("submit", async (e)=>{
+    e.preventDefault();
+    const [deliveryDate, deliverySlot] = select.value.split("|");
+    msg.textContent = "Saving...";
+    msg.style.color = "";
+    try{
+      const result = await apiFetch(`/api/orders/${encodeURIComponent(order.id)}/reschedule`, {
+        method: "POST",
+        body: JSON.stringify({ deliveryDate, deliverySlot })
+      });
+      const updated = normalizeOrderForUI(result.order);
+      setOrders([updated, ...getOrders().filter(o => o.id !== updated.id)]);
+      redraw(updated);
+    }catch(err){
+      msg.textContent = err.message;
+      msg.style.color = "#dc2626";
+    }
+  });
 }
 
 function renderOrderDetails(){
@@ -637,6 +1230,7 @@ function renderOrderDetails(){
           <p>${order.id} - ${order.createdAt}</p>
         </div>
         <div class="row">
+          <button class="btn" type="button" data-reorder="${order.id}">Reorder</button>
           <a class="btn back" href="customer-orders.html">Back to Orders</a>
           <button class="btn back" data-back>Back</button>
         </div>
@@ -652,9 +1246,14 @@ function renderOrderDetails(){
           <div class="small"><b>Customer:</b> ${order.customerName}</div>
           <div class="small"><b>Contact:</b> ${order.contact}</div>
           <div class="small"><b>Address:</b> ${order.address}</div>
+          ${order.deliveryDate ? `<div class="small"><b>Delivery Slot:</b> ${formatDay(order.deliveryDate)}, ${order.deliverySlotLabel}</div>` : ""}
+          ${order.deliveryAttempts ? `<div class="small"><b>Delivery Attempts:</b> ${order.deliveryAttempts}${order.maxDeliveryAttempts ? ` of ${order.maxDeliveryAttempts}` : ""}</div>` : ""}
           <div class="small"><b>Payment:</b> ${order.paymentMethod}</div>
+          <div class="small"><b>Payment Status:</b> ${paymentStatusText(order.paymentStatus)}</div>
           <div class="hr"></div>
           <div class="row" style="justify-content:space-between"><div class="small"><b>Subtotal</b></div><div style="font-weight:1100">${money(order.subtotal)}</div></div>
+          ${order.discount > 0 ? `<div class="row" style="justify-content:space-between"><div class="small"><b>Voucher ${order.promoCode}</b></div><div style="font-weight:1100;color:#16a34a">- ${money(order.discount)}</div></div>` : ""}
+          ${order.rewardCode ? `<div class="row" style="justify-content:space-between"><div class="small"><b>Reward ${order.rewardCode}</b></div><div style="font-weight:1100;color:#16a34a">${order.rewardDiscount > 0 ? `- ${money(order.rewardDiscount)}` : "Free delivery"}</div></div>` : ""}
           <div class="row" style="justify-content:space-between"><div class="small"><b>Delivery Fee</b></div><div style="font-weight:1100">${money(order.deliveryFee)}</div></div>
           <div class="row" style="justify-content:space-between"><div class="small"><b>Total</b></div><div style="font-weight:1300;font-size:18px">${money(order.total)}</div></div>
         </div>
@@ -709,8 +1308,39 @@ function renderOrderDetails(){
           }).join("")}
         </div>
       </div>
+      ${order.status === "Delivered" ? `<div class="card" id="deliveryProofCard" style="margin-top:14px"><div class="small">Loading proof of delivery...</div></div>` : ""}
+      ${redeliveryCard(order)}
+      ${bankTransferProofCard(order)}
     `;
     qsa("[data-back]").forEach(btn => btn.addEventListener("click", ()=>history.back()));
+    bindReorderButtons(box);
+    if(order.status === "Delivered") drawDeliveryProof(order.id);
+    if(order.status === "Delivery Failed") bindRescheduleForm(order, draw);
+
+    const proofForm = qs("#proofForm");
+    if(proofForm){
+      proofForm.addEventListener("submit", async (e)=>{
+        e.preventDefault();
+        const msg = qs("#proofMsg");
+        try{
+          const file = qs("#proofImage").files?.[0];
+          if(file && file.size > 2 * 1024 * 1024) throw new Error("Receipt image must be 2 MB or smaller.");
+          const result = await apiFetch(`/api/orders/${encodeURIComponent(order.id)}/payment-proof`, {
+            method: "POST",
+            body: JSON.stringify({
+              reference: qs("#proofReference").value.trim(),
+              proofImage: file ? await readFileAsDataUrl(file) : ""
+            })
+          });
+          const updated = normalizeOrderForUI(result.order);
+          setOrders([updated, ...getOrders().filter(o => o.id !== updated.id)]);
+          draw(updated);
+        }catch(err){
+          msg.textContent = err.message;
+          msg.style.color = "#dc2626";
+        }
+      });
+    }
   };
 
   box.innerHTML = `<div class="card"><div class="small">Loading order details...</div></div>`;
@@ -726,6 +1356,17 @@ function renderOrderDetails(){
         console.error(err);
         box.innerHTML = `<div class="card"><div class="small">Failed to load order details from database: ${err.message}</div></div>`;
       });
+    const refresh = (event)=>{
+      if(event.orderCode !== id) return;
+      fetchOrderDetailsFromApi(id)
+        .then(order => {
+          if(!order) return;
+          setOrders([order, ...getOrders().filter(o => o.id !== order.id)]);
+          draw(order);
+        })
+        .catch(err => console.error(err));
+    };
+    subscribeLiveEvents({ "status-changed": refresh, "payment-confirmed": refresh });
   } else {
     draw(null);
   }
@@ -736,29 +1377,154 @@ function renderRewards(){
   const hero = qs("#rewardHero");
   if(!hero) return;
 
+  let catalog = [];
+  let balance = 0;
+
   const drawRewards = (rw)=>{
     const points = Number(rw.points || 0);
-    const next = 1500;
+    const costs = catalog.map(r => r.pointsCost).sort((a, b) => a - b);
+    const next = costs.find(c => c > points) || costs[costs.length - 1] || 1500;
     const pct = Math.min(100, Math.round((points/next)*100));
     qs("#points").textContent = points.toLocaleString();
-    qs("#nextText").textContent = `Next reward at ${next.toLocaleString()} points`;
+    qs("#nextText").textContent = points >= next
+      ? "You have enough points for every reward"
+      : `Next reward at ${next.toLocaleString()} points`;
     qs("#barFill").style.width = `${pct}%`;
   };
 
-  apiFetch("/api/rewards")
-    .then(data => drawRewards(data.rewards || {points: 0, totalSpent: 0}))
+  const drawCatalog = ()=>{
+    const box = qs("#rewardCatalog");
+    if(!box) return;
+    box.innerHTML = catalog.length ? catalog.map(r=>`
+      <div class="redeemCard">
+        <div class="redeemTop">
+          <div class="redeemIcon">${REWARD_ICONS[r.type] || "🎁"}</div>
+          <div>
+            <p class="redeemTitle">${r.name}</p>
+            <p class="redeemPts">${r.pointsCost.toLocaleString()} points</p>
+          </div>
+        </div>
+        <p class="redeemDesc">${r.description || (r.type === "free_item" ? `${r.qty} free case${r.qty > 1 ? "s" : ""} of ${r.productName}` : r.typeLabel)}</p>
+        <button class="btn" data-redeem="${r.id}" ${!r.inStock || balance < r.pointsCost ? "disabled" : ""}>
+          ${!r.inStock ? "Out of stock" : balance < r.pointsCost ? `Need ${(r.pointsCost - balance).toLocaleString()} more` : "Redeem"}
+        </button>
+      </div>
+    `).join("") : `<div class="small">No rewards are available right now.</div>`;
+
+    qsa("[data-redeem]", box).forEach(btn=>{
+      btn.addEventListener("click", async ()=>{
+        const reward = catalog.find(r => r.id === btn.dataset.redeem);
+        if(!reward) return;
+        if(!confirm(`Redeem ${reward.name} for ${reward.pointsCost.toLocaleString()} points?`)) return;
+        btn.disabled = true;
+        try{
+          const data = await apiFetch("/api/rewards/redeem", { method: "POST", body: JSON.stringify({ rewardId: reward.id }) });
+          alert(`${reward.name} redeemed. Your code is ${data.redemption.code} - pick it in your cart at checkout.`);
+          await load();
+        }catch(err){
+          alert(`Redeem failed: ${err.message}`);
+          btn.disabled = false;
+        }
+      });
+    });
+  };
+
+  const drawMyRewards = (redemptions)=>{
+    const box = qs("#myRewards");
+    if(!box) return;
+    box.innerHTML = redemptions.length ? redemptions.map(r=>`
+      <div class="row" style="justify-content:space-between;margin-bottom:8px">
+        <div>
+          <div style="font-weight:1100">${r.name} <span class="small">${r.code}</span></div>
+          <div class="small">Redeemed ${new Date(r.createdAt).toLocaleDateString()}${r.usedAt ? ` - used ${new Date(r.usedAt).toLocaleDateString()}` : ""}</div>
+        </div>
+        <div class="small" style="font-weight:1200;color:${r.status === "issued" ? "#16a34a" : "#64748b"}">${r.status === "issued" ? "Ready to use" : "Used"}</div>
+      </div>
+    `).join("") : `<div class="small">You have not redeemed any rewards yet.</div>`;
+  };
+
+  const drawHistory = (history)=>{
+    const box = qs("#pointsHistory");
+    if(!box) return;
+    box.innerHTML = history.length ? history.map(e=>`
+      <div class="row" style="justify-content:space-between;margin-bottom:8px">
+        <div>
+          <div style="font-weight:1100">${e.reason || POINTS_ENTRY_LABELS[e.type] || e.type}</div>
+          <div class="small">${new Date(e.createdAt).toLocaleString()}${e.expiresAt ? ` - expires ${new Date(e.expiresAt).toLocaleDateString()}` : ""}</div>
+        </div>
+        <div style="font-weight:1200;color:${e.points > 0 ? "#16a34a" : "#dc2626"}">${e.points > 0 ? "+" : ""}${e.points.toLocaleString()}</div>
+      </div>
+    `).join("") : `<div class="small">No points activity yet. Points are added when your orders are delivered.</div>`;
+  };
+
+  const load = ()=>Promise.all([apiFetch("/api/rewards/history"), apiFetch("/api/rewards/catalog"), apiFetch("/api/rewards")])
+    .then(([data, rewards, account]) => {
+      drawTierCard(account.rewards?.tier);
+      drawTierTable(account.rewards?.tier);
+      catalog = rewards.catalog || [];
+      balance = Number(data.summary?.points || 0);
+      drawRewards(data.summary || {points: 0});
+      drawCatalog();
+      drawMyRewards(rewards.redemptions || []);
+      drawHistory(data.history || []);
+      const expiry = qs("#expiryText");
+      const soon = data.summary?.expiringSoon;
+      if(expiry) expiry.textContent = soon?.points > 0
+        ? `${soon.points.toLocaleString()} points expire on ${new Date(soon.at).toLocaleDateString()}`
+        : "";
+    })
     .catch(err => {
       console.error(err);
       drawRewards({points: 0, totalSpent: 0});
+      drawCatalog();
+      drawMyRewards([]);
+      drawHistory([]);
     });
+  load();
+}
 
-  qsa("[data-redeem]").forEach(btn=>{
-    btn.addEventListener("click", ()=>{
-      alert("Redeem flow is disabled until rewards write-back is implemented in the backend.");
-    });
-  });
+// Tier card shared by the rewards page and the customer dashboard. The tier
+// itself is worked out on the server from the loyalty rules.
+function drawTierCard(tier){
+  const card = qs("#tierCard");
+  if(!card || !tier) return;
+  card.style.display = "";
+  qs("#tierName").textContent = tier.name;
+  qs("#tierMultiplier").textContent = `x${tier.multiplier} points`;
+  qs("#tierPerks").textContent = tier.freeDelivery ? "Free delivery on every order" : `Spend in the last ${tier.windowDays} days: ${money(tier.spend)}`;
+  qs("#tierBar").style.width = `${tier.percent}%`;
+  qs("#tierProgressText").textContent = tier.nextTier
+    ? `Spend ${money(tier.amountToNext)} more within ${tier.windowDays} days to reach ${tier.nextTier.name} (x${tier.nextTier.multiplier} points)`
+    : `You are at the top tier. Keep your spend up to stay ${tier.name}.`;
+}
+
+function drawTierTable(tier){
+  const box = qs("#tierTable");
+  if(!box || !tier) return;
+  const note = qs("#tierEarnNote");
+  if(note) note.textContent = `Every ${money(100)} on a delivered order earns ${tier.pointsPer100} points, multiplied by your tier. Tiers follow your spend over the last ${tier.windowDays} days.`;
+  box.innerHTML = tier.tiers.map(t=>`
+    <div class="row" style="justify-content:space-between">
+      <div class="small"><b>${t.name}</b>${t.minSpend > 0 ? ` - from ${money(t.minSpend)}` : ""}${t.freeDelivery ? " - free delivery" : ""}</div>
+      <div class="small" style="font-weight:1200;color:#16a34a">+${Math.floor(tier.pointsPer100 * t.multiplier)} points / ${money(100)}</div>
+    </div>
+  `).join("");
 }
 
+const REWARD_ICONS = {
+  free_item: "📦",
+  peso_off: "🎁",
+  free_delivery: "⭐"
+};
+
+const POINTS_ENTRY_LABELS = {
+  earn: "Points earned",
+  redeem: "Points redeemed",
+  reversal: "Points reversed",
+  expiry: "Points expired",
+  adjustment: "Points adjustment"
+};
+
 function renderProfile(){
   initPublicNav();
   const form = qs("#profileForm");
@@ -791,6 +1557,66 @@ function renderProfile(){
   });
 }
 
+const NOTIFICATION_STATUS_LABELS = {
+  queued: "Queued",
+  sending: "Sending",
+  sent: "Sent",
+  logged: "Not sent (test mode)",
+  failed: "Not delivered"
+};
+
+// Channel switches and the last few messages on the profile page. The server
+// sends through whichever email and SMS transports it is configured with.
+function renderNotificationSettings(){
+  const form = qs("#notifyForm");
+  if(!form) return;
+  const msg = qs("#notifyMsg");
+  const list = qs("#notificationList");
+
+  apiFetch("/api/profile")
+    .then(({profile}) => {
+      if(profile.email) qs("#notifyEmailTo").textContent = profile.email;
+      if(profile.contact) qs("#notifySmsTo").textContent = profile.contact;
+    })
+    .catch(err => console.error(err));
+  apiFetch("/api/notification-preferences")
+    .then(({preferences}) => {
+      qs("#notifyEmail").checked = preferences.email;
+      qs("#notifySms").checked = preferences.sms;
+    })
+    .catch(err => {
+      msg.textContent = `Failed to load notification settings: ${err.message}`;
+      msg.style.color = "#dc2626";
+    });
+  apiFetch("/api/notifications")
+    .then(({notifications}) => {
+      list.innerHTML = notifications.length ? notifications.map(n=>`
+        <div style="margin-bottom:8px">
+          <b>${n.channel === "sms" ? "SMS" : "Email"}</b> - ${new Date(n.createdAt).toLocaleString("en-PH")} - ${NOTIFICATION_STATUS_LABELS[n.status] || n.status}<br/>
+          ${n.subject ? `${n.subject}` : n.body}
+        </div>
+      `).join("") : "No messages yet.";
+    })
+    .catch(err => { list.textContent = `Failed to load messages: ${err.message}`; });
+
+  form.addEventListener("submit", async (e)=>{
+    e.preventDefault();
+    msg.textContent = "Saving...";
+    msg.style.color = "";
+    try{
+      await apiFetch("/api/notification-preferences", {
+        method: "PUT",
+        body: JSON.stringify({ email: qs("#notifyEmail").checked, sms: qs("#notifySms").checked })
+      });
+      msg.textContent = "Notification settings saved.";
+      msg.style.color = "#16a34a";
+    }catch(err){
+      msg.textContent = err.message;
+      msg.style.color = "#dc2626";
+    }
+  });
+}
+
 function initProductUploader(){
   const file = qs("#prodImage");
   const preview = qs("#imgPreview");
@@ -817,11 +1643,13 @@ function initProductUploader(){
 document.addEventListener("DOMContentLoaded", ()=>{
   initPublicNav();
   if(qs("#dashboardFavorites") || qs("#dashboardRecommendations")) renderCustomerDashboard();
+  if(qs("#subscriptionList")) renderSubscriptions();
   if(qs("#productGrid")) renderShop();
   if(qs("#cartList")) renderCart();
   if(qs("#ordersWrap")) renderOrders();
   if(qs("#detailsBox")) renderOrderDetails();
   if(qs("#rewardHero")) renderRewards();
   if(qs("#profileForm")) renderProfile();
+  if(qs("#notifyForm")) renderNotificationSettings();
   initProductUploader();
 });
@@ -0,0 +1,25 @@
+// Live updates from GET /api/events, shared by the customer pages (app.js) and
+// the admin/staff/rider panels (panel-data.js). `handlers` maps event names to
+// callbacks taking the parsed payload.
+//
+// The server ends a stream when its access token expires or the session is
+// signed out, and EventSource would retry with the stale token in the URL.
+// So on any error close the source and reconnect with the current token after
+// a pause; if there is no token any more, stop.
+function subscribeLiveEvents(handlers){
+  const base = location.protocol === "file:" ? "http://localhost:3000" : "";
+  const token = ()=>localStorage.getItem("jazjo_access_token") || sessionStorage.getItem("jazjo_access_token") || "";
+  if(!token() || !window.EventSource) return;
+  const connect = ()=>{
+    if(!token()) return;
+    const source = new EventSource(`${base}/api/events?access_token=${encodeURIComponent(token())}`);
+    Object.entries(handlers).forEach(([type, fn])=>{
+      source.addEventListener(type, (e)=>fn(JSON.parse(e.data)));
+    });
+    source.onerror = ()=>{
+      source.close();
+      setTimeout(connect, 5000);
+    };
+  };
+  connect();
+}
@@ -2,7 +2,8 @@
   const path = location.pathname;
   const isAdmin = path.includes("/admin/");
   const isStaff = path.includes("/staff/");
-  if (!isAdmin && !isStaff) return;
+  const isRider = path.includes("/rider/");
+  if (!isAdmin && !isStaff && !isRider) return;
 
   const money = (n) => `PHP ${Number(n || 0).toLocaleString("en-PH", { minimumFractionDigits: 0 })}`;
   const fmtDate = (v) => {
@@ -23,10 +24,10 @@
     return data;
   }
 
-  async function apiPatch(pathname, body) {
+  async function apiSend(method, pathname, body) {
     const token = localStorage.getItem("jazjo_access_token") || sessionStorage.getItem("jazjo_access_token") || "";
     const res = await fetch(pathname, {
-      method: "PATCH",
+      method,
       headers: {
         "Content-Type": "application/json",
         ...(token ? { Authorization: `Bearer ${token}` } : {})
@@ -38,6 +39,20 @@
     return data;
   }
 
+  async function apiPatch(pathname, body) {
+    return apiSend("PATCH", pathname, body);
+  }
+
+  // Events often come in bursts (a failed attempt and then its cancellation),
+  // so reload once they settle.
+  function debounced(fn, ms = 400) {
+    let timer = null;
+    return () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fn().catch(err => console.error(err)), ms);
+    };
+  }
+
   function statusText(status) {
     return String(status || "Order Placed");
   }
@@ -46,32 +61,54 @@
     const s = statusText(status);
     if (s === "Delivered") return "green";
     if (s === "In Transit" || s === "Out for Delivery") return "blue";
-    if (s === "Cancelled") return "red";
+    if (s === "Cancelled" || s === "Delivery Failed") return "red";
     return "yellow";
   }
 
   function paymentBadgeClass(paymentStatus) {
     const s = String(paymentStatus || "").toLowerCase();
     if (s === "paid") return "green";
-    if (s === "failed" || s === "cancelled") return "red";
+    if (s === "failed" || s === "cancelled" || s === "voided" || s === "proof_rejected") return "red";
+    if (s === "proof_submitted") return "blue";
     return "yellow";
   }
 
-  function paymentBadgeLabel(paymentStatus) {
-    const s = String(paymentStatus || "").toLowerCase();
+  const PAYMENT_LABELS = {
+    cod_pending: "COD - collect on delivery",
+    awaiting_proof: "Awaiting transfer",
+    proof_submitted: "Transfer to review",
+    proof_rejected: "Transfer rejected"
+  };
+
+  function isCodPayment(method) {
+    const m = String(method || "").toUpperCase();
+    return m.includes("COD") || m.includes("CASH ON DELIVERY");
+  }
+
+  function paymentBadgeLabel(paymentStatus, paymentMethod) {
+    const key = String(paymentStatus || "").toLowerCase();
+    if (PAYMENT_LABELS[key]) return PAYMENT_LABELS[key];
+    if (key === "paid" && isCodPayment(paymentMethod)) return "Paid (COD)";
+    if (key === "paid" && String(paymentMethod || "").toUpperCase().includes("BANK TRANSFER")) return "Paid (Transfer)";
+    const s = key.replace(/_/g, " ");
     if (!s) return "Unknown";
     return s.charAt(0).toUpperCase() + s.slice(1);
   }
 
   function panelTagClass(status) {
     const s = statusText(status);
-    if (s === "Order Placed") return "p";
+    if (s === "Order Placed" || s === "Delivery Failed") return "p";
     if (s === "Preparing") return "prep";
     return "transit";
   }
 
   async function renderAdminDashboard() {
     const data = await api("/api/panel/admin/dashboard");
+    const summary = document.querySelector("#stockSummary");
+    if (summary) {
+      const k = data.kpis || {};
+      summary.innerHTML = `${Number(k.lowStockCount || 0)} product(s) low on stock, ${Number(k.outOfStockCount || 0)} out of stock. <a href="admin-inventory.html">Open inventory</a>`;
+    }
     const tbody = document.querySelector("tbody");
     if (!tbody) return;
     tbody.innerHTML = (data.recentOrders || []).slice(0, 8).map(o => `
@@ -97,32 +134,486 @@
         <td>
           <div style="display:flex;gap:6px;flex-wrap:wrap;align-items:center">
             <span>${esc(o.status)}</span>
-            <span class="badge ${paymentBadgeClass(o.paymentStatus)}">${paymentBadgeLabel(o.paymentStatus)}</span>
+            <span class="badge ${paymentBadgeClass(o.paymentStatus)}">${paymentBadgeLabel(o.paymentStatus, o.paymentMethod)}</span>
+          </div>
+        </td>
+        <td>
+          <div style="display:flex;gap:6px;flex-wrap:wrap">
+            ${orderActionButtons(o)}
+            ${o.paymentStatus === "proof_submitted" ? `<button class="btn2" type="button" data-review-order="${esc(o.id)}">Review Transfer</button>` : ""}
+            ${o.status === "Delivered" ? `<button class="btn2" type="button" data-pod-order="${esc(o.id)}">Proof of Delivery</button>` : ""}
+            ${String(o.paymentMethod || "").toUpperCase().includes("QRPH") && REFUNDABLE_PAYMENT.has(String(o.paymentStatus || "").toLowerCase()) ? `<button class="btn2" type="button" data-refund-order="${esc(o.id)}">Refund</button>` : ""}
           </div>
         </td>
-        <td><button class="btn2" type="button" data-order-action="${esc(o.id)}" data-next-status="${o.status === "Order Placed" ? "Preparing" : o.status === "Preparing" ? "In Transit" : o.status === "In Transit" ? "Out for Delivery" : o.status === "Out for Delivery" ? "Delivered" : ""}">${o.status === "Delivered" || o.status === "Cancelled" ? "View Details" : (o.status === "Order Placed" ? "Mark Preparing" : o.status === "Preparing" ? "Mark In Transit" : o.status === "In Transit" ? "Mark Out for Delivery" : "Mark Delivered")}</button></td>
       </tr>
     `).join("") || `<tr><td colspan="6">No orders found</td></tr>`;
     bindOrderActionButtons(renderAdminOrders);
+    document.querySelectorAll("[data-refund-order]").forEach(btn => {
+      btn.addEventListener("click", () => openRefundPanel(btn.getAttribute("data-refund-order")));
+    });
+    document.querySelectorAll("[data-review-order]").forEach(btn => {
+      btn.addEventListener("click", () => openTransferReview(btn.getAttribute("data-review-order")));
+    });
+    document.querySelectorAll("[data-pod-order]").forEach(btn => {
+      btn.addEventListener("click", () => openProofOfDelivery(btn.getAttribute("data-pod-order")));
+    });
+  }
+
+  async function openProofOfDelivery(orderCode) {
+    const panel = document.querySelector("#podPanel");
+    if (!panel) return;
+    const body = document.querySelector("#podBody");
+    panel.style.display = "";
+    document.querySelector("#podClose").onclick = () => { panel.style.display = "none"; };
+    document.querySelector("#podTitle").textContent = `Proof of Delivery - ${orderCode}`;
+    document.querySelector("#podSub").textContent = "";
+    body.innerHTML = `<div class="small">Loading...</div>`;
+    try {
+      const { proof } = await api(`/api/orders/${encodeURIComponent(orderCode)}/proof-of-delivery`);
+      if (!proof) {
+        body.innerHTML = `<div class="small">No proof of delivery was recorded for this order.</div>`;
+        return;
+      }
+      document.querySelector("#podSub").textContent = `Captured ${fmtDate(proof.capturedAt)} by ${proof.capturedBy || "-"}`;
+      body.innerHTML = `
+        <div><b>Recipient:</b> ${esc(proof.recipientName || "-")}</div>
+        ${proof.cashCollected !== null ? `<div><b>Cash collected:</b> ${money(proof.cashCollected)}</div>` : ""}
+        <div style="display:flex;gap:14px;flex-wrap:wrap;margin-top:10px">
+          ${proof.photo ? `<img src="${esc(proof.photo)}" alt="Delivery photo" style="max-width:320px;max-height:320px;border-radius:12px;border:1px solid rgba(229,231,235,.9)" />` : ""}
+          ${proof.signature ? `<img src="${esc(proof.signature)}" alt="Recipient signature" style="max-width:320px;background:#fff;border-radius:12px;border:1px solid rgba(229,231,235,.9)" />` : ""}
+        </div>
+      `;
+    } catch (err) {
+      body.innerHTML = `<div class="small">${esc(err.message)}</div>`;
+    }
+  }
+
+  let reviewPanelBound = false;
+
+  async function openTransferReview(orderCode) {
+    const panel = document.querySelector("#transferReviewPanel");
+    if (!panel) return;
+    const field = (id) => document.querySelector(id);
+    const msg = field("#reviewMsg");
+    panel.dataset.orderCode = orderCode;
+    panel.style.display = "";
+    setFormMessage(msg, "Loading proof of payment...", "");
+
+    if (!reviewPanelBound) {
+      reviewPanelBound = true;
+      field("#reviewClose").addEventListener("click", () => { panel.style.display = "none"; });
+      const submit = async (decision) => {
+        const code = panel.dataset.orderCode;
+        const note = field("#reviewNote").value.trim();
+        if (decision === "reject" && !note) {
+          setFormMessage(msg, "Add a note telling the customer why the proof was rejected.", "error");
+          return;
+        }
+        field("#reviewApprove").disabled = true;
+        field("#reviewReject").disabled = true;
+        try {
+          await apiSend("POST", `/api/panel/admin/orders/${encodeURIComponent(code)}/payment-review`, { decision, note });
+          panel.style.display = "none";
+          await renderAdminOrders();
+        } catch (err) {
+          setFormMessage(msg, err.message, "error");
+        } finally {
+          field("#reviewApprove").disabled = false;
+          field("#reviewReject").disabled = false;
+        }
+      };
+      field("#reviewApprove").addEventListener("click", () => submit("approve"));
+      field("#reviewReject").addEventListener("click", () => submit("reject"));
+    }
+
+    try {
+      const data = await api(`/api/panel/admin/orders/${encodeURIComponent(orderCode)}/payment-review`);
+      field("#reviewTitle").textContent = `Review Transfer - ${orderCode}`;
+      field("#reviewSub").textContent = `Order total ${money(data.total)} - submitted ${data.submittedAt ? fmtDate(data.submittedAt) : "-"}`;
+      field("#reviewReference").textContent = data.reference || "-";
+      field("#reviewImage").innerHTML = data.proofImage
+        ? `<img src="${esc(data.proofImage)}" alt="Transfer receipt" style="max-width:320px;max-height:320px;border-radius:12px;border:1px solid rgba(229,231,235,.9)" />`
+        : `<span class="small">No receipt image uploaded.</span>`;
+      field("#reviewNote").value = "";
+      setFormMessage(msg, "", "");
+    } catch (err) {
+      setFormMessage(msg, err.message, "error");
+    }
+  }
+
+  const REFUNDABLE_PAYMENT = new Set(["paid", "refund_pending", "partially_refunded"]);
+  let refundPanelBound = false;
+
+  async function openRefundPanel(orderCode) {
+    const panel = document.querySelector("#refundPanel");
+    if (!panel) return;
+    const field = (id) => document.querySelector(id);
+    const msg = field("#refundMsg");
+    panel.dataset.orderCode = orderCode;
+    panel.style.display = "";
+    setFormMessage(msg, "Loading refund details...", "");
+
+    if (!refundPanelBound) {
+      refundPanelBound = true;
+      field("#refundClose").addEventListener("click", () => { panel.style.display = "none"; });
+      const submit = async (full) => {
+        const code = panel.dataset.orderCode;
+        const items = full ? [] : [...document.querySelectorAll("[data-refund-sku]")]
+          .map(input => ({ productId: input.getAttribute("data-refund-sku"), qty: Number(input.value || 0) }))
+          .filter(it => it.qty > 0);
+        if (!full && !items.length) {
+          setFormMessage(msg, "Enter a quantity for at least one item, or use Full Refund.", "error");
+          return;
+        }
+        if (full && !confirm(`Refund the remaining balance of ${code} through PayMongo?`)) return;
+        field("#refundSelected").disabled = true;
+        field("#refundFull").disabled = true;
+        setFormMessage(msg, "Sending refund to PayMongo...", "");
+        try {
+          await apiSend("POST", `/api/panel/admin/orders/${encodeURIComponent(code)}/refund`, {
+            items,
+            reason: field("#refundReason").value,
+            notes: field("#refundNotes").value.trim()
+          });
+          await openRefundPanel(code);
+          setFormMessage(msg, "Refund requested. Status updates when PayMongo confirms it.", "ok");
+          await renderAdminOrders();
+        } catch (err) {
+          setFormMessage(msg, err.message, "error");
+        } finally {
+          field("#refundSelected").disabled = false;
+          field("#refundFull").disabled = false;
+        }
+      };
+      field("#refundSelected").addEventListener("click", () => submit(false));
+      field("#refundFull").addEventListener("click", () => submit(true));
+    }
+
+    try {
+      const data = await api(`/api/panel/admin/orders/${encodeURIComponent(orderCode)}/refunds`);
+      field("#refundTitle").textContent = `Refund ${orderCode}`;
+      field("#refundSub").textContent = `Refunded ${money(data.refundedAmount)} of ${money(data.order?.total)} - ${money(data.refundableAmount)} remaining`;
+      field("#refundItems").innerHTML = (data.refundable || []).map(it => `
+        <tr>
+          <td>${esc(it.name)}</td>
+          <td>${money(it.unitPrice)}</td>
+          <td>${Number(it.qty)}</td>
+          <td>${Number(it.refundedQty)}</td>
+          <td><input class="qtyInput" type="number" min="0" max="${Number(it.qty) - Number(it.refundedQty)}" value="0" data-refund-sku="${esc(it.sku)}" ${Number(it.qty) <= Number(it.refundedQty) ? "disabled" : ""} /></td>
+        </tr>
+      `).join("") || `<tr><td colspan="5">No items on this order</td></tr>`;
+      field("#refundHistory").innerHTML = (data.refunds || []).map(r => `
+        <tr>
+          <td>${fmtDate(r.createdAt)}</td>
+          <td>${money(r.amount)}</td>
+          <td>${esc((r.items || []).map(it => `${it.name} x${it.qty}`).join(", ") || "-")}</td>
+          <td>${esc(String(r.reason || "").replace(/_/g, " "))}</td>
+          <td><span class="badge ${r.status === "succeeded" ? "green" : r.status === "failed" ? "red" : "yellow"}">${esc(r.status)}</span>${r.failureReason ? `<div class="small">${esc(r.failureReason)}</div>` : ""}</td>
+        </tr>
+      `).join("") || `<tr><td colspan="5">No refunds yet</td></tr>`;
+      setFormMessage(msg, "", "");
+    } catch (err) {
+      setFormMessage(msg, err.message, "error");
+    }
+  }
+
+  let inventoryCache = [];
+  let productFormBound = false;
+
+  function setFormMessage(el, text, kind) {
+    if (!el) return;
+    el.textContent = text || "";
+    el.classList.remove("error", "ok");
+    if (kind) el.classList.add(kind);
+  }
+
+  function bindProductForm() {
+    const form = document.querySelector("#productForm");
+    if (!form || productFormBound) return;
+    productFormBound = true;
+
+    const field = (id) => document.querySelector(id);
+    const msg = field("#productFormMsg");
+    const preview = field("#imgPreview");
+    const fileInput = field("#prodImage");
+
+    const openForm = (product) => {
+      form.dataset.editSku = product ? product.sku : "";
+      field("#productFormTitle").textContent = product ? `Edit ${product.name}` : "Add Product";
+      field("#prodSku").value = product?.sku || "";
+      field("#prodName").value = product?.name || "";
+      field("#prodCategory").value = product?.category || "";
+      field("#prodUnit").value = product?.unit || "";
+      field("#prodPrice").value = product ? String(product.price) : "";
+      field("#prodStock").value = "0";
+      field("#prodStockField").style.display = product ? "none" : "";
+      field("#prodReorderPoint").value = String(product?.reorderPoint ?? 10);
+      field("#prodTargetLevel").value = product?.targetLevel ? String(product.targetLevel) : "";
+      field("#prodImageUrl").value = product?.image_url && !product.image_url.startsWith("data:") ? product.image_url : "";
+      fileInput.value = "";
+      preview.dataset.base64 = "";
+      preview.src = product?.image_url || "";
+      preview.style.display = product?.image_url ? "" : "none";
+      setFormMessage(msg, "", "");
+      form.style.display = "";
+      field("#prodSku").focus();
+    };
+
+    window.__jazjoEditProduct = (sku) => openForm(inventoryCache.find(p => p.sku === sku) || null);
+
+    field("#addProductBtn")?.addEventListener("click", () => openForm(null));
+    field("#productFormCancel").addEventListener("click", () => { form.style.display = "none"; });
+
+    fileInput.addEventListener("change", () => {
+      const f = fileInput.files?.[0];
+      if (!f) return;
+      const ok = ["image/png", "image/jpeg", "image/jpg"].includes(f.type) || /\.(png|jpg|jpeg)$/i.test(f.name);
+      if (!ok || f.size > 700 * 1024) {
+        setFormMessage(msg, "Please upload a PNG or JPG image under 700 KB.", "error");
+        fileInput.value = "";
+        return;
+      }
+      const reader = new FileReader();
+      reader.onload = () => {
+        preview.src = reader.result;
+        preview.dataset.base64 = reader.result;
+        preview.style.display = "";
+      };
+      reader.readAsDataURL(f);
+    });
+
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const editSku = form.dataset.editSku || "";
+      const payload = {
+        sku: field("#prodSku").value.trim(),
+        name: field("#prodName").value.trim(),
+        category: field("#prodCategory").value.trim(),
+        unit: field("#prodUnit").value.trim(),
+        price: field("#prodPrice").value,
+        reorderPoint: field("#prodReorderPoint").value === "" ? "" : Number(field("#prodReorderPoint").value),
+        targetLevel: field("#prodTargetLevel").value === "" ? null : Number(field("#prodTargetLevel").value)
+      };
+      const imageUrl = preview.dataset.base64 || field("#prodImageUrl").value.trim();
+      if (imageUrl) payload.imageUrl = imageUrl;
+      if (!editSku) payload.stockCases = Number(field("#prodStock").value || 0);
+
+      const submit = field("#productFormSubmit");
+      submit.disabled = true;
+      setFormMessage(msg, "Saving...", "");
+      try {
+        const data = editSku
+          ? await apiSend("PATCH", `/api/panel/admin/products/${encodeURIComponent(editSku)}`, payload)
+          : await apiSend("POST", "/api/panel/admin/products", payload);
+        form.style.display = "none";
+        await renderAdminInventory();
+        setFormMessage(document.querySelector("#inventoryMsg"), `${data.product?.name || "Product"} saved.`, "ok");
+      } catch (err) {
+        setFormMessage(msg, err.message, "error");
+      } finally {
+        submit.disabled = false;
+      }
+    });
+
+    field("#inventorySearch")?.addEventListener("input", () => drawInventoryRows());
+    field("#reorderWeeks")?.addEventListener("change", () => renderReorderSuggestions());
+    bindMovementForm();
+  }
+
+  function bindMovementForm() {
+    const form = document.querySelector("#movementForm");
+    if (!form) return;
+    const field = (id) => document.querySelector(id);
+    const msg = field("#movementFormMsg");
+    const syncQtyLabel = () => {
+      const label = field("#moveQtyLabel");
+      label.firstChild.textContent = field("#moveType").value === "count_correction" ? "Counted Cases" : "Cases";
+      field("#moveQty").min = field("#moveType").value === "count_correction" ? "0" : "1";
+    };
+
+    window.__jazjoOpenMovement = (sku) => {
+      field("#moveSku").innerHTML = inventoryCache.map(p => `<option value="${esc(p.sku)}">${esc(p.name)} (${Number(p.stockCases || 0)} cases)</option>`).join("");
+      if (sku) field("#moveSku").value = sku;
+      field("#moveType").value = "restock";
+      field("#moveQty").value = "1";
+      field("#moveReason").value = "";
+      syncQtyLabel();
+      setFormMessage(msg, "", "");
+      form.style.display = "";
+    };
+
+    field("#restockBtn")?.addEventListener("click", () => window.__jazjoOpenMovement());
+    field("#moveType").addEventListener("change", syncQtyLabel);
+    field("#movementFormCancel").addEventListener("click", () => { form.style.display = "none"; });
+    field("#movementHistoryClose")?.addEventListener("click", () => { field("#movementHistory").style.display = "none"; });
+
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const type = field("#moveType").value;
+      const value = Number(field("#moveQty").value);
+      const payload = {
+        sku: field("#moveSku").value,
+        type,
+        reason: field("#moveReason").value.trim(),
+        ...(type === "count_correction" ? { countedCases: value } : { qty: value })
+      };
+      const submit = field("#movementFormSubmit");
+      submit.disabled = true;
+      setFormMessage(msg, "Saving...", "");
+      try {
+        const data = await apiSend("POST", "/api/panel/inventory/movements", payload);
+        form.style.display = "none";
+        await renderAdminInventory();
+        setFormMessage(field("#inventoryMsg"), `${data.product?.name || "Product"} now has ${Number(data.product?.stockCases || 0)} cases.`, "ok");
+        if (field("#movementHistory")?.style.display !== "none") await showMovementHistory(payload.sku);
+      } catch (err) {
+        setFormMessage(msg, err.message, "error");
+      } finally {
+        submit.disabled = false;
+      }
+    });
+  }
+
+  async function showMovementHistory(sku) {
+    const box = document.querySelector("#movementHistory");
+    const rows = document.querySelector("#movementHistoryRows");
+    if (!box || !rows) return;
+    box.style.display = "";
+    rows.innerHTML = `<tr><td colspan="6">Loading...</td></tr>`;
+    try {
+      const data = await api(`/api/panel/inventory/movements?sku=${encodeURIComponent(sku)}`);
+      document.querySelector("#movementHistoryTitle").textContent = `Stock Movement History - ${data.product?.name || sku}`;
+      document.querySelector("#movementHistorySub").textContent = data.reconciled
+        ? `Ledger balance ${data.ledgerStock} cases matches stock on hand.`
+        : `Ledger balance ${data.ledgerStock} cases does not match stock on hand (${Number(data.product?.stockCases || 0)}). Record a count correction after checking.`;
+      rows.innerHTML = (data.movements || []).map(m => `
+        <tr>
+          <td>${fmtDate(m.createdAt)}</td>
+          <td>${esc(m.typeLabel)}</td>
+          <td style="font-weight:1000;color:${m.qtyDelta < 0 ? "#b91c1c" : "#16a34a"}">${m.qtyDelta > 0 ? "+" : ""}${m.qtyDelta}</td>
+          <td>${m.balanceAfter}</td>
+          <td>${esc(m.reason)}${m.orderCode ? ` <span class="small">(${esc(m.orderCode)})</span>` : ""}</td>
+          <td>${esc(m.actor)}</td>
+        </tr>
+      `).join("") || `<tr><td colspan="6">No stock movements recorded yet</td></tr>`;
+    } catch (err) {
+      rows.innerHTML = `<tr><td colspan="6">${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  function drawInventoryRows() {
+    const tbody = document.querySelector("#inventoryRows");
+    if (!tbody) return;
+    const term = String(document.querySelector("#inventorySearch")?.value || "").trim().toLowerCase();
+    const rows = inventoryCache.filter(p => !term || `${p.name} ${p.sku} ${p.category}`.toLowerCase().includes(term));
+    tbody.innerHTML = rows.map(p => `
+      <tr style="${p.isActive === false ? "opacity:.6" : ""}">
+        <td>${esc(p.name)}<div class="small">${esc(p.sku)} - ${esc(p.category)} - ${money(p.price)}</div></td>
+        <td>
+          ${Number(p.stockCases || 0)}${Number(p.reservedCases || 0) > 0 ? `<div class="small">${Number(p.reservedCases)} reserved</div>` : ""}
+          <div class="small">Reorder at ${Number(p.reorderPoint || 0)}${p.targetLevel ? `, fill to ${Number(p.targetLevel)}` : ""}</div>
+        </td>
+        <td>${esc(p.status)}</td>
+        <td>
+          <div style="display:flex;gap:6px;flex-wrap:wrap">
+            <button class="btn2" type="button" data-product-edit="${esc(p.sku)}">Edit</button>
+            <button class="btn2" type="button" data-product-restock="${esc(p.sku)}">Restock</button>
+            <button class="btn2" type="button" data-product-history="${esc(p.sku)}">History</button>
+            <button class="btn2" type="button" data-product-toggle="${esc(p.sku)}" data-active="${p.isActive === false ? "0" : "1"}">${p.isActive === false ? "Reactivate" : "Deactivate"}</button>
+          </div>
+        </td>
+      </tr>
+    `).join("") || `<tr><td colspan="4">No products found</td></tr>`;
+
+    tbody.querySelectorAll("[data-product-edit]").forEach(btn => {
+      btn.addEventListener("click", () => window.__jazjoEditProduct?.(btn.getAttribute("data-product-edit")));
+    });
+    tbody.querySelectorAll("[data-product-restock]").forEach(btn => {
+      btn.addEventListener("click", () => window.__jazjoOpenMovement?.(btn.getAttribute("data-product-restock")));
+    });
+    tbody.querySelectorAll("[data-product-history]").forEach(btn => {
+      btn.addEventListener("click", () => showMovementHistory(btn.getAttribute("data-product-history")));
+    });
+    tbody.querySelectorAll("[data-product-toggle]").forEach(btn => {
+      btn.addEventListener("click", async () => {
+        const sku = btn.getAttribute("data-product-toggle");
+        const active = btn.getAttribute("data-active") === "1";
+        if (active && !confirm(`Deactivate ${sku}? It will be hidden from the shop.`)) return;
+        btn.disabled = true;
+        try {
+          if (active) await apiSend("DELETE", `/api/panel/admin/products/${encodeURIComponent(sku)}`);
+          else await apiSend("PATCH", `/api/panel/admin/products/${encodeURIComponent(sku)}`, { isActive: true });
+          await renderAdminInventory();
+        } catch (err) {
+          setFormMessage(document.querySelector("#inventoryMsg"), err.message, "error");
+          btn.disabled = false;
+        }
+      });
+    });
   }
 
   async function renderAdminInventory() {
     const data = await api("/api/panel/admin/inventory");
-    const tbodies = document.querySelectorAll("tbody");
-    if (tbodies[0]) {
-      tbodies[0].innerHTML = (data.inventory || []).map(p => `
+    inventoryCache = data.inventory || [];
+    bindProductForm();
+    drawInventoryRows();
+    renderStockAlerts();
+    renderReorderSuggestions();
+  }
+
+  const STOCK_ALERT_BADGES = { open: ["red", "Open"], acknowledged: ["yellow", "Seen"], restocked: ["green", "Restocked"] };
+
+  async function renderStockAlerts() {
+    const tbody = document.querySelector("#stockAlertRows");
+    if (!tbody) return;
+    try {
+      const data = await api("/api/panel/admin/stock-alerts");
+      tbody.innerHTML = (data.alerts || []).map(a => {
+        const [cls, label] = STOCK_ALERT_BADGES[a.state] || ["", a.state];
+        return `
+          <tr>
+            <td>${esc(a.name)}<div class="small"><span class="badge ${cls}">${label}</span>${a.acknowledgedBy ? ` by ${esc(a.acknowledgedBy)}` : ""}</div></td>
+            <td>${a.stockCases} cases<div class="small">Reorder at ${a.reorderPoint}${a.currentStock !== null ? `, now ${a.currentStock}` : ""}</div></td>
+            <td>${fmtDate(a.createdAt)}</td>
+            <td>${a.state === "open" ? `<button class="btn2" type="button" data-alert-ack="${esc(a.id)}">Acknowledge</button>` : ""}</td>
+          </tr>
+        `;
+      }).join("") || `<tr><td colspan="4">No low stock alerts</td></tr>`;
+      tbody.querySelectorAll("[data-alert-ack]").forEach(btn => {
+        btn.addEventListener("click", async () => {
+          btn.disabled = true;
+          try {
+            await apiSend("POST", `/api/panel/admin/stock-alerts/${encodeURIComponent(btn.getAttribute("data-alert-ack"))}/acknowledge`);
+            await renderStockAlerts();
+          } catch (err) {
+            setFormMessage(document.querySelector("#inventoryMsg"), err.message, "error");
+            btn.disabled = false;
+          }
+        });
+      });
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="4">${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  async function renderReorderSuggestions() {
+    const tbody = document.querySelector("#reorderRows");
+    if (!tbody) return;
+    const weeks = document.querySelector("#reorderWeeks")?.value || "4";
+    try {
+      const data = await api(`/api/panel/admin/reorder-suggestions?weeks=${encodeURIComponent(weeks)}`);
+      document.querySelector("#reorderSub").textContent =
+        `Average daily sales over the last ${data.weeks} weeks. Products without a target level are topped up to ${data.coverDays} days of sales above their reorder point.`;
+      tbody.innerHTML = (data.suggestions || []).map(s => `
         <tr>
-          <td>${esc(p.name)}</td>
-          <td>${Number(p.stockCases || 0)}</td>
-          <td>${esc(p.status)}</td>
-          <td><button class="btn2" type="button">Edit</button></td>
+          <td>${esc(s.name)}<div class="small">${s.availableCases} available, reorder at ${s.reorderPoint}</div></td>
+          <td>${s.dailySales}</td>
+          <td>${s.daysLeft === null ? "-" : s.daysLeft}</td>
+          <td style="font-weight:1000">${s.suggestedCases > 0 ? `${s.suggestedCases} cases` : "-"}</td>
         </tr>
-      `).join("") || `<tr><td colspan="4">No products found</td></tr>`;
-    }
-    if (tbodies[1]) {
-      tbodies[1].innerHTML = (data.lowStock || []).slice(0, 10).map(p => `
-        <tr><td>${esc(p.name)}</td><td>${Number(p.stockCases || 0)} cases</td></tr>
-      `).join("") || `<tr><td colspan="2">No low stock alerts</td></tr>`;
+      `).join("") || `<tr><td colspan="4">No active products</td></tr>`;
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="4">${esc(err.message)}</td></tr>`;
     }
   }
 
@@ -149,16 +640,363 @@
     `).join("") || `<tr><td colspan="3">No reports available</td></tr>`;
   }
 
+  function promoDiscountText(p) {
+    const scope = p.sku || p.category ? ` on ${esc(p.sku || p.category)}` : "";
+    if (p.type === "percent") return `${p.value}% off${scope}${p.maxDiscount !== null ? ` (max ${money(p.maxDiscount)})` : ""}`;
+    if (p.type === "fixed") return `${money(p.value)} off${scope}`;
+    return `Buy ${p.buyQty} get ${p.getQty} free${scope}`;
+  }
+
+  function toLocalInput(iso) {
+    if (!iso) return "";
+    const d = new Date(iso);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  let promotionCache = [];
+  let promoFormBound = false;
+
+  async function renderAdminPromotions() {
+    const form = document.querySelector("#promoForm");
+    const field = (id) => document.querySelector(id);
+    const msg = field("#promoFormMsg");
+
+    if (form && !promoFormBound) {
+      promoFormBound = true;
+      const syncType = () => {
+        const bxgy = field("#promoType").value === "buy_x_get_y";
+        field("#promoValueField").style.display = bxgy ? "none" : "";
+        field("#promoBuyField").style.display = bxgy ? "" : "none";
+        field("#promoGetField").style.display = bxgy ? "" : "none";
+      };
+      const openForm = (p) => {
+        form.dataset.editId = p ? p.id : "";
+        field("#promoFormTitle").textContent = p ? `Edit ${p.code}` : "Add Voucher";
+        field("#promoCode").value = p?.code || "";
+        field("#promoName").value = p?.name || "";
+        field("#promoType").value = p?.type || "percent";
+        field("#promoValue").value = p ? String(p.value) : "";
+        field("#promoBuy").value = p?.buyQty ?? "";
+        field("#promoGet").value = p?.getQty ?? "";
+        field("#promoCategory").value = p?.category || "";
+        field("#promoSku").value = p?.sku || "";
+        field("#promoMinSubtotal").value = p ? String(p.minSubtotal) : "0";
+        field("#promoMaxDiscount").value = p?.maxDiscount ?? "";
+        field("#promoStarts").value = toLocalInput(p?.startsAt);
+        field("#promoEnds").value = toLocalInput(p?.endsAt);
+        field("#promoUsageLimit").value = p?.usageLimit ?? "";
+        field("#promoPerCustomer").value = p?.perCustomerLimit ?? "";
+        field("#promoActive").checked = p ? p.isActive : true;
+        syncType();
+        setFormMessage(msg, "", "");
+        form.style.display = "";
+        field("#promoCode").focus();
+      };
+      window.__jazjoEditPromotion = (id) => openForm(promotionCache.find(p => p.id === id) || null);
+      window.__jazjoDeactivatePromotion = async (id) => {
+        const promo = promotionCache.find(p => p.id === id);
+        if (!promo || !confirm(`Deactivate voucher ${promo.code}? Customers will no longer be able to use it.`)) return;
+        try {
+          await apiSend("DELETE", `/api/panel/admin/promotions/${encodeURIComponent(id)}`);
+          await renderAdminPromotions();
+        } catch (err) {
+          alert(`Failed to deactivate voucher: ${err.message}`);
+        }
+      };
+      field("#addPromoBtn").addEventListener("click", () => openForm(null));
+      field("#promoFormCancel").addEventListener("click", () => { form.style.display = "none"; });
+      field("#promoType").addEventListener("change", syncType);
+      form.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const editId = form.dataset.editId || "";
+        const localIso = (v) => (v ? new Date(v).toISOString() : null);
+        const payload = {
+          code: field("#promoCode").value.trim(),
+          name: field("#promoName").value.trim(),
+          type: field("#promoType").value,
+          value: Number(field("#promoValue").value || 0),
+          buyQty: field("#promoBuy").value || null,
+          getQty: field("#promoGet").value || null,
+          category: field("#promoCategory").value.trim(),
+          sku: field("#promoSku").value.trim(),
+          minSubtotal: Number(field("#promoMinSubtotal").value || 0),
+          maxDiscount: field("#promoMaxDiscount").value || null,
+          startsAt: localIso(field("#promoStarts").value),
+          endsAt: localIso(field("#promoEnds").value),
+          usageLimit: field("#promoUsageLimit").value || null,
+          perCustomerLimit: field("#promoPerCustomer").value || null,
+          isActive: field("#promoActive").checked
+        };
+        try {
+          if (editId) await apiSend("PATCH", `/api/panel/admin/promotions/${encodeURIComponent(editId)}`, payload);
+          else await apiSend("POST", "/api/panel/admin/promotions", payload);
+          form.style.display = "none";
+          await renderAdminPromotions();
+        } catch (err) {
+          setFormMessage(msg, err.message, "error");
+        }
+      });
+    }
+
+    const data = await api("/api/panel/admin/promotions");
+    promotionCache = data.promotions || [];
+    const tbody = document.querySelector("tbody");
+    if (!tbody) return;
+    tbody.innerHTML = promotionCache.map(p => `
+      <tr>
+        <td><b>${esc(p.code)}</b><div class="small">${esc(p.name)}</div></td>
+        <td>${promoDiscountText(p)}${p.minSubtotal > 0 ? `<div class="small">Min. ${money(p.minSubtotal)}</div>` : ""}</td>
+        <td>${p.startsAt ? fmtDate(p.startsAt) : "Now"} - ${p.endsAt ? fmtDate(p.endsAt) : "No end"}</td>
+        <td>${p.redemptions}${p.usageLimit ? ` / ${p.usageLimit}` : ""}<div class="small">${money(p.discountGiven)} discounted</div></td>
+        <td><span class="badge ${p.isActive ? "green" : "red"}">${p.isActive ? "Active" : "Inactive"}</span></td>
+        <td>
+          <div style="display:flex;gap:6px;flex-wrap:wrap">
+            <button class="btn2" type="button" data-promo-edit="${esc(p.id)}">Edit</button>
+            ${p.isActive ? `<button class="btn2" type="button" style="color:#b91c1c" data-promo-deactivate="${esc(p.id)}">Deactivate</button>` : ""}
+          </div>
+        </td>
+      </tr>
+    `).join("") || `<tr><td colspan="6">No vouchers yet</td></tr>`;
+    tbody.querySelectorAll("[data-promo-edit]").forEach(btn => {
+      btn.addEventListener("click", () => window.__jazjoEditPromotion?.(btn.getAttribute("data-promo-edit")));
+    });
+    tbody.querySelectorAll("[data-promo-deactivate]").forEach(btn => {
+      btn.addEventListener("click", () => window.__jazjoDeactivatePromotion?.(btn.getAttribute("data-promo-deactivate")));
+    });
+  }
+
+  function tierRow(t = {}) {
+    return `
+      <tr data-tier-row>
+        <td><input class="input" data-f="name" value="${esc(t.name || "")}" maxlength="40" /></td>
+        <td><input class="input" data-f="minSpend" type="number" min="0" step="0.01" value="${t.minSpend ?? ""}" /></td>
+        <td><input class="input" data-f="multiplier" type="number" min="0.01" step="0.05" value="${t.multiplier ?? 1}" /></td>
+        <td><input type="checkbox" data-tier-free ${t.freeDelivery ? "checked" : ""} /></td>
+        <td><button class="btn2" type="button" data-remove-row>Remove</button></td>
+      </tr>
+    `;
+  }
+
+  async function renderLoyaltyTiers() {
+    const form = document.querySelector("#tierForm");
+    if (!form) return;
+    const field = (id) => document.querySelector(id);
+    const msg = field("#tierMsg");
+    const fill = (rules) => {
+      field("#tierPointsPer100").value = rules.pointsPer100;
+      field("#tierWindowDays").value = rules.windowDays;
+      field("#tierRows").innerHTML = rules.tiers.map(tierRow).join("");
+    };
+
+    form.addEventListener("click", (e) => {
+      const remove = e.target.closest("[data-remove-row]");
+      if (remove) remove.closest("tr").remove();
+    });
+    field("#addTierBtn").addEventListener("click", () => field("#tierRows").insertAdjacentHTML("beforeend", tierRow()));
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const rules = {
+        pointsPer100: Number(field("#tierPointsPer100").value || 0),
+        windowDays: Number(field("#tierWindowDays").value || 0),
+        tiers: [...document.querySelectorAll("[data-tier-row]")].map(tr => ({
+          ...readRow(tr),
+          freeDelivery: tr.querySelector("[data-tier-free]").checked
+        })).map(t => ({ ...t, minSpend: Number(t.minSpend || 0), multiplier: Number(t.multiplier || 0) }))
+      };
+      try {
+        const data = await apiSend("PUT", "/api/panel/admin/loyalty-tiers", { rules });
+        fill(data.rules);
+        setFormMessage(msg, "Tier rules saved.", "ok");
+      } catch (err) {
+        setFormMessage(msg, err.message, "error");
+      }
+    });
+
+    try {
+      const data = await api("/api/panel/admin/loyalty-tiers");
+      fill(data.rules);
+    } catch (err) {
+      setFormMessage(msg, err.message, "error");
+    }
+  }
+
+  let rewardCatalogCache = [];
+  let rewardFormBound = false;
+  let adjustFormBound = false;
+
+  async function openPointsAdjustment(email, name) {
+    const panel = document.querySelector("#adjustPanel");
+    const form = document.querySelector("#adjustForm");
+    if (!panel || !form) return;
+    form.dataset.email = email;
+    form.dataset.name = name || "";
+    document.querySelector("#adjustTitle").textContent = `Adjust Points - ${name || email}`;
+    document.querySelector("#adjustPoints").value = "";
+    document.querySelector("#adjustReason").value = "";
+    setFormMessage(document.querySelector("#adjustMsg"), "", "");
+    panel.style.display = "";
+    const body = document.querySelector("#adjustHistoryBody");
+    body.innerHTML = `<tr><td colspan="4">Loading...</td></tr>`;
+    try {
+      const data = await api(`/api/panel/admin/rewards/${encodeURIComponent(email)}/adjustments`);
+      body.innerHTML = (data.adjustments || []).map(a => `
+        <tr>
+          <td>${fmtDate(a.createdAt)}</td>
+          <td style="font-weight:1000;color:${a.points > 0 ? "#16a34a" : "#b91c1c"}">${a.points > 0 ? "+" : ""}${a.points.toLocaleString()}</td>
+          <td>${esc(a.reason)}</td>
+          <td>${esc(a.adjustedBy)}</td>
+        </tr>
+      `).join("") || `<tr><td colspan="4">No adjustments for this customer yet</td></tr>`;
+    } catch (err) {
+      body.innerHTML = `<tr><td colspan="4">${esc(err.message)}</td></tr>`;
+    }
+  }
+
   async function renderAdminRewards() {
-    const data = await api("/api/panel/admin/rewards");
+    const form = document.querySelector("#rewardForm");
+    const field = (id) => document.querySelector(id);
+    const msg = field("#rewardFormMsg");
+
+    if (form && !rewardFormBound) {
+      rewardFormBound = true;
+      const syncType = () => {
+        const type = field("#rewardType").value;
+        field("#rewardAmountField").style.display = type === "peso_off" ? "" : "none";
+        field("#rewardSkuField").style.display = type === "free_item" ? "" : "none";
+        field("#rewardQtyField").style.display = type === "free_item" ? "" : "none";
+      };
+      const openForm = (r) => {
+        form.dataset.editId = r ? r.id : "";
+        field("#rewardFormTitle").textContent = r ? `Edit ${r.name}` : "Add Reward";
+        field("#rewardName").value = r?.name || "";
+        field("#rewardType").value = r?.type || "free_delivery";
+        field("#rewardCost").value = r ? String(r.pointsCost) : "";
+        field("#rewardAmount").value = r?.amount ? String(r.amount) : "";
+        field("#rewardSku").value = r?.sku || "";
+        field("#rewardQty").value = r ? String(r.qty) : "1";
+        field("#rewardDescription").value = r?.description || "";
+        field("#rewardSort").value = r ? String(r.sortOrder) : "0";
+        field("#rewardActive").checked = r ? r.isActive : true;
+        syncType();
+        setFormMessage(msg, "", "");
+        form.style.display = "";
+        field("#rewardName").focus();
+      };
+      field("#addRewardBtn").addEventListener("click", () => openForm(null));
+      field("#rewardFormCancel").addEventListener("click", () => { form.style.display = "none"; });
+      field("#rewardType").addEventListener("change", syncType);
+      field("#rewardCatalogBody").addEventListener("click", async (e) => {
+        const edit = e.target.closest("[data-reward-edit]");
+        const deactivate = e.target.closest("[data-reward-deactivate]");
+        if (edit) openForm(rewardCatalogCache.find(r => r.id === edit.getAttribute("data-reward-edit")) || null);
+        if (!deactivate) return;
+        const reward = rewardCatalogCache.find(r => r.id === deactivate.getAttribute("data-reward-deactivate"));
+        if (!reward || !confirm(`Deactivate ${reward.name}? Customers will no longer be able to redeem it. Codes already issued still work.`)) return;
+        try {
+          await apiSend("DELETE", `/api/panel/admin/reward-catalog/${encodeURIComponent(reward.id)}`);
+          await renderAdminRewards();
+        } catch (err) {
+          alert(`Failed to deactivate reward: ${err.message}`);
+        }
+      });
+      form.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const editId = form.dataset.editId || "";
+        const payload = {
+          name: field("#rewardName").value.trim(),
+          type: field("#rewardType").value,
+          pointsCost: Number(field("#rewardCost").value || 0),
+          amount: Number(field("#rewardAmount").value || 0),
+          sku: field("#rewardSku").value.trim(),
+          qty: Number(field("#rewardQty").value || 1),
+          description: field("#rewardDescription").value.trim(),
+          sortOrder: Number(field("#rewardSort").value || 0),
+          isActive: field("#rewardActive").checked
+        };
+        try {
+          if (editId) await apiSend("PATCH", `/api/panel/admin/reward-catalog/${encodeURIComponent(editId)}`, payload);
+          else await apiSend("POST", "/api/panel/admin/reward-catalog", payload);
+          form.style.display = "none";
+          await renderAdminRewards();
+        } catch (err) {
+          setFormMessage(msg, err.message, "error");
+        }
+      });
+    }
+
+    const [data, catalogData] = await Promise.all([
+      api("/api/panel/admin/rewards"),
+      api("/api/panel/admin/reward-catalog")
+    ]);
+    rewardCatalogCache = catalogData.catalog || [];
     const top = (data.rewards || [])[0];
     const greenCard = document.querySelector(".greenCard");
     if (greenCard && top) {
       const balance = greenCard.querySelector("div[style*='font-size:54px']");
       const sub = greenCard.querySelector("div[style*='sample']");
       if (balance) balance.textContent = Number(top.points || 0).toLocaleString();
-      if (sub) sub.textContent = `${top.customer || top.email} current points`;
+      if (sub) sub.textContent = `${top.customer || top.email} current points (${top.tier})`;
+    }
+    const pointsBody = document.querySelector("#customerPointsBody");
+    if (pointsBody) {
+      pointsBody.innerHTML = (data.rewards || []).filter(r => r.email).map(r => `
+        <tr>
+          <td><b>${esc(r.customer)}</b><div class="small">${esc(r.email)}</div></td>
+          <td>${esc(r.tier)}</td>
+          <td>${Number(r.points || 0).toLocaleString()}</td>
+          <td>${money(r.totalSpent)}</td>
+          <td><button class="btn2" type="button" data-adjust-email="${esc(r.email)}" data-adjust-name="${esc(r.customer)}">Adjust</button></td>
+        </tr>
+      `).join("") || `<tr><td colspan="5">No customers yet</td></tr>`;
     }
+    const adjustForm = document.querySelector("#adjustForm");
+    if (adjustForm && pointsBody && !adjustFormBound) {
+      adjustFormBound = true;
+      pointsBody.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-adjust-email]");
+        if (btn) openPointsAdjustment(btn.getAttribute("data-adjust-email"), btn.getAttribute("data-adjust-name"));
+      });
+      document.querySelector("#adjustCancel").addEventListener("click", () => {
+        document.querySelector("#adjustPanel").style.display = "none";
+      });
+      adjustForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const email = adjustForm.dataset.email || "";
+        const points = Number(document.querySelector("#adjustPoints").value || 0);
+        const reason = document.querySelector("#adjustReason").value.trim();
+        const msg = document.querySelector("#adjustMsg");
+        if (!confirm(`${points > 0 ? "Add" : "Deduct"} ${Math.abs(points).toLocaleString()} points ${points > 0 ? "to" : "from"} ${email}?`)) return;
+        try {
+          const result = await apiSend("POST", `/api/panel/admin/rewards/${encodeURIComponent(email)}/adjust`, { points, reason });
+          await renderAdminRewards();
+          await openPointsAdjustment(email, adjustForm.dataset.name);
+          setFormMessage(msg, `Saved. New balance: ${Number(result.points || 0).toLocaleString()} points.`, "ok");
+        } catch (err) {
+          setFormMessage(msg, err.message, "error");
+        }
+      });
+    }
+
+    const cheapest = rewardCatalogCache.filter(r => r.isActive).map(r => r.pointsCost).sort((a, b) => a - b)[0];
+    const nextText = document.querySelector("#nextRewardText");
+    if (nextText) nextText.textContent = cheapest ? `Cheapest reward at ${cheapest.toLocaleString()} points` : "No active rewards";
+
+    const tbody = document.querySelector("#rewardCatalogBody");
+    if (!tbody) return;
+    tbody.innerHTML = rewardCatalogCache.map(r => `
+      <tr>
+        <td><b>${esc(r.name)}</b><div class="small">${esc(r.description)}</div></td>
+        <td>${esc(r.typeLabel)}${r.type === "peso_off" ? ` - ${money(r.amount)}` : ""}${r.type === "free_item" ? ` - ${r.qty} x ${esc(r.productName || r.sku)}${r.inStock ? "" : ` <span class="badge red">Out of stock</span>`}` : ""}</td>
+        <td>${r.pointsCost.toLocaleString()}</td>
+        <td><span class="badge ${r.isActive ? "green" : "red"}">${r.isActive ? "Active" : "Inactive"}</span></td>
+        <td>
+          <div style="display:flex;gap:6px;flex-wrap:wrap">
+            <button class="btn2" type="button" data-reward-edit="${esc(r.id)}">Edit</button>
+            ${r.isActive ? `<button class="btn2" type="button" style="color:#b91c1c" data-reward-deactivate="${esc(r.id)}">Deactivate</button>` : ""}
+          </div>
+        </td>
+      </tr>
+    `).join("") || `<tr><td colspan="5">No rewards yet</td></tr>`;
   }
 
   async function renderAdminSales() {
@@ -171,6 +1009,10 @@
     const todaySalesNote = document.querySelector("#todaySalesNote");
     const transactionsNote = document.querySelector("#transactionsNote");
     const bestSellerNote = document.querySelector("#bestSellerNote");
+    const refundsNote = document.querySelector("#refundsNote");
+    if (refundsNote) refundsNote.textContent = Number(data.kpis?.pendingRefunds || 0) > 0
+      ? `${Number(data.kpis.pendingRefunds)} pending (${money(data.kpis.pendingRefundAmount)}) - ${money(data.kpis?.refundsThisMonth || 0)} this month`
+      : `${money(data.kpis?.refundsThisMonth || 0)} refunded this month`;
     if (todaySalesNote) todaySalesNote.textContent = "Live from active and completed orders";
     if (transactionsNote) transactionsNote.textContent = `Avg. ${money(data.kpis?.avgOrderValue || 0)}/order`;
     if (bestSellerNote) bestSellerNote.textContent = (data.kpis?.bestSeller && data.kpis.bestSeller !== "-")
@@ -203,9 +1045,10 @@
           <td>${esc(r.period)}</td>
           <td>${money(r.sales)}</td>
           <td>${Number(r.transactions || 0)}</td>
+          <td>${money(r.refunds || 0)}</td>
           <td>${esc(r.bestSeller || "-")}</td>
         </tr>
-      `).join("") || `<tr><td colspan="4">No sales data</td></tr>`;
+      `).join("") || `<tr><td colspan="5">No sales data</td></tr>`;
     }
   }
 
@@ -222,7 +1065,8 @@
       "Out for Delivery",
       "Delivered"
     ];
-    const idx = Math.max(0, steps.indexOf(order.status));
+    // A failed delivery is back at the warehouse waiting for its next run.
+    const idx = Math.max(0, steps.indexOf(order.status === "Delivery Failed" ? "Preparing" : order.status));
     const events = new Map((order.status_events || []).map(e => [statusText(e.status), e]));
     container.innerHTML = `
       <div class="trackHead">
@@ -257,25 +1101,439 @@
   async function renderAdminDelivery() {
     const data = await api("/api/panel/admin/delivery");
     renderTimeline(document.querySelector(".timeline"), data.activeOrder);
+    renderDeliverySlotRules();
+    renderProofPolicy();
+    renderDeliveryRuns();
+    await renderDeliveryFeeRules();
+  }
+
+  const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  function zoneRow(z = {}) {
+    return `
+      <tr data-zone-row>
+        <td><input class="input" data-f="name" value="${esc(z.name || "")}" /></td>
+        <td><input class="input" data-f="keywords" value="${esc((z.keywords || []).join(", "))}" placeholder="san roque, concepcion uno" /></td>
+        <td><input class="input" data-f="fee" type="number" min="0" step="0.01" value="${z.fee ?? ""}" /></td>
+        <td><input class="input" data-f="minimumOrder" type="number" min="0" step="0.01" value="${z.minimumOrder ?? ""}" placeholder="Default" /></td>
+        <td><input class="input" data-f="freeDeliveryMinimum" type="number" min="0" step="0.01" value="${z.freeDeliveryMinimum ?? ""}" placeholder="Default" /></td>
+        <td><button class="btn2" type="button" data-remove-row>Remove</button></td>
+      </tr>
+    `;
+  }
+
+  function windowRow(w = {}) {
+    return `
+      <tr data-window-row>
+        <td><input class="input" data-f="label" value="${esc(w.label || "")}" /></td>
+        <td><input class="input" data-f="days" value="${esc((w.days || []).map(d => DAY_NAMES[d]).join(", "))}" /></td>
+        <td><input class="input" data-f="start" type="time" value="${esc(w.start || "")}" /></td>
+        <td><input class="input" data-f="end" type="time" value="${esc(w.end || "")}" /></td>
+        <td><button class="btn2" type="button" data-remove-row>Remove</button></td>
+      </tr>
+    `;
+  }
+
+  function slotRow(sl = {}) {
+    return `
+      <tr data-slot-row>
+        <td><input class="input" data-f="label" value="${esc(sl.label || "")}" placeholder="Morning" /></td>
+        <td><input class="input" data-f="days" value="${esc((sl.days || []).map(d => DAY_NAMES[d]).join(", "))}" /></td>
+        <td><input class="input" data-f="start" type="time" value="${esc(sl.start || "")}" /></td>
+        <td><input class="input" data-f="end" type="time" value="${esc(sl.end || "")}" /></td>
+        <td><input class="input" data-f="maxOrders" type="number" min="1" step="1" value="${sl.maxOrders ?? ""}" placeholder="No limit" /></td>
+        <td><input class="input" data-f="maxCases" type="number" min="1" step="1" value="${sl.maxCases ?? ""}" placeholder="No limit" /></td>
+        <td><input type="hidden" data-f="id" value="${esc(sl.id || "")}" /><button class="btn2" type="button" data-remove-row>Remove</button></td>
+      </tr>
+    `;
+  }
+
+  function readRow(tr) {
+    const out = {};
+    tr.querySelectorAll("[data-f]").forEach(input => { out[input.getAttribute("data-f")] = input.value.trim(); });
+    return out;
+  }
+
+  function optionalNumber(value) {
+    return value === "" ? null : Number(value);
+  }
+
+  async function renderDeliveryFeeRules() {
+    const form = document.querySelector("#deliveryFeeForm");
+    if (!form) return;
+    const field = (id) => document.querySelector(id);
+    const msg = field("#feeMsg");
+    const fill = (rules) => {
+      field("#feeBase").value = rules.baseFee;
+      field("#feeFreeMin").value = rules.freeDeliveryMinimum ?? "";
+      field("#feeMinOrder").value = rules.minimumOrder;
+      field("#feeBulkMin").value = rules.bulkSurcharge.minCases;
+      field("#feeBulkPer").value = rules.bulkSurcharge.perCase;
+      field("#feeOutside").checked = rules.deliverOutsideZones;
+      field("#zoneRows").innerHTML = rules.zones.map(zoneRow).join("");
+      field("#windowRows").innerHTML = rules.freeDeliveryWindows.map(windowRow).join("");
+    };
+
+    form.addEventListener("click", (e) => {
+      const remove = e.target.closest("[data-remove-row]");
+      if (remove) remove.closest("tr").remove();
+    });
+    field("#addZoneBtn").addEventListener("click", () => field("#zoneRows").insertAdjacentHTML("beforeend", zoneRow()));
+    field("#addWindowBtn").addEventListener("click", () => field("#windowRows").insertAdjacentHTML("beforeend", windowRow()));
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const rules = {
+        baseFee: Number(field("#feeBase").value || 0),
+        freeDeliveryMinimum: optionalNumber(field("#feeFreeMin").value),
+        minimumOrder: Number(field("#feeMinOrder").value || 0),
+        deliverOutsideZones: field("#feeOutside").checked,
+        bulkSurcharge: { minCases: Number(field("#feeBulkMin").value || 0), perCase: Number(field("#feeBulkPer").value || 0) },
+        zones: [...document.querySelectorAll("[data-zone-row]")].map(readRow).map(z => ({
+          name: z.name,
+          keywords: z.keywords.split(",").map(k => k.trim()).filter(Boolean),
+          fee: Number(z.fee || 0),
+          minimumOrder: optionalNumber(z.minimumOrder),
+          freeDeliveryMinimum: optionalNumber(z.freeDeliveryMinimum)
+        })),
+        freeDeliveryWindows: [...document.querySelectorAll("[data-window-row]")].map(readRow).map(w => ({
+          label: w.label,
+          days: w.days.split(",").map(d => DAY_NAMES.findIndex(n => n.toLowerCase() === d.trim().slice(0, 3).toLowerCase())).filter(d => d >= 0),
+          start: w.start,
+          end: w.end
+        }))
+      };
+      try {
+        const data = await apiSend("PUT", "/api/panel/admin/delivery-fees", { rules });
+        fill(data.rules);
+        setFormMessage(msg, "Delivery fee rules saved.", "ok");
+      } catch (err) {
+        setFormMessage(msg, err.message, "error");
+      }
+    });
+
+    try {
+      const data = await api("/api/panel/admin/delivery-fees");
+      fill(data.rules);
+    } catch (err) {
+      setFormMessage(msg, err.message, "error");
+    }
+  }
+
+  async function renderDeliverySlotRules() {
+    const form = document.querySelector("#deliverySlotForm");
+    if (!form) return;
+    const field = (id) => document.querySelector(id);
+    const msg = field("#slotMsg");
+    const fill = (rules) => {
+      field("#slotBookingDays").value = rules.bookingDays;
+      field("#slotCutoff").value = rules.cutoffMinutes;
+      field("#slotRows").innerHTML = rules.slots.map(slotRow).join("");
+    };
+
+    form.addEventListener("click", (e) => {
+      const remove = e.target.closest("[data-remove-row]");
+      if (remove) remove.closest("tr").remove();
+    });
+    field("#addSlotBtn").addEventListener("click", () => field("#slotRows").insertAdjacentHTML("beforeend", slotRow()));
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const rules = {
+        bookingDays: Number(field("#slotBookingDays").value || 0),
+        cutoffMinutes: Number(field("#slotCutoff").value || 0),
+        slots: [...document.querySelectorAll("[data-slot-row]")].map(readRow).map(sl => ({
+          id: sl.id || undefined,
+          label: sl.label,
+          days: sl.days.split(",").map(d => DAY_NAMES.findIndex(n => n.toLowerCase() === d.trim().slice(0, 3).toLowerCase())).filter(d => d >= 0),
+          start: sl.start,
+          end: sl.end,
+          maxOrders: optionalNumber(sl.maxOrders),
+          maxCases: optionalNumber(sl.maxCases)
+        }))
+      };
+      try {
+        const data = await apiSend("PUT", "/api/panel/admin/delivery-slots", { rules });
+        fill(data.rules);
+        setFormMessage(msg, "Delivery slots saved.", "ok");
+      } catch (err) {
+        setFormMessage(msg, err.message, "error");
+      }
+    });
+
+    try {
+      const data = await api("/api/panel/admin/delivery-slots");
+      fill(data.rules);
+    } catch (err) {
+      setFormMessage(msg, err.message, "error");
+    }
+  }
+
+  async function renderProofPolicy() {
+    const form = document.querySelector("#proofPolicyForm");
+    if (!form) return;
+    const msg = document.querySelector("#policyMsg");
+    const selects = { photo: "#policyPhoto", signature: "#policySignature", recipientName: "#policyRecipientName" };
+    Object.values(selects).forEach(sel => {
+      document.querySelector(sel).innerHTML = `<option value="always">Always required</option><option value="cod">Required for COD orders</option><option value="never">Optional</option>`;
+    });
+    const fill = (policy) => Object.entries(selects).forEach(([part, sel]) => { document.querySelector(sel).value = policy[part]; });
+
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const policy = Object.fromEntries(Object.entries(selects).map(([part, sel]) => [part, document.querySelector(sel).value]));
+      try {
+        const data = await apiSend("PUT", "/api/panel/admin/delivery-proof-policy", { policy });
+        fill(data.policy);
+        setFormMessage(msg, "Proof of delivery policy saved.", "ok");
+      } catch (err) {
+        setFormMessage(msg, err.message, "error");
+      }
+    });
+
+    try {
+      fill((await api("/api/delivery-proof-policy")).policy);
+    } catch (err) {
+      setFormMessage(msg, err.message, "error");
+    }
   }
 
   async function renderStaffOrders() {
     const data = await api("/api/panel/staff/orders");
     const tbody = document.querySelector("tbody");
     if (!tbody) return;
-    tbody.innerHTML = (data.orders || []).map(o => `
+    // Orders are grouped by booked delivery slot, earliest first; orders
+    // without a slot are listed last under their own heading.
+    const groups = new Map();
+    (data.orders || []).forEach(o => {
+      const key = o.deliveryDate ? `${o.deliveryDate} ${o.deliveryWindow}` : "~";
+      if (!groups.has(key)) groups.set(key, { title: o.deliveryDate ? `${fmtDate(`${o.deliveryDate}T00:00:00`)} - ${o.deliverySlotLabel}` : "No delivery slot", orders: [] });
+      groups.get(key).orders.push(o);
+    });
+    tbody.innerHTML = [...groups.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([, g]) => `
+      <tr><td colspan="5" style="background:rgba(15,23,42,.04);font-weight:1000">${esc(g.title)} <span class="small">(${g.orders.length} order${g.orders.length === 1 ? "" : "s"})</span></td></tr>
+      ${g.orders.map(orderRow).join("")}
+    `).join("") || `<tr><td colspan="5">No orders found</td></tr>`;
+    bindOrderActionButtons(renderStaffOrders);
+  }
+
+  function orderRow(o) {
+    return `
       <tr>
         <td>${esc(o.id)}</td><td>${esc(o.customerName)}</td><td>${money(o.total)}</td>
         <td>
           <div style="display:flex;gap:6px;flex-wrap:wrap;align-items:center">
             <span class="tag ${panelTagClass(o.status)}">${esc(o.status)}</span>
-            <span class="badge ${paymentBadgeClass(o.paymentStatus)}">${paymentBadgeLabel(o.paymentStatus)}</span>
+            <span class="badge ${paymentBadgeClass(o.paymentStatus)}">${paymentBadgeLabel(o.paymentStatus, o.paymentMethod)}</span>
           </div>
+          ${o.deliveryAttempts ? `<div class="small">Attempt ${o.deliveryAttempts} of ${o.maxDeliveryAttempts} failed${o.lastFailedReason ? `: ${esc(o.lastFailedReason)}` : ""}</div>` : ""}
         </td>
-        <td><button class="btn2" type="button" data-order-action="${esc(o.id)}" data-next-status="${o.status === "Order Placed" ? "Preparing" : o.status === "Preparing" ? "In Transit" : o.status === "In Transit" ? "Out for Delivery" : o.status === "Out for Delivery" ? "Delivered" : ""}">${o.status === "Delivered" || o.status === "Cancelled" ? "No Action" : (o.status === "Order Placed" ? "Mark Preparing" : o.status === "Preparing" ? "Mark In Transit" : o.status === "In Transit" ? "Mark Out for Delivery" : "Mark Delivered")}</button></td>
+        <td><div style="display:flex;gap:6px;flex-wrap:wrap">${orderActionButtons(o)}</div></td>
       </tr>
-    `).join("") || `<tr><td colspan="5">No orders found</td></tr>`;
-    bindOrderActionButtons(renderStaffOrders);
+    `;
+  }
+
+  async function renderScheduledOrders() {
+    const body = document.querySelector("#scheduledBody");
+    if (!body) return;
+    const totalsBody = document.querySelector("#scheduledTotalsBody");
+    const day = (v) => fmtDate(`${v}T00:00:00`);
+    try {
+      const data = await api("/api/panel/staff/scheduled-orders?days=7");
+      document.querySelector("#scheduledRange").textContent = `Recurring customer orders delivering ${day(data.from)} to ${day(data.until)}. Each is placed automatically the day before delivery.`;
+      body.innerHTML = (data.deliveries || []).map(d => `
+        <tr>
+          <td><b>${day(d.deliveryOn)}</b><div class="small">${esc(d.schedule)}</div></td>
+          <td>${esc(d.customerName)}<div class="small">${esc(d.address)}</div></td>
+          <td>${d.items.map(i => `${esc(i.name)} x${Number(i.qty)}`).join("<br/>")}</td>
+          <td>${esc(d.paymentMethod)}</td>
+        </tr>
+      `).join("") || `<tr><td colspan="4">No scheduled deliveries this week</td></tr>`;
+      totalsBody.innerHTML = (data.totals || []).map(t => `
+        <tr>
+          <td>${esc(t.name)}</td><td>${Number(t.qty)}</td><td>${Number(t.availableCases)}</td>
+          <td>${t.short ? `<span class="tag p">${Number(t.short)} short</span>` : "-"}</td>
+        </tr>
+      `).join("") || `<tr><td colspan="4">Nothing scheduled</td></tr>`;
+    } catch (err) {
+      body.innerHTML = `<tr><td colspan="4">${esc(err.message)}</td></tr>`;
+      totalsBody.innerHTML = "";
+    }
+  }
+
+  function statusActionLabel(status) {
+    if (status === "Cancelled") return "Cancel Order";
+    if (status === "Delivery Failed") return "Failed Attempt";
+    return `Mark ${esc(status)}`;
+  }
+
+  // Buttons come straight from the server's allowed transitions for this role.
+  function orderActionButtons(o) {
+    const next = o.nextStatuses || [];
+    if (!next.length) return `<span class="small">No Action</span>`;
+    return next.map(status => `
+      <button class="btn2" type="button" data-order-action="${esc(o.id)}" data-next-status="${esc(status)}" ${status === "Delivered" && o.paymentStatus === "cod_pending" ? `data-cod-total="${Number(o.total || 0)}"` : ""} ${status === "Cancelled" || status === "Delivery Failed" ? `style="color:#b91c1c"` : ""}>${statusActionLabel(status)}</button>
+    `).join("");
+  }
+
+  // Same codes as server/delivery-attempts.mjs.
+  const FAILED_DELIVERY_REASONS = {
+    not_home: "Customer not home",
+    wrong_address: "Address could not be found",
+    refused: "Customer refused the delivery",
+    payment_not_ready: "Payment was not ready",
+    no_access: "Could not get into the building or area",
+    other: "Other"
+  };
+
+  async function captureFailedAttempt(orderCode) {
+    const overlay = document.createElement("div");
+    overlay.style.cssText = "position:fixed;inset:0;background:rgba(15,23,42,.45);display:grid;place-items:center;z-index:50;padding:12px";
+    overlay.innerHTML = `
+      <form class="card" style="width:100%;max-width:420px;display:flex;flex-direction:column;gap:10px">
+        <div style="font-weight:1000;font-size:16px">Failed Delivery - ${esc(orderCode)}</div>
+        <label style="display:flex;flex-direction:column;gap:6px;font-weight:900;font-size:13px">Reason
+          <select class="input" data-fail="reason" required>
+            <option value="">Choose a reason</option>
+            ${Object.entries(FAILED_DELIVERY_REASONS).map(([code, label]) => `<option value="${code}">${label}</option>`).join("")}
+          </select>
+        </label>
+        <label style="display:flex;flex-direction:column;gap:6px;font-weight:900;font-size:13px">Note <span class="small">(required for Other)</span>
+          <input class="input" data-fail="note" maxlength="200" placeholder="e.g. Gate locked, no answer on phone" />
+        </label>
+        <div class="small">The order comes off this run and is booked into the next open slot. The customer can pick another slot.</div>
+        <div class="formMsg" data-fail="msg"></div>
+        <div style="display:flex;gap:8px;flex-wrap:wrap">
+          <button class="btn" type="submit">Record Failed Attempt</button>
+          <button class="btn2" type="button" data-fail="cancel">Cancel</button>
+        </div>
+      </form>
+    `;
+    document.body.appendChild(overlay);
+    const el = (name) => overlay.querySelector(`[data-fail="${name}"]`);
+    return await new Promise((resolve) => {
+      const close = (result) => {
+        overlay.remove();
+        resolve(result);
+      };
+      el("cancel").addEventListener("click", () => close(null));
+      overlay.querySelector("form").addEventListener("submit", (e) => {
+        e.preventDefault();
+        const reason = el("reason").value;
+        const note = el("note").value.trim();
+        if (reason === "other" && !note) {
+          setFormMessage(el("msg"), "Add a note explaining why the delivery failed.", "error");
+          return;
+        }
+        close({ reason, note });
+      });
+    });
+  }
+
+  let proofPolicyRequest = null;
+  const PROOF_REQUIRED_TEXT = { always: "required", cod: "required for COD", never: "optional" };
+
+  function downscaleImage(file, maxSize = 1280) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(img.src);
+        resolve(canvas.toDataURL("image/jpeg", 0.7));
+      };
+      img.onerror = () => reject(new Error("Could not read the photo."));
+      img.src = URL.createObjectURL(file);
+    });
+  }
+
+  // Modal shown before marking an order Delivered. Resolves with
+  // { proof, cashCollected } or null when closed; the server re-checks the
+  // policy, so the labels here are only a guide.
+  async function captureProofOfDelivery({ orderCode, total, collectCash }) {
+    proofPolicyRequest = proofPolicyRequest || api("/api/delivery-proof-policy").then(d => d.policy).catch(() => ({}));
+    const policy = await proofPolicyRequest;
+    const label = (part, text) => `${text} <span class="small">(${PROOF_REQUIRED_TEXT[policy[part]] || "optional"})</span>`;
+    const overlay = document.createElement("div");
+    overlay.style.cssText = "position:fixed;inset:0;background:rgba(15,23,42,.45);display:grid;place-items:center;z-index:50;padding:12px";
+    overlay.innerHTML = `
+      <form class="card" style="width:100%;max-width:420px;max-height:92vh;overflow:auto;display:flex;flex-direction:column;gap:10px">
+        <div style="font-weight:1000;font-size:16px">Proof of Delivery - ${esc(orderCode)}</div>
+        <label style="display:flex;flex-direction:column;gap:6px;font-weight:900;font-size:13px">${label("recipientName", "Received by")}
+          <input class="input" data-pod="name" maxlength="80" placeholder="Recipient's name" />
+        </label>
+        <label style="display:flex;flex-direction:column;gap:6px;font-weight:900;font-size:13px">${label("photo", "Photo")}
+          <input class="input" data-pod="photo" type="file" accept="image/png,image/jpeg" capture="environment" />
+        </label>
+        <div style="font-weight:900;font-size:13px">${label("signature", "Signature")}</div>
+        <canvas data-pod="signature" width="360" height="150" style="width:100%;border:1px dashed rgba(100,116,139,.6);border-radius:12px;background:#fff;touch-action:none"></canvas>
+        <button class="btn2" type="button" data-pod="clear" style="align-self:flex-start">Clear Signature</button>
+        ${collectCash ? `
+          <label style="display:flex;flex-direction:column;gap:6px;font-weight:900;font-size:13px">Cash collected (COD total ${money(total)})
+            <input class="input" data-pod="cash" type="number" min="0" step="0.01" value="${Number(total || 0)}" />
+          </label>
+        ` : ""}
+        <div class="formMsg" data-pod="msg"></div>
+        <div style="display:flex;gap:8px;flex-wrap:wrap">
+          <button class="btn" type="submit">Mark Delivered</button>
+          <button class="btn2" type="button" data-pod="cancel">Cancel</button>
+        </div>
+      </form>
+    `;
+    document.body.appendChild(overlay);
+    const el = (name) => overlay.querySelector(`[data-pod="${name}"]`);
+    const canvas = el("signature");
+    const ctx = canvas.getContext("2d");
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = "round";
+    let drawing = false;
+    let signed = false;
+    const point = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return [(e.clientX - rect.left) * (canvas.width / rect.width), (e.clientY - rect.top) * (canvas.height / rect.height)];
+    };
+    canvas.addEventListener("pointerdown", (e) => {
+      drawing = true;
+      canvas.setPointerCapture(e.pointerId);
+      ctx.beginPath();
+      ctx.moveTo(...point(e));
+    });
+    canvas.addEventListener("pointermove", (e) => {
+      if (!drawing) return;
+      ctx.lineTo(...point(e));
+      ctx.stroke();
+      signed = true;
+    });
+    canvas.addEventListener("pointerup", () => { drawing = false; });
+    el("clear").addEventListener("click", () => {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      signed = false;
+    });
+
+    return await new Promise((resolve) => {
+      const close = (result) => {
+        overlay.remove();
+        resolve(result);
+      };
+      el("cancel").addEventListener("click", () => close(null));
+      overlay.querySelector("form").addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const file = el("photo").files?.[0];
+        try {
+          close({
+            proof: {
+              recipientName: el("name").value.trim(),
+              photo: file ? await downscaleImage(file) : "",
+              signature: signed ? canvas.toDataURL("image/png") : ""
+            },
+            cashCollected: collectCash ? Number(el("cash").value) : undefined
+          });
+        } catch (err) {
+          setFormMessage(el("msg"), err.message, "error");
+        }
+      });
+    });
   }
 
   function bindOrderActionButtons(refreshFn) {
@@ -284,15 +1542,33 @@
         const orderCode = btn.getAttribute("data-order-action");
         const nextStatus = btn.getAttribute("data-next-status");
         if (!nextStatus) return;
+        if (nextStatus === "Cancelled" && !confirm(`Cancel ${orderCode}? Stock will be returned and any payment flagged for refund.`)) return;
+        const body = { status: nextStatus };
+        if (nextStatus === "Delivered") {
+          const captured = await captureProofOfDelivery({
+            orderCode,
+            total: Number(btn.getAttribute("data-cod-total") || 0),
+            collectCash: Boolean(btn.getAttribute("data-cod-total"))
+          });
+          if (!captured) return;
+          body.proof = captured.proof;
+          body.cashCollected = captured.cashCollected;
+        }
+        if (nextStatus === "Delivery Failed") {
+          body.failedAttempt = await captureFailedAttempt(orderCode);
+          if (!body.failedAttempt) return;
+        }
         const oldText = btn.textContent;
         btn.disabled = true;
         btn.textContent = "Updating...";
         try {
-          await apiPatch(`/api/orders/${encodeURIComponent(orderCode)}/status`, { status: nextStatus });
+          await apiPatch(`/api/orders/${encodeURIComponent(orderCode)}/status`, body);
           await refreshFn();
         } catch (err) {
           if (String(err.message).includes("QRPH order")) {
             alert("Cannot update status yet: QRPH payment is still unpaid.");
+          } else if (String(err.message).includes("bank transfer order")) {
+            alert("Cannot update status yet: the bank transfer has not been approved.");
           } else {
             alert(`Failed to update order status: ${err.message}`);
           }
@@ -316,21 +1592,293 @@
   async function renderStaffDelivery() {
     const data = await api("/api/panel/staff/delivery");
     renderTimeline(document.querySelector(".timeline"), data.activeOrder);
+    renderDeliveryRuns();
+  }
+
+  const RUN_STATUS_LABELS = { planned: "Planned", in_progress: "On the Road", completed: "Completed", cancelled: "Cancelled" };
+
+  function runCard(run) {
+    return `
+      <div class="runCard">
+        <div style="display:flex;justify-content:space-between;gap:10px;flex-wrap:wrap;align-items:center">
+          <div>
+            <b>${esc(run.runCode)}</b> - ${fmtDate(`${run.deliveryDate}T00:00:00`)} - ${esc(run.rider?.name || "No rider")}
+            ${run.note ? `<div class="small">${esc(run.note)}</div>` : ""}
+          </div>
+          <div style="display:flex;gap:6px;align-items:center;flex-wrap:wrap">
+            <span class="badge ${run.status === "completed" ? "green" : run.status === "in_progress" ? "blue" : "yellow"}">${RUN_STATUS_LABELS[run.status] || esc(run.status)}</span>
+            ${run.status === "planned" || run.status === "in_progress" ? `<button class="btn2" type="button" data-run-edit="${esc(run.id)}">Edit</button>` : ""}
+            ${run.status === "planned" ? `<button class="btn2" type="button" data-run-cancel="${esc(run.id)}" style="color:#b91c1c">Cancel Run</button>` : ""}
+          </div>
+        </div>
+        <div class="progress"><div style="width:${run.progress.percent}%"></div></div>
+        <div class="small" style="margin-top:6px">${run.progress.delivered} of ${run.progress.total} delivered${run.progress.cancelled ? `, ${run.progress.cancelled} cancelled` : ""}${run.progress.failed ? `, ${run.progress.failed} failed` : ""}</div>
+        <table>
+          <thead><tr><th>#</th><th>Order</th><th>Customer</th><th>Slot</th><th>Status</th></tr></thead>
+          <tbody>
+            ${run.stops.map(st => `
+              <tr>
+                <td>${st.position}</td><td>${esc(st.orderCode)}</td>
+                <td>${esc(st.customerName)}<div class="small">${esc(st.address)}</div></td>
+                <td>${esc(st.deliverySlotLabel || "-")}</td>
+                <td><span class="badge ${statusBadge(st.status)}">${esc(st.status)}</span></td>
+              </tr>
+            `).join("")}
+          </tbody>
+        </table>
+        ${(run.failedStops || []).length ? `
+          <div class="small" style="margin-top:8px"><b>Failed attempts</b> (back in the delivery queue):<br/>
+            ${run.failedStops.map(f => `${esc(f.orderCode)} - ${esc(f.customerName)} - attempt ${Number(f.attempt)}: ${esc(f.reason)}`).join("<br/>")}
+          </div>
+        ` : ""}
+      </div>
+    `;
+  }
+
+  // Shared by the staff and admin delivery pages: the run builder plus the list
+  // of open and recent runs with their progress.
+  async function renderDeliveryRuns() {
+    const list = document.querySelector("#deliveryRuns");
+    const form = document.querySelector("#runForm");
+    if (!list || !form) return;
+    const field = (id) => document.querySelector(id);
+    const msg = field("#runMsg");
+    let overview = { runs: [], riders: [], availableOrders: [] };
+    let editing = null;
+    let stops = [];
+
+    const orderLabel = (o) => `<b>${esc(o.orderCode)}</b> ${esc(o.customerName)}<div class="small">${esc(o.address)}${o.deliverySlotLabel ? ` - ${fmtDate(`${o.deliveryDate}T00:00:00`)} ${esc(o.deliverySlotLabel)}` : ""}</div>`;
+    const drawBuilder = () => {
+      const chosen = new Set(stops.map(st => st.orderCode));
+      const available = overview.availableOrders.filter(o => !chosen.has(o.orderCode));
+      field("#runAvailable").innerHTML = available.map(o => `
+        <div class="runItem"><div>${orderLabel(o)}</div><button class="btn2" type="button" data-stop-add="${esc(o.orderCode)}">Add</button></div>
+      `).join("") || `<div class="small">No orders waiting for a run.</div>`;
+      field("#runStops").innerHTML = stops.map((st, idx) => `
+        <div class="runItem">
+          <div>${idx + 1}. ${orderLabel(st)}</div>
+          <div style="display:flex;gap:4px">
+            <button class="btn2" type="button" data-stop-move="${idx}" data-dir="-1" ${idx === 0 ? "disabled" : ""}>↑</button>
+            <button class="btn2" type="button" data-stop-move="${idx}" data-dir="1" ${idx === stops.length - 1 ? "disabled" : ""}>↓</button>
+            ${st.status === "Delivered" ? "" : `<button class="btn2" type="button" data-stop-remove="${idx}">Remove</button>`}
+          </div>
+        </div>
+      `).join("") || `<div class="small">Add orders from the left.</div>`;
+      field("#runSubmit").textContent = editing ? `Save ${editing.runCode}` : "Create Run";
+      field("#runReset").style.display = editing ? "" : "none";
+      field("#runRider").disabled = Boolean(editing && editing.status !== "planned");
+    };
+    const resetBuilder = () => {
+      editing = null;
+      stops = [];
+      field("#runNote").value = "";
+      field("#runDate").value = new Date(Date.now() + 8 * 3600_000).toISOString().slice(0, 10);
+      drawBuilder();
+    };
+    const load = async () => {
+      overview = await api("/api/panel/staff/delivery-runs");
+      field("#runRider").innerHTML = overview.riders.length
+        ? overview.riders.map(r => `<option value="${esc(r.userId)}">${esc(r.name)}</option>`).join("")
+        : `<option value="">No rider accounts yet</option>`;
+      if (editing) field("#runRider").value = editing.rider?.userId || "";
+      list.innerHTML = overview.runs.map(runCard).join("") || `<div class="small">No delivery runs yet.</div>`;
+      drawBuilder();
+    };
+
+    form.addEventListener("click", (e) => {
+      const add = e.target.closest("[data-stop-add]");
+      const move = e.target.closest("[data-stop-move]");
+      const remove = e.target.closest("[data-stop-remove]");
+      if (add) {
+        const order = overview.availableOrders.find(o => o.orderCode === add.getAttribute("data-stop-add"));
+        if (order) stops.push(order);
+      } else if (move) {
+        const idx = Number(move.getAttribute("data-stop-move"));
+        const to = idx + Number(move.getAttribute("data-dir"));
+        [stops[idx], stops[to]] = [stops[to], stops[idx]];
+      } else if (remove) {
+        stops.splice(Number(remove.getAttribute("data-stop-remove")), 1);
+      } else {
+        return;
+      }
+      drawBuilder();
+    });
+    field("#runReset").addEventListener("click", resetBuilder);
+    list.addEventListener("click", async (e) => {
+      const edit = e.target.closest("[data-run-edit]");
+      const cancel = e.target.closest("[data-run-cancel]");
+      if (edit) {
+        editing = overview.runs.find(r => r.id === edit.getAttribute("data-run-edit"));
+        if (!editing) return;
+        stops = editing.stops.map(st => ({ ...st }));
+        field("#runRider").value = editing.rider?.userId || "";
+        field("#runDate").value = editing.deliveryDate;
+        field("#runNote").value = editing.note;
+        drawBuilder();
+        form.scrollIntoView({ behavior: "smooth" });
+      } else if (cancel) {
+        if (!confirm("Cancel this run? Its orders go back to the list of orders ready for a run.")) return;
+        try {
+          await apiSend("POST", `/api/panel/staff/delivery-runs/${encodeURIComponent(cancel.getAttribute("data-run-cancel"))}/cancel`);
+          await load();
+        } catch (err) {
+          alert(err.message);
+        }
+      }
+    });
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const payload = {
+        riderId: field("#runRider").value,
+        deliveryDate: field("#runDate").value,
+        note: field("#runNote").value.trim(),
+        orderCodes: stops.map(st => st.orderCode)
+      };
+      try {
+        if (editing) await apiSend("PATCH", `/api/panel/staff/delivery-runs/${encodeURIComponent(editing.id)}`, payload);
+        else await apiSend("POST", "/api/panel/staff/delivery-runs", payload);
+        setFormMessage(msg, editing ? "Run updated." : "Run created.", "ok");
+        resetBuilder();
+        await load();
+      } catch (err) {
+        setFormMessage(msg, err.message, "error");
+      }
+    });
+
+    resetBuilder();
+    try {
+      await load();
+    } catch (err) {
+      list.innerHTML = `<div class="small">${esc(err.message)}</div>`;
+    }
+  }
+
+  // Rider phone page: their runs with one big button per next step for each stop.
+  async function renderRiderRuns() {
+    const wrap = document.querySelector("#riderRuns");
+    if (!wrap) return;
+    const draw = (runs) => {
+      wrap.innerHTML = runs.map(run => `
+        <div class="card riderRun">
+          <div style="display:flex;justify-content:space-between;align-items:center;gap:8px">
+            <div><b>${esc(run.runCode)}</b><div class="small">${fmtDate(`${run.deliveryDate}T00:00:00`)} - ${run.progress.delivered} of ${run.progress.total} delivered${run.progress.failed ? `, ${run.progress.failed} failed` : ""}</div></div>
+            ${run.status === "planned" ? `<button class="btn" type="button" data-run-start="${esc(run.id)}">Start Run</button>` : `<span class="badge ${run.status === "completed" ? "green" : "blue"}">${run.status === "completed" ? "Completed" : "On the Road"}</span>`}
+          </div>
+          ${run.note ? `<div class="small" style="margin-top:6px">${esc(run.note)}</div>` : ""}
+          <div class="progress"><div style="width:${run.progress.percent}%"></div></div>
+          ${run.stops.map(st => `
+            <div class="riderStop ${st.status === "Delivered" || st.status === "Cancelled" ? "done" : ""}">
+              <div style="display:flex;justify-content:space-between;gap:8px">
+                <b>${st.position}. ${esc(st.customerName)}</b>
+                <span class="badge ${statusBadge(st.status)}">${esc(st.status)}</span>
+              </div>
+              <div class="small">${esc(st.address)}</div>
+              <div class="small"><a href="tel:${esc(st.contact)}">${esc(st.contact)}</a>${st.deliverySlotLabel ? ` - ${esc(st.deliverySlotLabel)}` : ""}</div>
+              <div class="small">${st.items.map(i => `${esc(i.name)} x${i.qty}`).join(", ")}</div>
+              <div class="small"><b>${esc(st.orderCode)}</b> - ${money(st.total)} - ${paymentBadgeLabel(st.paymentStatus, st.paymentMethod)}</div>
+              ${run.status === "in_progress" ? st.riderNextStatuses.map(next => `
+                <button class="${next === "Delivery Failed" ? "btn2" : "btn"} riderBtn" type="button" data-stop="${esc(st.orderCode)}" data-next-status="${esc(next)}" ${next === "Delivered" && st.paymentStatus === "cod_pending" ? `data-cod-total="${Number(st.total || 0)}"` : ""}>${statusActionLabel(next)}</button>
+              `).join("") : ""}
+            </div>
+          `).join("")}
+        </div>
+      `).join("") || `<div class="card"><div class="small">No runs assigned to you right now.</div></div>`;
+    };
+    const load = async () => draw((await api("/api/rider/runs")).runs || []);
+
+    wrap.addEventListener("click", async (e) => {
+      const start = e.target.closest("[data-run-start]");
+      const stop = e.target.closest("[data-stop]");
+      const btn = start || stop;
+      if (!btn) return;
+      btn.disabled = true;
+      try {
+        if (start) {
+          const data = await apiSend("POST", `/api/rider/runs/${encodeURIComponent(start.getAttribute("data-run-start"))}/start`);
+          if (data.problems?.length) alert(data.problems.map(p => `${p.orderCode}: ${p.error}`).join("\n"));
+        } else {
+          const orderCode = stop.getAttribute("data-stop");
+          const body = { status: stop.getAttribute("data-next-status") };
+          if (body.status === "Delivered") {
+            const captured = await captureProofOfDelivery({
+              orderCode,
+              total: Number(stop.getAttribute("data-cod-total") || 0),
+              collectCash: Boolean(stop.getAttribute("data-cod-total"))
+            });
+            if (!captured) {
+              btn.disabled = false;
+              return;
+            }
+            body.proof = captured.proof;
+            body.cashCollected = captured.cashCollected;
+          }
+          if (body.status === "Delivery Failed") {
+            body.failedAttempt = await captureFailedAttempt(orderCode);
+            if (!body.failedAttempt) {
+              btn.disabled = false;
+              return;
+            }
+          }
+          await apiSend("POST", `/api/rider/stops/${encodeURIComponent(orderCode)}/status`, body);
+        }
+        await load();
+      } catch (err) {
+        alert(err.message);
+        btn.disabled = false;
+      }
+    });
+    await load();
+  }
+
+  function addStockAlert(event) {
+    const list = document.querySelector("#stockAlerts");
+    if (!list) return;
+    list.insertAdjacentHTML("afterbegin", `
+      <div class="small"><span class="badge red">Low stock</span> ${esc(event.name)} is down to ${Number(event.stockCases)} cases - ${new Date(event.at).toLocaleTimeString("en-PH")}</div>
+    `);
   }
 
   async function boot() {
     try {
-      if (path.endsWith("/admin-dashboard.html")) return renderAdminDashboard();
+      if (path.endsWith("/admin-dashboard.html")) {
+        const refresh = debounced(renderAdminDashboard);
+        subscribeLiveEvents({
+          "order-created": refresh,
+          "status-changed": refresh,
+          "payment-confirmed": refresh,
+          "low-stock": (e) => {
+            addStockAlert(e);
+            refresh();
+          }
+        });
+        return renderAdminDashboard();
+      }
       if (path.endsWith("/admin-orders.html")) return renderAdminOrders();
-      if (path.endsWith("/admin-inventory.html")) return renderAdminInventory();
+      if (path.endsWith("/admin-inventory.html")) {
+        subscribeLiveEvents({ "low-stock": debounced(renderAdminInventory) });
+        return renderAdminInventory();
+      }
       if (path.endsWith("/admin-customers.html")) return renderAdminCustomers();
       if (path.endsWith("/admin-reports.html")) return renderAdminReports();
-      if (path.endsWith("/admin-rewards.html")) return renderAdminRewards();
+      if (path.endsWith("/admin-rewards.html")) {
+        renderLoyaltyTiers();
+        return renderAdminRewards();
+      }
       if (path.endsWith("/admin-sales.html")) return renderAdminSales();
       if (path.endsWith("/admin-delivery.html")) return renderAdminDelivery();
-      if (path.endsWith("/staff-orders.html")) return renderStaffOrders();
-      if (path.endsWith("/staff-inventory.html")) return renderStaffInventory();
+      if (path.endsWith("/admin-promotions.html")) return renderAdminPromotions();
+      if (path.endsWith("/staff-orders.html")) {
+        const refresh = debounced(renderStaffOrders);
+        subscribeLiveEvents({ "order-created": refresh, "status-changed": refresh, "payment-confirmed": refresh });
+        renderScheduledOrders();
+        return renderStaffOrders();
+      }
+      if (path.endsWith("/staff-inventory.html")) {
+        subscribeLiveEvents({ "low-stock": debounced(renderStaffInventory) });
+        return renderStaffInventory();
+      }
       if (path.endsWith("/staff-delivery.html")) return renderStaffDelivery();
+      if (path.endsWith("/rider-runs.html")) return renderRiderRuns();
     } catch (err) {
       console.error(err);
       if (String(err.message).toLowerCase().includes("missing bearer token") || String(err.message).toLowerCase().includes("forbidden")) {
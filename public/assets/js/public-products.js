@@ -104,7 +104,7 @@
       name: p.name,
       category: String(p.category || "").toLowerCase(),
       price: Number(p.price || 0),
-      stock: stockLabel(p.stockCases ?? p.stock_cases),
+      stock: stockLabel(p.availableCases ?? p.stockCases ?? p.stock_cases),
       img: p.image_url || placeholder(p.name)
     }));
     render();
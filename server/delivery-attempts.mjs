@@ -0,0 +1,32 @@
+// Failed delivery attempts. The rider or staff pick a reason when an order
+// can't be handed over; index.mjs counts the attempts, rebooks the order and
+// cancels it once the cap is reached.
+
+export const FAILED_DELIVERY_REASONS = {
+  not_home: "Customer not home",
+  wrong_address: "Address could not be found",
+  refused: "Customer refused the delivery",
+  payment_not_ready: "Payment was not ready",
+  no_access: "Could not get into the building or area",
+  other: "Other"
+};
+
+function invalid(message){
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export function normalizeFailedAttempt(payload = {}){
+  const reason = String(payload?.reason || "").trim();
+  const note = String(payload?.note || "").trim();
+  if(!FAILED_DELIVERY_REASONS[reason]) throw invalid("Pick why the delivery failed.");
+  if(reason === "other" && !note) throw invalid("Add a note explaining why the delivery failed.");
+  if(note.length > 200) throw invalid("Failure note can be up to 200 characters.");
+  return { reason, note };
+}
+
+export function failedAttemptText({ reason, note }){
+  const label = FAILED_DELIVERY_REASONS[reason] || reason;
+  return note ? `${label} - ${note}` : label;
+}
@@ -0,0 +1,143 @@
+// Delivery fee rules. The cart page quote (POST /api/cart/quote) and
+// createOrder() both price delivery through quoteDeliveryFee(), so the total a
+// customer sees is the total they are charged.
+
+export const DEFAULT_DELIVERY_FEE_RULES = {
+  baseFee: 60,
+  freeDeliveryMinimum: 800,
+  minimumOrder: 0,
+  deliverOutsideZones: true,
+  bulkSurcharge: { minCases: 0, perCase: 0 },
+  zones: [],
+  freeDeliveryWindows: []
+};
+
+// Manila has no daylight saving time, so a fixed offset is enough.
+const MANILA_OFFSET_MS = 8 * 60 * 60 * 1000;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function invalid(message){
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function money(value, label, { allowNull = false } = {}){
+  if(allowNull && (value === null || value === undefined || value === "")) return null;
+  const n = Number(value);
+  if(!Number.isFinite(n) || n < 0) throw invalid(`${label} must be zero or more.`);
+  return Math.round(n * 100) / 100;
+}
+
+function normalizeText(value){
+  return String(value || "").toLowerCase().replace(/[^a-z0-9ñ]+/g, " ").trim();
+}
+
+export function normalizeDeliveryFeeRules(input = {}){
+  const rules = { ...DEFAULT_DELIVERY_FEE_RULES, ...(input || {}) };
+  const zones = Array.isArray(rules.zones) ? rules.zones : [];
+  const windows = Array.isArray(rules.freeDeliveryWindows) ? rules.freeDeliveryWindows : [];
+  const bulk = rules.bulkSurcharge || {};
+
+  return {
+    baseFee: money(rules.baseFee, "Base delivery fee"),
+    freeDeliveryMinimum: money(rules.freeDeliveryMinimum, "Free delivery minimum", { allowNull: true }),
+    minimumOrder: money(rules.minimumOrder, "Minimum order"),
+    deliverOutsideZones: rules.deliverOutsideZones !== false,
+    bulkSurcharge: {
+      minCases: Math.floor(money(bulk.minCases || 0, "Bulk surcharge case threshold")),
+      perCase: money(bulk.perCase || 0, "Bulk surcharge per case")
+    },
+    zones: zones.map((zone, idx) => {
+      const name = String(zone?.name || "").trim();
+      const keywords = (Array.isArray(zone?.keywords) ? zone.keywords : String(zone?.keywords || "").split(","))
+        .map(normalizeText)
+        .filter(Boolean);
+      if(!name) throw invalid(`Zone ${idx + 1} needs a name.`);
+      if(!keywords.length) throw invalid(`Zone "${name}" needs at least one barangay or area keyword.`);
+      return {
+        name,
+        keywords,
+        fee: money(zone.fee, `Fee for zone "${name}"`),
+        freeDeliveryMinimum: money(zone.freeDeliveryMinimum, `Free delivery minimum for zone "${name}"`, { allowNull: true }),
+        minimumOrder: money(zone.minimumOrder, `Minimum order for zone "${name}"`, { allowNull: true })
+      };
+    }),
+    freeDeliveryWindows: windows.map((w, idx) => {
+      const label = String(w?.label || `Free delivery window ${idx + 1}`).trim();
+      const days = (Array.isArray(w?.days) ? w.days : []).map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6);
+      const start = String(w?.start || "").trim();
+      const end = String(w?.end || "").trim();
+      if(!days.length) throw invalid(`"${label}" needs at least one day.`);
+      if(!TIME_RE.test(start) || !TIME_RE.test(end) || start >= end){
+        throw invalid(`"${label}" needs a start and end time (HH:MM) with start before end.`);
+      }
+      return { label, days: [...new Set(days)].sort(), start, end };
+    })
+  };
+}
+
+function manilaClock(at){
+  const local = new Date(new Date(at).getTime() + MANILA_OFFSET_MS);
+  const hh = String(local.getUTCHours()).padStart(2, "0");
+  const mm = String(local.getUTCMinutes()).padStart(2, "0");
+  return { day: local.getUTCDay(), time: `${hh}:${mm}` };
+}
+
+export function matchDeliveryZone(rules, address){
+  const text = ` ${normalizeText(address)} `;
+  return rules.zones.find(zone => zone.keywords.some(k => text.includes(` ${k} `))) || null;
+}
+
+// Returns the fee plus enough of the reasoning for the cart page to explain it.
+// Free delivery (threshold or window) waives the zone fee but not the bulk
+// surcharge, which covers the extra handling of large orders.
+export function quoteDeliveryFee(rulesInput, { address = "", subtotal = 0, cases = 0, at = new Date() } = {}){
+  const rules = normalizeDeliveryFeeRules(rulesInput);
+  const zone = matchDeliveryZone(rules, address);
+  const serviceable = Boolean(zone) || !rules.zones.length || rules.deliverOutsideZones;
+  const minimumOrder = zone?.minimumOrder ?? rules.minimumOrder;
+  const freeDeliveryMinimum = zone?.freeDeliveryMinimum ?? rules.freeDeliveryMinimum;
+  const zoneFee = zone ? zone.fee : rules.baseFee;
+
+  const quote = {
+    zone: zone?.name || null,
+    serviceable,
+    minimumOrder,
+    belowMinimum: subtotal > 0 && subtotal < minimumOrder,
+    zoneFee,
+    surcharge: 0,
+    waived: null,
+    freeDeliveryMinimum,
+    amountToFreeDelivery: null,
+    fee: 0,
+    message: ""
+  };
+  if(subtotal <= 0) return quote;
+
+  if(!serviceable){
+    quote.message = "We do not deliver to this address yet. Include your barangay in the address.";
+    return quote;
+  }
+
+  const extraCases = Math.max(0, Number(cases || 0) - rules.bulkSurcharge.minCases);
+  if(rules.bulkSurcharge.perCase > 0 && rules.bulkSurcharge.minCases > 0 && extraCases > 0){
+    quote.surcharge = Math.round(extraCases * rules.bulkSurcharge.perCase * 100) / 100;
+  }
+
+  const clock = manilaClock(at);
+  const freeWindow = rules.freeDeliveryWindows.find(w => w.days.includes(clock.day) && clock.time >= w.start && clock.time < w.end);
+  if(freeWindow){
+    quote.waived = freeWindow.label;
+  } else if(freeDeliveryMinimum !== null && subtotal >= freeDeliveryMinimum){
+    quote.waived = `Free delivery on orders of PHP ${freeDeliveryMinimum.toLocaleString("en-PH")} or more`;
+  } else if(freeDeliveryMinimum !== null){
+    quote.amountToFreeDelivery = Math.round((freeDeliveryMinimum - subtotal) * 100) / 100;
+  }
+
+  quote.fee = (quote.waived ? 0 : zoneFee) + quote.surcharge;
+  if(quote.belowMinimum){
+    quote.message = `Minimum order${zone ? ` for ${zone.name}` : ""} is PHP ${minimumOrder.toLocaleString("en-PH")}.`;
+  }
+  return quote;
+}
@@ -0,0 +1,57 @@
+// Proof of delivery. updateOrderStatus() checks the captured proof against the
+// admin's policy before an order can move to Delivered. Each part of the proof
+// is required "always", for "cod" orders only, or "never".
+
+export const DEFAULT_PROOF_POLICY = {
+  photo: "always",
+  signature: "cod",
+  recipientName: "always"
+};
+
+const REQUIREMENTS = ["always", "cod", "never"];
+const PARTS = {
+  photo: "a delivery photo",
+  signature: "the recipient's signature",
+  recipientName: "the recipient's name"
+};
+// The request body limit is 1 MB, so images are capped well below it.
+const MAX_PHOTO_CHARS = 600_000;
+const MAX_SIGNATURE_CHARS = 200_000;
+
+function invalid(message){
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export function normalizeProofPolicy(input = {}){
+  const policy = { ...DEFAULT_PROOF_POLICY, ...(input || {}) };
+  const out = {};
+  for(const part of Object.keys(PARTS)){
+    if(!REQUIREMENTS.includes(policy[part])) throw invalid(`Choose always, COD only or never for ${PARTS[part]}.`);
+    out[part] = policy[part];
+  }
+  return out;
+}
+
+export function normalizeProof(payload = {}){
+  const photo = String(payload?.photo || "").trim();
+  const signature = String(payload?.signature || "").trim();
+  const recipientName = String(payload?.recipientName || "").trim();
+  if(photo && !/^data:image\/(png|jpe?g);base64,/i.test(photo)) throw invalid("Delivery photo must be a PNG or JPG image.");
+  if(photo.length > MAX_PHOTO_CHARS) throw invalid("Delivery photo is too large. Retake it at a lower resolution.");
+  if(signature && !/^data:image\/png;base64,/i.test(signature)) throw invalid("Signature must be a PNG image.");
+  if(signature.length > MAX_SIGNATURE_CHARS) throw invalid("Signature image is too large.");
+  if(recipientName.length > 80) throw invalid("Recipient name can be up to 80 characters.");
+  return { photo, signature, recipientName };
+}
+
+// Message for the first required part that is missing, or null.
+export function proofProblem(policyInput, proof, { isCod = false } = {}){
+  const policy = normalizeProofPolicy(policyInput);
+  for(const [part, label] of Object.entries(PARTS)){
+    const required = policy[part] === "always" || (policy[part] === "cod" && isCod);
+    if(required && !proof[part]) return `Proof of delivery needs ${label} before this order can be marked Delivered.`;
+  }
+  return null;
+}
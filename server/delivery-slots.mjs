@@ -0,0 +1,129 @@
+// Delivery time slots. Admins define the slots for each weekday with an order
+// and/or case capacity; checkout offers the open ones and createOrder() books
+// one. Dates are Manila calendar days ("YYYY-MM-DD") and times Manila clock
+// times, the same as the free-delivery windows in delivery-fees.mjs.
+import { addDays, manilaToday } from "./subscriptions.mjs";
+
+export const DEFAULT_DELIVERY_SLOT_RULES = {
+  bookingDays: 7,
+  cutoffMinutes: 120,
+  slots: [
+    { id: "morning", label: "Morning", days: [1, 2, 3, 4, 5, 6], start: "08:00", end: "12:00", maxOrders: 20, maxCases: 200 },
+    { id: "afternoon", label: "Afternoon", days: [1, 2, 3, 4, 5, 6], start: "13:00", end: "17:00", maxOrders: 20, maxCases: 200 }
+  ]
+};
+
+const MANILA_OFFSET_MS = 8 * 60 * 60 * 1000;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function invalid(message){
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function limit(value, label){
+  if(value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  if(!Number.isInteger(n) || n < 1) throw invalid(`${label} must be a whole number of at least 1, or blank for no limit.`);
+  return n;
+}
+
+function slug(label){
+  return String(label || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+export function normalizeDeliverySlotRules(input = {}){
+  const rules = { ...DEFAULT_DELIVERY_SLOT_RULES, ...(input || {}) };
+  const bookingDays = Number(rules.bookingDays);
+  const cutoffMinutes = Number(rules.cutoffMinutes);
+  if(!Number.isInteger(bookingDays) || bookingDays < 1 || bookingDays > 60) throw invalid("Booking window must be 1-60 days.");
+  if(!Number.isInteger(cutoffMinutes) || cutoffMinutes < 0) throw invalid("Booking cutoff must be a whole number of minutes.");
+
+  const slots = (Array.isArray(rules.slots) ? rules.slots : []).map((s, idx) => {
+    const label = String(s?.label || "").trim();
+    if(!label || label.length > 40) throw invalid(`Slot ${idx + 1} needs a label (up to 40 characters).`);
+    const days = (Array.isArray(s?.days) ? s.days : []).map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6);
+    const start = String(s?.start || "").trim();
+    const end = String(s?.end || "").trim();
+    if(!days.length) throw invalid(`"${label}" needs at least one day.`);
+    if(!TIME_RE.test(start) || !TIME_RE.test(end) || start >= end){
+      throw invalid(`"${label}" needs a start and end time (HH:MM) with start before end.`);
+    }
+    return {
+      id: slug(s.id || label),
+      label,
+      days: [...new Set(days)].sort(),
+      start,
+      end,
+      maxOrders: limit(s.maxOrders, `Order limit for "${label}"`),
+      maxCases: limit(s.maxCases, `Case limit for "${label}"`)
+    };
+  }).sort((a, b) => a.start.localeCompare(b.start));
+
+  if(new Set(slots.map(s => s.id)).size !== slots.length) throw invalid("Slot labels must be unique.");
+  return { bookingDays, cutoffMinutes, slots };
+}
+
+function weekday(date){
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// Slot start as a real instant, so the cutoff can be compared with Date.now().
+function slotStartsAt(date, slot){
+  return new Date(new Date(`${date}T${slot.start}:00Z`).getTime() - MANILA_OFFSET_MS);
+}
+
+export function findSlot(rules, date, slotId){
+  return rules.slots.find(s => s.id === slotId && s.days.includes(weekday(date))) || null;
+}
+
+// `usage` is { orders, cases } already booked in the slot. Returns a message
+// when an order of `cases` cases would not fit, or null.
+export function slotCapacityProblem(slot, usage, cases){
+  if(slot.maxOrders !== null && usage.orders + 1 > slot.maxOrders) return `The ${slot.label} slot is fully booked.`;
+  if(slot.maxCases !== null && usage.cases + cases > slot.maxCases){
+    const left = Math.max(0, slot.maxCases - usage.cases);
+    return left ? `The ${slot.label} slot only has room for ${left} more cases.` : `The ${slot.label} slot is fully booked.`;
+  }
+  return null;
+}
+
+// Problem with booking `slot` on `date`, ignoring capacity, or null.
+export function slotBookingProblem(rules, date, slot, at = new Date()){
+  const today = manilaToday(at);
+  if(date < today || date > addDays(today, rules.bookingDays)) return `Delivery can be booked up to ${rules.bookingDays} days ahead.`;
+  if(slotStartsAt(date, slot).getTime() - rules.cutoffMinutes * 60_000 <= new Date(at).getTime()){
+    return `Booking for the ${slot.label} slot on ${date} has closed.`;
+  }
+  return null;
+}
+
+// Every slot from today through the booking window with what is left in it.
+// `usage` maps "date|slotId" to { orders, cases }.
+export function listSlotAvailability(rulesInput, { usage = new Map(), cases = 0, at = new Date() } = {}){
+  const rules = normalizeDeliverySlotRules(rulesInput);
+  const today = manilaToday(at);
+  const days = [];
+  for(let i = 0; i <= rules.bookingDays; i++){
+    const date = addDays(today, i);
+    const slots = rules.slots
+      .filter(s => s.days.includes(weekday(date)) && !slotBookingProblem(rules, date, s, at))
+      .map(s => {
+        const used = usage.get(`${date}|${s.id}`) || { orders: 0, cases: 0 };
+        const problem = slotCapacityProblem(s, used, cases);
+        return {
+          id: s.id,
+          label: s.label,
+          start: s.start,
+          end: s.end,
+          remainingOrders: s.maxOrders === null ? null : Math.max(0, s.maxOrders - used.orders),
+          remainingCases: s.maxCases === null ? null : Math.max(0, s.maxCases - used.cases),
+          available: !problem,
+          message: problem || ""
+        };
+      });
+    if(slots.length) days.push({ date, slots });
+  }
+  return days;
+}
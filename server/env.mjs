@@ -0,0 +1,32 @@
+// Settings come from the process environment first, then from a .env file in
+// the working directory (KEY=value lines, optionally quoted, # comments).
+import fs from "node:fs";
+import path from "node:path";
+
+function loadEnv(filePath){
+  try{
+    const raw = fs.readFileSync(filePath, "utf8");
+    const out = {};
+    for(const line of raw.split(/\r?\n/)){
+      const trimmed = line.trim();
+      if(!trimmed || trimmed.startsWith("#")) continue;
+      const idx = trimmed.indexOf("=");
+      if(idx < 0) continue;
+      const key = trimmed.slice(0, idx).trim();
+      let value = trimmed.slice(idx + 1).trim();
+      if((value.startsWith("\"") && value.endsWith("\"")) || (value.startsWith("'") && value.endsWith("'"))){
+        value = value.slice(1, -1);
+      }
+      out[key] = value;
+    }
+    return out;
+  }catch{
+    return {};
+  }
+}
+
+const ENV = loadEnv(path.join(process.cwd(), ".env"));
+
+export function env(name){
+  return process.env[name] || ENV[name] || "";
+}
@@ -1,46 +1,74 @@
 import http from "node:http";
-import fs from "node:fs";
 import { readFile, stat } from "node:fs/promises";
 import path from "node:path";
+import { fileURLToPath } from "node:url";
 import crypto from "node:crypto";
+import { env } from "./env.mjs";
+import { DEFAULT_DELIVERY_FEE_RULES, normalizeDeliveryFeeRules, quoteDeliveryFee } from "./delivery-fees.mjs";
+import {
+  DEFAULT_DELIVERY_SLOT_RULES,
+  findSlot,
+  listSlotAvailability,
+  normalizeDeliverySlotRules,
+  slotBookingProblem,
+  slotCapacityProblem
+} from "./delivery-slots.mjs";
+import { DEFAULT_PROOF_POLICY, normalizeProof, normalizeProofPolicy, proofProblem } from "./delivery-proof.mjs";
+import { FAILED_DELIVERY_REASONS, failedAttemptText, normalizeFailedAttempt } from "./delivery-attempts.mjs";
+import {
+  DEFAULT_NOTIFICATION_PREFS,
+  isEmailAddress,
+  normalizeMobileNumber,
+  normalizeNotificationPrefs,
+  renderNotification,
+  retryDelaySeconds
+} from "./notifications.mjs";
+import {
+  createConsoleTransport,
+  createFileTransport,
+  createSemaphoreTransport,
+  createSmtpTransport,
+  createUnavailableTransport
+} from "./notification-transports.mjs";
+import { assertPromotionRow, evaluatePromotion, normalizePromotionCode, normalizePromotionPayload } from "./promotions.mjs";
+import { DEFAULT_LOYALTY_RULES, normalizeLoyaltyRules, pointsForAmount, rollingSpend, tierProgress } from "./loyalty-tiers.mjs";
+import { rankRecommendations } from "./recommendations.mjs";
+import { DEFAULT_REORDER_POINT, suggestReorders } from "./reorder.mjs";
+import {
+  SUBSCRIPTION_CADENCES,
+  addDays,
+  assertSubscriptionRow,
+  describeSchedule,
+  firstDeliveryDate,
+  manilaToday,
+  nextDeliveryDate,
+  normalizeSubscriptionPayload,
+  upcomingDeliveries
+} from "./subscriptions.mjs";
 
 const cwd = process.cwd();
 const PUBLIC_DIR = path.join(cwd, "public");
-const ENV = loadEnv(path.join(cwd, ".env"));
 const PORT = Number(process.env.PORT || 3000);
 
-function loadEnv(filePath){
-  try{
-    const raw = fs.readFileSync(filePath, "utf8");
-    const out = {};
-    for(const line of raw.split(/\r?\n/)){
-      const trimmed = line.trim();
-      if(!trimmed || trimmed.startsWith("#")) continue;
-      const idx = trimmed.indexOf("=");
-      if(idx < 0) continue;
-      const key = trimmed.slice(0, idx).trim();
-      let value = trimmed.slice(idx + 1).trim();
-      if((value.startsWith("\"") && value.endsWith("\"")) || (value.startsWith("'") && value.endsWith("'"))){
-        value = value.slice(1, -1);
-      }
-      out[key] = value;
-    }
-    return out;
-  }catch{
-    return {};
-  }
-}
-
-function env(name){
-  return process.env[name] || ENV[name] || "";
-}
-
 const SUPABASE_URL = env("SUPABASE_URL").replace(/\/$/, "");
 const SUPABASE_ANON_KEY = env("SUPABASE_ANON_KEY");
 const SUPABASE_SERVICE_ROLE_KEY = env("SUPABASE_SERVICE_ROLE_KEY");
 const PAYMONGO_SECRET_KEY = env("PAYMONGO_SECRET_KEY");
 const PAYMONGO_WEBHOOK_SECRET = env("PAYMONGO_WEBHOOK_SECRET");
+const PAYMONGO_API_BASE = (env("PAYMONGO_API_BASE") || "https://api.paymongo.com").replace(/\/$/, "");
 const APP_BASE_URL = (env("APP_BASE_URL") || `http://localhost:${PORT}`).replace(/\/$/, "");
+const BANK_TRANSFER_INSTRUCTIONS = env("BANK_TRANSFER_INSTRUCTIONS") || "Transfer the order total to the Jazjo Beverage account shared by our staff, then submit your reference number.";
+const QRPH_ORDER_EXPIRY_MINUTES = Number(env("QRPH_ORDER_EXPIRY_MINUTES") || 60);
+const QRPH_EXPIRY_SWEEP_SECONDS = Number(env("QRPH_EXPIRY_SWEEP_SECONDS") || 60);
+const BANK_TRANSFER_HOLD_HOURS = Number(env("BANK_TRANSFER_HOLD_HOURS") || 48);
+const POINTS_EXPIRY_DAYS = Number(env("POINTS_EXPIRY_DAYS") || 0);
+const POINTS_ADJUSTMENT_LIMIT = Number(env("POINTS_ADJUSTMENT_LIMIT") || 5000);
+const SUBSCRIPTION_LEAD_DAYS = Number(env("SUBSCRIPTION_LEAD_DAYS") || 1);
+const SUBSCRIPTION_SWEEP_SECONDS = Number(env("SUBSCRIPTION_SWEEP_SECONDS") || 300);
+const DELIVERY_MAX_ATTEMPTS = Number(env("DELIVERY_MAX_ATTEMPTS") || 3);
+const NOTIFICATION_SWEEP_SECONDS = Number(env("NOTIFICATION_SWEEP_SECONDS") || 30);
+const NOTIFICATION_MAX_ATTEMPTS = Number(env("NOTIFICATION_MAX_ATTEMPTS") || 5);
+const REORDER_COVER_DAYS = Number(env("REORDER_COVER_DAYS") || 14);
 
 const MIME = {
   ".html": "text/html; charset=utf-8",
@@ -129,6 +157,7 @@ function toUiStatus(dbStatus){
     preparing: "Preparing",
     in_transit: "In Transit",
     out_for_delivery: "Out for Delivery",
+    delivery_failed: "Delivery Failed",
     delivered: "Delivered",
     cancelled: "Cancelled"
   };
@@ -143,9 +172,22 @@ function toUiOrder(order, items = [], events = []){
     contact: order.contact,
     address: order.address,
     paymentMethod: order.payment_method || "QRPH",
+    paymentStatus: order.payment_status || "",
+    paymentInstructions: isBankTransferMethod(order.payment_method) ? BANK_TRANSFER_INSTRUCTIONS : "",
+    discount: Number(order.discount || 0),
+    promoCode: order.promo_code || "",
+    rewardCode: order.reward_code || "",
+    rewardDiscount: Number(order.reward_discount || 0),
     subtotal: Number(order.subtotal || 0),
     deliveryFee: Number(order.delivery_fee || 0),
     total: Number(order.total || 0),
+    deliveryDate: order.delivery_date || null,
+    deliverySlot: order.delivery_slot || null,
+    deliverySlotLabel: order.delivery_slot ? `${order.delivery_slot_label} (${order.delivery_window})` : "",
+    deliveryWindow: order.delivery_window || "",
+    deliveryAttempts: Number(order.delivery_attempts || 0),
+    maxDeliveryAttempts: DELIVERY_MAX_ATTEMPTS,
+    lastFailedReason: FAILED_DELIVERY_REASONS[order.last_failed_reason] || "",
     status: toUiStatus(order.status),
     items: items.map(it => ({
       productId: it.sku,
@@ -209,14 +251,12 @@ async function updateProfileByEmail(email, payload){
 async function getProductsBySkus(skus){
   if(!skus.length) return [];
   const inFilter = encodeURIComponent(`(${escapeCsvValues(skus)})`);
-  const q = `/rest/v1/products?select=id,sku,name,category,unit,price,stock_cases,image_url,is_active&sku=in.${inFilter}`;
+  const q = `/rest/v1/products?select=id,sku,name,category,unit,price,stock_cases,reserved_cases,reorder_point,target_level,image_url,is_active&sku=in.${inFilter}`;
   return await supabaseRequest(q, { serviceRole: true });
 }
 
-async function listProducts(){
-  const q = "/rest/v1/products?select=id,sku,name,category,unit,price,stock_cases,image_url,is_active&is_active=eq.true&order=name.asc";
-  const rows = await supabaseRequest(q, { serviceRole: true });
-  return rows.map(r => ({
+function toUiProduct(r){
+  return {
     id: r.sku,
     dbId: r.id,
     sku: r.sku,
@@ -225,8 +265,574 @@ async function listProducts(){
     unit: r.unit,
     price: Number(r.price),
     stockCases: Number(r.stock_cases),
-    image_url: r.image_url || ""
-  }));
+    reservedCases: Number(r.reserved_cases || 0),
+    availableCases: Math.max(0, Number(r.stock_cases) - Number(r.reserved_cases || 0)),
+    reorderPoint: Number(r.reorder_point ?? DEFAULT_REORDER_POINT),
+    targetLevel: r.target_level === null || r.target_level === undefined ? null : Number(r.target_level),
+    image_url: r.image_url || "",
+    isActive: r.is_active !== false
+  };
+}
+
+async function listProducts({ includeInactive = false } = {}){
+  const activeFilter = includeInactive ? "" : "&is_active=eq.true";
+  const q = `/rest/v1/products?select=id,sku,name,category,unit,price,stock_cases,reserved_cases,reorder_point,target_level,image_url,is_active${activeFilter}&order=name.asc`;
+  const rows = await supabaseRequest(q, { serviceRole: true });
+  return rows.map(toUiProduct);
+}
+
+function badRequest(message){
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function normalizeProductPayload(payload, { partial = false } = {}){
+  const out = {};
+  const errors = [];
+  const has = (key) => key in payload && payload[key] !== undefined;
+
+  if(!partial || has("sku")){
+    const sku = String(payload.sku || "").trim().toUpperCase();
+    if(!sku) errors.push("SKU is required.");
+    else if(!/^[A-Z0-9][A-Z0-9_-]{1,39}$/.test(sku)) errors.push("SKU may only contain letters, numbers, dashes and underscores (2-40 characters).");
+    out.sku = sku;
+  }
+  for(const [key, label] of [["name", "Name"], ["category", "Category"], ["unit", "Unit"]]){
+    if(!partial || has(key)){
+      const value = String(payload[key] || "").trim();
+      if(!value) errors.push(`${label} is required.`);
+      else if(value.length > 120) errors.push(`${label} must be 120 characters or fewer.`);
+      out[key] = value;
+    }
+  }
+  if(!partial || has("price")){
+    const price = Number(payload.price);
+    if(payload.price === "" || payload.price === null || !Number.isFinite(price) || price < 0){
+      errors.push("Price must be a number greater than or equal to 0.");
+    }
+    out.price = Math.round(price * 100) / 100;
+  }
+  if(!partial || has("stockCases")){
+    const stock = Number(payload.stockCases ?? 0);
+    if(!Number.isInteger(stock) || stock < 0) errors.push("Opening stock must be a whole number of cases.");
+    out.stock_cases = stock;
+  }
+  if(has("reorderPoint")){
+    const point = Number(payload.reorderPoint);
+    if(payload.reorderPoint === "" || !Number.isInteger(point) || point < 0) errors.push("Reorder point must be a whole number of cases (0 or more).");
+    out.reorder_point = point;
+  }
+  if(has("targetLevel")){
+    const target = payload.targetLevel === "" || payload.targetLevel === null ? null : Number(payload.targetLevel);
+    if(target !== null && (!Number.isInteger(target) || target <= 0)) errors.push("Target level must be a whole number of cases.");
+    else if(target !== null && has("reorderPoint") && target <= out.reorder_point) errors.push("Target level must be above the reorder point.");
+    out.target_level = target;
+  }
+  if(has("imageUrl") || has("image_url")){
+    const imageUrl = String(payload.imageUrl ?? payload.image_url ?? "").trim();
+    if(imageUrl && !/^(https?:\/\/|data:image\/(png|jpe?g);base64,|\/)/i.test(imageUrl)){
+      errors.push("Image must be an http(s) URL, a site path or a PNG/JPG upload.");
+    }
+    out.image_url = imageUrl || null;
+  }
+  if(has("isActive")){
+    out.is_active = Boolean(payload.isActive);
+  }
+
+  if(errors.length) throw badRequest(errors.join(" "));
+  return out;
+}
+
+async function getProductBySku(sku){
+  const rows = await getProductsBySkus([sku]);
+  return rows?.[0] || null;
+}
+
+async function createProduct(payload, actorProfile){
+  const fields = normalizeProductPayload(payload);
+  if(await getProductBySku(fields.sku)){
+    const err = new Error(`SKU ${fields.sku} is already used by another product.`);
+    err.status = 409;
+    throw err;
+  }
+  const { stock_cases: openingStock, ...productFields } = fields;
+  const rows = await supabaseRequest("/rest/v1/products", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: [{ ...productFields, stock_cases: 0, is_active: productFields.is_active ?? true }]
+  });
+  let product = rows[0];
+  if(openingStock > 0){
+    const movement = await recordStockMovement({
+      productId: product.id,
+      type: "opening",
+      qty: openingStock,
+      reason: "Opening stock for new product",
+      actorUserId: actorProfile?.user_id
+    });
+    product = { ...product, stock_cases: movement.balance_after };
+  }
+  return toUiProduct(product);
+}
+
+async function updateProduct(sku, payload){
+  const existing = await getProductBySku(sku);
+  if(!existing){
+    const err = new Error("Product not found.");
+    err.status = 404;
+    throw err;
+  }
+  // Stock only moves through order flows; the catalog editor never overwrites it.
+  const { stock_cases: _ignoredStock, ...fields } = normalizeProductPayload(payload, { partial: true });
+  if(fields.sku && fields.sku !== existing.sku && await getProductBySku(fields.sku)){
+    const err = new Error(`SKU ${fields.sku} is already used by another product.`);
+    err.status = 409;
+    throw err;
+  }
+  if(!Object.keys(fields).length) return toUiProduct(existing);
+  const reorderPoint = fields.reorder_point ?? Number(existing.reorder_point ?? DEFAULT_REORDER_POINT);
+  const targetLevel = "target_level" in fields ? fields.target_level : existing.target_level;
+  if(targetLevel !== null && targetLevel !== undefined && Number(targetLevel) <= reorderPoint){
+    throw badRequest("Target level must be above the reorder point.");
+  }
+  const rows = await supabaseRequest(`/rest/v1/products?id=eq.${existing.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: fields
+  });
+  return toUiProduct(rows[0]);
+}
+
+async function deactivateProduct(sku){
+  return await updateProduct(sku, { isActive: false });
+}
+
+function toUiPromotion(r, stats = {}){
+  return {
+    id: r.id,
+    code: r.code,
+    name: r.name,
+    type: r.type,
+    value: Number(r.value || 0),
+    category: r.category || "",
+    sku: r.sku || "",
+    buyQty: r.buy_qty,
+    getQty: r.get_qty,
+    minSubtotal: Number(r.min_subtotal || 0),
+    maxDiscount: r.max_discount === null ? null : Number(r.max_discount),
+    startsAt: r.starts_at,
+    endsAt: r.ends_at,
+    usageLimit: r.usage_limit,
+    perCustomerLimit: r.per_customer_limit,
+    isActive: r.is_active !== false,
+    redemptions: stats.redemptions || 0,
+    discountGiven: stats.discountGiven || 0
+  };
+}
+
+async function listPromotionRedemptions(){
+  return await supabaseRequest("/rest/v1/promotion_redemptions?select=promotion_id,user_id,discount,status&status=eq.applied", { serviceRole: true });
+}
+
+async function listPromotions(){
+  const [rows, redemptions] = await Promise.all([
+    supabaseRequest("/rest/v1/promotions?select=*&order=created_at.desc", { serviceRole: true }),
+    listPromotionRedemptions()
+  ]);
+  const stats = new Map();
+  for(const r of redemptions){
+    const s = stats.get(r.promotion_id) || { redemptions: 0, discountGiven: 0 };
+    s.redemptions += 1;
+    s.discountGiven += Number(r.discount || 0);
+    stats.set(r.promotion_id, s);
+  }
+  return rows.map(r => toUiPromotion(r, stats.get(r.id)));
+}
+
+async function getPromotionById(id){
+  const rows = await supabaseRequest(`/rest/v1/promotions?select=*&id=eq.${encodeURIComponent(id)}&limit=1`, { serviceRole: true });
+  const promo = rows?.[0];
+  if(!promo){
+    const err = new Error("Promotion not found.");
+    err.status = 404;
+    throw err;
+  }
+  return promo;
+}
+
+async function getPromotionByCode(code){
+  const rows = await supabaseRequest(`/rest/v1/promotions?select=*&code=eq.${encodeURIComponent(normalizePromotionCode(code))}&limit=1`, { serviceRole: true });
+  return rows?.[0] || null;
+}
+
+async function createPromotion(payload, actorProfile){
+  const fields = assertPromotionRow(normalizePromotionPayload(payload));
+  if(await getPromotionByCode(fields.code)){
+    const err = new Error(`Voucher code ${fields.code} already exists.`);
+    err.status = 409;
+    throw err;
+  }
+  const rows = await supabaseRequest("/rest/v1/promotions", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: [{ ...fields, is_active: fields.is_active ?? true, created_by: actorProfile?.user_id || null }]
+  });
+  return toUiPromotion(rows[0]);
+}
+
+async function updatePromotion(id, payload){
+  const existing = await getPromotionById(id);
+  const fields = normalizePromotionPayload(payload, { partial: true });
+  assertPromotionRow({ ...existing, ...fields });
+  if(fields.code && fields.code !== existing.code && await getPromotionByCode(fields.code)){
+    const err = new Error(`Voucher code ${fields.code} already exists.`);
+    err.status = 409;
+    throw err;
+  }
+  if(!Object.keys(fields).length) return toUiPromotion(existing);
+  const rows = await supabaseRequest(`/rest/v1/promotions?id=eq.${existing.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: fields
+  });
+  return toUiPromotion(rows[0]);
+}
+
+// Looks up a voucher and prices it against the cart. Returns the evaluation
+// rather than throwing so the cart quote can show why a code did not apply.
+async function evaluateVoucher(code, { lines, subtotal, userId }){
+  const promo = await getPromotionByCode(code);
+  if(!promo) return { ok: false, discount: 0, message: "This voucher code is not valid.", promotion: null };
+  const uses = await supabaseRequest(
+    `/rest/v1/promotion_redemptions?select=user_id&promotion_id=eq.${promo.id}&status=eq.applied`,
+    { serviceRole: true }
+  );
+  const result = evaluatePromotion(promo, {
+    lines,
+    subtotal,
+    totalUses: uses.length,
+    customerUses: userId ? uses.filter(u => u.user_id === userId).length : 0
+  });
+  return { ...result, promotion: promo };
+}
+
+// The counts in evaluateVoucher() are only a preview. claim_promotion_redemption()
+// re-checks both limits and inserts under a per-promotion lock, so parallel
+// checkouts can't oversell a voucher. When a limit was reached in the meantime
+// the just-created order is dropped, as confirmSlotBooking() does for a full slot.
+async function claimPromotionRedemption(order, promotion, discount){
+  const rows = await supabaseRequest("/rest/v1/rpc/claim_promotion_redemption", {
+    method: "POST",
+    serviceRole: true,
+    body: {
+      p_promotion_id: promotion.id,
+      p_order_id: order.id,
+      p_user_id: order.user_id,
+      p_code: promotion.code,
+      p_discount: discount
+    }
+  });
+  if(rows?.length) return rows[0];
+  await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}`, { method: "DELETE", serviceRole: true });
+  const err = new Error(`Voucher ${promotion.code} has reached its usage limit. Remove it and place the order again.`);
+  err.status = 409;
+  throw err;
+}
+
+const STOCK_MOVEMENT_TYPES = {
+  opening: { label: "Opening Balance", sign: 1 },
+  restock: { label: "Restock", sign: 1, manual: true },
+  sale: { label: "Sale Deduction", sign: -1 },
+  cancellation_return: { label: "Cancellation Return", sign: 1 },
+  write_off: { label: "Damage / Write-off", sign: -1, manual: true },
+  count_correction: { label: "Count Correction", sign: 0, manual: true }
+};
+
+// Low Stock means at or below the product's own reorder point, but not out.
+function isLowStock(p){
+  return Number(p.stockCases) > 0 && Number(p.stockCases) <= p.reorderPoint;
+}
+
+// Compare-and-swap on stock_cases/reserved_cases: the PATCH only lands if nobody
+// changed either balance since we read it, otherwise we re-read and try again.
+// With `movement` ({ type, orderId, reason, actorUserId }) a change to
+// stock_cases goes through apply_stock_movement() instead, which makes the
+// same check and writes the ledger row in one transaction.
+async function adjustProductStock(productId, computeNext, { attempts = 8, movement = null } = {}){
+  for(let attempt = 0; attempt < attempts; attempt++){
+    const rows = await supabaseRequest(`/rest/v1/products?select=id,sku,name,stock_cases,reserved_cases,reorder_point&id=eq.${productId}&limit=1`, {
+      serviceRole: true
+    });
+    const product = rows?.[0];
+    if(!product){
+      const err = new Error("Product not found.");
+      err.status = 404;
+      throw err;
+    }
+    const previous = { stock: Number(product.stock_cases || 0), reserved: Number(product.reserved_cases || 0) };
+    const next = { ...previous, ...computeNext(previous, product) };
+    if(next.stock === previous.stock && next.reserved === previous.reserved) return { product, previous, next, movement: null };
+    if(movement && next.stock !== previous.stock){
+      const rows = await supabaseRequest("/rest/v1/rpc/apply_stock_movement", {
+        method: "POST",
+        serviceRole: true,
+        body: {
+          p_product_id: productId,
+          p_prev_stock: previous.stock,
+          p_prev_reserved: previous.reserved,
+          p_next_stock: next.stock,
+          p_next_reserved: next.reserved,
+          p_movement_type: movement.type,
+          p_order_id: movement.orderId || null,
+          p_reason: movement.reason || null,
+          p_actor_user_id: movement.actorUserId || null
+        }
+      });
+      if(rows?.length){
+        return { product: { ...product, stock_cases: next.stock, reserved_cases: next.reserved }, previous, next, movement: rows[0] };
+      }
+      continue;
+    }
+    const updated = await supabaseRequest(
+      `/rest/v1/products?id=eq.${productId}&stock_cases=eq.${previous.stock}&reserved_cases=eq.${previous.reserved}`,
+      {
+        method: "PATCH",
+        serviceRole: true,
+        headers: { Prefer: "return=representation" },
+        body: { stock_cases: next.stock, reserved_cases: next.reserved }
+      }
+    );
+    if(updated?.length) return { product: updated[0], previous, next, movement: null };
+  }
+  const err = new Error("Stock was changed by another request. Please try again.");
+  err.status = 409;
+  throw err;
+}
+
+async function recordStockMovement({ productId, type, qty, countedCases, reason, orderId, actorUserId, fromReserved = 0, clamp = false }){
+  const def = STOCK_MOVEMENT_TYPES[type];
+  if(!def) throw badRequest("Unknown stock movement type.");
+  const amount = Number(qty || 0);
+  if(type === "count_correction"){
+    if(!Number.isInteger(Number(countedCases)) || Number(countedCases) < 0){
+      throw badRequest("Counted cases must be a whole number of 0 or more.");
+    }
+  } else if(!Number.isInteger(amount) || amount <= 0){
+    throw badRequest("Quantity must be a whole number of cases greater than 0.");
+  }
+
+  const { product, previous, next, movement } = await adjustProductStock(productId, (current, product) => {
+    if(type === "count_correction") return { stock: Number(countedCases) };
+    const reserved = Math.max(0, current.reserved - fromReserved);
+    const target = current.stock + def.sign * amount;
+    // Outgoing movements may not eat into cases held for other open orders.
+    const floor = Math.min(current.stock, reserved);
+    if(def.sign > 0 || target >= floor) return { stock: target, reserved };
+    if(clamp) return { stock: floor, reserved };
+    const err = new Error(`${product.name} only has ${Math.max(0, current.stock - current.reserved)} unreserved cases on hand.`);
+    err.status = 409;
+    throw err;
+  }, { movement: { type, orderId, reason, actorUserId } });
+  if(next.stock === previous.stock) return null;
+
+  const reorderPoint = Number(product.reorder_point ?? DEFAULT_REORDER_POINT);
+  if(previous.stock > reorderPoint && next.stock <= reorderPoint){
+    raiseStockAlert(product, next.stock, reorderPoint);
+  } else if(previous.stock <= reorderPoint && next.stock > reorderPoint){
+    resolveStockAlerts(productId);
+  }
+  return movement;
+}
+
+const RESERVATION_HOLD_MINUTES = Number(env("RESERVATION_HOLD_MINUTES") || QRPH_ORDER_EXPIRY_MINUTES);
+
+// QRPH holds last RESERVATION_HOLD_MINUTES, bank transfer holds
+// BANK_TRANSFER_HOLD_HOURS; COD has nothing to wait for.
+function reservationExpiry(paymentMethod){
+  const minutes = isQrphMethod(paymentMethod) ? RESERVATION_HOLD_MINUTES
+    : isBankTransferMethod(paymentMethod) ? BANK_TRANSFER_HOLD_HOURS * 60
+    : 0;
+  return minutes > 0 ? new Date(Date.now() + minutes * 60_000).toISOString() : null;
+}
+
+async function holdStock(productId, qty){
+  return await adjustProductStock(productId, (current, product) => {
+    if(current.stock - current.reserved < qty){
+      const err = new Error(`${product.name} has insufficient stock.`);
+      err.status = 409;
+      throw err;
+    }
+    return { reserved: current.reserved + qty };
+  });
+}
+
+async function unholdStock(productId, qty){
+  return await adjustProductStock(productId, (current) => ({ reserved: Math.max(0, current.reserved - qty) }));
+}
+
+async function reserveStockForItems(itemRows){
+  const held = [];
+  try{
+    for(const row of itemRows){
+      await holdStock(row.product_id, row.qty);
+      held.push({ product_id: row.product_id, qty: row.qty });
+    }
+  }catch(err){
+    for(const h of held){
+      await unholdStock(h.product_id, h.qty).catch((cleanupErr) => console.error("[reservations] rollback failed", cleanupErr));
+    }
+    throw err;
+  }
+  return held;
+}
+
+async function saveStockReservations(orderId, holds, expiresAt){
+  if(!holds.length) return;
+  await supabaseRequest("/rest/v1/stock_reservations", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: holds.map(h => ({
+      order_id: orderId,
+      product_id: h.product_id,
+      qty: h.qty,
+      status: "held",
+      expires_at: expiresAt || null
+    }))
+  });
+}
+
+// Moving rows out of "held" is a single conditional PATCH, so when two callers
+// race (webhook vs. cancellation vs. expiry) only one of them gets the rows back.
+async function claimStockReservations(orderId, nextStatus){
+  return await supabaseRequest(`/rest/v1/stock_reservations?order_id=eq.${orderId}&status=eq.held`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: { status: nextStatus, updated_at: new Date().toISOString() }
+  }) || [];
+}
+
+async function releaseStockReservations(orderId){
+  const claimed = await claimStockReservations(orderId, "released");
+  for(const r of claimed){
+    await unholdStock(r.product_id, Number(r.qty || 0));
+  }
+  return claimed;
+}
+
+async function convertStockReservations(orderId){
+  const claimed = await claimStockReservations(orderId, "converted");
+  for(const r of claimed){
+    const qty = Number(r.qty || 0);
+    await recordStockMovement({
+      productId: r.product_id,
+      type: "sale",
+      qty,
+      fromReserved: qty,
+      orderId,
+      reason: "Reserved stock converted on payment",
+      clamp: true
+    });
+  }
+  return claimed;
+}
+
+async function releaseExpiredReservations(){
+  const expired = await supabaseRequest(
+    `/rest/v1/stock_reservations?select=order_id&status=eq.held&expires_at=lt.${encodeURIComponent(new Date().toISOString())}`,
+    { serviceRole: true }
+  );
+  const orderIds = [...new Set((expired || []).map(r => r.order_id))];
+  for(const orderId of orderIds){
+    const rows = await supabaseRequest(`/rest/v1/orders?select=id,payment_status&id=eq.${orderId}&limit=1`, { serviceRole: true });
+    // A bank transfer proof waiting for review keeps its cases until an admin decides.
+    if(["paid", "proof_submitted"].includes(String(rows?.[0]?.payment_status || "").toLowerCase())) continue;
+    const released = await releaseStockReservations(orderId);
+    if(!released.length) continue;
+    await supabaseRequest("/rest/v1/order_status_events", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: [{
+        order_id: orderId,
+        status: "pending_payment",
+        note: "Stock reservation expired without payment. Held cases released."
+      }]
+    });
+  }
+  return orderIds.length;
+}
+
+async function recordManualStockMovement(payload, actorProfile){
+  const type = String(payload.type || "restock").trim();
+  if(!STOCK_MOVEMENT_TYPES[type]?.manual){
+    throw badRequest("Movement type must be restock, write_off or count_correction.");
+  }
+  const reason = String(payload.reason || "").trim();
+  if(type !== "restock" && !reason){
+    throw badRequest("A reason is required for write-offs and count corrections.");
+  }
+  const product = await getProductBySku(String(payload.sku || "").trim());
+  if(!product){
+    const err = new Error("Product not found.");
+    err.status = 404;
+    throw err;
+  }
+  const movement = await recordStockMovement({
+    productId: product.id,
+    type,
+    qty: payload.qty,
+    countedCases: payload.countedCases,
+    reason: reason || STOCK_MOVEMENT_TYPES[type].label,
+    actorUserId: actorProfile.user_id
+  });
+  const refreshed = await getProductBySku(product.sku);
+  return { movement, product: toUiProduct(refreshed) };
+}
+
+async function getStockMovementHistory(sku, { limit = 100 } = {}){
+  const product = await getProductBySku(sku);
+  if(!product){
+    const err = new Error("Product not found.");
+    err.status = 404;
+    throw err;
+  }
+  const [movements, profiles] = await Promise.all([
+    supabaseRequest(`/rest/v1/stock_movements?select=id,movement_type,qty_delta,balance_after,order_id,reason,actor_user_id,created_at&product_id=eq.${product.id}&order=created_at.desc`, {
+      serviceRole: true
+    }),
+    listProfiles()
+  ]);
+  const orderIds = [...new Set(movements.map(m => m.order_id).filter(Boolean))];
+  const orders = orderIds.length
+    ? await supabaseRequest(`/rest/v1/orders?select=id,order_code&id=in.${encodeURIComponent(`(${escapeCsvValues(orderIds)})`)}`, { serviceRole: true })
+    : [];
+  const orderCodeById = new Map(orders.map(o => [o.id, o.order_code]));
+  const profileByUser = new Map(profiles.map(p => [p.user_id, p]));
+  const ledgerStock = movements.reduce((sum, m) => sum + Number(m.qty_delta || 0), 0);
+  const stockCases = Number(product.stock_cases || 0);
+  return {
+    product: toUiProduct(product),
+    ledgerStock,
+    reconciled: ledgerStock === stockCases,
+    movements: movements.slice(0, limit).map(m => ({
+      id: m.id,
+      type: m.movement_type,
+      typeLabel: STOCK_MOVEMENT_TYPES[m.movement_type]?.label || m.movement_type,
+      qtyDelta: Number(m.qty_delta || 0),
+      balanceAfter: Number(m.balance_after || 0),
+      orderCode: orderCodeById.get(m.order_id) || null,
+      reason: m.reason || "",
+      actor: profileByUser.get(m.actor_user_id)?.email || (m.actor_user_id ? "Unknown user" : "System"),
+      createdAt: m.created_at
+    }))
+  };
 }
 
 async function listProfiles(){
@@ -234,7 +840,7 @@ async function listProfiles(){
 }
 
 async function listAllOrdersRaw(){
-  return await supabaseRequest("/rest/v1/orders?select=id,order_code,user_id,customer_name,contact,address,subtotal,delivery_fee,total,status,payment_status,payment_method,created_at&order=created_at.desc", { serviceRole: true });
+  return await supabaseRequest("/rest/v1/orders?select=id,order_code,user_id,customer_name,contact,address,subtotal,discount,promo_code,reward_code,reward_discount,delivery_fee,total,delivery_date,delivery_slot,delivery_slot_label,delivery_window,delivery_attempts,last_failed_reason,status,payment_status,payment_method,created_at&order=created_at.desc", { serviceRole: true });
 }
 
 async function listAllOrderItems(orderIds){
@@ -265,48 +871,610 @@ async function listAllOrdersDetailed(){
       events.filter(e => e.order_id === order.id)
     ),
     userId: order.user_id,
+    statusRaw: order.status,
     createdAtRaw: order.created_at,
     paymentStatus: order.payment_status,
     profile: profileByUser.get(order.user_id) || null
   }));
 }
 
-function computeRewardsForOrders(orders){
-  const totalSpent = orders.reduce((sum, o) => sum + Number(o.total || 0), 0);
-  const points = orders.reduce((sum, o) => sum + Math.floor(Number(o.total || 0) / 100) * 10, 0);
-  return { totalSpent, points };
+async function getLoyaltyRules(){
+  const rows = await supabaseRequest("/rest/v1/loyalty_tier_rules?select=rules,updated_at&id=eq.1&limit=1", { serviceRole: true });
+  return normalizeLoyaltyRules(rows?.[0]?.rules || DEFAULT_LOYALTY_RULES);
 }
 
-async function getRewardsByEmail(email){
-  const orders = await listOrdersForEmail(email);
-  return computeRewardsForOrders(orders);
+async function saveLoyaltyRules(payload, actorProfile){
+  const rules = normalizeLoyaltyRules(payload);
+  await supabaseRequest("/rest/v1/loyalty_tier_rules?on_conflict=id", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+    body: [{ id: 1, rules, updated_by: actorProfile.user_id, updated_at: new Date().toISOString() }]
+  });
+  return rules;
 }
 
-async function getPanelDashboard(){
-  const [orders, products] = await Promise.all([listAllOrdersDetailed(), listProducts()]);
-  const recentOrders = orders.slice(0, 8);
-  const totalSales = orders.reduce((sum, o) => sum + Number(o.total || 0), 0);
-  const transactions = orders.length;
-  const byProduct = new Map();
-  for(const o of orders){
-    for(const it of o.items || []){
-      byProduct.set(it.name, (byProduct.get(it.name) || 0) + Number(it.qty || 0));
+// The tier is never stored: it is re-evaluated from delivered spend each time,
+// which is what moves customers up and down as orders age out of the window.
+async function getCustomerTier(userId, { rules = null, excludeOrderId = null } = {}){
+  const [tierRules, orders] = await Promise.all([
+    rules || getLoyaltyRules(),
+    supabaseRequest(`/rest/v1/orders?select=id,total,created_at&user_id=eq.${userId}&status=eq.delivered`, { serviceRole: true })
+  ]);
+  const counted = orders.filter(o => o.id !== excludeOrderId);
+  return { rules: tierRules, ...tierProgress(tierRules, rollingSpend(tierRules, counted)), totalSpent: orders.reduce((sum, o) => sum + Number(o.total || 0), 0) };
+}
+
+function toUiTier(progress){
+  return {
+    name: progress.tier.name,
+    multiplier: progress.tier.multiplier,
+    freeDelivery: progress.tier.freeDelivery,
+    spend: progress.spend,
+    windowDays: progress.windowDays,
+    nextTier: progress.nextTier ? { name: progress.nextTier.name, minSpend: progress.nextTier.minSpend, multiplier: progress.nextTier.multiplier } : null,
+    amountToNext: progress.amountToNext,
+    percent: progress.percent,
+    tiers: progress.rules.tiers,
+    pointsPer100: progress.rules.pointsPer100
+  };
+}
+
+// The points ledger is append-only. Every entry carries an entry_key so a
+// retried webhook or double click cannot earn, reverse or expire twice.
+async function addPointsEntry(entry){
+  const rows = await supabaseRequest("/rest/v1/points_ledger?on_conflict=entry_key", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "resolution=ignore-duplicates,return=representation" },
+    body: [entry]
+  });
+  return rows?.[0] || null;
+}
+
+// Redemptions and negative adjustments go through post_points_debit(), which
+// checks the balance and inserts under a per-customer lock. Resolves to null
+// when the balance is too low.
+async function postPointsDebit(entry){
+  const rows = await supabaseRequest("/rest/v1/rpc/post_points_debit", {
+    method: "POST",
+    serviceRole: true,
+    body: {
+      p_entry_key: entry.entry_key,
+      p_user_id: entry.user_id,
+      p_type: entry.type,
+      p_points: entry.points,
+      p_reason: entry.reason || null,
+      p_created_by: entry.created_by || null
+    }
+  });
+  return rows?.[0] || null;
+}
+
+async function listPointsEntries(userId){
+  return await supabaseRequest(
+    `/rest/v1/points_ledger?select=id,type,points,order_id,reason,expires_at,source_entry_id,created_at&user_id=eq.${userId}&order=created_at.asc`,
+    { serviceRole: true }
+  );
+}
+
+// Works out how much of each positive entry ("lot") is still unspent.
+// Reversals and expiries hit their own lot; redemptions spend the lots that
+// expire soonest first. A redemption that was given back (a positive reversal
+// pointing at it) is left out together with its reversal.
+function allocatePointLots(entries){
+  const givenBack = new Set(entries.filter(e => e.type === "reversal" && e.points > 0).map(e => e.source_entry_id));
+  entries = entries.filter(e => !givenBack.has(e.id) && !(e.type === "reversal" && e.points > 0));
+  const lots = entries
+    .filter(e => e.points > 0)
+    .map(e => ({ ...e, remaining: e.points }))
+    .sort((a, b) => String(a.expires_at || "9999").localeCompare(String(b.expires_at || "9999")) || a.created_at.localeCompare(b.created_at));
+  const earnLotByOrder = new Map(lots.filter(l => l.type === "earn" && l.order_id).map(l => [l.order_id, l]));
+  const lotById = new Map(lots.map(l => [l.id, l]));
+  let unassigned = 0;
+  for(const e of entries.filter(e => e.points < 0)){
+    let owed = -e.points;
+    const lot = e.type === "expiry" ? lotById.get(e.source_entry_id)
+      : e.type === "reversal" ? earnLotByOrder.get(e.order_id)
+        : null;
+    if(lot){
+      const take = Math.min(lot.remaining, owed);
+      lot.remaining -= take;
+      owed -= take;
     }
+    unassigned += owed;
   }
-  let bestSeller = "-";
-  let bestQty = 0;
-  for(const [name, qty] of byProduct){
-    if(qty > bestQty){ bestQty = qty; bestSeller = name; }
+  for(const lot of lots){
+    const take = Math.min(lot.remaining, unassigned);
+    lot.remaining -= take;
+    unassigned -= take;
   }
-  const lowStockCount = products.filter(p => Number(p.stockCases) > 0 && Number(p.stockCases) <= 10).length;
-  const outOfStockCount = products.filter(p => Number(p.stockCases) <= 0).length;
+  return lots;
+}
+
+async function expireDuePoints(userId, entries){
+  const now = new Date().toISOString();
+  const due = allocatePointLots(entries).filter(l => l.expires_at && l.expires_at <= now && l.remaining > 0);
+  let expired = 0;
+  for(const lot of due){
+    const row = await addPointsEntry({
+      entry_key: `expiry:${lot.id}`,
+      user_id: userId,
+      type: "expiry",
+      points: -lot.remaining,
+      source_entry_id: lot.id,
+      order_id: lot.order_id,
+      reason: `Points earned ${lot.created_at.slice(0, 10)} expired`
+    });
+    if(row) expired += 1;
+  }
+  return expired > 0;
+}
+
+function toUiPointsEntry(e){
   return {
-    recentOrders,
-    kpis: { totalSales, transactions, bestSeller, lowStockCount, outOfStockCount }
+    id: e.id,
+    type: e.type,
+    points: Number(e.points || 0),
+    reason: e.reason || "",
+    expiresAt: e.expires_at || null,
+    createdAt: e.created_at
   };
 }
 
-async function getPanelCustomers(){
+const POINTS_AWARD_BACKFILL_DAYS = 30;
+
+// Delivered orders from the last POINTS_AWARD_BACKFILL_DAYS with no earn entry,
+// because awarding failed after the status change. entry_key keeps a repeat
+// award from counting twice.
+async function awardMissedPoints(userId, entries){
+  const since = new Date(Date.now() - POINTS_AWARD_BACKFILL_DAYS * 86_400_000).toISOString();
+  const orders = await supabaseRequest(
+    `/rest/v1/orders?select=id,order_code,user_id,total&user_id=eq.${userId}&status=eq.delivered&created_at=gte.${encodeURIComponent(since)}`,
+    { serviceRole: true }
+  );
+  const earned = new Set(entries.filter(e => e.type === "earn").map(e => e.order_id));
+  let awarded = 0;
+  for(const order of (orders || []).filter(o => !earned.has(o.id))){
+    if(await awardPointsForOrder(order)) awarded += 1;
+  }
+  return awarded > 0;
+}
+
+async function getPointsSummary(userId){
+  let entries = await listPointsEntries(userId);
+  const awarded = await awardMissedPoints(userId, entries);
+  if(await expireDuePoints(userId, entries) || awarded) entries = await listPointsEntries(userId);
+  const sumOf = (type, keep = () => true) => entries.filter(e => e.type === type && keep(e)).reduce((sum, e) => sum + Number(e.points), 0);
+  const soon = new Date(Date.now() + 30 * 86_400_000).toISOString();
+  const expiring = allocatePointLots(entries).filter(l => l.expires_at && l.expires_at <= soon && l.remaining > 0);
+  return {
+    points: entries.reduce((sum, e) => sum + Number(e.points), 0),
+    earned: sumOf("earn"),
+    redeemed: -sumOf("redeem") - sumOf("reversal", e => e.points > 0),
+    reversed: -sumOf("reversal", e => e.points < 0),
+    expired: -sumOf("expiry"),
+    adjusted: sumOf("adjustment"),
+    expiringSoon: {
+      points: expiring.reduce((sum, l) => sum + l.remaining, 0),
+      at: expiring[0]?.expires_at || null
+    },
+    history: entries.slice().reverse().map(toUiPointsEntry)
+  };
+}
+
+async function getRewardsForUser(userId){
+  const [summary, progress] = await Promise.all([
+    getPointsSummary(userId),
+    getCustomerTier(userId)
+  ]);
+  const { history: _history, ...rewards } = summary;
+  return { ...rewards, totalSpent: progress.totalSpent, tier: toUiTier(progress) };
+}
+
+// An order earns at the tier the customer held before it was delivered, so
+// the order that crosses a threshold is not itself multiplied.
+async function awardPointsForOrder(order){
+  if(!order.user_id) return null;
+  const progress = await getCustomerTier(order.user_id, { excludeOrderId: order.id });
+  const points = pointsForAmount(progress.rules, order.total, progress.tier);
+  if(points <= 0) return null;
+  return await addPointsEntry({
+    entry_key: `earn:${order.id}`,
+    user_id: order.user_id,
+    type: "earn",
+    points,
+    order_id: order.id,
+    reason: `Order ${order.order_code} delivered${progress.tier.multiplier !== 1 ? ` (${progress.tier.name} x${progress.tier.multiplier})` : ""}`,
+    expires_at: POINTS_EXPIRY_DAYS > 0 ? new Date(Date.now() + POINTS_EXPIRY_DAYS * 86_400_000).toISOString() : null
+  });
+}
+
+// Takes back points an order earned: all that remain on cancellation, or a
+// share matching each completed refund.
+async function reversePointsForOrder(orderId, { refunds = null } = {}){
+  const [orders, entries] = await Promise.all([
+    supabaseRequest(`/rest/v1/orders?select=id,order_code,user_id,total&id=eq.${orderId}&limit=1`, { serviceRole: true }),
+    supabaseRequest(`/rest/v1/points_ledger?select=type,points&order_id=eq.${orderId}&type=in.(earn,reversal)`, { serviceRole: true })
+  ]);
+  const order = orders?.[0];
+  const earned = entries.filter(e => e.type === "earn").reduce((sum, e) => sum + Number(e.points), 0);
+  if(!order || earned <= 0) return [];
+  let remaining = earned + entries.filter(e => e.type === "reversal").reduce((sum, e) => sum + Number(e.points), 0);
+  const planned = refunds
+    ? refunds.map(r => ({
+      key: `reversal:refund:${r.id}`,
+      points: Math.round(earned * Number(r.amount || 0) / Math.max(Number(order.total || 0), 1)),
+      reason: `Refund of PHP ${Number(r.amount || 0).toLocaleString("en-PH")} on ${order.order_code}`
+    }))
+    : [{ key: `reversal:cancel:${order.id}`, points: remaining, reason: `Order ${order.order_code} cancelled` }];
+  const added = [];
+  for(const plan of planned){
+    const points = Math.min(plan.points, remaining);
+    if(points <= 0) continue;
+    const row = await addPointsEntry({
+      entry_key: plan.key,
+      user_id: order.user_id,
+      type: "reversal",
+      points: -points,
+      order_id: order.id,
+      reason: plan.reason
+    });
+    if(row){
+      remaining -= points;
+      added.push(row);
+    }
+  }
+  return added;
+}
+
+// Deducts points with a redeem entry. The summary gives the friendly error
+// (and books any due expiries); postPointsDebit() catches a redemption that
+// raced past it.
+async function spendPoints(userId, points, reason){
+  const before = await getPointsSummary(userId);
+  if(before.points < points){
+    const err = new Error(`You need ${points.toLocaleString()} points but have ${before.points.toLocaleString()}.`);
+    err.status = 409;
+    throw err;
+  }
+  const entry = await postPointsDebit({
+    entry_key: `redeem:${crypto.randomUUID()}`,
+    user_id: userId,
+    type: "redeem",
+    points: -points,
+    reason
+  });
+  if(!entry){
+    const err = new Error("Your points balance changed while redeeming. Please try again.");
+    err.status = 409;
+    throw err;
+  }
+  return entry;
+}
+
+// Gives a redemption's points back with a reversal entry; the ledger is never
+// edited.
+async function returnSpentPoints(entry, reason){
+  return await addPointsEntry({
+    entry_key: `reversal:${entry.id}`,
+    user_id: entry.user_id,
+    type: "reversal",
+    points: -Number(entry.points),
+    source_entry_id: entry.id,
+    reason
+  });
+}
+
+async function findCustomerForPoints(email){
+  const profile = await getProfileFullByEmail(String(email || "").trim().toLowerCase());
+  if(!profile || profile.role !== "customer"){
+    const err = new Error("Customer not found.");
+    err.status = 404;
+    throw err;
+  }
+  return profile;
+}
+
+// Goodwill grants and corrections by an admin. The reason and the admin's
+// user_id are kept on the ledger entry, which doubles as the audit trail.
+async function adjustCustomerPoints(email, payload, actorProfile){
+  const customer = await findCustomerForPoints(email);
+  const points = Number(payload.points);
+  const reason = String(payload.reason || "").trim();
+  if(!Number.isInteger(points) || points === 0) throw badRequest("Points must be a whole number other than zero.");
+  if(Math.abs(points) > POINTS_ADJUSTMENT_LIMIT){
+    throw badRequest(`Adjustments are limited to ${POINTS_ADJUSTMENT_LIMIT.toLocaleString()} points at a time.`);
+  }
+  if(reason.length < 5 || reason.length > 240) throw badRequest("Enter a reason for the adjustment (5-240 characters).");
+
+  const before = await getPointsSummary(customer.user_id);
+  if(before.points + points < 0){
+    const err = new Error(`${customer.full_name || customer.email} only has ${before.points.toLocaleString()} points.`);
+    err.status = 409;
+    throw err;
+  }
+  // Deductions are checked against the balance in the same transaction as
+  // the insert, so a rejected one never reaches the audit trail.
+  const entry = await postPointsDebit({
+    entry_key: `adjustment:${crypto.randomUUID()}`,
+    user_id: customer.user_id,
+    type: "adjustment",
+    points,
+    reason,
+    created_by: actorProfile.user_id
+  });
+  if(!entry){
+    const err = new Error("The customer's balance changed while adjusting. Please try again.");
+    err.status = 409;
+    throw err;
+  }
+  const after = await getPointsSummary(customer.user_id);
+  return { points: after.points, adjustment: (await listPointsAdjustments(customer.email))[0] || null };
+}
+
+async function listPointsAdjustments(email){
+  const customer = await findCustomerForPoints(email);
+  const rows = await supabaseRequest(
+    `/rest/v1/points_ledger?select=id,points,reason,created_by,created_at&user_id=eq.${customer.user_id}&type=eq.adjustment&order=created_at.desc`,
+    { serviceRole: true }
+  );
+  const admins = await listProfiles();
+  const byUser = new Map(admins.map(p => [p.user_id, p]));
+  return rows.map(r => ({
+    id: r.id,
+    points: Number(r.points),
+    reason: r.reason || "",
+    adjustedBy: byUser.get(r.created_by)?.full_name || byUser.get(r.created_by)?.email || "Unknown admin",
+    createdAt: r.created_at
+  }));
+}
+
+const REWARD_TYPES = {
+  free_item: "Free case",
+  peso_off: "Peso-off voucher",
+  free_delivery: "Free delivery"
+};
+
+function toUiReward(r){
+  return {
+    id: r.id,
+    name: r.name,
+    description: r.description || "",
+    type: r.type,
+    typeLabel: REWARD_TYPES[r.type] || r.type,
+    pointsCost: Number(r.points_cost || 0),
+    sku: r.sku || "",
+    qty: Number(r.qty || 1),
+    amount: Number(r.amount || 0),
+    isActive: r.is_active !== false,
+    sortOrder: Number(r.sort_order || 0)
+  };
+}
+
+function normalizeRewardPayload(payload, { partial = false } = {}){
+  const out = {};
+  const has = (key) => !partial || Object.prototype.hasOwnProperty.call(payload, key);
+  if(has("name")){
+    const name = String(payload.name || "").trim();
+    if(!name || name.length > 120) throw badRequest("Reward name is required (up to 120 characters).");
+    out.name = name;
+  }
+  if(has("description")) out.description = String(payload.description || "").trim().slice(0, 240) || null;
+  if(has("type")){
+    if(!REWARD_TYPES[payload.type]) throw badRequest("Reward type must be free_item, peso_off or free_delivery.");
+    out.type = payload.type;
+  }
+  if(has("pointsCost")){
+    const cost = Number(payload.pointsCost);
+    if(!Number.isInteger(cost) || cost <= 0) throw badRequest("Points cost must be a whole number above zero.");
+    out.points_cost = cost;
+  }
+  if(has("sku")) out.sku = String(payload.sku || "").trim() || null;
+  if(has("qty")){
+    const qty = Number(payload.qty ?? 1);
+    if(!Number.isInteger(qty) || qty <= 0) throw badRequest("Free case quantity must be a whole number above zero.");
+    out.qty = qty;
+  }
+  if(has("amount")){
+    const amount = Number(payload.amount || 0);
+    if(!Number.isFinite(amount) || amount < 0) throw badRequest("Peso-off amount must be zero or more.");
+    out.amount = Math.round(amount * 100) / 100;
+  }
+  if(has("isActive")) out.is_active = payload.isActive !== false;
+  if(has("sortOrder")) out.sort_order = Number(payload.sortOrder || 0);
+  return out;
+}
+
+async function assertRewardRow(row){
+  if(row.type === "peso_off" && !(Number(row.amount) > 0)) throw badRequest("Peso-off rewards need an amount.");
+  if(row.type === "free_item"){
+    if(!row.sku) throw badRequest("Free case rewards need a product SKU.");
+    const product = await getProductBySku(row.sku);
+    if(!product || !product.is_active) throw badRequest(`${row.sku} is not an active product.`);
+  }
+}
+
+async function listRewardCatalog({ includeInactive = false } = {}){
+  const rows = await supabaseRequest(
+    `/rest/v1/reward_catalog?select=*${includeInactive ? "" : "&is_active=eq.true"}&order=sort_order.asc,points_cost.asc`,
+    { serviceRole: true }
+  );
+  const freeSkus = [...new Set(rows.filter(r => r.type === "free_item" && r.sku).map(r => r.sku))];
+  const products = await getProductsBySkus(freeSkus);
+  const bySku = new Map(products.map(p => [p.sku, p]));
+  return rows.map(r => {
+    const reward = toUiReward(r);
+    if(r.type !== "free_item") return { ...reward, inStock: true };
+    const p = bySku.get(r.sku);
+    const available = p && p.is_active ? Number(p.stock_cases) - Number(p.reserved_cases || 0) : 0;
+    return { ...reward, productName: p?.name || r.sku, inStock: available >= reward.qty };
+  });
+}
+
+async function getRewardById(id){
+  const rows = await supabaseRequest(`/rest/v1/reward_catalog?select=*&id=eq.${encodeURIComponent(id)}&limit=1`, { serviceRole: true });
+  const reward = rows?.[0];
+  if(!reward){
+    const err = new Error("Reward not found.");
+    err.status = 404;
+    throw err;
+  }
+  return reward;
+}
+
+async function createReward(payload){
+  const fields = normalizeRewardPayload(payload);
+  await assertRewardRow(fields);
+  const rows = await supabaseRequest("/rest/v1/reward_catalog", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: [{ ...fields, is_active: fields.is_active ?? true }]
+  });
+  return toUiReward(rows[0]);
+}
+
+async function updateReward(id, payload){
+  const existing = await getRewardById(id);
+  const fields = normalizeRewardPayload(payload, { partial: true });
+  await assertRewardRow({ ...existing, ...fields });
+  if(!Object.keys(fields).length) return toUiReward(existing);
+  const rows = await supabaseRequest(`/rest/v1/reward_catalog?id=eq.${existing.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: fields
+  });
+  return toUiReward(rows[0]);
+}
+
+function makeRewardCode(){
+  return `RW-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+}
+
+function toUiRewardRedemption(r){
+  return {
+    code: r.code,
+    name: r.name,
+    type: r.type,
+    sku: r.sku || "",
+    qty: Number(r.qty || 1),
+    amount: Number(r.amount || 0),
+    pointsCost: Number(r.points_cost || 0),
+    status: r.status,
+    orderId: r.order_id || null,
+    createdAt: r.created_at,
+    usedAt: r.used_at || null
+  };
+}
+
+async function listRewardRedemptions(userId){
+  const rows = await supabaseRequest(
+    `/rest/v1/reward_redemptions?select=*&user_id=eq.${userId}&order=created_at.desc`,
+    { serviceRole: true }
+  );
+  return rows.map(toUiRewardRedemption);
+}
+
+// Spends points on a catalog reward and issues a one-time code. The reward is
+// snapshotted onto the redemption so later catalog edits don't change it.
+async function redeemReward(userId, payload){
+  const reward = await getRewardById(String(payload.rewardId || ""));
+  if(!reward.is_active) throw badRequest("This reward is no longer available.");
+  if(reward.type === "free_item"){
+    const product = await getProductBySku(reward.sku);
+    const available = product && product.is_active ? Number(product.stock_cases) - Number(product.reserved_cases || 0) : 0;
+    if(available < Number(reward.qty || 1)){
+      const err = new Error(`${product?.name || reward.sku} is out of stock right now. Try this reward again later.`);
+      err.status = 409;
+      throw err;
+    }
+  }
+  const entry = await spendPoints(userId, Number(reward.points_cost), `Redeemed: ${reward.name}`);
+  let rows;
+  try{
+    rows = await supabaseRequest("/rest/v1/reward_redemptions", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "return=representation" },
+      body: [{
+        code: makeRewardCode(),
+        user_id: userId,
+        reward_id: reward.id,
+        ledger_entry_id: entry.id,
+        name: reward.name,
+        type: reward.type,
+        sku: reward.sku,
+        qty: reward.qty,
+        amount: reward.amount,
+        points_cost: reward.points_cost
+      }]
+    });
+  }catch(err){
+    await returnSpentPoints(entry, `${reward.name} could not be issued; points returned`);
+    throw err;
+  }
+  return { redemption: toUiRewardRedemption(rows[0]), rewards: await getRewardsForUser(userId) };
+}
+
+async function findIssuedReward(code, userId){
+  const rows = await supabaseRequest(
+    `/rest/v1/reward_redemptions?select=*&code=eq.${encodeURIComponent(String(code || "").trim().toUpperCase())}&user_id=eq.${userId}&limit=1`,
+    { serviceRole: true }
+  );
+  const redemption = rows?.[0];
+  if(!redemption) throw badRequest("That reward code is not in your account.");
+  if(redemption.status !== "issued") throw badRequest(`Reward ${redemption.code} has already been used.`);
+  return redemption;
+}
+
+// Claims the reward for an order. The status filter makes the claim one-shot,
+// so the same code cannot ride on two orders placed at once.
+async function claimRewardRedemption(redemption){
+  const rows = await supabaseRequest(`/rest/v1/reward_redemptions?id=eq.${redemption.id}&status=eq.issued`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: { status: "used", used_at: new Date().toISOString() }
+  });
+  if(!rows?.length) throw badRequest(`Reward ${redemption.code} has already been used.`);
+}
+
+async function releaseRewardRedemption(redemptionId){
+  await supabaseRequest(`/rest/v1/reward_redemptions?id=eq.${redemptionId}&status=eq.used`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: { status: "issued", used_at: null, order_id: null }
+  });
+}
+
+async function getPanelDashboard(){
+  const [orders, products] = await Promise.all([listAllOrdersDetailed(), listProducts()]);
+  const recentOrders = orders.slice(0, 8);
+  const totalSales = orders.reduce((sum, o) => sum + Number(o.total || 0), 0);
+  const transactions = orders.length;
+  const byProduct = new Map();
+  for(const o of orders){
+    for(const it of o.items || []){
+      byProduct.set(it.name, (byProduct.get(it.name) || 0) + Number(it.qty || 0));
+    }
+  }
+  let bestSeller = "-";
+  let bestQty = 0;
+  for(const [name, qty] of byProduct){
+    if(qty > bestQty){ bestQty = qty; bestSeller = name; }
+  }
+  const lowStockCount = products.filter(isLowStock).length;
+  const outOfStockCount = products.filter(p => Number(p.stockCases) <= 0).length;
+  return {
+    recentOrders,
+    kpis: { totalSales, transactions, bestSeller, lowStockCount, outOfStockCount }
+  };
+}
+
+async function getPanelCustomers(){
   const [profiles, orders] = await Promise.all([listProfiles(), listAllOrdersRaw()]);
   const byUser = new Map();
   for(const p of profiles){
@@ -331,32 +1499,152 @@ async function getPanelCustomers(){
   return [...byUser.values()].sort((a,b)=>b.totalOrders-a.totalOrders);
 }
 
-async function getPanelInventory(){
-  const products = await listProducts();
+async function getPanelInventory({ includeInactive = false } = {}){
+  const products = await listProducts({ includeInactive });
   const inventory = products.map(p => ({
     ...p,
-    status: Number(p.stockCases) <= 0 ? "Out of Stock" : Number(p.stockCases) <= 10 ? "Low Stock" : "In Stock"
+    status: !p.isActive ? "Inactive" : Number(p.stockCases) <= 0 ? "Out of Stock" : isLowStock(p) ? "Low Stock" : "In Stock"
   }));
-  const lowStock = inventory.filter(p => p.status !== "In Stock").sort((a,b)=>a.stockCases-b.stockCases);
+  const lowStock = inventory.filter(p => p.status === "Low Stock" || p.status === "Out of Stock").sort((a,b)=>a.stockCases-b.stockCases);
   return { inventory, lowStock };
 }
 
+// Called from recordStockMovement() when a product drops to or below its
+// reorder point. Logged rather than thrown, like notifyCustomer(), so an alert
+// problem never fails the order or movement that caused it.
+async function raiseStockAlert(product, stockCases, reorderPoint){
+  publishLiveEvent("low-stock", {
+    productId: product.sku,
+    name: product.name,
+    stockCases,
+    reorderPoint
+  }, { roles: ["admin", "staff"] });
+  try{
+    const rows = await supabaseRequest("/rest/v1/stock_alerts", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "return=representation" },
+      body: [{ product_id: product.id, stock_cases: stockCases, reorder_point: reorderPoint }]
+    });
+    await notifyAdmins("low_stock", `low_stock:${rows[0].id}`, {
+      productName: product.name,
+      sku: product.sku,
+      stockCases,
+      reorderPoint,
+      inventoryUrl: `${APP_BASE_URL}/admin/admin-inventory.html`
+    });
+  }catch(err){
+    console.error(`[stock-alerts] could not raise alert for ${product.sku}`, err);
+  }
+}
+
+// A restock back above the reorder point closes whatever is still open.
+async function resolveStockAlerts(productId){
+  try{
+    await supabaseRequest(`/rest/v1/stock_alerts?product_id=eq.${productId}&resolved_at=is.null`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: { resolved_at: new Date().toISOString() }
+    });
+  }catch(err){
+    console.error("[stock-alerts] could not resolve alerts", err);
+  }
+}
+
+async function listStockAlerts({ limit = 30 } = {}){
+  const [alerts, products, profiles] = await Promise.all([
+    supabaseRequest(`/rest/v1/stock_alerts?select=id,product_id,stock_cases,reorder_point,created_at,acknowledged_at,acknowledged_by,resolved_at&order=created_at.desc&limit=${limit}`, {
+      serviceRole: true
+    }),
+    listProducts({ includeInactive: true }),
+    listProfiles()
+  ]);
+  const productById = new Map(products.map(p => [p.dbId, p]));
+  const profileByUser = new Map(profiles.map(p => [p.user_id, p]));
+  return alerts.map(a => {
+    const product = productById.get(a.product_id);
+    return {
+      id: a.id,
+      sku: product?.sku || "",
+      name: product?.name || "Deleted product",
+      stockCases: Number(a.stock_cases),
+      currentStock: product ? product.stockCases : null,
+      reorderPoint: Number(a.reorder_point),
+      state: a.resolved_at ? "restocked" : a.acknowledged_at ? "acknowledged" : "open",
+      createdAt: a.created_at,
+      acknowledgedAt: a.acknowledged_at,
+      acknowledgedBy: a.acknowledged_by ? profileByUser.get(a.acknowledged_by)?.email || "Unknown user" : null,
+      resolvedAt: a.resolved_at
+    };
+  });
+}
+
+async function acknowledgeStockAlert(alertId, actorProfile){
+  const rows = await supabaseRequest(`/rest/v1/stock_alerts?id=eq.${encodeURIComponent(alertId)}&acknowledged_at=is.null`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: { acknowledged_at: new Date().toISOString(), acknowledged_by: actorProfile.user_id }
+  });
+  if(!rows?.length){
+    const existing = await supabaseRequest(`/rest/v1/stock_alerts?select=id&id=eq.${encodeURIComponent(alertId)}&limit=1`, { serviceRole: true });
+    const err = new Error(existing?.length ? "This alert was already acknowledged." : "Stock alert not found.");
+    err.status = existing?.length ? 409 : 404;
+    throw err;
+  }
+  return { id: rows[0].id, acknowledgedAt: rows[0].acknowledged_at };
+}
+
+// Cases sold per SKU over the last `weeks` weeks (orders still awaiting
+// payment or cancelled don't count), turned into a buy list by
+// suggestReorders().
+async function getReorderSuggestions({ weeks = 4 } = {}){
+  if(!Number.isInteger(weeks) || weeks < 1 || weeks > 26) throw badRequest("Weeks must be a whole number from 1 to 26.");
+  const days = weeks * 7;
+  const since = new Date(Date.now() - days * 86_400_000).toISOString();
+  const [orders, products] = await Promise.all([
+    supabaseRequest(`/rest/v1/orders?select=id&created_at=gte.${encodeURIComponent(since)}&status=not.in.(pending_payment,cancelled)`, { serviceRole: true }),
+    listProducts()
+  ]);
+  const items = await listAllOrderItems(orders.map(o => o.id));
+  const soldBySku = new Map();
+  for(const it of items){
+    soldBySku.set(it.sku, (soldBySku.get(it.sku) || 0) + Number(it.qty || 0));
+  }
+  return {
+    weeks,
+    coverDays: REORDER_COVER_DAYS,
+    since,
+    suggestions: suggestReorders(products, soldBySku, { days, coverDays: REORDER_COVER_DAYS })
+  };
+}
+
+async function listAllRefunds(){
+  return await supabaseRequest("/rest/v1/refunds?select=order_id,amount,status,created_at,updated_at&order=created_at.desc", { serviceRole: true });
+}
+
+function salesPeriodKeys(value){
+  const d = new Date(value);
+  const dateKey = d.toISOString().slice(0,10);
+  const monthKey = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,"0")}`;
+  const weekStart = new Date(d);
+  weekStart.setDate(d.getDate() - d.getDay());
+  const weekKey = weekStart.toISOString().slice(0,10);
+  return { dateKey, weekKey, monthKey };
+}
+
 async function getPanelSales(){
-  const orders = await listAllOrdersDetailed();
+  const [orders, refunds] = await Promise.all([listAllOrdersDetailed(), listAllRefunds()]);
   const salesOrders = orders.filter(o => o.status !== "Cancelled");
   const byDate = new Map();
   const byWeek = new Map();
   const byMonth = new Map();
   const productQty = new Map();
   for(const o of salesOrders){
-    const d = new Date(o.createdAtRaw || o.createdAt);
-    const dateKey = d.toISOString().slice(0,10);
-    const monthKey = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,"0")}`;
-    const weekStart = new Date(d);
-    weekStart.setDate(d.getDate() - d.getDay());
-    const weekKey = weekStart.toISOString().slice(0,10);
+    const { dateKey, weekKey, monthKey } = salesPeriodKeys(o.createdAtRaw || o.createdAt);
     for(const [m, key] of [[byDate,dateKey],[byWeek,weekKey],[byMonth,monthKey]]){
-      const rec = m.get(key) || { sales: 0, transactions: 0 };
+      const rec = m.get(key) || { sales: 0, transactions: 0, refunds: 0 };
       rec.sales += Number(o.total || 0);
       rec.transactions += 1;
       m.set(key, rec);
@@ -365,6 +1653,25 @@ async function getPanelSales(){
       productQty.set(it.name, (productQty.get(it.name) || 0) + Number(it.qty || 0));
     }
   }
+  // Refunds count against the period they completed in, not when the order was placed.
+  const refundsByDate = new Map();
+  const refundsByWeek = new Map();
+  const refundsByMonth = new Map();
+  let pendingRefunds = 0;
+  let pendingRefundAmount = 0;
+  for(const r of refunds || []){
+    if(r.status === "pending"){
+      pendingRefunds += 1;
+      pendingRefundAmount += Number(r.amount || 0);
+      continue;
+    }
+    if(r.status !== "succeeded") continue;
+    const { dateKey, weekKey, monthKey } = salesPeriodKeys(r.updated_at || r.created_at);
+    for(const [m, key] of [[refundsByDate,dateKey],[refundsByWeek,weekKey],[refundsByMonth,monthKey]]){
+      m.set(key, (m.get(key) || 0) + Number(r.amount || 0));
+    }
+  }
+  const todayKeys = salesPeriodKeys(new Date());
   let bestSeller = "-";
   let bestQty = 0;
   for(const [name, qty] of productQty){
@@ -396,7 +1703,10 @@ async function getPanelSales(){
       todaySales: latestDaily?.[1]?.sales || 0,
       transactions: latestDaily?.[1]?.transactions || 0,
       bestSeller,
-      refunds: 0,
+      refunds: refundsByDate.get(todayKeys.dateKey) || 0,
+      refundsThisMonth: refundsByMonth.get(todayKeys.monthKey) || 0,
+      pendingRefunds,
+      pendingRefundAmount,
       avgOrderValue
     },
     chart: {
@@ -404,72 +1714,464 @@ async function getPanelSales(){
       points: last7Days
     },
     rows: [
-      { period: "Daily", sales: latestDaily?.[1]?.sales || 0, transactions: latestDaily?.[1]?.transactions || 0, bestSeller },
-      { period: "Weekly", sales: latestWeekly?.[1]?.sales || 0, transactions: latestWeekly?.[1]?.transactions || 0, bestSeller },
-      { period: "Monthly", sales: latestMonthly?.[1]?.sales || 0, transactions: latestMonthly?.[1]?.transactions || 0, bestSeller }
+      { period: "Daily", sales: latestDaily?.[1]?.sales || 0, transactions: latestDaily?.[1]?.transactions || 0, refunds: refundsByDate.get(latestDaily?.[0]) || 0, bestSeller },
+      { period: "Weekly", sales: latestWeekly?.[1]?.sales || 0, transactions: latestWeekly?.[1]?.transactions || 0, refunds: refundsByWeek.get(latestWeekly?.[0]) || 0, bestSeller },
+      { period: "Monthly", sales: latestMonthly?.[1]?.sales || 0, transactions: latestMonthly?.[1]?.transactions || 0, refunds: refundsByMonth.get(latestMonthly?.[0]) || 0, bestSeller }
     ]
   };
 }
 
 async function getPanelReports(){
-  const [orders, products] = await Promise.all([listAllOrdersDetailed(), listProducts()]);
+  const [orders, products, promotions] = await Promise.all([listAllOrdersDetailed(), listProducts(), listPromotions()]);
+  const redemptions = promotions.reduce((sum, p) => sum + p.redemptions, 0);
+  const discountGiven = promotions.reduce((sum, p) => sum + p.discountGiven, 0);
   const delivered = orders.filter(o => o.status === "Delivered").length;
   const pending = orders.filter(o => o.status !== "Delivered" && o.status !== "Cancelled").length;
-  const low = products.filter(p => Number(p.stockCases) > 0 && Number(p.stockCases) <= 10).length;
+  const low = products.filter(isLowStock).length;
   const out = products.filter(p => Number(p.stockCases) <= 0).length;
   return [
     { reportType: "Sales Report", coverage: `${orders.length} orders total`, status: "Available" },
     { reportType: "Inventory Report", coverage: `${products.length} products (${low} low, ${out} out)`, status: "Available" },
     { reportType: "Top Selling Products", coverage: "Computed from order items", status: "Available" },
-    { reportType: "Delivery Summary", coverage: `${delivered} delivered / ${pending} pending`, status: "Available" }
+    { reportType: "Delivery Summary", coverage: `${delivered} delivered / ${pending} pending`, status: "Available" },
+    { reportType: "Promotions", coverage: `${redemptions} redemptions across ${promotions.length} vouchers (PHP ${discountGiven.toLocaleString("en-PH")} discounted)`, status: "Available" }
   ];
 }
 
 async function getPanelRewards(){
-  const customers = await getPanelCustomers();
-  const orders = await listAllOrdersDetailed();
+  const [customers, orders, ledger, rules] = await Promise.all([
+    getPanelCustomers(),
+    listAllOrdersDetailed(),
+    supabaseRequest("/rest/v1/points_ledger?select=user_id,points", { serviceRole: true }),
+    getLoyaltyRules()
+  ]);
+  const pointsByUser = new Map();
+  for(const e of ledger){
+    pointsByUser.set(e.user_id, (pointsByUser.get(e.user_id) || 0) + Number(e.points || 0));
+  }
   const byEmail = new Map();
   for(const c of customers){
     byEmail.set(c.email, { customer: c.name, email: c.email, points: 0, totalSpent: 0 });
   }
+  const seenUsers = new Set();
   for(const o of orders){
     const email = o.profile?.email || "";
     const rec = byEmail.get(email) || { customer: o.customerName, email, points: 0, totalSpent: 0 };
-    rec.totalSpent += Number(o.total || 0);
-    rec.points += Math.floor(Number(o.total || 0) / 100) * 10;
+    if(o.statusRaw === "delivered") rec.totalSpent += Number(o.total || 0);
+    if(o.userId && !seenUsers.has(o.userId)){
+      seenUsers.add(o.userId);
+      rec.points += pointsByUser.get(o.userId) || 0;
+    }
+    if(o.statusRaw === "delivered") (rec.delivered ||= []).push({ total: o.total, created_at: o.createdAtRaw });
     byEmail.set(email, rec);
   }
-  return [...byEmail.values()].sort((a,b)=>b.points-a.points);
+  return [...byEmail.values()]
+    .map(({ delivered = [], ...rec }) => {
+      const progress = tierProgress(rules, rollingSpend(rules, delivered));
+      return { ...rec, tier: progress.tier.name, tierSpend: progress.spend };
+    })
+    .sort((a,b)=>b.points-a.points);
 }
 
+// The delivery card follows the next booked slot; orders without a slot
+// (placed before slots existed) come after the slotted ones.
 async function getPanelDelivery(){
   const orders = await listAllOrdersDetailed();
-  const active = orders.find(o => ["In Transit","Out for Delivery","Preparing","Order Placed"].includes(o.status)) || orders[0] || null;
+  const slotKey = (o) => o.deliveryDate ? `${o.deliveryDate} ${o.deliveryWindow}` : "~";
+  const active = orders
+    .filter(o => ["In Transit","Out for Delivery","Delivery Failed","Preparing","Order Placed"].includes(o.status))
+    .sort((a, b) => slotKey(a).localeCompare(slotKey(b)))[0] || orders[0] || null;
   return { activeOrder: active };
 }
 
-async function supabasePasswordLogin(email, password){
-  if(!SUPABASE_URL || !SUPABASE_ANON_KEY){
-    throw new Error("Missing Supabase frontend keys in .env");
-  }
-  const res = await fetch(`${SUPABASE_URL}/auth/v1/token?grant_type=password`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      apikey: SUPABASE_ANON_KEY
-    },
-    body: JSON.stringify({ email, password })
+// Delivery runs: a rider's list of stops for one trip. Orders join a run once
+// they are being prepared; the rider's buttons go through updateOrderStatus()
+// like everyone else's, and the run completes when every stop is delivered or
+// cancelled. A failed stop leaves its run and waits for the next one.
+const DELIVERY_RUN_ELIGIBLE_STATUSES = ["preparing", "in_transit", "delivery_failed"];
+const DELIVERY_RUN_DONE_STATUSES = ["delivered", "cancelled"];
+
+function makeRunCode(){
+  return makeOrderCode().replace("ORD-", "RUN-");
+}
+
+async function listRiders(){
+  return await supabaseRequest("/rest/v1/profiles?select=user_id,email,full_name,contact&role=eq.rider&order=full_name.asc", { serviceRole: true });
+}
+
+async function getRider(userId){
+  const rows = userId
+    ? await supabaseRequest(`/rest/v1/profiles?select=user_id,email,full_name,contact&role=eq.rider&user_id=eq.${encodeURIComponent(userId)}&limit=1`, { serviceRole: true })
+    : [];
+  if(!rows?.[0]) throw badRequest("Pick a rider.");
+  return rows[0];
+}
+
+function toUiDeliveryRun(run, stops, ordersById, itemsByOrder, ridersById, attempts = []){
+  const rider = ridersById.get(run.rider_id);
+  const uiStops = stops.map(stop => {
+    const o = ordersById.get(stop.order_id) || {};
+    return {
+      position: stop.position,
+      orderCode: o.order_code,
+      customerName: o.customer_name,
+      contact: o.contact,
+      address: o.address,
+      total: Number(o.total || 0),
+      paymentMethod: o.payment_method,
+      paymentStatus: o.payment_status,
+      deliverySlotLabel: o.delivery_slot ? `${o.delivery_slot_label} (${o.delivery_window})` : "",
+      status: toUiStatus(o.status),
+      riderNextStatuses: allowedNextStatuses(o, "rider").map(toUiStatus),
+      items: (itemsByOrder.get(stop.order_id) || []).map(i => ({ name: i.name, qty: Number(i.qty || 0) }))
+    };
   });
-  const data = await res.json();
-  if(!res.ok){
-    throw new Error(data?.msg || data?.error_description || data?.error || "Login failed");
-  }
-  return data;
+  const delivered = stops.filter(st => ordersById.get(st.order_id)?.status === "delivered").length;
+  const cancelled = stops.filter(st => ordersById.get(st.order_id)?.status === "cancelled").length;
+  const total = stops.length + attempts.length;
+  return {
+    id: run.id,
+    runCode: run.run_code,
+    deliveryDate: run.delivery_date,
+    status: run.status,
+    note: run.note || "",
+    rider: rider ? { userId: rider.user_id, name: rider.full_name || rider.email, contact: rider.contact || "" } : null,
+    startedAt: run.started_at,
+    completedAt: run.completed_at,
+    stops: uiStops,
+    failedStops: attempts.map(a => ({
+      orderCode: ordersById.get(a.order_id)?.order_code,
+      customerName: ordersById.get(a.order_id)?.customer_name,
+      attempt: a.attempt_no,
+      reason: failedAttemptText(a),
+      at: a.created_at
+    })),
+    progress: {
+      total,
+      delivered,
+      cancelled,
+      failed: attempts.length,
+      remaining: stops.length - delivered - cancelled,
+      percent: total ? Math.round(((delivered + cancelled + attempts.length) / total) * 100) : 0
+    }
+  };
 }
 
-async function supabaseAdminRequest(pathname, { method="GET", body } = {}){
-  if(!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY){
-    throw new Error("Missing Supabase service role config in .env");
+async function loadDeliveryRuns(filter){
+  const runs = await supabaseRequest(`/rest/v1/delivery_runs?select=*&${filter}&order=delivery_date.desc,created_at.desc`, { serviceRole: true });
+  if(!runs.length) return [];
+  const runIds = encodeURIComponent(`(${escapeCsvValues(runs.map(r => r.id))})`);
+  const [stops, attempts] = await Promise.all([
+    supabaseRequest(`/rest/v1/delivery_run_stops?select=run_id,order_id,position&run_id=in.${runIds}&order=position.asc`, { serviceRole: true }),
+    supabaseRequest(`/rest/v1/delivery_attempts?select=run_id,order_id,attempt_no,reason,note,created_at&run_id=in.${runIds}&order=created_at.asc`, { serviceRole: true })
+  ]);
+  const orderIds = [...new Set([...stops, ...attempts].map(st => st.order_id))];
+  const orderFilter = encodeURIComponent(`(${escapeCsvValues(orderIds)})`);
+  const [orders, items, riders] = await Promise.all([
+    orderIds.length
+      ? supabaseRequest(`/rest/v1/orders?select=id,order_code,customer_name,contact,address,total,status,payment_status,payment_method,delivery_slot,delivery_slot_label,delivery_window&id=in.${orderFilter}`, { serviceRole: true })
+      : [],
+    orderIds.length
+      ? supabaseRequest(`/rest/v1/order_items?select=order_id,name,qty&order_id=in.${orderFilter}`, { serviceRole: true })
+      : [],
+    listRiders()
+  ]);
+  const ordersById = new Map(orders.map(o => [o.id, o]));
+  const itemsByOrder = new Map();
+  for(const item of items){
+    if(!itemsByOrder.has(item.order_id)) itemsByOrder.set(item.order_id, []);
+    itemsByOrder.get(item.order_id).push(item);
+  }
+  const ridersById = new Map(riders.map(r => [r.user_id, r]));
+  return runs.map(run => toUiDeliveryRun(
+    run,
+    stops.filter(st => st.run_id === run.id),
+    ordersById,
+    itemsByOrder,
+    ridersById,
+    attempts.filter(a => a.run_id === run.id)
+  ));
+}
+
+async function getDeliveryRun(id){
+  const runs = await loadDeliveryRuns(`id=eq.${encodeURIComponent(id)}`);
+  if(!runs[0]){
+    const err = new Error("Delivery run not found.");
+    err.status = 404;
+    throw err;
+  }
+  return runs[0];
+}
+
+// Staff and admin view: open runs, runs from the last week, the riders and
+// the orders that can still be put on a run.
+async function getDeliveryRunsOverview(){
+  const since = addDays(manilaToday(), -7);
+  const [runs, riders, candidates] = await Promise.all([
+    loadDeliveryRuns(`or=(status.in.(planned,in_progress),delivery_date.gte.${since})&status=neq.cancelled`),
+    listRiders(),
+    supabaseRequest(`/rest/v1/orders?select=id,order_code,customer_name,address,status,delivery_date,delivery_slot,delivery_slot_label,delivery_window,delivery_cases&status=in.(${DELIVERY_RUN_ELIGIBLE_STATUSES.join(",")})&order=delivery_date.asc.nullslast,created_at.asc`, { serviceRole: true })
+  ]);
+  const taken = candidates.length
+    ? await supabaseRequest(`/rest/v1/delivery_run_stops?select=order_id&order_id=in.${encodeURIComponent(`(${escapeCsvValues(candidates.map(o => o.id))})`)}`, { serviceRole: true })
+    : [];
+  const takenIds = new Set(taken.map(t => t.order_id));
+  return {
+    runs,
+    riders: riders.map(r => ({ userId: r.user_id, name: r.full_name || r.email, contact: r.contact || "" })),
+    availableOrders: candidates.filter(o => !takenIds.has(o.id)).map(o => ({
+      orderCode: o.order_code,
+      customerName: o.customer_name,
+      address: o.address,
+      status: toUiStatus(o.status),
+      cases: Number(o.delivery_cases || 0),
+      deliveryDate: o.delivery_date,
+      deliverySlotLabel: o.delivery_slot ? `${o.delivery_slot_label} (${o.delivery_window})` : ""
+    }))
+  };
+}
+
+// Resolves the posted order codes (in stop order) and checks each can join
+// run `runId` (null for a new run).
+async function resolveRunOrders(orderCodes, runId){
+  const codes = [...new Set((Array.isArray(orderCodes) ? orderCodes : []).map(c => String(c || "").trim()).filter(Boolean))];
+  if(!codes.length) throw badRequest("Add at least one order to the run.");
+  const orders = await supabaseRequest(
+    `/rest/v1/orders?select=id,order_code,status&order_code=in.${encodeURIComponent(`(${escapeCsvValues(codes)})`)}`,
+    { serviceRole: true }
+  );
+  const byCode = new Map(orders.map(o => [o.order_code, o]));
+  const stops = await supabaseRequest(
+    `/rest/v1/delivery_run_stops?select=run_id,order_id&order_id=in.${encodeURIComponent(`(${escapeCsvValues(orders.map(o => o.id))})`)}`,
+    { serviceRole: true }
+  );
+  const runByOrder = new Map(stops.map(st => [st.order_id, st.run_id]));
+  return codes.map(code => {
+    const order = byCode.get(code);
+    if(!order) throw badRequest(`Order ${code} was not found.`);
+    const currentRun = runByOrder.get(order.id);
+    if(currentRun && currentRun !== runId){
+      const err = new Error(`Order ${code} is already on another run.`);
+      err.status = 409;
+      throw err;
+    }
+    if(!currentRun && !DELIVERY_RUN_ELIGIBLE_STATUSES.includes(order.status)){
+      throw badRequest(`Order ${code} is ${toUiStatus(order.status)}; only orders being prepared, in transit or waiting for redelivery can join a run.`);
+    }
+    return order;
+  });
+}
+
+function normalizeRunDate(value){
+  const date = String(value || "").trim() || manilaToday();
+  if(!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw badRequest("Run date must be YYYY-MM-DD.");
+  return date;
+}
+
+async function saveRunStops(runId, orders){
+  await supabaseRequest("/rest/v1/delivery_run_stops?on_conflict=order_id", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+    body: orders.map((o, idx) => ({ run_id: runId, order_id: o.id, position: idx + 1 }))
+  });
+}
+
+async function createDeliveryRun(payload, actorProfile){
+  const rider = await getRider(payload.riderId);
+  const deliveryDate = normalizeRunDate(payload.deliveryDate);
+  const orders = await resolveRunOrders(payload.orderCodes, null);
+  const rows = await supabaseRequest("/rest/v1/delivery_runs", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: [{
+      run_code: makeRunCode(),
+      rider_id: rider.user_id,
+      delivery_date: deliveryDate,
+      status: "planned",
+      note: String(payload.note || "").trim() || null,
+      created_by: actorProfile.user_id
+    }]
+  });
+  try{
+    await saveRunStops(rows[0].id, orders);
+  }catch(err){
+    await supabaseRequest(`/rest/v1/delivery_runs?id=eq.${rows[0].id}`, { method: "DELETE", serviceRole: true })
+      .catch((cleanupErr) => console.error("[delivery runs] rollback failed", cleanupErr));
+    throw err;
+  }
+  return await getDeliveryRun(rows[0].id);
+}
+
+// Replaces the stop list (and optionally rider, date and note). Delivered or
+// cancelled stops stay on the run as its history.
+async function updateDeliveryRun(id, payload, actorProfile){
+  const run = await getDeliveryRun(id);
+  if(run.status === "completed" || run.status === "cancelled") throw badRequest(`This run is already ${run.status}.`);
+  const patch = { updated_at: new Date().toISOString() };
+  if(payload.riderId !== undefined && payload.riderId !== run.rider?.userId){
+    if(run.status !== "planned") throw badRequest("The rider can't be changed once the run has started.");
+    patch.rider_id = (await getRider(payload.riderId)).user_id;
+  }
+  if(payload.deliveryDate !== undefined) patch.delivery_date = normalizeRunDate(payload.deliveryDate);
+  if(payload.note !== undefined) patch.note = String(payload.note || "").trim() || null;
+
+  if(payload.orderCodes !== undefined){
+    const orders = await resolveRunOrders(payload.orderCodes, run.id);
+    const keep = new Set(orders.map(o => o.order_code));
+    const removed = run.stops.filter(st => !keep.has(st.orderCode));
+    const locked = removed.find(st => st.status === "Delivered");
+    if(locked) throw badRequest(`Order ${locked.orderCode} was already delivered and can't be removed from the run.`);
+    if(removed.length){
+      const removedIds = (await resolveRunOrders(removed.map(st => st.orderCode), run.id)).map(o => o.id);
+      await supabaseRequest(`/rest/v1/delivery_run_stops?run_id=eq.${run.id}&order_id=in.${encodeURIComponent(`(${escapeCsvValues(removedIds)})`)}`, {
+        method: "DELETE",
+        serviceRole: true
+      });
+    }
+    await saveRunStops(run.id, orders);
+  }
+  await supabaseRequest(`/rest/v1/delivery_runs?id=eq.${run.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: patch
+  });
+  await completeDeliveryRunIfDone(null, run.id);
+  return await getDeliveryRun(run.id);
+}
+
+async function cancelDeliveryRun(id){
+  const run = await getDeliveryRun(id);
+  if(run.status !== "planned") throw badRequest("Only runs that haven't started can be cancelled. Remove the undelivered stops instead.");
+  const rows = await supabaseRequest(`/rest/v1/delivery_runs?id=eq.${run.id}&status=eq.planned`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: { status: "cancelled", updated_at: new Date().toISOString() }
+  });
+  if(!rows?.length){
+    const err = new Error("The rider has just started this run.");
+    err.status = 409;
+    throw err;
+  }
+  // Free the orders so they can go on another run.
+  await supabaseRequest(`/rest/v1/delivery_run_stops?run_id=eq.${run.id}`, { method: "DELETE", serviceRole: true });
+  return await getDeliveryRun(run.id);
+}
+
+// Pass either the order that just changed or the run itself.
+async function completeDeliveryRunIfDone(orderId, runId = null){
+  if(!runId){
+    const stop = await supabaseRequest(`/rest/v1/delivery_run_stops?select=run_id&order_id=eq.${orderId}&limit=1`, { serviceRole: true });
+    runId = stop?.[0]?.run_id;
+    if(!runId) return false;
+  }
+  const stops = await supabaseRequest(`/rest/v1/delivery_run_stops?select=order_id&run_id=eq.${runId}`, { serviceRole: true });
+  if(stops.length){
+    const orders = await supabaseRequest(
+      `/rest/v1/orders?select=status&id=in.${encodeURIComponent(`(${escapeCsvValues(stops.map(st => st.order_id))})`)}`,
+      { serviceRole: true }
+    );
+    if(orders.some(o => !DELIVERY_RUN_DONE_STATUSES.includes(o.status))) return false;
+  } else {
+    // Every stop failed and left the run.
+    const failed = await supabaseRequest(`/rest/v1/delivery_attempts?select=id&run_id=eq.${runId}&limit=1`, { serviceRole: true });
+    if(!failed.length) return false;
+  }
+  const now = new Date().toISOString();
+  const rows = await supabaseRequest(`/rest/v1/delivery_runs?id=eq.${runId}&status=in.(planned,in_progress)`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: { status: "completed", completed_at: now, updated_at: now }
+  });
+  return Boolean(rows?.length);
+}
+
+async function listRiderRuns(riderProfile){
+  return await loadDeliveryRuns(
+    `rider_id=eq.${riderProfile.user_id}&or=(status.in.(planned,in_progress),and(status.eq.completed,delivery_date.gte.${manilaToday()}))`
+  );
+}
+
+async function getRiderRun(id, riderProfile){
+  const run = await getDeliveryRun(id);
+  if(run.rider?.userId !== riderProfile.user_id){
+    const err = new Error("Delivery run not found.");
+    err.status = 404;
+    throw err;
+  }
+  return run;
+}
+
+// The rider leaves the warehouse: every stop still being prepared or waiting
+// for redelivery goes In Transit. A stop that can't move (e.g. an unapproved bank transfer) is
+// reported back rather than failing the whole run.
+async function startDeliveryRun(id, riderProfile){
+  const run = await getRiderRun(id, riderProfile);
+  if(run.status === "planned"){
+    const now = new Date().toISOString();
+    await supabaseRequest(`/rest/v1/delivery_runs?id=eq.${run.id}&status=eq.planned`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: { status: "in_progress", started_at: now, updated_at: now }
+    });
+  } else if(run.status !== "in_progress"){
+    throw badRequest(`This run is already ${run.status}.`);
+  }
+  const problems = [];
+  for(const stop of run.stops.filter(st => st.status === "Preparing" || st.status === "Delivery Failed")){
+    try{
+      await updateOrderStatus(stop.orderCode, "in_transit", riderProfile, { note: `Left the warehouse on delivery run ${run.runCode}.` });
+    }catch(err){
+      problems.push({ orderCode: stop.orderCode, error: err.message });
+    }
+  }
+  return { run: await getDeliveryRun(run.id), problems };
+}
+
+async function updateRiderStop(orderCode, payload, riderProfile){
+  const runs = await listRiderRuns(riderProfile);
+  const run = runs.find(r => r.status !== "completed" && r.stops.some(st => st.orderCode === orderCode));
+  if(!run){
+    const err = new Error("This order is not on one of your open runs.");
+    err.status = 404;
+    throw err;
+  }
+  if(run.status === "planned") throw badRequest("Start the run before updating stops.");
+  await updateOrderStatus(orderCode, payload.status, riderProfile, {
+    cashCollected: payload.cashCollected,
+    proof: payload.proof,
+    failedAttempt: payload.failedAttempt
+  });
+  return await getDeliveryRun(run.id);
+}
+
+async function supabasePasswordLogin(email, password){
+  if(!SUPABASE_URL || !SUPABASE_ANON_KEY){
+    throw new Error("Missing Supabase frontend keys in .env");
+  }
+  const res = await fetch(`${SUPABASE_URL}/auth/v1/token?grant_type=password`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      apikey: SUPABASE_ANON_KEY
+    },
+    body: JSON.stringify({ email, password })
+  });
+  const data = await res.json();
+  if(!res.ok){
+    throw new Error(data?.msg || data?.error_description || data?.error || "Login failed");
+  }
+  return data;
+}
+
+async function supabaseAdminRequest(pathname, { method="GET", body } = {}){
+  if(!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY){
+    throw new Error("Missing Supabase service role config in .env");
   }
   const res = await fetch(`${SUPABASE_URL}${pathname}`, {
     method,
@@ -522,7 +2224,9 @@ async function supabaseAuthUser(accessToken){
   });
   const data = await res.json();
   if(!res.ok){
-    throw new Error(data?.msg || data?.error_description || data?.error || "Invalid token");
+    const err = new Error(data?.msg || data?.error_description || data?.error || "Invalid token");
+    err.status = res.status >= 500 ? 502 : 401;
+    throw err;
   }
   return data;
 }
@@ -533,6 +2237,79 @@ function getBearerToken(req){
   return header.slice(7).trim();
 }
 
+// Server-Sent Events for the open customer and panel pages. Each connection
+// remembers its user and role; publishLiveEvent() writes to the ones the
+// event is meant for. This lives in one process, so a second server instance
+// would need its own fan-out.
+const LIVE_EVENT_PING_SECONDS = 25;
+const LIVE_EVENT_AUTH_CHECK_SECONDS = 60;
+const liveEvents = {
+  clients: new Set(),
+  published: 0
+};
+
+// The `exp` claim of a Supabase access token, in milliseconds.
+function tokenExpiresAt(token){
+  try{
+    const claims = JSON.parse(Buffer.from(String(token).split(".")[1], "base64url").toString("utf8"));
+    return Number(claims.exp) > 0 ? Number(claims.exp) * 1000 : null;
+  }catch{
+    return null;
+  }
+}
+
+function openLiveEventStream(req, res, { profile, token }){
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ role: profile.role })}\n\n`);
+  const client = { res, userId: profile.user_id, role: profile.role };
+  liveEvents.clients.add(client);
+  // Comment lines keep proxies from closing an idle stream.
+  const ping = setInterval(() => res.write(": ping\n\n"), LIVE_EVENT_PING_SECONDS * 1000);
+  // The token was only checked on connect. End the stream when it expires,
+  // and re-check it every minute so a signed-out session or a changed role
+  // stops receiving events; the browser reconnects with its current token.
+  const expiresAt = tokenExpiresAt(token);
+  const expiry = expiresAt ? setTimeout(() => res.end(), Math.min(Math.max(0, expiresAt - Date.now()), 2 ** 31 - 1)) : null;
+  const recheck = setInterval(async () => {
+    try{
+      const auth = await requireAuth(req, [], token);
+      if(auth.profile.user_id !== client.userId || auth.profile.role !== client.role) res.end();
+    }catch(err){
+      // Keep the stream through a Supabase outage; only a rejected session ends it.
+      if(err.status === 401 || err.status === 403) res.end();
+    }
+  }, LIVE_EVENT_AUTH_CHECK_SECONDS * 1000);
+  req.on("close", () => {
+    clearInterval(ping);
+    clearInterval(recheck);
+    clearTimeout(expiry);
+    liveEvents.clients.delete(client);
+  });
+}
+
+// `userId` is the customer the event is about; `roles` also receive it.
+function publishLiveEvent(type, data, { userId = null, roles = [] } = {}){
+  const frame = `event: ${type}\ndata: ${JSON.stringify({ ...data, at: new Date().toISOString() })}\n\n`;
+  liveEvents.published += 1;
+  for(const client of liveEvents.clients){
+    if(roles.includes(client.role) || (userId && client.userId === userId)) client.res.write(frame);
+  }
+}
+
+function publishOrderEvent(type, order, extra = {}){
+  publishLiveEvent(type, {
+    orderCode: order.order_code,
+    status: toUiStatus(order.status),
+    paymentStatus: order.payment_status || "",
+    ...extra
+  }, { userId: order.user_id, roles: ["admin", "staff"] });
+}
+
 async function getProfileByUserId(userId){
   const q = `/rest/v1/profiles?select=user_id,email,role,full_name,contact,address,created_at,updated_at&user_id=eq.${encodeURIComponent(userId)}&limit=1`;
   const rows = await supabaseRequest(q, { serviceRole: true });
@@ -606,6 +2383,7 @@ async function registerCustomerAccount(payload){
     throw err;
   }
 
+  notifyCustomer("welcome", { userId });
   const session = await supabasePasswordLogin(email, password);
   return {
     user: {
@@ -621,8 +2399,7 @@ async function registerCustomerAccount(payload){
   };
 }
 
-async function requireAuth(req, allowedRoles = []){
-  const token = getBearerToken(req);
+async function requireAuth(req, allowedRoles = [], token = getBearerToken(req)){
   if(!token){
     const err = new Error("Missing bearer token");
     err.status = 401;
@@ -651,6 +2428,28 @@ function isQrphMethod(method){
   return String(method || "").toUpperCase().includes("QRPH");
 }
 
+function isCodMethod(method){
+  const m = String(method || "").toUpperCase();
+  return m.includes("COD") || m.includes("CASH ON DELIVERY");
+}
+
+function isBankTransferMethod(method){
+  return String(method || "").toUpperCase().includes("BANK TRANSFER");
+}
+
+// QRPH and bank transfer must be paid before the order can be worked on;
+// COD is collected by the rider/staff at the door.
+function requiresPrepayment(method){
+  return isQrphMethod(method) || isBankTransferMethod(method);
+}
+
+function initialPaymentState(method){
+  if(isQrphMethod(method)) return { status: "pending_payment", paymentStatus: "pending", provider: "paymongo", note: "Order created. Awaiting QRPH payment." };
+  if(isBankTransferMethod(method)) return { status: "pending_payment", paymentStatus: "awaiting_proof", provider: "bank_transfer", note: "Order created. Awaiting bank transfer and proof of payment." };
+  if(isCodMethod(method)) return { status: "order_placed", paymentStatus: "cod_pending", provider: "cod", note: "Order created. Cash will be collected on delivery." };
+  return null;
+}
+
 function paymongoAuthHeader(){
   if(!PAYMONGO_SECRET_KEY || PAYMONGO_SECRET_KEY.includes("...")){
     throw new Error("PayMongo secret key is missing or placeholder.");
@@ -670,7 +2469,7 @@ async function paymongoCreateCheckoutSession({ orderCode, lineItems, successUrl,
       }
     }
   };
-  const res = await fetch("https://api.paymongo.com/v1/checkout_sessions", {
+  const res = await fetch(`${PAYMONGO_API_BASE}/v1/checkout_sessions`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
@@ -689,7 +2488,7 @@ async function paymongoRetrieveCheckoutSession(checkoutSessionId){
   if(!checkoutSessionId){
     throw new Error("Missing PayMongo checkout session id.");
   }
-  const res = await fetch(`https://api.paymongo.com/v1/checkout_sessions/${encodeURIComponent(checkoutSessionId)}`, {
+  const res = await fetch(`${PAYMONGO_API_BASE}/v1/checkout_sessions/${encodeURIComponent(checkoutSessionId)}`, {
     method: "GET",
     headers: {
       Authorization: paymongoAuthHeader()
@@ -702,6 +2501,34 @@ async function paymongoRetrieveCheckoutSession(checkoutSessionId){
   return data?.data || null;
 }
 
+const PAYMONGO_REFUND_REASONS = new Set(["duplicate", "fraudulent", "requested_by_customer", "others"]);
+
+async function paymongoCreateRefund({ paymentId, amount, reason, notes }){
+  const payload = {
+    data: {
+      attributes: {
+        amount: toCentavos(amount),
+        payment_id: paymentId,
+        reason,
+        ...(notes ? { notes } : {})
+      }
+    }
+  };
+  const res = await fetch(`${PAYMONGO_API_BASE}/v1/refunds`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: paymongoAuthHeader()
+    },
+    body: JSON.stringify(payload)
+  });
+  const data = await res.json();
+  if(!res.ok){
+    throw new Error(data?.errors?.[0]?.detail || data?.error || "Failed to create PayMongo refund");
+  }
+  return data?.data || null;
+}
+
 function parsePaymongoSignature(headerValue){
   const out = {};
   for(const part of String(headerValue || "").split(",")){
@@ -736,7 +2563,7 @@ async function listOrdersForUserId(userId){
   if(!userId) return [];
 
   const orders = await supabaseRequest(
-    `/rest/v1/orders?select=id,order_code,user_id,customer_name,contact,address,subtotal,delivery_fee,total,status,payment_status,payment_method,created_at&user_id=eq.${userId}&order=created_at.desc`,
+    `/rest/v1/orders?select=id,order_code,user_id,customer_name,contact,address,subtotal,discount,promo_code,reward_code,reward_discount,delivery_fee,total,delivery_date,delivery_slot,delivery_slot_label,delivery_window,delivery_attempts,last_failed_reason,status,payment_status,payment_method,created_at&user_id=eq.${userId}&order=created_at.desc`,
     { serviceRole: true }
   );
   if(!orders.length) return [];
@@ -773,6 +2600,7 @@ function uiStatusToDbStatus(status){
     "Preparing": "preparing",
     "In Transit": "in_transit",
     "Out for Delivery": "out_for_delivery",
+    "Delivery Failed": "delivery_failed",
     "Delivered": "delivered",
     "Cancelled": "cancelled",
     pending_payment: "pending_payment",
@@ -780,46 +2608,87 @@ function uiStatusToDbStatus(status){
     preparing: "preparing",
     in_transit: "in_transit",
     out_for_delivery: "out_for_delivery",
+    delivery_failed: "delivery_failed",
     delivered: "delivered",
     cancelled: "cancelled"
   };
   return map[String(status || "").trim()] || "";
 }
 
-async function createOrder(payload, authProfile){
-  const customerName = String(payload.customerName || "").trim();
-  const contact = String(payload.contact || "").trim();
-  const address = String(payload.address || "").trim();
-  const paymentMethod = String(payload.paymentMethod || "QRPH").trim();
-  const items = Array.isArray(payload.items) ? payload.items : [];
+// Allowed manual status transitions and the roles that may perform them.
+// pending_payment -> order_placed only happens through payment confirmation.
+const ORDER_STATUS_TRANSITIONS = {
+  pending_payment: { cancelled: ["admin", "staff", "system"] },
+  order_placed: { preparing: ["admin", "staff"], cancelled: ["admin", "staff"] },
+  preparing: { in_transit: ["admin", "staff", "rider"], cancelled: ["admin"] },
+  in_transit: { out_for_delivery: ["admin", "staff", "rider"], delivery_failed: ["admin", "staff", "rider"] },
+  out_for_delivery: { delivered: ["admin", "staff", "rider"], delivery_failed: ["admin", "staff", "rider"] },
+  delivery_failed: { in_transit: ["admin", "staff", "rider"], cancelled: ["admin", "staff", "system"] },
+  delivered: {},
+  cancelled: {}
+};
 
-  if(!authProfile?.user_id || !customerName || !contact || !address || !items.length){
-    throw new Error("Missing required order fields.");
-  }
+function allowedNextStatuses(order, role){
+  const transitions = ORDER_STATUS_TRANSITIONS[order?.status] || {};
+  const unpaidPrepaid =
+    requiresPrepayment(order?.payment_method) &&
+    String(order?.payment_status || "").toLowerCase() !== "paid";
+  return Object.entries(transitions)
+    .filter(([next, roles]) => roles.includes(role) && (!unpaidPrepaid || next === "cancelled"))
+    .map(([next]) => next);
+}
+
+function orderTransitionError(order, nextStatus, role){
+  const allowed = allowedNextStatuses(order, role);
+  const allowedText = allowed.length ? allowed.map(toUiStatus).join(", ") : "none";
+  const err = new Error(`Cannot move order from ${toUiStatus(order.status)} to ${toUiStatus(nextStatus)} as ${role}. Allowed next: ${allowedText}.`);
+  err.status = 409;
+  err.details = { currentStatus: toUiStatus(order.status), allowedNext: allowed.map(toUiStatus) };
+  return err;
+}
+
+function withAllowedTransitions(orders, role){
+  return orders.map(o => ({
+    ...o,
+    nextStatuses: allowedNextStatuses({ status: o.statusRaw, payment_status: o.paymentStatus, payment_method: o.paymentMethod }, role).map(toUiStatus)
+  }));
+}
 
+// Prices cart lines from the database. Problems are collected rather than
+// thrown so the cart quote can show them; createOrder() rejects on the first.
+async function priceCartItems(items){
   const skuQty = new Map();
   for(const item of items){
     const sku = String(item.productId || "").trim();
     const qty = Number(item.qty || 0);
-    if(!sku || qty <= 0) throw new Error("Invalid order item.");
+    if(!sku || !Number.isInteger(qty) || qty <= 0) throw badRequest("Invalid order item.");
     skuQty.set(sku, (skuQty.get(sku) || 0) + qty);
   }
 
   const products = await getProductsBySkus([...skuQty.keys()]);
-  if(products.length !== skuQty.size){
-    throw new Error("Some products were not found in Supabase.");
-  }
-
   const productBySku = new Map(products.map(p => [p.sku, p]));
   const itemRows = [];
+  const issues = [];
   let subtotal = 0;
+  let cases = 0;
   for(const [sku, qty] of skuQty.entries()){
     const p = productBySku.get(sku);
-    if(!p || !p.is_active) throw new Error(`${sku} is inactive.`);
-    if(Number(p.stock_cases) < qty) throw new Error(`${p.name} has insufficient stock.`);
+    if(!p){
+      issues.push({ productId: sku, problem: "not_found", message: `${sku} was not found.` });
+      continue;
+    }
+    if(!p.is_active){
+      issues.push({ productId: sku, problem: "inactive", message: `${sku} is inactive.` });
+      continue;
+    }
+    const available = Number(p.stock_cases) - Number(p.reserved_cases || 0);
+    if(available < qty){
+      issues.push({ productId: sku, problem: "insufficient_stock", availableCases: Math.max(0, available), message: `${p.name} has insufficient stock.` });
+    }
     const unitPrice = Number(p.price);
     const lineTotal = unitPrice * qty;
     subtotal += lineTotal;
+    cases += qty;
     itemRows.push({
       product_id: p.id,
       sku: p.sku,
@@ -832,49 +2701,593 @@ async function createOrder(payload, authProfile){
       line_total: lineTotal
     });
   }
+  return { itemRows, issues, subtotal, cases };
+}
 
-  const deliveryFee = subtotal >= 800 ? 0 : 60;
-  const total = subtotal + deliveryFee;
-  const orderCode = makeOrderCode();
+async function listFavoriteSkus(userId){
+  const rows = await supabaseRequest(`/rest/v1/favorites?select=sku&user_id=eq.${userId}&order=created_at.desc`, { serviceRole: true });
+  return rows.map(r => r.sku);
+}
 
-  const useQrph = isQrphMethod(paymentMethod);
-  const inserted = await supabaseRequest("/rest/v1/orders", {
-    method: "POST",
-    serviceRole: true,
-    headers: { Prefer: "return=representation" },
-    body: [{
-      order_code: orderCode,
-      user_id: authProfile.user_id,
-      customer_name: customerName,
-      contact,
-      address,
-      subtotal,
-      delivery_fee: deliveryFee,
-      total,
-      status: useQrph ? "pending_payment" : "order_placed",
-      payment_status: useQrph ? "pending" : "pending",
-      payment_provider: useQrph ? "paymongo" : null,
-      payment_method: paymentMethod
-    }]
+// Puts a past order's items back in the customer's cart at today's prices.
+// Lines are capped to what is in stock; anything that can't be added is
+// reported instead of failing the whole reorder.
+async function reorderToCart(orderCode, userId){
+  const order = await getOrderForUserId(orderCode, userId);
+  if(!order){
+    const err = new Error("Order not found.");
+    err.status = 404;
+    throw err;
+  }
+  const wanted = new Map();
+  for(const item of order.items) wanted.set(item.productId, (wanted.get(item.productId) || 0) + item.qty);
+  if(order.rewardCode){
+    // A free case from a loyalty reward is not something to buy again.
+    const rewards = await supabaseRequest(
+      `/rest/v1/reward_redemptions?select=type,sku,qty&code=eq.${encodeURIComponent(order.rewardCode)}&limit=1`,
+      { serviceRole: true }
+    );
+    const reward = rewards?.[0];
+    if(reward?.type === "free_item" && wanted.has(reward.sku)){
+      wanted.set(reward.sku, wanted.get(reward.sku) - Number(reward.qty || 1));
+    }
+  }
+
+  const [stored, products] = await Promise.all([
+    readStoredCart(userId),
+    getProductsBySkus([...wanted.keys()])
+  ]);
+  const bySku = new Map(products.map(p => [p.sku, p]));
+  const inCart = new Map(stored.map(i => [i.productId, i.qty]));
+  const added = [];
+  const skipped = [];
+  for(const [sku, qty] of wanted.entries()){
+    if(qty <= 0) continue;
+    const p = bySku.get(sku);
+    const name = p?.name || order.items.find(i => i.productId === sku)?.name || sku;
+    if(!p || !p.is_active){
+      skipped.push({ productId: sku, name, requested: qty, reason: "No longer available" });
+      continue;
+    }
+    const available = Math.max(0, Number(p.stock_cases) - Number(p.reserved_cases || 0) - (inCart.get(sku) || 0));
+    const take = Math.min(qty, available);
+    if(take <= 0){
+      skipped.push({ productId: sku, name, requested: qty, reason: "Out of stock" });
+      continue;
+    }
+    if(take < qty) skipped.push({ productId: sku, name, requested: qty, added: take, reason: `Only ${take} in stock` });
+    added.push({ productId: sku, name, qty: take });
+    inCart.set(sku, (inCart.get(sku) || 0) + take);
+  }
+
+  const cart = added.length
+    ? await saveCustomerCart(userId, [...stored.map(i => ({ productId: i.productId, qty: i.qty })), ...added])
+    : await repriceCart(stored);
+  return { orderCode: order.id, added, skipped, cart };
+}
+
+async function getFavorites(userId){
+  const skus = await listFavoriteSkus(userId);
+  const products = (await getProductsBySkus(skus)).map(toUiProduct);
+  const bySku = new Map(products.map(p => [p.id, p]));
+  return { favorites: skus, products: skus.map(sku => bySku.get(sku)).filter(Boolean) };
+}
+
+// Adding is idempotent (the primary key is user + SKU), so the shop's Save
+// button and the localStorage import can both just insert.
+async function addFavorites(userId, skus){
+  const clean = [...new Set((Array.isArray(skus) ? skus : []).map(sku => String(sku || "").trim()).filter(Boolean))];
+  if(!clean.length) return await getFavorites(userId);
+  const known = new Set((await getProductsBySkus(clean)).map(p => p.sku));
+  const rows = clean.filter(sku => known.has(sku)).map(sku => ({ user_id: userId, sku }));
+  if(rows.length){
+    await supabaseRequest("/rest/v1/favorites?on_conflict=user_id,sku", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "resolution=ignore-duplicates,return=minimal" },
+      body: rows
+    });
+  }
+  return await getFavorites(userId);
+}
+
+async function removeFavorite(userId, sku){
+  await supabaseRequest(`/rest/v1/favorites?user_id=eq.${userId}&sku=eq.${encodeURIComponent(sku)}`, { method: "DELETE", serviceRole: true });
+  return await getFavorites(userId);
+}
+
+async function getRecommendations(userId, limit){
+  const [orders, items, favorites, products] = await Promise.all([
+    supabaseRequest("/rest/v1/orders?select=id,user_id&status=neq.cancelled", { serviceRole: true }),
+    supabaseRequest("/rest/v1/order_items?select=order_id,sku", { serviceRole: true }),
+    listFavoriteSkus(userId),
+    listProducts()
+  ]);
+  const skusByOrder = new Map();
+  for(const item of items){
+    if(!skusByOrder.has(item.order_id)) skusByOrder.set(item.order_id, []);
+    skusByOrder.get(item.order_id).push(item.sku);
+  }
+  return rankRecommendations({
+    userId,
+    orders: orders.map(o => ({ id: o.id, user_id: o.user_id, skus: skusByOrder.get(o.id) || [] })),
+    favorites,
+    products,
+    limit: Math.min(Math.max(Number(limit) || 6, 1), 24)
   });
+}
 
-  const order = inserted[0];
+const CART_MAX_QTY = 999;
 
-  await supabaseRequest("/rest/v1/order_items", {
-    method: "POST",
-    serviceRole: true,
-    headers: { Prefer: "return=minimal" },
-    body: itemRows.map(row => ({ ...row, order_id: order.id }))
+function normalizeCartItems(items){
+  const bySku = new Map();
+  for(const item of Array.isArray(items) ? items : []){
+    const sku = String(item?.productId || "").trim();
+    const qty = Number(item?.qty || 0);
+    if(!sku || !Number.isInteger(qty) || qty <= 0) throw badRequest("Invalid cart item.");
+    bySku.set(sku, Math.min(CART_MAX_QTY, (bySku.get(sku) || 0) + qty));
+  }
+  return [...bySku.entries()].map(([productId, qty]) => ({ productId, qty }));
+}
+
+async function readStoredCart(userId){
+  const rows = await supabaseRequest(`/rest/v1/carts?select=items,updated_at&user_id=eq.${userId}&limit=1`, { serviceRole: true });
+  return Array.isArray(rows?.[0]?.items) ? rows[0].items : [];
+}
+
+// Every read reprices against the products table. Stored lines keep the price
+// the customer last saw, which is what the "price changed" notice compares to.
+async function repriceCart(stored){
+  const products = await getProductsBySkus(stored.map(i => i.productId));
+  const bySku = new Map(products.map(p => [p.sku, p]));
+  const items = stored.map(i => {
+    const p = bySku.get(i.productId);
+    if(!p){
+      return { productId: i.productId, qty: i.qty, name: i.name || i.productId, price: null, previousPrice: i.price ?? null, priceChanged: false, availableCases: 0, lineTotal: 0, issue: "not_found", message: "This product is no longer sold." };
+    }
+    const price = Number(p.price);
+    const available = Math.max(0, Number(p.stock_cases) - Number(p.reserved_cases || 0));
+    const previousPrice = i.price === null || i.price === undefined ? null : Number(i.price);
+    const line = {
+      productId: p.sku,
+      qty: i.qty,
+      name: p.name,
+      price,
+      previousPrice,
+      priceChanged: previousPrice !== null && previousPrice !== price,
+      availableCases: available,
+      lineTotal: price * i.qty,
+      issue: null,
+      message: ""
+    };
+    if(!p.is_active) Object.assign(line, { issue: "inactive", message: "This product is no longer available." });
+    else if(available <= 0) Object.assign(line, { issue: "out_of_stock", message: "Now out of stock." });
+    else if(available < i.qty) Object.assign(line, { issue: "insufficient_stock", message: `Only ${available} case${available === 1 ? "" : "s"} left.` });
+    else if(line.priceChanged){
+      line.message = `Price ${price > previousPrice ? "went up" : "dropped"} from PHP ${previousPrice.toLocaleString("en-PH")} to PHP ${price.toLocaleString("en-PH")}.`;
+    }
+    return line;
   });
+  return {
+    items,
+    count: items.reduce((sum, i) => sum + i.qty, 0),
+    subtotal: items.reduce((sum, i) => sum + i.lineTotal, 0),
+    hasIssues: items.some(i => i.issue)
+  };
+}
 
-  await supabaseRequest("/rest/v1/order_status_events", {
+async function getCustomerCart(userId){
+  return await repriceCart(await readStoredCart(userId));
+}
+
+// Lines whose quantity did not change keep their stored price, so a price
+// notice stays up until the customer touches that line.
+async function saveCustomerCart(userId, items){
+  const next = normalizeCartItems(items);
+  const [stored, products] = await Promise.all([
+    readStoredCart(userId),
+    getProductsBySkus(next.map(i => i.productId))
+  ]);
+  const storedBySku = new Map(stored.map(i => [i.productId, i]));
+  const bySku = new Map(products.map(p => [p.sku, p]));
+  const rows = next.map(i => {
+    const prev = storedBySku.get(i.productId);
+    const p = bySku.get(i.productId);
+    const keep = prev && prev.qty === i.qty;
+    return {
+      productId: i.productId,
+      qty: i.qty,
+      name: p?.name || prev?.name || i.productId,
+      price: keep ? prev.price ?? null : (p ? Number(p.price) : null)
+    };
+  });
+  await supabaseRequest("/rest/v1/carts?on_conflict=user_id", {
     method: "POST",
     serviceRole: true,
-    headers: { Prefer: "return=minimal" },
-    body: [{
+    headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+    body: [{ user_id: userId, items: rows, updated_at: new Date().toISOString() }]
+  });
+  return await repriceCart(rows);
+}
+
+// A guest cart from localStorage is added on top of the account's cart the
+// first time the customer signs in on that browser.
+async function mergeGuestCart(userId, guestItems){
+  const stored = await readStoredCart(userId);
+  return await saveCustomerCart(userId, [...stored.map(i => ({ productId: i.productId, qty: i.qty })), ...normalizeCartItems(guestItems)]);
+}
+
+async function getDeliveryFeeRules(){
+  const rows = await supabaseRequest("/rest/v1/delivery_fee_rules?select=rules,updated_at&id=eq.1&limit=1", { serviceRole: true });
+  return rows?.[0]?.rules || DEFAULT_DELIVERY_FEE_RULES;
+}
+
+async function saveDeliveryFeeRules(payload, actorProfile){
+  const rules = normalizeDeliveryFeeRules(payload);
+  await supabaseRequest("/rest/v1/delivery_fee_rules?on_conflict=id", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+    body: [{ id: 1, rules, updated_by: actorProfile.user_id, updated_at: new Date().toISOString() }]
+  });
+  return rules;
+}
+
+async function getDeliverySlotRules(){
+  const rows = await supabaseRequest("/rest/v1/delivery_slot_rules?select=rules,updated_at&id=eq.1&limit=1", { serviceRole: true });
+  return normalizeDeliverySlotRules(rows?.[0]?.rules || DEFAULT_DELIVERY_SLOT_RULES);
+}
+
+async function saveDeliverySlotRules(payload, actorProfile){
+  const rules = normalizeDeliverySlotRules(payload);
+  await supabaseRequest("/rest/v1/delivery_slot_rules?on_conflict=id", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+    body: [{ id: 1, rules, updated_by: actorProfile.user_id, updated_at: new Date().toISOString() }]
+  });
+  return rules;
+}
+
+// Booked orders per "date|slot". Cancelled orders don't count, so cancelling
+// frees the capacity without any extra bookkeeping.
+async function getSlotBookings(fromDate, toDate){
+  const rows = await supabaseRequest(
+    `/rest/v1/orders?select=id,delivery_date,delivery_slot,delivery_cases,created_at&delivery_date=gte.${fromDate}&delivery_date=lte.${toDate}&status=neq.cancelled&order=created_at.asc,id.asc`,
+    { serviceRole: true }
+  );
+  const bookings = new Map();
+  for(const row of rows || []){
+    if(!row.delivery_slot) continue;
+    const key = `${row.delivery_date}|${row.delivery_slot}`;
+    if(!bookings.has(key)) bookings.set(key, []);
+    bookings.get(key).push(row);
+  }
+  return bookings;
+}
+
+function slotUsage(bookings){
+  return {
+    orders: bookings.length,
+    cases: bookings.reduce((sum, b) => sum + Number(b.delivery_cases || 0), 0)
+  };
+}
+
+async function getDeliverySlotAvailability(cases = 0){
+  const rules = await getDeliverySlotRules();
+  const today = manilaToday();
+  const bookings = await getSlotBookings(today, addDays(today, rules.bookingDays));
+  const usage = new Map([...bookings.entries()].map(([key, rows]) => [key, slotUsage(rows)]));
+  return { cutoffMinutes: rules.cutoffMinutes, days: listSlotAvailability(rules, { usage, cases }) };
+}
+
+// Checks the requested slot before any stock is held. Returns null when no
+// slots are configured, so checkout works the same as before slots existed.
+async function resolveDeliverySlot(payload, cases){
+  const rules = await getDeliverySlotRules();
+  if(!rules.slots.length) return null;
+  const date = String(payload.deliveryDate || "").trim();
+  const slotId = String(payload.deliverySlot || "").trim();
+  if(!/^\d{4}-\d{2}-\d{2}$/.test(date) || !slotId) throw badRequest("Pick a delivery date and time slot.");
+  const slot = findSlot(rules, date, slotId);
+  if(!slot) throw badRequest("That delivery slot is not offered on the chosen day.");
+  const problem = slotBookingProblem(rules, date, slot);
+  if(problem) throw badRequest(problem);
+  const bookings = (await getSlotBookings(date, date)).get(`${date}|${slot.id}`) || [];
+  const full = slotCapacityProblem(slot, slotUsage(bookings), cases);
+  if(full){
+    const err = new Error(`${full} Please pick another slot.`);
+    err.status = 409;
+    throw err;
+  }
+  return { date, slot };
+}
+
+// Two checkouts can pass resolveDeliverySlot() for the last place at once.
+// After inserting, the bookings are replayed in creation order and an order
+// that lands past the capacity is deleted again.
+async function confirmSlotBooking(order, { date, slot }){
+  const bookings = (await getSlotBookings(date, date)).get(`${date}|${slot.id}`) || [];
+  const position = bookings.findIndex(b => b.id === order.id);
+  const ahead = bookings.slice(0, position < 0 ? bookings.length : position);
+  const full = slotCapacityProblem(slot, slotUsage(ahead), Number(order.delivery_cases || 0));
+  if(!full) return;
+  await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}`, { method: "DELETE", serviceRole: true });
+  const err = new Error(`${full} Please pick another slot.`);
+  err.status = 409;
+  throw err;
+}
+
+function slotColumns(date, slot){
+  return {
+    delivery_date: date,
+    delivery_slot: slot.id,
+    delivery_slot_label: slot.label,
+    delivery_window: `${slot.start}-${slot.end}`
+  };
+}
+
+// First slot after today with room for `cases`, for an order coming back from
+// a failed attempt. Null when slots are off or the booking window is full.
+async function findRedeliverySlot(cases){
+  const { days } = await getDeliverySlotAvailability(cases);
+  const today = manilaToday();
+  for(const day of days.filter(d => d.date > today)){
+    const slot = day.slots.find(sl => sl.available);
+    if(slot) return { date: day.date, slot };
+  }
+  return null;
+}
+
+// First slot on `date` with room for `cases`, for orders placed by the
+// subscription scheduler rather than a customer at checkout.
+async function firstOpenSlot(date, cases){
+  const rules = await getDeliverySlotRules();
+  if(!rules.slots.length) return null;
+  const bookings = await getSlotBookings(date, date);
+  const slot = rules.slots.find(s =>
+    findSlot(rules, date, s.id) &&
+    !slotBookingProblem(rules, date, s) &&
+    !slotCapacityProblem(s, slotUsage(bookings.get(`${date}|${s.id}`) || []), cases)
+  );
+  if(!slot) throw new Error(`No delivery slot on ${date} has room for this order.`);
+  return slot;
+}
+
+// Prices a checkout exactly as createOrder() will charge it: lines from the
+// database, then voucher, then loyalty reward, then delivery. Voucher and
+// reward problems come back as messages so the cart quote can show them.
+async function priceCheckout({ items, address, voucherCode, rewardCode, userId }){
+  let redemption = null;
+  let rewardMessage = "";
+  if(rewardCode){
+    if(!userId) rewardMessage = "Sign in to use a reward.";
+    else{
+      try{
+        redemption = await findIssuedReward(rewardCode, userId);
+      }catch(err){
+        if(err.status !== 400) throw err;
+        rewardMessage = err.message;
+      }
+    }
+  }
+  const freeItem = redemption?.type === "free_item" ? { productId: redemption.sku, qty: Number(redemption.qty || 1) } : null;
+  const priced = await priceCartItems(freeItem ? [...items, freeItem] : items);
+  const { itemRows, subtotal } = priced;
+
+  let voucher = null;
+  let promotion = null;
+  if(voucherCode){
+    // The voucher only sees what the customer is paying for, not the free case.
+    const paidLines = itemRows
+      .map(r => r.sku === freeItem?.productId ? { ...r, qty: r.qty - freeItem.qty, line_total: r.unit_price * (r.qty - freeItem.qty) } : r)
+      .filter(r => r.qty > 0);
+    const paidSubtotal = paidLines.reduce((sum, r) => sum + r.line_total, 0);
+    const result = await evaluateVoucher(voucherCode, { lines: paidLines, subtotal: paidSubtotal, userId });
+    voucher = { code: voucherCode, ok: result.ok, discount: result.discount, message: result.message };
+    if(result.ok) promotion = result.promotion;
+  }
+  const discount = voucher?.ok ? voucher.discount : 0;
+
+  let rewardDiscount = 0;
+  if(redemption?.type === "free_item"){
+    const line = itemRows.find(r => r.sku === redemption.sku);
+    rewardDiscount = line ? Math.min(Number(line.unit_price) * Number(redemption.qty || 1), subtotal - discount) : 0;
+  } else if(redemption?.type === "peso_off"){
+    rewardDiscount = Math.min(Number(redemption.amount || 0), subtotal - discount);
+  }
+  rewardDiscount = Math.max(0, Math.round(rewardDiscount * 100) / 100);
+
+  const delivery = quoteDeliveryFee(await getDeliveryFeeRules(), {
+    address: String(address || ""),
+    subtotal: subtotal - discount - rewardDiscount,
+    cases: priced.cases
+  });
+  const tier = userId ? (await getCustomerTier(userId)).tier : null;
+  if(tier?.freeDelivery && delivery.fee > 0 && !delivery.waived){
+    delivery.waived = `${tier.name} member free delivery`;
+  }
+  const deliveryFee = redemption?.type === "free_delivery" || tier?.freeDelivery ? 0 : delivery.fee;
+
+  const reward = rewardCode ? {
+    code: String(rewardCode).trim().toUpperCase(),
+    ok: Boolean(redemption),
+    name: redemption?.name || "",
+    type: redemption?.type || "",
+    discount: rewardDiscount,
+    message: redemption
+      ? (redemption.type === "free_delivery" ? `${redemption.name}: delivery fee waived` : `${redemption.name}: PHP ${rewardDiscount.toLocaleString("en-PH")} off`)
+      : rewardMessage
+  } : null;
+
+  return {
+    priced,
+    voucher,
+    promotion,
+    discount,
+    reward,
+    redemption,
+    rewardDiscount,
+    delivery,
+    deliveryFee,
+    total: subtotal - discount - rewardDiscount + deliveryFee
+  };
+}
+
+async function quoteCart(payload, authProfile){
+  const checkout = await priceCheckout({
+    items: Array.isArray(payload.items) ? payload.items : [],
+    address: payload.address,
+    voucherCode: normalizePromotionCode(payload.voucherCode),
+    rewardCode: String(payload.rewardCode || "").trim(),
+    userId: authProfile?.user_id
+  });
+  const { priced } = checkout;
+  return {
+    items: priced.itemRows.map(r => ({ productId: r.sku, name: r.name, price: r.unit_price, qty: r.qty, lineTotal: r.line_total })),
+    issues: priced.issues,
+    subtotal: priced.subtotal,
+    cases: priced.cases,
+    discount: checkout.discount,
+    voucher: checkout.voucher,
+    rewardDiscount: checkout.rewardDiscount,
+    reward: checkout.reward,
+    deliveryFee: checkout.deliveryFee,
+    total: checkout.total,
+    delivery: checkout.delivery
+  };
+}
+
+// PayMongo rejects negative line amounts, so when a voucher or reward applies
+// the items are sent as one net line named after the discount instead of per SKU.
+function paymongoLineItems({ itemRows, discount, discountLabel, deliveryFee }){
+  const lines = discount > 0
+    ? [{
+      currency: "PHP",
+      amount: toCentavos(itemRows.reduce((sum, it) => sum + Number(it.line_total), 0) - discount),
+      name: `Items (${itemRows.reduce((sum, it) => sum + it.qty, 0)} cases) less ${discountLabel} -PHP ${discount.toLocaleString("en-PH")}`,
+      quantity: 1
+    }]
+    : itemRows.map((it) => ({
+      currency: "PHP",
+      amount: toCentavos(it.unit_price),
+      name: it.name,
+      quantity: it.qty
+    }));
+  if(deliveryFee > 0){
+    lines.push({ currency: "PHP", amount: toCentavos(deliveryFee), name: "Delivery fee", quantity: 1 });
+  }
+  return lines;
+}
+
+async function createOrder(payload, authProfile){
+  const customerName = String(payload.customerName || "").trim();
+  const contact = String(payload.contact || "").trim();
+  const address = String(payload.address || "").trim();
+  const paymentMethod = String(payload.paymentMethod || "QRPH").trim();
+  const items = Array.isArray(payload.items) ? payload.items : [];
+
+  if(!authProfile?.user_id || !customerName || !contact || !address || !items.length){
+    throw new Error("Missing required order fields.");
+  }
+
+  const checkout = await priceCheckout({
+    items,
+    address,
+    voucherCode: normalizePromotionCode(payload.voucherCode),
+    rewardCode: String(payload.rewardCode || "").trim(),
+    userId: authProfile.user_id
+  });
+  const { priced, promotion, discount, redemption, rewardDiscount, delivery, deliveryFee, total } = checkout;
+  if(priced.issues.length){
+    const issue = priced.issues[0];
+    throw new Error(issue.problem === "not_found" ? "Some products were not found in Supabase." : issue.message);
+  }
+  if(checkout.voucher && !checkout.voucher.ok) throw badRequest(checkout.voucher.message);
+  if(checkout.reward && !checkout.reward.ok) throw badRequest(checkout.reward.message);
+  if(!delivery.serviceable || delivery.belowMinimum){
+    throw badRequest(delivery.message);
+  }
+  const { itemRows, subtotal } = priced;
+  const deliverySlot = await resolveDeliverySlot(payload, priced.cases);
+  const orderCode = makeOrderCode();
+
+  const useQrph = isQrphMethod(paymentMethod);
+  const paymentState = initialPaymentState(paymentMethod);
+  if(!paymentState){
+    throw badRequest("Payment method must be QRPH, Bank Transfer or Cash on Delivery (COD).");
+  }
+  if(redemption) await claimRewardRedemption(redemption);
+  let holds = [];
+  let inserted;
+  try{
+    holds = await reserveStockForItems(itemRows);
+    inserted = await supabaseRequest("/rest/v1/orders", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "return=representation" },
+      body: [{
+        order_code: orderCode,
+        user_id: authProfile.user_id,
+        customer_name: customerName,
+        contact,
+        address,
+        subtotal,
+        discount,
+        promo_code: promotion?.code || null,
+        reward_code: redemption?.code || null,
+        reward_discount: rewardDiscount,
+        delivery_fee: deliveryFee,
+        total,
+        delivery_date: deliverySlot?.date || null,
+        delivery_slot: deliverySlot?.slot.id || null,
+        delivery_slot_label: deliverySlot?.slot.label || null,
+        delivery_window: deliverySlot ? `${deliverySlot.slot.start}-${deliverySlot.slot.end}` : null,
+        delivery_cases: priced.cases,
+        status: paymentState.status,
+        payment_status: paymentState.paymentStatus,
+        payment_provider: paymentState.provider,
+        payment_method: paymentMethod
+      }]
+    });
+    if(deliverySlot) await confirmSlotBooking(inserted[0], deliverySlot);
+    await saveStockReservations(inserted[0].id, holds, reservationExpiry(paymentMethod));
+    if(promotion) await claimPromotionRedemption(inserted[0], promotion, discount);
+    if(redemption){
+      await supabaseRequest(`/rest/v1/reward_redemptions?id=eq.${redemption.id}`, {
+        method: "PATCH",
+        serviceRole: true,
+        headers: { Prefer: "return=minimal" },
+        body: { order_id: inserted[0].id }
+      });
+    }
+  }catch(err){
+    for(const h of holds){
+      await unholdStock(h.product_id, h.qty).catch((cleanupErr) => console.error("[reservations] rollback failed", cleanupErr));
+    }
+    if(redemption){
+      await releaseRewardRedemption(redemption.id).catch((cleanupErr) => console.error("[rewards] release failed", cleanupErr));
+    }
+    throw err;
+  }
+
+  const order = inserted[0];
+
+  await supabaseRequest("/rest/v1/order_items", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: itemRows.map(row => ({ ...row, order_id: order.id }))
+  });
+
+  await supabaseRequest("/rest/v1/order_status_events", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: [{
       order_id: order.id,
-      status: useQrph ? "pending_payment" : "order_placed",
-      note: useQrph ? "Order created. Awaiting QRPH payment." : "Order created from web checkout."
+      status: paymentState.status,
+      note: paymentState.note
     }]
   });
 
@@ -882,19 +3295,19 @@ async function createOrder(payload, authProfile){
     method: "POST",
     serviceRole: true,
     headers: { Prefer: "return=minimal" },
-    body: [{ order_id: order.id, provider: "paymongo", status: "pending", amount: total, currency: "PHP" }]
+    body: [{ order_id: order.id, provider: paymentState.provider, status: paymentState.paymentStatus, amount: total, currency: "PHP" }]
   });
 
   let checkoutUrl = null;
   if(useQrph){
     const checkout = await paymongoCreateCheckoutSession({
       orderCode: order.order_code,
-      lineItems: itemRows.map((it) => ({
-        currency: "PHP",
-        amount: toCentavos(it.unit_price),
-        name: it.name,
-        quantity: it.qty
-      })),
+      lineItems: paymongoLineItems({
+        itemRows,
+        discount: discount + rewardDiscount,
+        discountLabel: [promotion?.code, redemption?.code].filter(Boolean).join(" + "),
+        deliveryFee
+      }),
       successUrl: `${APP_BASE_URL}/customer/customer-orders.html?paid=${encodeURIComponent(order.order_code)}`,
       cancelUrl: `${APP_BASE_URL}/customer/customer-cart.html?cancelled=${encodeURIComponent(order.order_code)}`
     });
@@ -916,16 +3329,62 @@ async function createOrder(payload, authProfile){
     }
   }
 
+  publishOrderEvent("order-created", order);
   const uiOrder = await getOrderForUserId(order.order_code, authProfile.user_id);
   return { order: uiOrder, checkoutUrl };
 }
 
-async function updateOrderStatus(orderCode, nextStatusInput, actorProfile){
+const SYSTEM_ACTOR = { role: "system", user_id: null };
+
+async function getProofPolicy(){
+  const rows = await supabaseRequest("/rest/v1/delivery_proof_policy?select=rules,updated_at&id=eq.1&limit=1", { serviceRole: true });
+  return normalizeProofPolicy(rows?.[0]?.rules || DEFAULT_PROOF_POLICY);
+}
+
+async function saveProofPolicy(payload, actorProfile){
+  const rules = normalizeProofPolicy(payload);
+  await supabaseRequest("/rest/v1/delivery_proof_policy?on_conflict=id", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+    body: [{ id: 1, rules, updated_by: actorProfile.user_id, updated_at: new Date().toISOString() }]
+  });
+  return rules;
+}
+
+// Customers can only see proof for their own orders.
+async function getDeliveryProof(orderCode, authProfile){
+  const order = await findOrderByCode(orderCode);
+  if(!order || (authProfile.role === "customer" && order.user_id !== authProfile.user_id)){
+    const err = new Error("Order not found.");
+    err.status = 404;
+    throw err;
+  }
+  const rows = await supabaseRequest(
+    `/rest/v1/delivery_proofs?select=recipient_name,photo,signature,cash_collected,captured_by_role,created_at&order_id=eq.${order.id}&limit=1`,
+    { serviceRole: true }
+  );
+  const proof = rows?.[0];
+  if(!proof) return { orderCode: order.order_code, proof: null };
+  return {
+    orderCode: order.order_code,
+    proof: {
+      recipientName: proof.recipient_name || "",
+      photo: proof.photo || "",
+      signature: proof.signature || "",
+      cashCollected: proof.cash_collected === null ? null : Number(proof.cash_collected),
+      capturedBy: proof.captured_by_role,
+      capturedAt: proof.created_at
+    }
+  };
+}
+
+async function updateOrderStatus(orderCode, nextStatusInput, actorProfile, { note, cashCollected, proof: proofInput, failedAttempt: failedAttemptInput } = {}){
   const nextStatus = uiStatusToDbStatus(nextStatusInput);
   if(!nextStatus){
     throw new Error("Invalid status.");
   }
-  const rows = await supabaseRequest(`/rest/v1/orders?select=id,order_code,status,payment_status,payment_method,user_id&order_code=eq.${encodeURIComponent(orderCode)}&limit=1`, {
+  const rows = await supabaseRequest(`/rest/v1/orders?select=id,order_code,status,total,payment_status,payment_method,user_id,delivery_attempts,delivery_cases&order_code=eq.${encodeURIComponent(orderCode)}&limit=1`, {
     serviceRole: true
   });
   const order = rows?.[0];
@@ -940,14 +3399,77 @@ async function updateOrderStatus(orderCode, nextStatusInput, actorProfile){
     err.status = 409;
     throw err;
   }
+  if(isBankTransferMethod(order.payment_method) && String(order.payment_status || "").toLowerCase() !== "paid" && nextStatus !== "cancelled"){
+    const err = new Error("Cannot move bank transfer order status until the transfer is approved.");
+    err.status = 409;
+    throw err;
+  }
+  if(!allowedNextStatuses(order, actorProfile.role).includes(nextStatus)){
+    throw orderTransitionError(order, nextStatus, actorProfile.role);
+  }
+  const collectCod = nextStatus === "delivered" && isCodMethod(order.payment_method) && order.payment_status !== "paid";
+  let collectedAmount = Number(order.total || 0);
+  if(collectCod && cashCollected !== undefined && cashCollected !== null && cashCollected !== ""){
+    collectedAmount = Number(cashCollected);
+    if(!Number.isFinite(collectedAmount) || collectedAmount < Number(order.total || 0)){
+      throw badRequest(`Collect the full PHP ${Number(order.total || 0).toLocaleString("en-PH")} before marking this COD order delivered.`);
+    }
+  }
+  const statusPatch = { status: nextStatus };
+  let failedAttempt = null;
+  if(nextStatus === "delivery_failed"){
+    failedAttempt = { ...normalizeFailedAttempt(failedAttemptInput), attemptNo: Number(order.delivery_attempts || 0) + 1 };
+    statusPatch.delivery_attempts = failedAttempt.attemptNo;
+    statusPatch.last_failed_reason = failedAttempt.reason;
+  }
+  if(nextStatus === "delivered"){
+    const proof = normalizeProof(proofInput);
+    const problem = proofProblem(await getProofPolicy(), proof, { isCod: isCodMethod(order.payment_method) });
+    if(problem) throw badRequest(problem);
+    // Saved before the status change; if the change loses a race the next
+    // attempt overwrites this row.
+    await supabaseRequest("/rest/v1/delivery_proofs?on_conflict=order_id", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+      body: [{
+        order_id: order.id,
+        recipient_name: proof.recipientName || null,
+        photo: proof.photo || null,
+        signature: proof.signature || null,
+        cash_collected: collectCod ? collectedAmount : null,
+        captured_by: actorProfile.user_id,
+        captured_by_role: actorProfile.role,
+        created_at: new Date().toISOString()
+      }]
+    });
+  }
 
-  const updatedRows = await supabaseRequest(`/rest/v1/orders?order_code=eq.${encodeURIComponent(orderCode)}`, {
+  // Only update if the status is still the one we validated against, so two
+  // people clicking at once cannot both apply a transition (or a cancellation
+  // reverse stock and payments twice).
+  const updatedRows = await supabaseRequest(`/rest/v1/orders?order_code=eq.${encodeURIComponent(orderCode)}&status=eq.${order.status}`, {
     method: "PATCH",
     serviceRole: true,
     headers: { Prefer: "return=representation" },
-    body: { status: nextStatus }
+    body: statusPatch
   });
   const updated = updatedRows?.[0];
+  if(!updated){
+    const err = new Error("Order status was changed by someone else. Refresh and try again.");
+    err.status = 409;
+    throw err;
+  }
+  if(nextStatus === "cancelled"){
+    await reverseOrderForCancellation(order, actorProfile);
+  }
+  if(collectCod){
+    await confirmOrderPayment(order, {
+      actorProfile,
+      paymentPatch: { collected_amount: collectedAmount, collected_by: actorProfile.user_id },
+      note: `Cash on delivery collected: PHP ${collectedAmount.toLocaleString("en-PH")} by ${actorProfile.role}.`
+    });
+  }
   await supabaseRequest("/rest/v1/order_status_events", {
     method: "POST",
     serviceRole: true,
@@ -955,15 +3477,676 @@ async function updateOrderStatus(orderCode, nextStatusInput, actorProfile){
     body: [{
       order_id: order.id,
       status: nextStatus,
-      note: `Status updated to ${toUiStatus(nextStatus)} by ${actorProfile.role}.`,
+      note: note || (failedAttempt
+        ? `Delivery attempt ${failedAttempt.attemptNo} of ${DELIVERY_MAX_ATTEMPTS} failed: ${failedAttemptText(failedAttempt)}.`
+        : `Status updated to ${toUiStatus(nextStatus)} by ${actorProfile.role}.`),
       changed_by: actorProfile.user_id
     }]
   });
+  publishOrderEvent("status-changed", updated, { previousStatus: toUiStatus(order.status) });
+  // An unpaid QRPH checkout that lapses was never a confirmed order, so its
+  // cancellation isn't worth a message.
+  if(STATUS_NOTIFICATIONS.includes(nextStatus) && !(nextStatus === "cancelled" && order.status === "pending_payment")){
+    notifyCustomer(nextStatus, {
+      orderCode: order.order_code,
+      data: {
+        reason: failedAttempt ? FAILED_DELIVERY_REASONS[failedAttempt.reason] : "",
+        codNote: isCodMethod(order.payment_method) && order.payment_status !== "paid"
+          ? ` (COD: please prepare PHP ${Number(order.total || 0).toLocaleString("en-PH")})`
+          : "",
+        refundNote: order.payment_status === "paid" ? " Your payment will be refunded." : ""
+      }
+    });
+  }
+  if(nextStatus === "delivered"){
+    // The delivery already stands; a failed award is picked up again by
+    // awardMissedPoints() the next time the customer's points are read.
+    await awardPointsForOrder(order).catch((err) => console.error("[points] award failed", order.order_code, err));
+  }
+  if(failedAttempt){
+    await handleFailedDelivery(order, failedAttempt, actorProfile).catch((err) => console.error("[delivery attempts] requeue failed", err));
+  }
+  if(nextStatus === "delivered" || nextStatus === "cancelled"){
+    await completeDeliveryRunIfDone(order.id).catch((err) => console.error("[delivery runs] completion check failed", err));
+  }
   return updated;
 }
 
+// After a failed attempt: log it, take the order off its run so it can join the
+// next one, then either book the next open slot or, once the cap is reached,
+// cancel the order so its stock goes back.
+async function handleFailedDelivery(order, attempt, actorProfile){
+  const stop = await supabaseRequest(`/rest/v1/delivery_run_stops?select=run_id&order_id=eq.${order.id}&limit=1`, { serviceRole: true });
+  const runId = stop?.[0]?.run_id || null;
+  await supabaseRequest("/rest/v1/delivery_attempts", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: [{
+      order_id: order.id,
+      attempt_no: attempt.attemptNo,
+      reason: attempt.reason,
+      note: attempt.note || null,
+      run_id: runId,
+      recorded_by: actorProfile.user_id,
+      recorded_by_role: actorProfile.role
+    }]
+  });
+  if(runId){
+    await supabaseRequest(`/rest/v1/delivery_run_stops?order_id=eq.${order.id}`, { method: "DELETE", serviceRole: true });
+    await completeDeliveryRunIfDone(order.id, runId).catch((err) => console.error("[delivery runs] completion check failed", err));
+  }
+
+  if(attempt.attemptNo >= DELIVERY_MAX_ATTEMPTS){
+    await updateOrderStatus(order.order_code, "cancelled", SYSTEM_ACTOR, {
+      note: `Cancelled after ${attempt.attemptNo} failed delivery attempts.`
+    });
+    return;
+  }
+  const booking = await findRedeliverySlot(Number(order.delivery_cases || 0));
+  await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}&status=eq.delivery_failed`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: booking
+      ? slotColumns(booking.date, booking.slot)
+      : { delivery_date: null, delivery_slot: null, delivery_slot_label: null, delivery_window: null }
+  });
+  await supabaseRequest("/rest/v1/order_status_events", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: [{
+      order_id: order.id,
+      status: "delivery_failed",
+      note: booking
+        ? `Redelivery booked for ${booking.date}, ${booking.slot.label} (${booking.slot.start}-${booking.slot.end}). You can pick another slot from your order page.`
+        : "We will contact you to arrange a new delivery time."
+    }]
+  });
+  publishOrderEvent("status-changed", { ...order, status: "delivery_failed" });
+}
+
+// Lets the customer move a failed delivery to another open slot, as long as
+// staff haven't already put it on a new run.
+async function rescheduleFailedDelivery(orderCode, payload, authProfile){
+  const rows = await supabaseRequest(
+    `/rest/v1/orders?select=id,order_code,user_id,status,delivery_date,delivery_slot,delivery_slot_label,delivery_window,delivery_cases&order_code=eq.${encodeURIComponent(orderCode)}&limit=1`,
+    { serviceRole: true }
+  );
+  const order = rows?.[0];
+  if(!order || (authProfile.role === "customer" && order.user_id !== authProfile.user_id)){
+    const err = new Error("Order not found.");
+    err.status = 404;
+    throw err;
+  }
+  if(order.status !== "delivery_failed") throw badRequest("Only orders waiting for redelivery can be rescheduled.");
+  const stop = await supabaseRequest(`/rest/v1/delivery_run_stops?select=run_id&order_id=eq.${order.id}&limit=1`, { serviceRole: true });
+  if(stop?.length){
+    const err = new Error("This order is already on a delivery run. Contact us to change the time.");
+    err.status = 409;
+    throw err;
+  }
+  const cases = Number(order.delivery_cases || 0);
+  const booking = await resolveDeliverySlot(payload, cases);
+  if(!booking) throw badRequest("Delivery slots are not in use. Contact us to arrange a new delivery time.");
+  if(booking.date !== order.delivery_date || booking.slot.id !== order.delivery_slot){
+    const updated = await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}&status=eq.delivery_failed`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=representation" },
+      body: slotColumns(booking.date, booking.slot)
+    });
+    if(!updated?.length){
+      const err = new Error("Order status was changed by someone else. Refresh and try again.");
+      err.status = 409;
+      throw err;
+    }
+    // Same race as confirmSlotBooking(), but the order already exists, so
+    // losing it puts the old slot back instead of deleting anything.
+    const others = ((await getSlotBookings(booking.date, booking.date)).get(`${booking.date}|${booking.slot.id}`) || []).filter(b => b.id !== order.id);
+    const full = slotCapacityProblem(booking.slot, slotUsage(others), cases);
+    if(full){
+      await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}`, {
+        method: "PATCH",
+        serviceRole: true,
+        headers: { Prefer: "return=minimal" },
+        body: {
+          delivery_date: order.delivery_date,
+          delivery_slot: order.delivery_slot,
+          delivery_slot_label: order.delivery_slot_label,
+          delivery_window: order.delivery_window
+        }
+      });
+      const err = new Error(`${full} Please pick another slot.`);
+      err.status = 409;
+      throw err;
+    }
+    await supabaseRequest("/rest/v1/order_status_events", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: [{
+        order_id: order.id,
+        status: "delivery_failed",
+        note: `Redelivery moved to ${booking.date}, ${booking.slot.label} (${booking.slot.start}-${booking.slot.end}) by ${authProfile.role}.`,
+        changed_by: authProfile.user_id
+      }]
+    });
+    publishOrderEvent("status-changed", updated[0]);
+  }
+  return await getOrderForUserId(order.order_code, order.user_id);
+}
+
+// Marks a COD or bank transfer order paid and turns its stock holds into sales.
+// The payment_status filter makes this a one-shot even under double clicks.
+async function confirmOrderPayment(order, { actorProfile, paymentPatch = {}, orderPatch = {}, note }){
+  const updated = await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}&payment_status=neq.paid`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: { payment_status: "paid", paid_at: new Date().toISOString(), ...orderPatch }
+  });
+  if(!updated?.length) return false;
+  await supabaseRequest(`/rest/v1/payments?order_id=eq.${order.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: { status: "paid", ...paymentPatch }
+  });
+  const { shortages } = await deductStockForOrder(order.id);
+  const events = [{ order_id: order.id, status: updated[0].status, note, changed_by: actorProfile?.user_id || null }];
+  if(shortages.length){
+    events.push({
+      order_id: order.id,
+      status: updated[0].status,
+      note: `Stock short when payment was confirmed: ${shortages.map(s => `${s.name} (${s.short} cases)`).join(", ")}.`
+    });
+  }
+  await supabaseRequest("/rest/v1/order_status_events", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: events
+  });
+  publishOrderEvent("payment-confirmed", updated[0]);
+  // COD is confirmed at the door; the Delivered message covers it.
+  if(!isCodMethod(order.payment_method)) notifyCustomer("payment_confirmed", { orderCode: order.order_code });
+  return true;
+}
+
+async function findOrderForPaymentReview(orderCode){
+  const rows = await supabaseRequest(
+    `/rest/v1/orders?select=id,order_code,user_id,status,total,payment_status,payment_method&order_code=eq.${encodeURIComponent(orderCode)}&limit=1`,
+    { serviceRole: true }
+  );
+  const order = rows?.[0];
+  if(!order){
+    const err = new Error("Order not found.");
+    err.status = 404;
+    throw err;
+  }
+  if(!isBankTransferMethod(order.payment_method)){
+    const err = new Error("This order is not paid by bank transfer.");
+    err.status = 409;
+    throw err;
+  }
+  return order;
+}
+
+async function submitBankTransferProof(orderCode, payload, authProfile){
+  const order = await findOrderForPaymentReview(orderCode);
+  if(order.user_id !== authProfile.user_id){
+    const err = new Error("Order not found.");
+    err.status = 404;
+    throw err;
+  }
+  if(order.status === "cancelled" || !["awaiting_proof", "proof_rejected", "proof_submitted"].includes(order.payment_status)){
+    const err = new Error("Proof of payment can no longer be changed for this order.");
+    err.status = 409;
+    throw err;
+  }
+  const reference = String(payload.reference || "").trim();
+  const proofImage = String(payload.proofImage || "").trim();
+  if(!reference || reference.length > 80){
+    throw badRequest("Enter the bank transfer reference number (up to 80 characters).");
+  }
+  if(proofImage && !/^data:image\/(png|jpe?g);base64,/i.test(proofImage)){
+    throw badRequest("Proof image must be a PNG or JPG upload.");
+  }
+  await supabaseRequest(`/rest/v1/payments?order_id=eq.${order.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: {
+      status: "proof_submitted",
+      proof_reference: reference,
+      proof_image: proofImage || null,
+      proof_submitted_at: new Date().toISOString(),
+      reviewed_by: null,
+      reviewed_at: null,
+      review_note: null
+    }
+  });
+  await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: { payment_status: "proof_submitted" }
+  });
+  await supabaseRequest("/rest/v1/order_status_events", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: [{ order_id: order.id, status: order.status, note: `Bank transfer proof submitted (ref ${reference}). Awaiting admin review.`, changed_by: authProfile.user_id }]
+  });
+  return await getOrderForUserId(order.order_code, order.user_id);
+}
+
+async function getBankTransferProof(orderCode){
+  const order = await findOrderForPaymentReview(orderCode);
+  const rows = await supabaseRequest(
+    `/rest/v1/payments?select=status,amount,proof_reference,proof_image,proof_submitted_at,reviewed_at,review_note&order_id=eq.${order.id}&limit=1`,
+    { serviceRole: true }
+  );
+  const payment = rows?.[0] || {};
+  return {
+    orderCode: order.order_code,
+    total: Number(order.total || 0),
+    paymentStatus: order.payment_status,
+    reference: payment.proof_reference || "",
+    proofImage: payment.proof_image || "",
+    submittedAt: payment.proof_submitted_at || null,
+    reviewedAt: payment.reviewed_at || null,
+    reviewNote: payment.review_note || ""
+  };
+}
+
+async function reviewBankTransfer(orderCode, payload, actorProfile){
+  const order = await findOrderForPaymentReview(orderCode);
+  const decision = String(payload.decision || "").trim().toLowerCase();
+  const note = String(payload.note || "").trim().slice(0, 240);
+  if(order.payment_status !== "proof_submitted"){
+    const err = new Error("There is no submitted proof waiting for review on this order.");
+    err.status = 409;
+    throw err;
+  }
+  const reviewFields = { reviewed_by: actorProfile.user_id, reviewed_at: new Date().toISOString(), review_note: note || null };
+  if(decision === "approve"){
+    await confirmOrderPayment(order, {
+      actorProfile,
+      paymentPatch: reviewFields,
+      orderPatch: order.status === "pending_payment" ? { status: "order_placed" } : {},
+      note: `Bank transfer approved by ${actorProfile.role}.${note ? ` ${note}` : ""}`
+    });
+  } else if(decision === "reject"){
+    if(!note) throw badRequest("Give the customer a reason when rejecting a transfer.");
+    await supabaseRequest(`/rest/v1/payments?order_id=eq.${order.id}`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: { status: "proof_rejected", ...reviewFields }
+    });
+    await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: { payment_status: "proof_rejected" }
+    });
+    await supabaseRequest("/rest/v1/order_status_events", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: [{ order_id: order.id, status: order.status, note: `Bank transfer proof rejected: ${note}`, changed_by: actorProfile.user_id }]
+    });
+  } else {
+    throw badRequest("Decision must be approve or reject.");
+  }
+  return await getBankTransferProof(orderCode);
+}
+
+async function returnSoldStockForOrder(orderId, actorUserId){
+  const movements = await supabaseRequest(
+    `/rest/v1/stock_movements?select=product_id,movement_type,qty_delta&order_id=eq.${orderId}`,
+    { serviceRole: true }
+  );
+  const outstanding = new Map();
+  for(const m of movements || []){
+    if(m.movement_type !== "sale" && m.movement_type !== "cancellation_return") continue;
+    outstanding.set(m.product_id, (outstanding.get(m.product_id) || 0) - Number(m.qty_delta || 0));
+  }
+  const returned = [];
+  for(const [productId, qty] of outstanding){
+    if(qty <= 0) continue;
+    const movement = await recordStockMovement({
+      productId,
+      type: "cancellation_return",
+      qty,
+      orderId,
+      reason: "Returned to stock on order cancellation",
+      actorUserId
+    });
+    if(movement) returned.push({ productId, qty: Number(movement.qty_delta || 0) });
+  }
+  return returned;
+}
+
+const VOIDABLE_PAYMENT_STATUSES = ["pending", "cod_pending", "awaiting_proof", "proof_submitted", "proof_rejected"];
+
+async function reverseOrderForCancellation(order, actorProfile){
+  const released = await releaseStockReservations(order.id);
+  const returned = await returnSoldStockForOrder(order.id, actorProfile?.user_id);
+
+  const paymentRows = await supabaseRequest(`/rest/v1/payments?select=id,status,amount&order_id=eq.${order.id}`, { serviceRole: true });
+  const payment = paymentRows?.[0] || null;
+  const wasPaid = String(order.payment_status || payment?.status || "").toLowerCase() === "paid";
+  const nextPaymentStatus = wasPaid ? "refund_pending" : "voided";
+  const paymentChanged = ["paid", ...VOIDABLE_PAYMENT_STATUSES].includes(String(order.payment_status || "").toLowerCase());
+  if(paymentChanged){
+    // Filtered like the payments row below, so a payment the webhook has just
+    // flagged for refund isn't overwritten with voided.
+    await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}&payment_status=in.(paid,${VOIDABLE_PAYMENT_STATUSES.join(",")})`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: { payment_status: nextPaymentStatus }
+    });
+    await supabaseRequest(`/rest/v1/payments?order_id=eq.${order.id}&status=in.(paid,${VOIDABLE_PAYMENT_STATUSES.join(",")})`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: { status: nextPaymentStatus }
+    });
+  }
+
+  const reversedPoints = await reversePointsForOrder(order.id);
+  const voidedRedemptions = await supabaseRequest(`/rest/v1/promotion_redemptions?order_id=eq.${order.id}&status=eq.applied`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: { status: "voided" }
+  });
+  const releasedRewards = await supabaseRequest(`/rest/v1/reward_redemptions?order_id=eq.${order.id}&status=eq.used`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: { status: "issued", used_at: null, order_id: null }
+  });
+
+  const products = [...new Set([...released.map(r => r.product_id), ...returned.map(r => r.productId)])];
+  const productRows = products.length
+    ? await supabaseRequest(`/rest/v1/products?select=id,name&id=in.${encodeURIComponent(`(${escapeCsvValues(products)})`)}`, { serviceRole: true })
+    : [];
+  const nameById = new Map(productRows.map(p => [p.id, p.name]));
+  const parts = [];
+  if(returned.length){
+    parts.push(`returned to stock: ${returned.map(r => `${nameById.get(r.productId) || "item"} x${r.qty}`).join(", ")}`);
+  }
+  if(released.length){
+    parts.push(`released holds: ${released.map(r => `${nameById.get(r.product_id) || "item"} x${r.qty}`).join(", ")}`);
+  }
+  if(paymentChanged){
+    parts.push(wasPaid
+      ? `payment of PHP ${Number(payment?.amount || 0).toLocaleString("en-PH")} marked refund pending`
+      : "pending payment voided");
+  }
+  if(voidedRedemptions?.length){
+    parts.push(`voucher ${voidedRedemptions[0].code} released`);
+  }
+  if(releasedRewards?.length){
+    parts.push(`reward ${releasedRewards[0].code} returned to the customer`);
+  }
+  if(reversedPoints.length){
+    parts.push(`${-reversedPoints[0].points} loyalty points reversed`);
+  }
+  if(!parts.length) return null;
+
+  const note = `Cancellation reversal - ${parts.join("; ")}.`;
+  await supabaseRequest("/rest/v1/order_status_events", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: [{
+      order_id: order.id,
+      status: "cancelled",
+      note,
+      changed_by: actorProfile?.user_id || null
+    }]
+  });
+  return { released, returned, paymentStatus: paymentChanged ? nextPaymentStatus : order.payment_status };
+}
+
+const REFUNDABLE_PAYMENT_STATUSES = new Set(["paid", "refund_pending", "partially_refunded"]);
+
+async function getOrderRefundState(orderCode){
+  const rows = await supabaseRequest(
+    `/rest/v1/orders?select=id,order_code,status,subtotal,discount,reward_discount,total,delivery_fee,payment_status,paymongo_payment_id&order_code=eq.${encodeURIComponent(orderCode)}&limit=1`,
+    { serviceRole: true }
+  );
+  const order = rows?.[0];
+  if(!order){
+    const err = new Error("Order not found.");
+    err.status = 404;
+    throw err;
+  }
+  const [items, refunds] = await Promise.all([
+    supabaseRequest(`/rest/v1/order_items?select=sku,name,unit_price,qty&order_id=eq.${order.id}&order=created_at.asc`, { serviceRole: true }),
+    supabaseRequest(`/rest/v1/refunds?select=id,paymongo_refund_id,amount,reason,notes,items,status,failure_reason,created_at,updated_at&order_id=eq.${order.id}&order=created_at.asc`, { serviceRole: true })
+  ]);
+  const liveRefunds = refunds.filter(r => r.status !== "failed");
+  const refundedQty = new Map();
+  for(const r of liveRefunds){
+    for(const it of r.items || []){
+      refundedQty.set(it.sku, (refundedQty.get(it.sku) || 0) + Number(it.qty || 0));
+    }
+  }
+  const refundedAmount = liveRefunds.reduce((sum, r) => sum + Number(r.amount || 0), 0);
+  // Item refunds give back what was paid per case, i.e. net of any voucher.
+  const paidShare = Number(order.subtotal || 0) > 0
+    ? (Number(order.subtotal) - Number(order.discount || 0) - Number(order.reward_discount || 0)) / Number(order.subtotal)
+    : 1;
+  return {
+    order,
+    refunds: refunds.map(r => ({
+      id: r.id,
+      paymongoRefundId: r.paymongo_refund_id,
+      amount: Number(r.amount || 0),
+      reason: r.reason,
+      notes: r.notes || "",
+      items: r.items || [],
+      status: r.status,
+      failureReason: r.failure_reason || "",
+      createdAt: r.created_at
+    })),
+    refundable: items.map(it => ({
+      sku: it.sku,
+      name: it.name,
+      unitPrice: Math.round(Number(it.unit_price || 0) * paidShare * 100) / 100,
+      qty: Number(it.qty || 0),
+      refundedQty: refundedQty.get(it.sku) || 0
+    })),
+    refundedAmount,
+    refundableAmount: Math.max(0, Number(order.total || 0) - refundedAmount)
+  };
+}
+
+async function syncOrderRefundStatus(orderId){
+  const [orders, refunds] = await Promise.all([
+    supabaseRequest(`/rest/v1/orders?select=id,total,payment_status&id=eq.${orderId}&limit=1`, { serviceRole: true }),
+    supabaseRequest(`/rest/v1/refunds?select=id,amount,status&order_id=eq.${orderId}`, { serviceRole: true })
+  ]);
+  const order = orders?.[0];
+  if(!order || !refunds.length) return order?.payment_status || null;
+  await reversePointsForOrder(orderId, { refunds: refunds.filter(r => r.status === "succeeded") });
+  const succeeded = refunds.filter(r => r.status === "succeeded").reduce((sum, r) => sum + Number(r.amount || 0), 0);
+  const pending = refunds.some(r => r.status === "pending");
+  let next = order.payment_status;
+  if(pending) next = "refund_pending";
+  else if(succeeded >= Number(order.total || 0) - 0.005) next = "refunded";
+  else if(succeeded > 0) next = "partially_refunded";
+  if(next !== order.payment_status){
+    await supabaseRequest(`/rest/v1/orders?id=eq.${orderId}`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: { payment_status: next }
+    });
+    await supabaseRequest(`/rest/v1/payments?order_id=eq.${orderId}`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: { status: next }
+    });
+  }
+  return next;
+}
+
+async function refundOrder(orderCode, payload, actorProfile){
+  const state = await getOrderRefundState(orderCode);
+  const { order } = state;
+  if(!order.paymongo_payment_id){
+    const err = new Error("This order has no PayMongo payment to refund.");
+    err.status = 409;
+    throw err;
+  }
+  if(!REFUNDABLE_PAYMENT_STATUSES.has(String(order.payment_status || "").toLowerCase())){
+    const err = new Error(`Orders with payment status "${order.payment_status}" cannot be refunded.`);
+    err.status = 409;
+    throw err;
+  }
+
+  const reason = String(payload.reason || "requested_by_customer").trim();
+  if(!PAYMONGO_REFUND_REASONS.has(reason)){
+    throw badRequest("Reason must be duplicate, fraudulent, requested_by_customer or others.");
+  }
+  const notes = String(payload.notes || "").trim().slice(0, 240);
+
+  let refundItems = [];
+  let amount = 0;
+  const requested = Array.isArray(payload.items) ? payload.items.filter(it => Number(it.qty || 0) > 0) : [];
+  if(requested.length){
+    const bySku = new Map(state.refundable.map(it => [it.sku, it]));
+    for(const it of requested){
+      const sku = String(it.productId || it.sku || "").trim();
+      const qty = Number(it.qty);
+      const line = bySku.get(sku);
+      if(!line) throw badRequest(`${sku || "Item"} is not part of this order.`);
+      if(!Number.isInteger(qty) || qty > line.qty - line.refundedQty){
+        throw badRequest(`Only ${line.qty - line.refundedQty} x ${line.name} can still be refunded.`);
+      }
+      refundItems.push({ sku, name: line.name, qty, amount: line.unitPrice * qty });
+      amount += line.unitPrice * qty;
+    }
+  } else {
+    refundItems = state.refundable
+      .filter(it => it.qty > it.refundedQty)
+      .map(it => ({ sku: it.sku, name: it.name, qty: it.qty - it.refundedQty, amount: it.unitPrice * (it.qty - it.refundedQty) }));
+    amount = state.refundableAmount;
+  }
+  amount = Math.min(Math.round(amount * 100) / 100, state.refundableAmount);
+  if(amount <= 0){
+    const err = new Error("Nothing left to refund on this order.");
+    err.status = 409;
+    throw err;
+  }
+
+  const inserted = await supabaseRequest("/rest/v1/refunds", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: [{
+      order_id: order.id,
+      paymongo_payment_id: order.paymongo_payment_id,
+      amount,
+      reason,
+      notes: notes || null,
+      items: refundItems,
+      status: "pending",
+      requested_by: actorProfile.user_id
+    }]
+  });
+  const refundRow = inserted[0];
+
+  let providerRefund;
+  try{
+    providerRefund = await paymongoCreateRefund({ paymentId: order.paymongo_payment_id, amount, reason, notes });
+  }catch(err){
+    await supabaseRequest(`/rest/v1/refunds?id=eq.${refundRow.id}`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: { status: "failed", failure_reason: err.message, updated_at: new Date().toISOString() }
+    });
+    err.status = 502;
+    throw err;
+  }
+
+  const providerStatus = String(providerRefund?.attributes?.status || "pending").toLowerCase();
+  await supabaseRequest(`/rest/v1/refunds?id=eq.${refundRow.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: {
+      paymongo_refund_id: providerRefund?.id || null,
+      status: ["succeeded", "failed"].includes(providerStatus) ? providerStatus : "pending",
+      updated_at: new Date().toISOString()
+    }
+  });
+  await syncOrderRefundStatus(order.id);
+  await supabaseRequest("/rest/v1/order_status_events", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: [{
+      order_id: order.id,
+      status: order.status,
+      note: `Refund of PHP ${amount.toLocaleString("en-PH")} requested via PayMongo (${requested.length ? refundItems.map(it => `${it.name} x${it.qty}`).join(", ") : "full refund"}).`,
+      changed_by: actorProfile.user_id
+    }]
+  });
+  return await getOrderRefundState(orderCode);
+}
+
+async function applyPaymongoRefundUpdate({ refundId, status }){
+  if(!refundId) return false;
+  const rows = await supabaseRequest(
+    `/rest/v1/refunds?select=id,order_id,amount,status&paymongo_refund_id=eq.${encodeURIComponent(refundId)}&limit=1`,
+    { serviceRole: true }
+  );
+  const refund = rows?.[0];
+  if(!refund){
+    console.warn("[paymongo webhook] refund not tracked locally", refundId);
+    return false;
+  }
+  const next = String(status || "").toLowerCase();
+  if(!["pending", "succeeded", "failed"].includes(next) || next === refund.status) return false;
+  await supabaseRequest(`/rest/v1/refunds?id=eq.${refund.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: { status: next, updated_at: new Date().toISOString() }
+  });
+  await syncOrderRefundStatus(refund.order_id);
+  if(next !== "pending"){
+    const orderRows = await supabaseRequest(`/rest/v1/orders?select=status&id=eq.${refund.order_id}&limit=1`, { serviceRole: true });
+    await supabaseRequest("/rest/v1/order_status_events", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: [{
+        order_id: refund.order_id,
+        status: orderRows?.[0]?.status || "cancelled",
+        note: next === "succeeded"
+          ? `Refund of PHP ${Number(refund.amount || 0).toLocaleString("en-PH")} completed via PayMongo webhook.`
+          : `Refund of PHP ${Number(refund.amount || 0).toLocaleString("en-PH")} failed at PayMongo.`
+      }]
+    });
+  }
+  return true;
+}
+
 async function findOrderByCode(orderCode){
-  const rows = await supabaseRequest(`/rest/v1/orders?select=id,order_code,user_id,status,payment_status,paymongo_checkout_session_id&order_code=eq.${encodeURIComponent(orderCode)}&limit=1`, {
+  const rows = await supabaseRequest(`/rest/v1/orders?select=id,order_code,user_id,status,payment_status,payment_method,paymongo_checkout_session_id&order_code=eq.${encodeURIComponent(orderCode)}&limit=1`, {
     serviceRole: true
   });
   return rows?.[0] || null;
@@ -986,27 +4169,77 @@ async function hasOrderStatusEventNote(orderId, note){
 }
 
 async function deductStockForOrder(orderId){
+  const converted = await convertStockReservations(orderId);
+  const heldQty = new Map();
+  for(const r of converted){
+    heldQty.set(r.product_id, (heldQty.get(r.product_id) || 0) + Number(r.qty || 0));
+  }
   const items = await supabaseRequest(
     `/rest/v1/order_items?select=product_id,qty,name&order_id=eq.${orderId}`,
     { serviceRole: true }
   );
   const validItems = (items || []).filter(i => i.product_id && Number(i.qty || 0) > 0);
+  const shortages = [];
   for(const item of validItems){
-    const productRows = await supabaseRequest(
-      `/rest/v1/products?select=id,name,stock_cases&id=eq.${item.product_id}&limit=1`,
-      { serviceRole: true }
-    );
-    const product = productRows?.[0];
-    if(!product) continue;
-    const current = Number(product.stock_cases || 0);
-    const next = Math.max(0, current - Number(item.qty || 0));
-    await supabaseRequest(`/rest/v1/products?id=eq.${product.id}`, {
-      method: "PATCH",
-      serviceRole: true,
-      headers: { Prefer: "return=minimal" },
-      body: { stock_cases: next }
-    });
+    // Orders without a live hold (placed before reservations, or paid after the
+    // hold expired) take whatever unreserved stock is left.
+    const uncovered = Number(item.qty || 0) - (heldQty.get(item.product_id) || 0);
+    heldQty.set(item.product_id, Math.max(0, (heldQty.get(item.product_id) || 0) - Number(item.qty || 0)));
+    if(uncovered <= 0) continue;
+    try{
+      const movement = await recordStockMovement({
+        productId: item.product_id,
+        type: "sale",
+        qty: uncovered,
+        orderId,
+        reason: `Sold ${uncovered} x ${item.name} without a stock reservation`,
+        clamp: true
+      });
+      const taken = -Number(movement?.qty_delta || 0);
+      if(taken < uncovered) shortages.push({ name: item.name, short: uncovered - taken });
+    }catch(err){
+      if(err.status !== 404) throw err;
+    }
   }
+  return { shortages };
+}
+
+// Money arrived after the order was cancelled: keep the order closed and flag
+// the payment for refund instead of reopening it or touching stock.
+async function flagLatePaymentForRefund(order, { checkoutSessionId, paymentId, eventId, rawPayload }){
+  await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: {
+      payment_status: "refund_pending",
+      paid_at: new Date().toISOString(),
+      paymongo_checkout_session_id: checkoutSessionId || order.paymongo_checkout_session_id || null,
+      paymongo_payment_id: paymentId || null
+    }
+  });
+  await supabaseRequest(`/rest/v1/payments?order_id=eq.${order.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: {
+      status: "refund_pending",
+      provider_event_id: eventId,
+      provider_checkout_session_id: checkoutSessionId || null,
+      provider_payment_id: paymentId || null,
+      raw_payload: rawPayload
+    }
+  });
+  await supabaseRequest("/rest/v1/order_status_events", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=minimal" },
+    body: [{
+      order_id: order.id,
+      status: "cancelled",
+      note: "QRPH payment received after cancellation. Payment marked refund pending."
+    }]
+  });
 }
 
 async function markOrderPaidFromWebhook({ orderCode, checkoutSessionId, paymentId, eventId, rawPayload }){
@@ -1021,10 +4254,18 @@ async function markOrderPaidFromWebhook({ orderCode, checkoutSessionId, paymentI
   const order = (orderCode ? await findOrderByCode(orderCode) : null) || await findOrderByCheckoutSessionId(checkoutSessionId);
   if(!order) throw new Error("Order not found for webhook.");
 
-  await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}`, {
+  if(order.status === "cancelled"){
+    await flagLatePaymentForRefund(order, { checkoutSessionId, paymentId, eventId, rawPayload });
+    return { duplicate: false, cancelled: true };
+  }
+
+  // Only the first confirmation moves the order on. A second delivery of the
+  // webhook, or the expiry sweep cancelling the order in the meantime, makes
+  // this match nothing, so the stock below is converted at most once.
+  const claimed = await supabaseRequest(`/rest/v1/orders?id=eq.${order.id}&status=eq.pending_payment&payment_status=neq.paid`, {
     method: "PATCH",
     serviceRole: true,
-    headers: { Prefer: "return=minimal" },
+    headers: { Prefer: "return=representation" },
     body: {
       payment_status: "paid",
       status: "order_placed",
@@ -1033,20 +4274,32 @@ async function markOrderPaidFromWebhook({ orderCode, checkoutSessionId, paymentI
       paymongo_payment_id: paymentId || null
     }
   });
+  if(!claimed?.length){
+    const current = await findOrderByCode(order.order_code);
+    if(current?.status === "cancelled"){
+      await flagLatePaymentForRefund(current, { checkoutSessionId, paymentId, eventId, rawPayload });
+      return { duplicate: false, cancelled: true };
+    }
+    return { duplicate: true };
+  }
 
   const stockAlreadyDeducted = await hasOrderStatusEventNote(order.id, STOCK_MARKER_NOTE);
   if(!stockAlreadyDeducted){
-    await deductStockForOrder(order.id);
+    const { shortages } = await deductStockForOrder(order.id);
     console.log("[paymongo webhook] stock deducted for order", order.order_code);
+    const events = [{ order_id: order.id, status: "order_placed", note: STOCK_MARKER_NOTE }];
+    if(shortages.length){
+      events.push({
+        order_id: order.id,
+        status: "order_placed",
+        note: `Paid after stock reservation lapsed. Short: ${shortages.map(s => `${s.name} (${s.short} cases)`).join(", ")}.`
+      });
+    }
     await supabaseRequest("/rest/v1/order_status_events", {
       method: "POST",
       serviceRole: true,
       headers: { Prefer: "return=minimal" },
-      body: [{
-        order_id: order.id,
-        status: "order_placed",
-        note: STOCK_MARKER_NOTE
-      }]
+      body: events
     });
   }
 
@@ -1073,6 +4326,8 @@ async function markOrderPaidFromWebhook({ orderCode, checkoutSessionId, paymentI
       note: "QRPH payment confirmed via PayMongo webhook."
     }]
   });
+  publishOrderEvent("payment-confirmed", { ...order, status: "order_placed", payment_status: "paid" });
+  notifyCustomer("payment_confirmed", { orderCode: order.order_code });
 
   return { duplicate: false };
 }
@@ -1138,18 +4393,723 @@ async function reconcilePaymongoPayment(orderCode, authProfile){
       source: "paymongo_checkout_reconcile",
       checkout
     }
-  });
+  });
+
+  return {
+    reconciled: true,
+    alreadyPaid: false,
+    order: await getOrderForUserId(order.order_code, order.user_id)
+  };
+}
+
+// Unpaid QRPH orders are re-checked against PayMongo once their payment
+// window has passed: late payments are reconciled, the rest are cancelled.
+// Bank transfer orders with no proof (or only a rejected one) after
+// BANK_TRANSFER_HOLD_HOURS are cancelled the same way.
+const qrphExpirySweeper = {
+  windowMinutes: QRPH_ORDER_EXPIRY_MINUTES,
+  bankTransferWindowHours: BANK_TRANSFER_HOLD_HOURS,
+  intervalSeconds: QRPH_EXPIRY_SWEEP_SECONDS,
+  running: false,
+  lastRunAt: null,
+  lastDurationMs: null,
+  lastResult: null,
+  lastError: null
+};
+
+async function expireUnpaidQrphOrder(order, note, actorProfile = SYSTEM_ACTOR){
+  if(order.paymongo_checkout_session_id){
+    const result = await reconcilePaymongoPayment(order.order_code, SYSTEM_ACTOR);
+    if(result.reconciled) return "paid";
+  }
+  await updateOrderStatus(order.order_code, "cancelled", actorProfile, { note });
+  return "cancelled";
+}
+
+async function sweepExpiredQrphOrders(){
+  if(qrphExpirySweeper.running) return qrphExpirySweeper.lastResult;
+  qrphExpirySweeper.running = true;
+  const startedAt = Date.now();
+  const result = { checked: 0, cancelled: [], paid: [], errors: [] };
+  try{
+    const cutoff = new Date(startedAt - QRPH_ORDER_EXPIRY_MINUTES * 60_000).toISOString();
+    const orders = await supabaseRequest(
+      `/rest/v1/orders?select=id,order_code,status,payment_status,payment_method,paymongo_checkout_session_id,created_at&status=eq.pending_payment&payment_method=ilike.*QRPH*&created_at=lt.${encodeURIComponent(cutoff)}&order=created_at.asc&limit=50`,
+      { serviceRole: true }
+    );
+    for(const order of orders || []){
+      if(!isQrphMethod(order.payment_method)) continue;
+      result.checked += 1;
+      try{
+        const outcome = await expireUnpaidQrphOrder(
+          order,
+          `QRPH checkout not paid within ${QRPH_ORDER_EXPIRY_MINUTES} minutes. Order cancelled automatically.`
+        );
+        result[outcome].push(order.order_code);
+      }catch(err){
+        // Leave the order alone when PayMongo cannot be reached; next sweep retries.
+        result.errors.push({ orderCode: order.order_code, error: err.message });
+      }
+    }
+    const transferCutoff = new Date(startedAt - BANK_TRANSFER_HOLD_HOURS * 3_600_000).toISOString();
+    const transfers = BANK_TRANSFER_HOLD_HOURS > 0 ? await supabaseRequest(
+      `/rest/v1/orders?select=order_code,payment_method&status=eq.pending_payment&payment_status=in.(awaiting_proof,proof_rejected)&payment_method=ilike.*bank*transfer*&created_at=lt.${encodeURIComponent(transferCutoff)}&order=created_at.asc&limit=50`,
+      { serviceRole: true }
+    ) : [];
+    for(const order of transfers || []){
+      if(!isBankTransferMethod(order.payment_method)) continue;
+      result.checked += 1;
+      try{
+        await updateOrderStatus(order.order_code, "cancelled", SYSTEM_ACTOR, {
+          note: `Bank transfer not confirmed within ${BANK_TRANSFER_HOLD_HOURS} hours. Order cancelled automatically.`
+        });
+        result.cancelled.push(order.order_code);
+      }catch(err){
+        result.errors.push({ orderCode: order.order_code, error: err.message });
+      }
+    }
+    await releaseExpiredReservations();
+    qrphExpirySweeper.lastError = null;
+  }catch(err){
+    qrphExpirySweeper.lastError = err.message;
+    console.error("[qrph expiry] sweep failed", err);
+  }finally{
+    qrphExpirySweeper.running = false;
+    qrphExpirySweeper.lastRunAt = new Date(startedAt).toISOString();
+    qrphExpirySweeper.lastDurationMs = Date.now() - startedAt;
+    qrphExpirySweeper.lastResult = result;
+  }
+  if(result.cancelled.length || result.paid.length){
+    console.log("[qrph expiry] sweep", { cancelled: result.cancelled, paid: result.paid, errors: result.errors.length });
+  }
+  return result;
+}
+
+// Scheduled orders are placed SUBSCRIPTION_LEAD_DAYS before their delivery
+// date so staff have time to prepare them.
+const subscriptionScheduler = {
+  leadDays: SUBSCRIPTION_LEAD_DAYS,
+  intervalSeconds: SUBSCRIPTION_SWEEP_SECONDS,
+  running: false,
+  lastRunAt: null,
+  lastResult: null,
+  lastError: null
+};
+
+function toUiSubscription(row, runs = []){
+  return {
+    id: row.id,
+    status: row.status,
+    cadence: row.cadence,
+    cadenceLabel: SUBSCRIPTION_CADENCES[row.cadence] || row.cadence,
+    deliveryDay: row.delivery_day,
+    schedule: describeSchedule(row),
+    paymentMethod: row.payment_method,
+    customerName: row.customer_name,
+    contact: row.contact,
+    address: row.address,
+    items: row.items || [],
+    nextDeliveryOn: row.status === "active" ? row.next_delivery_on : null,
+    nextOrderOn: row.status === "active" ? addDays(row.next_delivery_on, -SUBSCRIPTION_LEAD_DAYS) : null,
+    runs: runs.map(r => ({
+      deliveryOn: r.delivery_on,
+      status: r.status,
+      orderCode: r.order_code || null,
+      note: r.note || "",
+      createdAt: r.created_at
+    })),
+    createdAt: row.created_at
+  };
+}
+
+function earliestSubscriptionDelivery(){
+  return addDays(manilaToday(), SUBSCRIPTION_LEAD_DAYS);
+}
+
+async function listSubscriptions(userId){
+  const rows = await supabaseRequest(
+    `/rest/v1/subscriptions?select=*&user_id=eq.${userId}&status=neq.cancelled&order=created_at.desc`,
+    { serviceRole: true }
+  );
+  if(!rows.length) return [];
+  const ids = encodeURIComponent(`(${escapeCsvValues(rows.map(r => r.id))})`);
+  const runs = await supabaseRequest(
+    `/rest/v1/subscription_runs?select=subscription_id,delivery_on,status,order_id,note,created_at&subscription_id=in.${ids}&order=delivery_on.desc&limit=${rows.length * 5}`,
+    { serviceRole: true }
+  );
+  const orderIds = [...new Set(runs.map(r => r.order_id).filter(Boolean))];
+  const orders = orderIds.length
+    ? await supabaseRequest(`/rest/v1/orders?select=id,order_code&id=in.${encodeURIComponent(`(${escapeCsvValues(orderIds)})`)}`, { serviceRole: true })
+    : [];
+  const codeById = new Map(orders.map(o => [o.id, o.order_code]));
+  return rows.map(row => toUiSubscription(
+    row,
+    runs.filter(r => r.subscription_id === row.id).slice(0, 5).map(r => ({ ...r, order_code: codeById.get(r.order_id) }))
+  ));
+}
+
+async function getOwnSubscription(id, userId){
+  const rows = await supabaseRequest(
+    `/rest/v1/subscriptions?select=*&id=eq.${encodeURIComponent(id)}&user_id=eq.${userId}&limit=1`,
+    { serviceRole: true }
+  );
+  const row = rows?.[0];
+  if(!row || row.status === "cancelled"){
+    const err = new Error("Scheduled order not found.");
+    err.status = 404;
+    throw err;
+  }
+  return row;
+}
+
+async function assertSubscriptionItems(items){
+  const priced = await priceCartItems(items);
+  const missing = priced.issues.find(i => i.problem === "not_found" || i.problem === "inactive");
+  if(missing) throw badRequest(missing.message);
+}
+
+async function createSubscription(payload, authProfile){
+  const fields = assertSubscriptionRow(normalizeSubscriptionPayload(payload));
+  await assertSubscriptionItems(fields.items);
+  const rows = await supabaseRequest("/rest/v1/subscriptions", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: [{
+      ...fields,
+      user_id: authProfile.user_id,
+      status: "active",
+      next_delivery_on: firstDeliveryDate(fields, earliestSubscriptionDelivery())
+    }]
+  });
+  return toUiSubscription(rows[0]);
+}
+
+async function updateSubscription(id, payload, authProfile){
+  const existing = await getOwnSubscription(id, authProfile.user_id);
+  const fields = normalizeSubscriptionPayload(payload, { partial: true });
+  const merged = assertSubscriptionRow({ ...existing, ...fields });
+  if(fields.items) await assertSubscriptionItems(fields.items);
+  if("cadence" in fields || "delivery_day" in fields){
+    fields.next_delivery_on = firstDeliveryDate(merged, earliestSubscriptionDelivery());
+  }
+  if(!Object.keys(fields).length) return toUiSubscription(existing);
+  const rows = await supabaseRequest(`/rest/v1/subscriptions?id=eq.${existing.id}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: { ...fields, updated_at: new Date().toISOString() }
+  });
+  return toUiSubscription(rows[0]);
+}
+
+// Moves next_delivery_on forward by one cycle. The filter on the old date
+// makes it a one-shot: a skip and the scheduler can't both take the same date.
+async function advanceSubscription(sub){
+  const rows = await supabaseRequest(
+    `/rest/v1/subscriptions?id=eq.${sub.id}&status=eq.active&next_delivery_on=eq.${sub.next_delivery_on}`,
+    {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=representation" },
+      body: { next_delivery_on: nextDeliveryDate(sub, sub.next_delivery_on), updated_at: new Date().toISOString() }
+    }
+  );
+  return rows?.[0] || null;
+}
+
+async function recordSubscriptionRun(sub, run){
+  await supabaseRequest("/rest/v1/subscription_runs?on_conflict=subscription_id,delivery_on", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "resolution=ignore-duplicates,return=minimal" },
+    body: [{ subscription_id: sub.id, delivery_on: sub.next_delivery_on, ...run }]
+  });
+}
+
+async function subscriptionAction(id, action, authProfile){
+  const sub = await getOwnSubscription(id, authProfile.user_id);
+  if(action === "skip"){
+    if(sub.status !== "active") throw badRequest("Only active schedules can skip a delivery.");
+    if(!await advanceSubscription(sub)){
+      const err = new Error("This delivery is already being placed. Cancel the order instead if you don't need it.");
+      err.status = 409;
+      throw err;
+    }
+    await recordSubscriptionRun(sub, { status: "skipped", note: "Skipped by customer." });
+  } else if(action === "pause" || action === "cancel"){
+    await supabaseRequest(`/rest/v1/subscriptions?id=eq.${sub.id}`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: { status: action === "pause" ? "paused" : "cancelled", updated_at: new Date().toISOString() }
+    });
+  } else if(action === "resume"){
+    if(sub.status !== "paused") throw badRequest("Only paused schedules can be resumed.");
+    const earliest = earliestSubscriptionDelivery();
+    await supabaseRequest(`/rest/v1/subscriptions?id=eq.${sub.id}`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: {
+        status: "active",
+        next_delivery_on: sub.next_delivery_on >= earliest ? sub.next_delivery_on : firstDeliveryDate(sub, earliest),
+        updated_at: new Date().toISOString()
+      }
+    });
+  } else {
+    throw badRequest("Action must be skip, pause, resume or cancel.");
+  }
+  return { subscriptions: await listSubscriptions(authProfile.user_id) };
+}
+
+// Places one scheduled delivery. Short items are trimmed to what is in stock
+// (and dropped when none is left) so one missing product doesn't cost the
+// customer the whole delivery.
+async function runSubscription(sub){
+  if(!await advanceSubscription(sub)) return "taken";
+  const priced = await priceCartItems(sub.items || []);
+  const notes = [];
+  const items = [];
+  for(const item of sub.items || []){
+    const issue = priced.issues.find(i => i.productId === item.productId);
+    const row = priced.itemRows.find(r => r.sku === item.productId);
+    if(!row || (issue && issue.problem !== "insufficient_stock")){
+      notes.push(`${row?.name || item.productId} is no longer available`);
+      continue;
+    }
+    const qty = issue ? Math.min(item.qty, issue.availableCases) : item.qty;
+    if(qty <= 0){
+      notes.push(`${row.name} is out of stock`);
+      continue;
+    }
+    if(qty < item.qty) notes.push(`${row.name}: only ${qty} of ${item.qty} cases in stock`);
+    items.push({ productId: item.productId, qty });
+  }
+  if(!items.length){
+    await recordSubscriptionRun(sub, { status: "skipped", note: `Nothing in stock to send: ${notes.join("; ")}.` });
+    return "skipped";
+  }
+
+  try{
+    const profile = await getProfileByUserId(sub.user_id);
+    if(!profile) throw new Error("Customer profile not found.");
+    const cases = items.reduce((sum, i) => sum + i.qty, 0);
+    const slot = await firstOpenSlot(sub.next_delivery_on, cases);
+    const { order } = await createOrder({
+      customerName: sub.customer_name,
+      contact: sub.contact,
+      address: sub.address,
+      paymentMethod: sub.payment_method,
+      deliveryDate: sub.next_delivery_on,
+      deliverySlot: slot?.id || "",
+      items
+    }, profile);
+    const created = await findOrderByCode(order.id);
+    await supabaseRequest("/rest/v1/order_status_events", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: [{
+        order_id: created.id,
+        status: created.status,
+        note: `Scheduled order (${describeSchedule(sub)}) for delivery on ${sub.next_delivery_on}.${notes.length ? ` ${notes.join("; ")}.` : ""}`
+      }]
+    });
+    await recordSubscriptionRun(sub, {
+      status: notes.length ? "partial" : "created",
+      order_id: created.id,
+      note: notes.length ? `${notes.join("; ")}.` : null
+    });
+    return notes.length ? "partial" : "created";
+  }catch(err){
+    await recordSubscriptionRun(sub, { status: "failed", note: err.message });
+    throw err;
+  }
+}
+
+async function sweepDueSubscriptions(){
+  if(subscriptionScheduler.running) return subscriptionScheduler.lastResult;
+  subscriptionScheduler.running = true;
+  const startedAt = Date.now();
+  const result = { created: [], partial: [], skipped: [], errors: [] };
+  try{
+    const due = await supabaseRequest(
+      `/rest/v1/subscriptions?select=*&status=eq.active&next_delivery_on=lte.${earliestSubscriptionDelivery()}&order=next_delivery_on.asc&limit=50`,
+      { serviceRole: true }
+    );
+    for(const sub of due || []){
+      try{
+        const outcome = await runSubscription(sub);
+        if(result[outcome]) result[outcome].push(sub.id);
+      }catch(err){
+        result.errors.push({ subscriptionId: sub.id, error: err.message });
+      }
+    }
+    subscriptionScheduler.lastError = null;
+  }catch(err){
+    subscriptionScheduler.lastError = err.message;
+    console.error("[subscriptions] sweep failed", err);
+  }finally{
+    subscriptionScheduler.running = false;
+    subscriptionScheduler.lastRunAt = new Date(startedAt).toISOString();
+    subscriptionScheduler.lastResult = result;
+  }
+  if(result.created.length || result.partial.length || result.skipped.length || result.errors.length){
+    console.log("[subscriptions] sweep", { created: result.created.length, partial: result.partial.length, skipped: result.skipped.length, errors: result.errors.length });
+  }
+  return result;
+}
+
+// Staff planning view: every scheduled delivery in the next `days` days with
+// the cases it needs, plus per-product totals against current stock.
+async function getUpcomingScheduledOrders(days = 7){
+  const until = addDays(manilaToday(), days);
+  const subs = await supabaseRequest(
+    `/rest/v1/subscriptions?select=*&status=eq.active&next_delivery_on=lte.${until}&order=next_delivery_on.asc`,
+    { serviceRole: true }
+  );
+  const skus = [...new Set(subs.flatMap(s => (s.items || []).map(i => i.productId)))];
+  const products = await getProductsBySkus(skus);
+  const bySku = new Map(products.map(p => [p.sku, p]));
+  const totals = new Map();
+  const deliveries = [];
+  for(const sub of subs){
+    for(const deliveryOn of upcomingDeliveries(sub, until)){
+      const items = (sub.items || []).map(i => {
+        const p = bySku.get(i.productId);
+        return { productId: i.productId, name: p?.name || i.productId, qty: i.qty };
+      });
+      for(const item of items){
+        const total = totals.get(item.productId) || { productId: item.productId, name: item.name, qty: 0 };
+        total.qty += item.qty;
+        totals.set(item.productId, total);
+      }
+      deliveries.push({
+        subscriptionId: sub.id,
+        deliveryOn,
+        orderOn: addDays(deliveryOn, -SUBSCRIPTION_LEAD_DAYS),
+        customerName: sub.customer_name,
+        address: sub.address,
+        paymentMethod: sub.payment_method,
+        schedule: describeSchedule(sub),
+        items
+      });
+    }
+  }
+  deliveries.sort((a, b) => a.deliveryOn.localeCompare(b.deliveryOn));
+  return {
+    from: manilaToday(),
+    until,
+    deliveries,
+    totals: [...totals.values()].map(t => {
+      const p = bySku.get(t.productId);
+      const available = p ? Math.max(0, Number(p.stock_cases) - Number(p.reserved_cases || 0)) : 0;
+      return { ...t, availableCases: available, short: Math.max(0, t.qty - available) };
+    }).sort((a, b) => b.short - a.short || b.qty - a.qty)
+  };
+}
+
+async function cancelAbandonedCheckout(orderCode, authProfile){
+  const order = await findOrderByCode(orderCode);
+  if(!order || (authProfile.role === "customer" && order.user_id !== authProfile.user_id)){
+    const err = new Error("Order not found.");
+    err.status = 404;
+    throw err;
+  }
+  // Only an unpaid QRPH order that was sent to PayMongo can be abandoned this
+  // way; bank transfers and everything else go through staff or the sweeper.
+  if(order.status !== "pending_payment" || !isQrphMethod(order.payment_method) || !order.paymongo_checkout_session_id){
+    return { cancelled: false, status: toUiStatus(order.status) };
+  }
+  // Customers can't cancel a pending_payment order themselves, so the change
+  // runs with system rights, checked above, but is recorded against them.
+  const actor = authProfile.role === "customer" ? { ...authProfile, role: "system" } : authProfile;
+  const outcome = await expireUnpaidQrphOrder(
+    order,
+    "Customer left the QRPH checkout without paying. Order cancelled.",
+    actor
+  );
+  return { cancelled: outcome === "cancelled", status: outcome === "paid" ? toUiStatus("order_placed") : toUiStatus("cancelled") };
+}
+
+// Customer notifications: notifyCustomer() renders a template into
+// notification_outbox for each channel the customer has switched on, and
+// dispatchNotifications() sends due rows through the configured transports.
+// NOTIFY_EMAIL_TRANSPORT is smtp, file, console or none (smtp when SMTP_HOST
+// is set, otherwise console); NOTIFY_SMS_TRANSPORT is semaphore, file, console
+// or none (semaphore when SEMAPHORE_API_KEY is set). The file transport writes
+// to NOTIFICATION_LOG_FILE (default notifications.log). A transport that can't
+// be set up is logged and replaced by one whose sends fail with the reason.
+function createNotificationTransport(channel){
+  const fallback = channel === "email"
+    ? (env("SMTP_HOST") ? "smtp" : "console")
+    : (env("SEMAPHORE_API_KEY") ? "semaphore" : "console");
+  const kind = (env(channel === "email" ? "NOTIFY_EMAIL_TRANSPORT" : "NOTIFY_SMS_TRANSPORT") || fallback).toLowerCase();
+  if(kind === "none") return null;
+  try{
+    return buildNotificationTransport(channel, kind);
+  }catch(err){
+    console.error(`[notifications] ${channel} transport "${kind}" is unavailable: ${err.message}`);
+    return createUnavailableTransport(channel, kind, err.message);
+  }
+}
+
+function buildNotificationTransport(channel, kind){
+  if(kind === "console") return createConsoleTransport(channel);
+  if(kind === "file") return createFileTransport(channel, env("NOTIFICATION_LOG_FILE") || path.join(process.cwd(), "notifications.log"));
+  if(channel === "email" && kind === "smtp"){
+    const port = Number(env("SMTP_PORT") || 587);
+    return createSmtpTransport({
+      host: env("SMTP_HOST"),
+      port,
+      secure: env("SMTP_SECURE") ? env("SMTP_SECURE") === "true" : port === 465,
+      user: env("SMTP_USER"),
+      pass: env("SMTP_PASS"),
+      from: env("SMTP_FROM")
+    });
+  }
+  if(channel === "sms" && kind === "semaphore"){
+    return createSemaphoreTransport({ apiKey: env("SEMAPHORE_API_KEY"), senderName: env("SEMAPHORE_SENDER_NAME") });
+  }
+  throw new Error(`Unknown ${channel} notification transport "${kind}".`);
+}
+
+const notificationTransports = {
+  email: createNotificationTransport("email"),
+  sms: createNotificationTransport("sms")
+};
+
+const notificationDispatcher = {
+  intervalSeconds: NOTIFICATION_SWEEP_SECONDS,
+  maxAttempts: NOTIFICATION_MAX_ATTEMPTS,
+  transports: {
+    email: notificationTransports.email?.name || "none",
+    sms: notificationTransports.sms?.name || "none"
+  },
+  transportProblems: Object.fromEntries(
+    Object.entries(notificationTransports).filter(([, t]) => t?.unavailable).map(([channel, t]) => [channel, t.unavailable])
+  ),
+  running: false,
+  lastRunAt: null,
+  lastResult: null,
+  lastError: null
+};
+
+// Which order statuses send a message, by template name.
+const STATUS_NOTIFICATIONS = ["out_for_delivery", "delivered", "delivery_failed", "cancelled"];
+
+async function getNotificationPrefs(userId){
+  const rows = await supabaseRequest(`/rest/v1/notification_preferences?select=email,sms&user_id=eq.${encodeURIComponent(userId)}&limit=1`, { serviceRole: true });
+  return normalizeNotificationPrefs(rows?.[0] || DEFAULT_NOTIFICATION_PREFS);
+}
+
+async function saveNotificationPrefs(userId, payload){
+  const prefs = normalizeNotificationPrefs(payload);
+  await supabaseRequest("/rest/v1/notification_preferences?on_conflict=user_id", {
+    method: "POST",
+    serviceRole: true,
+    headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+    body: [{ user_id: userId, ...prefs, updated_at: new Date().toISOString() }]
+  });
+  return prefs;
+}
+
+// Queues `template` for a customer, either by `orderCode` or, for account
+// messages, by `userId`. Problems are logged rather than thrown so a failed
+// notification never undoes the change that triggered it. The dedupe key
+// includes the delivery attempt count, so a redelivery sends its own
+// Out for Delivery message but a double click doesn't.
+async function notifyCustomer(template, { orderCode = null, userId = null, data = {} } = {}){
+  try{
+    const order = orderCode
+      ? (await supabaseRequest(
+          `/rest/v1/orders?select=id,order_code,user_id,total,payment_method,payment_status,delivery_attempts&order_code=eq.${encodeURIComponent(orderCode)}&limit=1`,
+          { serviceRole: true }
+        ))?.[0]
+      : null;
+    const profile = await getProfileByUserId(order?.user_id || userId);
+    if(!profile || profile.role !== "customer") return;
+    const prefs = await getNotificationPrefs(profile.user_id);
+    const message = renderNotification(template, {
+      name: profile.full_name || "there",
+      shopUrl: `${APP_BASE_URL}/customer/customer-shop.html`,
+      ...(order ? {
+        orderCode: order.order_code,
+        total: `PHP ${Number(order.total || 0).toLocaleString("en-PH")}`,
+        paymentMethod: order.payment_method,
+        orderUrl: `${APP_BASE_URL}/customer/customer-order-details.html?id=${encodeURIComponent(order.order_code)}`
+      } : {}),
+      ...data
+    });
+    const mobile = normalizeMobileNumber(profile.contact);
+    const rows = [];
+    if(prefs.email && notificationTransports.email && isEmailAddress(profile.email)){
+      rows.push({ channel: "email", recipient: profile.email, subject: message.subject, body: message.email });
+    }
+    if(prefs.sms && notificationTransports.sms && mobile){
+      rows.push({ channel: "sms", recipient: mobile, subject: null, body: message.sms });
+    }
+    if(!rows.length) return;
+    const key = order ? `${template}:${order.order_code}:${Number(order.delivery_attempts || 0)}` : `${template}:${profile.user_id}`;
+    await supabaseRequest("/rest/v1/notification_outbox?on_conflict=dedupe_key", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "resolution=ignore-duplicates,return=minimal" },
+      body: rows.map(r => ({
+        ...r,
+        user_id: profile.user_id,
+        order_id: order?.id || null,
+        template,
+        dedupe_key: `${key}:${r.channel}`
+      }))
+    });
+    dispatchNotifications().catch(err => console.error("[notifications] dispatch failed", err));
+  }catch(err){
+    console.error(`[notifications] could not queue ${template}`, err);
+  }
+}
+
+// Emails every admin; used for stock alerts. `key` is the outbox dedupe key
+// (per admin), so the same alert is never queued twice.
+async function notifyAdmins(template, key, data = {}){
+  try{
+    if(!notificationTransports.email) return;
+    const admins = await supabaseRequest("/rest/v1/profiles?select=user_id,email,full_name&role=eq.admin", { serviceRole: true });
+    const rows = (admins || []).filter(a => isEmailAddress(a.email)).map(a => {
+      const message = renderNotification(template, { name: a.full_name || "there", ...data });
+      return {
+        user_id: a.user_id,
+        order_id: null,
+        template,
+        channel: "email",
+        recipient: a.email,
+        subject: message.subject,
+        body: message.email,
+        dedupe_key: `${key}:${a.user_id}:email`
+      };
+    });
+    if(!rows.length) return;
+    await supabaseRequest("/rest/v1/notification_outbox?on_conflict=dedupe_key", {
+      method: "POST",
+      serviceRole: true,
+      headers: { Prefer: "resolution=ignore-duplicates,return=minimal" },
+      body: rows
+    });
+    dispatchNotifications().catch(err => console.error("[notifications] dispatch failed", err));
+  }catch(err){
+    console.error(`[notifications] could not queue ${template} for admins`, err);
+  }
+}
+
+async function sendOutboxRow(row){
+  // Claim first so an overlapping sweep (or a second server) skips this row.
+  const now = new Date().toISOString();
+  const claimed = await supabaseRequest(`/rest/v1/notification_outbox?id=eq.${row.id}&status=eq.${row.status}&attempts=eq.${row.attempts}`, {
+    method: "PATCH",
+    serviceRole: true,
+    headers: { Prefer: "return=representation" },
+    body: { status: "sending", claimed_at: now, attempts: row.attempts + 1 }
+  });
+  if(!claimed?.length) return null;
+  const attempt = row.attempts + 1;
+  const transport = notificationTransports[row.channel];
+  try{
+    if(!transport){
+      const err = new Error(`No ${row.channel} transport is configured.`);
+      err.permanent = true;
+      throw err;
+    }
+    await transport.send({ to: row.recipient, subject: row.subject, text: row.body });
+    // Console and file transports never reach the customer.
+    const status = transport.delivers === false ? "logged" : "sent";
+    await supabaseRequest(`/rest/v1/notification_outbox?id=eq.${row.id}`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: { status, sent_at: new Date().toISOString(), transport: transport.name, last_error: null }
+    });
+    return status;
+  }catch(err){
+    const giveUp = err.permanent || attempt >= NOTIFICATION_MAX_ATTEMPTS;
+    await supabaseRequest(`/rest/v1/notification_outbox?id=eq.${row.id}`, {
+      method: "PATCH",
+      serviceRole: true,
+      headers: { Prefer: "return=minimal" },
+      body: {
+        status: giveUp ? "failed" : "queued",
+        last_error: String(err.message || err).slice(0, 500),
+        transport: transport?.name || null,
+        next_attempt_at: new Date(Date.now() + retryDelaySeconds(attempt) * 1000).toISOString()
+      }
+    });
+    return giveUp ? "failed" : "retried";
+  }
+}
+
+async function dispatchNotifications(){
+  if(notificationDispatcher.running) return notificationDispatcher.lastResult;
+  notificationDispatcher.running = true;
+  const startedAt = Date.now();
+  const result = { sent: 0, logged: 0, retried: 0, failed: 0 };
+  try{
+    // Rows left in 'sending' by a crash are picked up again after 10 minutes.
+    const now = new Date(startedAt).toISOString();
+    const stale = new Date(startedAt - 10 * 60_000).toISOString();
+    const due = await supabaseRequest(
+      `/rest/v1/notification_outbox?select=id,channel,recipient,subject,body,status,attempts&or=${encodeURIComponent(`(and(status.eq.queued,next_attempt_at.lte.${now}),and(status.eq.sending,claimed_at.lt.${stale}))`)}&order=created_at.asc&limit=50`,
+      { serviceRole: true }
+    );
+    for(const row of due || []){
+      const outcome = await sendOutboxRow(row);
+      if(outcome) result[outcome] += 1;
+    }
+    notificationDispatcher.lastError = null;
+  }catch(err){
+    notificationDispatcher.lastError = err.message;
+    console.error("[notifications] dispatch failed", err);
+  }finally{
+    notificationDispatcher.running = false;
+    notificationDispatcher.lastRunAt = new Date(startedAt).toISOString();
+    notificationDispatcher.lastResult = result;
+  }
+  return result;
+}
 
-  return {
-    reconciled: true,
-    alreadyPaid: false,
-    order: await getOrderForUserId(order.order_code, order.user_id)
-  };
+async function listCustomerNotifications(userId){
+  const rows = await supabaseRequest(
+    `/rest/v1/notification_outbox?select=template,channel,recipient,subject,body,status,created_at,sent_at&user_id=eq.${encodeURIComponent(userId)}&order=created_at.desc&limit=20`,
+    { serviceRole: true }
+  );
+  return rows.map(r => ({
+    template: r.template,
+    channel: r.channel,
+    recipient: r.recipient,
+    subject: r.subject || "",
+    body: r.body,
+    status: r.status,
+    createdAt: r.created_at,
+    sentAt: r.sent_at
+  }));
 }
 
 async function handleApi(req, res, url){
   if(req.method === "GET" && url.pathname === "/api/health"){
-    sendJson(res, 200, { ok: true });
+    sendJson(res, 200, {
+      ok: true,
+      qrphExpirySweeper,
+      subscriptionScheduler,
+      liveEvents: { clients: liveEvents.clients.size, published: liveEvents.published },
+      notificationDispatcher
+    });
+    return true;
+  }
+
+  // EventSource can't send headers, so the stream also takes the token as
+  // ?access_token=.
+  if(req.method === "GET" && url.pathname === "/api/events"){
+    const auth = await requireAuth(req, [], getBearerToken(req) || url.searchParams.get("access_token") || "");
+    openLiveEventStream(req, res, auth);
     return true;
   }
 
@@ -1204,6 +5164,13 @@ async function handleApi(req, res, url){
         rawPayload: event
       });
       console.log("[paymongo webhook] order marked paid");
+    } else if(eventType === "refund.updated" || eventType === "refund.succeeded" || eventType === "refund.failed"){
+      await applyPaymongoRefundUpdate({ refundId: resourceId, status: resourceAttr?.status });
+    } else if(eventType === "payment.refunded" || eventType === "payment.refund.updated"){
+      const refunds = Array.isArray(resourceAttr?.refunds) ? resourceAttr.refunds : [];
+      for(const r of refunds){
+        await applyPaymongoRefundUpdate({ refundId: r?.id, status: r?.attributes?.status || "succeeded" });
+      }
     } else {
       console.log("[paymongo webhook] ignored event type", eventType);
     }
@@ -1266,10 +5233,52 @@ async function handleApi(req, res, url){
     return true;
   }
 
+  if(req.method === "GET" && url.pathname === "/api/notification-preferences"){
+    const auth = await requireAuth(req, ["customer"]);
+    sendJson(res, 200, { preferences: await getNotificationPrefs(auth.profile.user_id) });
+    return true;
+  }
+
+  if(req.method === "PUT" && url.pathname === "/api/notification-preferences"){
+    const auth = await requireAuth(req, ["customer"]);
+    const payload = await readJson(req);
+    sendJson(res, 200, { preferences: await saveNotificationPrefs(auth.profile.user_id, payload) });
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/notifications"){
+    const auth = await requireAuth(req, ["customer"]);
+    sendJson(res, 200, { notifications: await listCustomerNotifications(auth.profile.user_id) });
+    return true;
+  }
+
   if(req.method === "GET" && url.pathname === "/api/rewards"){
     const auth = await requireAuth(req);
-    const rewards = computeRewardsForOrders(await listOrdersForUserId(auth.profile.user_id));
-    sendJson(res, 200, { rewards });
+    sendJson(res, 200, { rewards: await getRewardsForUser(auth.profile.user_id) });
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/rewards/history"){
+    const auth = await requireAuth(req);
+    const { history, ...summary } = await getPointsSummary(auth.profile.user_id);
+    sendJson(res, 200, { summary, history });
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname === "/api/rewards/redeem"){
+    const auth = await requireAuth(req, ["customer"]);
+    const payload = await readJson(req);
+    sendJson(res, 201, await redeemReward(auth.profile.user_id, payload));
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/rewards/catalog"){
+    const auth = await requireAuth(req);
+    const [catalog, redemptions] = await Promise.all([
+      listRewardCatalog(),
+      listRewardRedemptions(auth.profile.user_id)
+    ]);
+    sendJson(res, 200, { catalog, redemptions });
     return true;
   }
 
@@ -1286,6 +5295,26 @@ async function handleApi(req, res, url){
     return true;
   }
 
+  if(req.method === "GET" && url.pathname.startsWith("/api/orders/") && url.pathname.endsWith("/proof-of-delivery")){
+    const auth = await requireAuth(req);
+    const orderCode = decodeURIComponent(url.pathname.replace("/api/orders/", "").replace("/proof-of-delivery", ""));
+    sendJson(res, 200, await getDeliveryProof(orderCode, auth.profile));
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/delivery-proof-policy"){
+    await requireAuth(req, ["admin", "staff", "rider"]);
+    sendJson(res, 200, { policy: await getProofPolicy() });
+    return true;
+  }
+
+  if(req.method === "PUT" && url.pathname === "/api/panel/admin/delivery-proof-policy"){
+    const auth = await requireAuth(req, ["admin"]);
+    const payload = await readJson(req);
+    sendJson(res, 200, { policy: await saveProofPolicy(payload.policy || payload, auth.profile) });
+    return true;
+  }
+
   if(req.method === "GET" && url.pathname.startsWith("/api/orders/")){
     const auth = await requireAuth(req);
     const orderCode = decodeURIComponent(url.pathname.replace("/api/orders/", ""));
@@ -1306,10 +5335,133 @@ async function handleApi(req, res, url){
     return true;
   }
 
+  if(req.method === "POST" && url.pathname.startsWith("/api/orders/") && url.pathname.endsWith("/cancel-checkout")){
+    const auth = await requireAuth(req, ["customer", "admin", "staff"]);
+    const orderCode = decodeURIComponent(url.pathname.replace("/api/orders/", "").replace("/cancel-checkout", ""));
+    sendJson(res, 200, await cancelAbandonedCheckout(orderCode, auth.profile));
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/subscriptions"){
+    const auth = await requireAuth(req, ["customer"]);
+    sendJson(res, 200, { subscriptions: await listSubscriptions(auth.profile.user_id) });
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname === "/api/subscriptions"){
+    const auth = await requireAuth(req, ["customer"]);
+    const payload = await readJson(req);
+    sendJson(res, 201, { subscription: await createSubscription(payload, auth.profile) });
+    return true;
+  }
+
+  if(req.method === "PATCH" && url.pathname.startsWith("/api/subscriptions/")){
+    const auth = await requireAuth(req, ["customer"]);
+    const id = decodeURIComponent(url.pathname.replace("/api/subscriptions/", ""));
+    const payload = await readJson(req);
+    sendJson(res, 200, { subscription: await updateSubscription(id, payload, auth.profile) });
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname.startsWith("/api/subscriptions/")){
+    const auth = await requireAuth(req, ["customer"]);
+    const [id, action] = url.pathname.replace("/api/subscriptions/", "").split("/").map(decodeURIComponent);
+    sendJson(res, 200, await subscriptionAction(id, action, auth.profile));
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/favorites"){
+    const auth = await requireAuth(req, ["customer"]);
+    sendJson(res, 200, await getFavorites(auth.profile.user_id));
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname === "/api/favorites"){
+    const auth = await requireAuth(req, ["customer"]);
+    const payload = await readJson(req);
+    sendJson(res, 200, await addFavorites(auth.profile.user_id, payload.skus || [payload.productId]));
+    return true;
+  }
+
+  if(req.method === "DELETE" && url.pathname.startsWith("/api/favorites/")){
+    const auth = await requireAuth(req, ["customer"]);
+    const sku = decodeURIComponent(url.pathname.replace("/api/favorites/", ""));
+    sendJson(res, 200, await removeFavorite(auth.profile.user_id, sku));
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/recommendations"){
+    const auth = await requireAuth(req, ["customer"]);
+    sendJson(res, 200, { recommendations: await getRecommendations(auth.profile.user_id, url.searchParams.get("limit")) });
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/cart"){
+    const auth = await requireAuth(req, ["customer"]);
+    sendJson(res, 200, { cart: await getCustomerCart(auth.profile.user_id) });
+    return true;
+  }
+
+  if(req.method === "PUT" && url.pathname === "/api/cart"){
+    const auth = await requireAuth(req, ["customer"]);
+    const payload = await readJson(req);
+    sendJson(res, 200, { cart: await saveCustomerCart(auth.profile.user_id, payload.items) });
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname === "/api/cart/merge"){
+    const auth = await requireAuth(req, ["customer"]);
+    const payload = await readJson(req);
+    sendJson(res, 200, { cart: await mergeGuestCart(auth.profile.user_id, payload.items) });
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/delivery-slots"){
+    const cases = Math.max(0, Math.floor(Number(url.searchParams.get("cases") || 0)));
+    sendJson(res, 200, await getDeliverySlotAvailability(cases));
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname === "/api/cart/quote"){
+    // Guests get a quote too; signing in only adds per-customer voucher limits.
+    const auth = getBearerToken(req) ? await requireAuth(req) : null;
+    const payload = await readJson(req);
+    sendJson(res, 200, await quoteCart(payload, auth?.profile));
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname.startsWith("/api/orders/") && url.pathname.endsWith("/reorder")){
+    const auth = await requireAuth(req, ["customer"]);
+    const orderCode = decodeURIComponent(url.pathname.replace("/api/orders/", "").replace("/reorder", ""));
+    sendJson(res, 200, await reorderToCart(orderCode, auth.profile.user_id));
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname.startsWith("/api/orders/") && url.pathname.endsWith("/reschedule")){
+    const auth = await requireAuth(req, ["customer", "admin", "staff"]);
+    const orderCode = decodeURIComponent(url.pathname.replace("/api/orders/", "").replace("/reschedule", ""));
+    const payload = await readJson(req);
+    sendJson(res, 200, { order: await rescheduleFailedDelivery(orderCode, payload, auth.profile) });
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname.startsWith("/api/orders/") && url.pathname.endsWith("/payment-proof")){
+    const auth = await requireAuth(req, ["customer", "admin", "staff"]);
+    const orderCode = decodeURIComponent(url.pathname.replace("/api/orders/", "").replace("/payment-proof", ""));
+    const payload = await readJson(req);
+    sendJson(res, 200, { order: await submitBankTransferProof(orderCode, payload, auth.profile) });
+    return true;
+  }
+
   if(req.method === "POST" && url.pathname === "/api/orders"){
     const auth = await requireAuth(req, ["customer", "admin", "staff"]);
     const payload = await readJson(req);
     const result = await createOrder(payload, auth.profile);
+    // The whole cart was checked out, so the saved cart is emptied here rather
+    // than trusting the browser to do it before redirecting to PayMongo.
+    // Scheduled orders also go through createOrder() and leave the cart alone.
+    await supabaseRequest(`/rest/v1/carts?user_id=eq.${auth.profile.user_id}`, { method: "DELETE", serviceRole: true })
+      .catch((err) => console.error("[cart] clear after order failed", err));
     sendJson(res, 201, result);
     return true;
   }
@@ -1318,7 +5470,11 @@ async function handleApi(req, res, url){
     const auth = await requireAuth(req, ["admin", "staff"]);
     const orderCode = decodeURIComponent(url.pathname.replace("/api/orders/", "").replace("/status", ""));
     const payload = await readJson(req);
-    await updateOrderStatus(orderCode, payload.status, auth.profile);
+    await updateOrderStatus(orderCode, payload.status, auth.profile, {
+      cashCollected: payload.cashCollected,
+      proof: payload.proof,
+      failedAttempt: payload.failedAttempt
+    });
     const refreshed = await getOrderForUserId(orderCode, (await supabaseRequest(`/rest/v1/orders?select=user_id&order_code=eq.${encodeURIComponent(orderCode)}&limit=1`, { serviceRole: true }))?.[0]?.user_id);
     sendJson(res, 200, { ok: true, order: refreshed });
     return true;
@@ -1330,13 +5486,153 @@ async function handleApi(req, res, url){
     return true;
   }
   if(req.method === "GET" && url.pathname === "/api/panel/admin/orders"){
-    await requireAuth(req, ["admin"]);
-    sendJson(res, 200, { orders: await listAllOrdersDetailed() });
+    const auth = await requireAuth(req, ["admin"]);
+    sendJson(res, 200, { orders: withAllowedTransitions(await listAllOrdersDetailed(), auth.profile.role) });
     return true;
   }
   if(req.method === "GET" && url.pathname === "/api/panel/admin/inventory"){
     await requireAuth(req, ["admin"]);
-    sendJson(res, 200, await getPanelInventory());
+    sendJson(res, 200, await getPanelInventory({ includeInactive: true }));
+    return true;
+  }
+  if(req.method === "GET" && url.pathname === "/api/panel/admin/reorder-suggestions"){
+    await requireAuth(req, ["admin"]);
+    sendJson(res, 200, await getReorderSuggestions({ weeks: Number(url.searchParams.get("weeks") || 4) }));
+    return true;
+  }
+  if(req.method === "GET" && url.pathname === "/api/panel/admin/stock-alerts"){
+    await requireAuth(req, ["admin"]);
+    sendJson(res, 200, { alerts: await listStockAlerts() });
+    return true;
+  }
+  if(req.method === "POST" && url.pathname.startsWith("/api/panel/admin/stock-alerts/") && url.pathname.endsWith("/acknowledge")){
+    const auth = await requireAuth(req, ["admin"]);
+    const alertId = decodeURIComponent(url.pathname.replace("/api/panel/admin/stock-alerts/", "").replace("/acknowledge", ""));
+    sendJson(res, 200, { alert: await acknowledgeStockAlert(alertId, auth.profile) });
+    return true;
+  }
+  if(req.method === "GET" && url.pathname === "/api/panel/admin/loyalty-tiers"){
+    await requireAuth(req, ["admin"]);
+    sendJson(res, 200, { rules: await getLoyaltyRules() });
+    return true;
+  }
+  if(req.method === "PUT" && url.pathname === "/api/panel/admin/loyalty-tiers"){
+    const auth = await requireAuth(req, ["admin"]);
+    const payload = await readJson(req);
+    sendJson(res, 200, { rules: await saveLoyaltyRules(payload.rules || payload, auth.profile) });
+    return true;
+  }
+  if(req.method === "GET" && url.pathname === "/api/panel/admin/reward-catalog"){
+    await requireAuth(req, ["admin"]);
+    sendJson(res, 200, { catalog: await listRewardCatalog({ includeInactive: true }) });
+    return true;
+  }
+  if(req.method === "POST" && url.pathname === "/api/panel/admin/reward-catalog"){
+    await requireAuth(req, ["admin"]);
+    const payload = await readJson(req);
+    sendJson(res, 201, { reward: await createReward(payload) });
+    return true;
+  }
+  if(req.method === "PATCH" && url.pathname.startsWith("/api/panel/admin/reward-catalog/")){
+    await requireAuth(req, ["admin"]);
+    const id = decodeURIComponent(url.pathname.replace("/api/panel/admin/reward-catalog/", ""));
+    const payload = await readJson(req);
+    sendJson(res, 200, { reward: await updateReward(id, payload) });
+    return true;
+  }
+  if(req.method === "DELETE" && url.pathname.startsWith("/api/panel/admin/reward-catalog/")){
+    await requireAuth(req, ["admin"]);
+    const id = decodeURIComponent(url.pathname.replace("/api/panel/admin/reward-catalog/", ""));
+    sendJson(res, 200, { reward: await updateReward(id, { isActive: false }) });
+    return true;
+  }
+  if(req.method === "GET" && url.pathname === "/api/panel/admin/promotions"){
+    await requireAuth(req, ["admin"]);
+    sendJson(res, 200, { promotions: await listPromotions() });
+    return true;
+  }
+  if(req.method === "POST" && url.pathname === "/api/panel/admin/promotions"){
+    const auth = await requireAuth(req, ["admin"]);
+    const payload = await readJson(req);
+    sendJson(res, 201, { promotion: await createPromotion(payload, auth.profile) });
+    return true;
+  }
+  if(req.method === "PATCH" && url.pathname.startsWith("/api/panel/admin/promotions/")){
+    await requireAuth(req, ["admin"]);
+    const id = decodeURIComponent(url.pathname.replace("/api/panel/admin/promotions/", ""));
+    const payload = await readJson(req);
+    sendJson(res, 200, { promotion: await updatePromotion(id, payload) });
+    return true;
+  }
+  if(req.method === "DELETE" && url.pathname.startsWith("/api/panel/admin/promotions/")){
+    await requireAuth(req, ["admin"]);
+    const id = decodeURIComponent(url.pathname.replace("/api/panel/admin/promotions/", ""));
+    sendJson(res, 200, { promotion: await updatePromotion(id, { isActive: false }) });
+    return true;
+  }
+  if(req.method === "GET" && url.pathname === "/api/panel/admin/delivery-slots"){
+    await requireAuth(req, ["admin"]);
+    sendJson(res, 200, { rules: await getDeliverySlotRules() });
+    return true;
+  }
+
+  if(req.method === "PUT" && url.pathname === "/api/panel/admin/delivery-slots"){
+    const auth = await requireAuth(req, ["admin"]);
+    const payload = await readJson(req);
+    sendJson(res, 200, { rules: await saveDeliverySlotRules(payload.rules || payload, auth.profile) });
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/panel/admin/delivery-fees"){
+    await requireAuth(req, ["admin"]);
+    sendJson(res, 200, { rules: normalizeDeliveryFeeRules(await getDeliveryFeeRules()) });
+    return true;
+  }
+  if(req.method === "PUT" && url.pathname === "/api/panel/admin/delivery-fees"){
+    const auth = await requireAuth(req, ["admin"]);
+    const payload = await readJson(req);
+    sendJson(res, 200, { rules: await saveDeliveryFeeRules(payload.rules || payload, auth.profile) });
+    return true;
+  }
+  if(req.method === "POST" && url.pathname === "/api/panel/admin/products"){
+    const auth = await requireAuth(req, ["admin"]);
+    const payload = await readJson(req);
+    sendJson(res, 201, { product: await createProduct(payload, auth.profile) });
+    return true;
+  }
+  if((req.method === "PATCH" || req.method === "DELETE") && url.pathname.startsWith("/api/panel/admin/products/")){
+    await requireAuth(req, ["admin"]);
+    const sku = decodeURIComponent(url.pathname.replace("/api/panel/admin/products/", ""));
+    const product = req.method === "DELETE"
+      ? await deactivateProduct(sku)
+      : await updateProduct(sku, await readJson(req));
+    sendJson(res, 200, { product });
+    return true;
+  }
+  if(req.method === "GET" && url.pathname.startsWith("/api/panel/admin/orders/") && url.pathname.endsWith("/payment-review")){
+    await requireAuth(req, ["admin"]);
+    const orderCode = decodeURIComponent(url.pathname.replace("/api/panel/admin/orders/", "").replace("/payment-review", ""));
+    sendJson(res, 200, await getBankTransferProof(orderCode));
+    return true;
+  }
+  if(req.method === "POST" && url.pathname.startsWith("/api/panel/admin/orders/") && url.pathname.endsWith("/payment-review")){
+    const auth = await requireAuth(req, ["admin"]);
+    const orderCode = decodeURIComponent(url.pathname.replace("/api/panel/admin/orders/", "").replace("/payment-review", ""));
+    const payload = await readJson(req);
+    sendJson(res, 200, await reviewBankTransfer(orderCode, payload, auth.profile));
+    return true;
+  }
+  if(req.method === "GET" && url.pathname.startsWith("/api/panel/admin/orders/") && url.pathname.endsWith("/refunds")){
+    await requireAuth(req, ["admin"]);
+    const orderCode = decodeURIComponent(url.pathname.replace("/api/panel/admin/orders/", "").replace("/refunds", ""));
+    sendJson(res, 200, await getOrderRefundState(orderCode));
+    return true;
+  }
+  if(req.method === "POST" && url.pathname.startsWith("/api/panel/admin/orders/") && url.pathname.endsWith("/refund")){
+    const auth = await requireAuth(req, ["admin"]);
+    const orderCode = decodeURIComponent(url.pathname.replace("/api/panel/admin/orders/", "").replace("/refund", ""));
+    const payload = await readJson(req);
+    sendJson(res, 201, await refundOrder(orderCode, payload, auth.profile));
     return true;
   }
   if(req.method === "GET" && url.pathname === "/api/panel/admin/customers"){
@@ -1354,6 +5650,19 @@ async function handleApi(req, res, url){
     sendJson(res, 200, { rewards: await getPanelRewards() });
     return true;
   }
+  if(req.method === "GET" && url.pathname.startsWith("/api/panel/admin/rewards/") && url.pathname.endsWith("/adjustments")){
+    await requireAuth(req, ["admin"]);
+    const email = decodeURIComponent(url.pathname.replace("/api/panel/admin/rewards/", "").replace("/adjustments", ""));
+    sendJson(res, 200, { adjustments: await listPointsAdjustments(email) });
+    return true;
+  }
+  if(req.method === "POST" && url.pathname.startsWith("/api/panel/admin/rewards/") && url.pathname.endsWith("/adjust")){
+    const auth = await requireAuth(req, ["admin"]);
+    const email = decodeURIComponent(url.pathname.replace("/api/panel/admin/rewards/", "").replace("/adjust", ""));
+    const payload = await readJson(req);
+    sendJson(res, 201, await adjustCustomerPoints(email, payload, auth.profile));
+    return true;
+  }
   if(req.method === "GET" && url.pathname === "/api/panel/admin/sales"){
     await requireAuth(req, ["admin"]);
     sendJson(res, 200, await getPanelSales());
@@ -1366,11 +5675,83 @@ async function handleApi(req, res, url){
     return true;
   }
   if(req.method === "GET" && url.pathname === "/api/panel/staff/orders"){
-    await requireAuth(req, ["staff", "admin"]);
-    const orders = await listAllOrdersDetailed();
+    const auth = await requireAuth(req, ["staff", "admin"]);
+    const orders = withAllowedTransitions(await listAllOrdersDetailed(), auth.profile.role);
     sendJson(res, 200, { orders });
     return true;
   }
+  if(req.method === "POST" && url.pathname === "/api/panel/inventory/movements"){
+    const auth = await requireAuth(req, ["admin", "staff"]);
+    const payload = await readJson(req);
+    sendJson(res, 201, await recordManualStockMovement(payload, auth.profile));
+    return true;
+  }
+  if(req.method === "GET" && url.pathname === "/api/panel/inventory/movements"){
+    await requireAuth(req, ["admin", "staff"]);
+    const sku = String(url.searchParams.get("sku") || "").trim();
+    if(!sku){
+      sendJson(res, 400, { error: "sku is required" });
+      return true;
+    }
+    sendJson(res, 200, await getStockMovementHistory(sku, { limit: Number(url.searchParams.get("limit") || 100) }));
+    return true;
+  }
+  if(req.method === "GET" && url.pathname === "/api/panel/staff/delivery-runs"){
+    await requireAuth(req, ["staff", "admin"]);
+    sendJson(res, 200, await getDeliveryRunsOverview());
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname === "/api/panel/staff/delivery-runs"){
+    const auth = await requireAuth(req, ["staff", "admin"]);
+    const payload = await readJson(req);
+    sendJson(res, 201, { run: await createDeliveryRun(payload, auth.profile) });
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname.startsWith("/api/panel/staff/delivery-runs/") && url.pathname.endsWith("/cancel")){
+    await requireAuth(req, ["staff", "admin"]);
+    const id = decodeURIComponent(url.pathname.replace("/api/panel/staff/delivery-runs/", "").replace("/cancel", ""));
+    sendJson(res, 200, { run: await cancelDeliveryRun(id) });
+    return true;
+  }
+
+  if(req.method === "PATCH" && url.pathname.startsWith("/api/panel/staff/delivery-runs/")){
+    const auth = await requireAuth(req, ["staff", "admin"]);
+    const id = decodeURIComponent(url.pathname.replace("/api/panel/staff/delivery-runs/", ""));
+    const payload = await readJson(req);
+    sendJson(res, 200, { run: await updateDeliveryRun(id, payload, auth.profile) });
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/rider/runs"){
+    const auth = await requireAuth(req, ["rider"]);
+    sendJson(res, 200, { runs: await listRiderRuns(auth.profile) });
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname.startsWith("/api/rider/runs/") && url.pathname.endsWith("/start")){
+    const auth = await requireAuth(req, ["rider"]);
+    const id = decodeURIComponent(url.pathname.replace("/api/rider/runs/", "").replace("/start", ""));
+    sendJson(res, 200, await startDeliveryRun(id, auth.profile));
+    return true;
+  }
+
+  if(req.method === "POST" && url.pathname.startsWith("/api/rider/stops/") && url.pathname.endsWith("/status")){
+    const auth = await requireAuth(req, ["rider"]);
+    const orderCode = decodeURIComponent(url.pathname.replace("/api/rider/stops/", "").replace("/status", ""));
+    const payload = await readJson(req);
+    sendJson(res, 200, { run: await updateRiderStop(orderCode, payload, auth.profile) });
+    return true;
+  }
+
+  if(req.method === "GET" && url.pathname === "/api/panel/staff/scheduled-orders"){
+    await requireAuth(req, ["staff", "admin"]);
+    const days = Math.min(31, Math.max(1, Number(url.searchParams.get("days") || 7)));
+    sendJson(res, 200, await getUpcomingScheduledOrders(days));
+    return true;
+  }
+
   if(req.method === "GET" && url.pathname === "/api/panel/staff/inventory"){
     await requireAuth(req, ["staff", "admin"]);
     sendJson(res, 200, await getPanelInventory());
@@ -1415,10 +5796,36 @@ const server = http.createServer(async (req, res) => {
     await serveStatic(res, url);
   }catch(err){
     console.error(err);
-    sendJson(res, Number(err.status || 500), { error: err.message || "Internal server error" });
+    sendJson(res, Number(err.status || 500), { error: err.message || "Internal server error", ...(err.details || {}) });
   }
 });
 
-server.listen(PORT, () => {
-  console.log(`Jazjo server running at http://localhost:${PORT}`);
-});
+// Tests import this module for createOrder(); only `node server/index.mjs`
+// starts listening and sweeping.
+const isEntryPoint = Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if(isEntryPoint){
+  server.listen(PORT, () => {
+    console.log(`Jazjo server running at http://localhost:${PORT}`);
+  });
+}
+
+if(isEntryPoint && SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY && SUBSCRIPTION_SWEEP_SECONDS > 0){
+  setInterval(() => {
+    sweepDueSubscriptions().catch(err => console.error("[subscriptions] sweep failed", err));
+  }, SUBSCRIPTION_SWEEP_SECONDS * 1000).unref();
+}
+
+if(isEntryPoint && SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY && NOTIFICATION_SWEEP_SECONDS > 0){
+  setInterval(() => {
+    dispatchNotifications().catch(err => console.error("[notifications] dispatch failed", err));
+  }, NOTIFICATION_SWEEP_SECONDS * 1000).unref();
+}
+
+if(isEntryPoint && SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY && QRPH_EXPIRY_SWEEP_SECONDS > 0){
+  setInterval(() => {
+    sweepExpiredQrphOrders().catch(err => console.error("[qrph expiry] sweep failed", err));
+  }, QRPH_EXPIRY_SWEEP_SECONDS * 1000).unref();
+}
+
+export { createOrder, markOrderPaidFromWebhook, sweepExpiredQrphOrders, releaseExpiredReservations };
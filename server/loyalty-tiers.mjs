@@ -0,0 +1,91 @@
+// Membership tiers. Earning, checkout perks and the tier progress shown on the
+// customer pages all go through this module so the rates only live in one place.
+// A customer's tier comes from delivered spend in the rolling window, so
+// upgrades and downgrades happen on their own as orders enter and leave it.
+
+export const DEFAULT_LOYALTY_RULES = {
+  pointsPer100: 10,
+  windowDays: 365,
+  tiers: [
+    { name: "Regular", minSpend: 0, multiplier: 1, freeDelivery: false },
+    { name: "Silver", minSpend: 20000, multiplier: 1.25, freeDelivery: false },
+    { name: "Gold", minSpend: 50000, multiplier: 1.5, freeDelivery: true }
+  ]
+};
+
+function invalid(message){
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function number(value, label, { min = 0, integer = false } = {}){
+  const n = Number(value);
+  if(!Number.isFinite(n) || n < min || (integer && !Number.isInteger(n))){
+    throw invalid(`${label} must be ${integer ? "a whole number" : "a number"} of at least ${min}.`);
+  }
+  return integer ? n : Math.round(n * 100) / 100;
+}
+
+export function normalizeLoyaltyRules(input = {}){
+  const rules = { ...DEFAULT_LOYALTY_RULES, ...(input || {}) };
+  const tiers = (Array.isArray(rules.tiers) ? rules.tiers : []).map((tier, idx) => {
+    const name = String(tier?.name || "").trim();
+    if(!name || name.length > 40) throw invalid(`Tier ${idx + 1} needs a name (up to 40 characters).`);
+    return {
+      name,
+      minSpend: number(tier.minSpend ?? 0, `Minimum spend for "${name}"`),
+      multiplier: number(tier.multiplier ?? 1, `Earn multiplier for "${name}"`, { min: 0.01 }),
+      freeDelivery: tier.freeDelivery === true
+    };
+  }).sort((a, b) => a.minSpend - b.minSpend);
+
+  if(!tiers.length) throw invalid("Add at least one tier.");
+  if(tiers[0].minSpend !== 0) throw invalid("The lowest tier must start at PHP 0 so every customer has a tier.");
+  const names = new Set(tiers.map(t => t.name.toLowerCase()));
+  if(names.size !== tiers.length) throw invalid("Tier names must be unique.");
+  if(new Set(tiers.map(t => t.minSpend)).size !== tiers.length) throw invalid("Each tier needs a different minimum spend.");
+
+  return {
+    pointsPer100: number(rules.pointsPer100, "Points per PHP 100", { integer: true }),
+    windowDays: number(rules.windowDays, "Spend window (days)", { min: 1, integer: true }),
+    tiers
+  };
+}
+
+// `orders` are delivered orders ({ total, created_at }); anything outside the
+// window is ignored.
+export function rollingSpend(rulesInput, orders = [], at = new Date()){
+  const rules = normalizeLoyaltyRules(rulesInput);
+  const from = new Date(at).getTime() - rules.windowDays * 86_400_000;
+  const spend = orders
+    .filter(o => new Date(o.created_at).getTime() >= from)
+    .reduce((sum, o) => sum + Number(o.total || 0), 0);
+  return Math.round(spend * 100) / 100;
+}
+
+export function tierForSpend(rulesInput, spend){
+  const rules = normalizeLoyaltyRules(rulesInput);
+  return rules.tiers.filter(t => spend >= t.minSpend).pop() || rules.tiers[0];
+}
+
+export function tierProgress(rulesInput, spend){
+  const rules = normalizeLoyaltyRules(rulesInput);
+  const tier = tierForSpend(rules, spend);
+  const nextTier = rules.tiers.find(t => t.minSpend > spend) || null;
+  const span = nextTier ? nextTier.minSpend - tier.minSpend : 0;
+  return {
+    tier,
+    nextTier,
+    spend,
+    windowDays: rules.windowDays,
+    amountToNext: nextTier ? Math.round((nextTier.minSpend - spend) * 100) / 100 : 0,
+    percent: nextTier ? Math.min(100, Math.round(((spend - tier.minSpend) / span) * 100)) : 100
+  };
+}
+
+export function pointsForAmount(rulesInput, amount, tier = null){
+  const rules = normalizeLoyaltyRules(rulesInput);
+  const base = Math.floor(Number(amount || 0) / 100) * rules.pointsPer100;
+  return Math.floor(base * Number(tier?.multiplier || 1));
+}
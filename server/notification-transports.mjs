@@ -0,0 +1,222 @@
+// Notification transports. Each one has a `channel` ("email" or "sms"), a
+// `name` and `send({ to, subject, text })`, which resolves once the provider
+// has accepted the message and throws otherwise. Errors marked `permanent`
+// (a rejected address, say) are not retried by the outbox. Local-testing
+// transports set `delivers: false`; their rows are marked "logged", not "sent".
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import tls from "node:tls";
+
+function permanent(message){
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// Stands in for a transport whose settings are missing or wrong, so a bad
+// config shows up as failed sends (with the reason) instead of stopping the
+// server. Not permanent: the rows are retried once the config is fixed and
+// the server restarted.
+export function createUnavailableTransport(channel, name, reason){
+  return {
+    channel,
+    name,
+    unavailable: reason,
+    async send(){
+      throw new Error(`${channel} transport "${name}" is not configured: ${reason}`);
+    }
+  };
+}
+
+// Local testing: print the message.
+export function createConsoleTransport(channel){
+  return {
+    channel,
+    name: "console",
+    delivers: false,
+    async send({ to, subject, text }){
+      console.log(`[notify ${channel}] to ${to}${subject ? ` - ${subject}` : ""}\n${text}`);
+    }
+  };
+}
+
+// Local testing: append the message to a JSON-lines file.
+export function createFileTransport(channel, filePath){
+  return {
+    channel,
+    name: "file",
+    delivers: false,
+    async send({ to, subject, text }){
+      await fs.appendFile(filePath, `${JSON.stringify({ channel, to, subject: subject || null, text, at: new Date().toISOString() })}\n`);
+    }
+  };
+}
+
+// Semaphore (semaphore.co), a Philippine SMS gateway. Numbers go out as
+// 639XXXXXXXXX.
+export function createSemaphoreTransport({ apiKey, senderName = "", baseUrl = "https://api.semaphore.co", timeoutMs = 15_000 }){
+  if(!apiKey) throw new Error("SEMAPHORE_API_KEY is required for the semaphore SMS transport.");
+  return {
+    channel: "sms",
+    name: "semaphore",
+    async send({ to, text }){
+      const body = new URLSearchParams({ apikey: apiKey, number: to, message: text });
+      if(senderName) body.set("sendername", senderName);
+      const res = await fetch(`${baseUrl.replace(/\/$/, "")}/api/v4/messages`, {
+        method: "POST",
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      const raw = await res.text();
+      if(res.ok) return;
+      const message = `Semaphore rejected the SMS (HTTP ${res.status}): ${raw.slice(0, 200)}`;
+      // 4xx is a bad number or message; anything else is worth retrying.
+      if(res.status >= 400 && res.status < 500 && res.status !== 429) throw permanent(message);
+      throw new Error(message);
+    }
+  };
+}
+
+// Plain SMTP with STARTTLS (port 587) or implicit TLS (`secure`, port 465)
+// and AUTH PLAIN. One connection per message; volumes here are small.
+export function createSmtpTransport({ host, port = 587, secure = false, user = "", pass = "", from, timeoutMs = 20_000 }){
+  if(!host || !from) throw new Error("SMTP_HOST and SMTP_FROM are required for the smtp email transport.");
+  return {
+    channel: "email",
+    name: "smtp",
+    async send(message){
+      await smtpSend({ host, port, secure, user, pass, from, timeoutMs }, message);
+    }
+  };
+}
+
+// Collects server replies; a reply ends at the line with a space after the
+// code ("250 OK"), earlier lines of a multi-line reply use a dash.
+function smtpReplies(){
+  let buffer = "";
+  let failure = null;
+  let socket = null;
+  const replies = [];
+  const waiters = [];
+  const flush = () => {
+    while(waiters.length && (replies.length || failure)){
+      const waiter = waiters.shift();
+      if(replies.length) waiter.resolve(replies.shift());
+      else waiter.reject(failure);
+    }
+  };
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let match;
+    while((match = buffer.match(/^(\d{3})(?: [^\n]*)?\r?\n/m))){
+      const end = match.index + match[0].length;
+      replies.push({ code: Number(match[1]), text: buffer.slice(0, end).trim() });
+      buffer = buffer.slice(end);
+    }
+    flush();
+  };
+  const onError = (err) => {
+    failure = err;
+    flush();
+  };
+  const onClose = () => onError(failure || new Error("SMTP server closed the connection."));
+  return {
+    attach(next){
+      if(socket){
+        socket.off("data", onData);
+        socket.off("error", onError);
+        socket.off("close", onClose);
+      }
+      socket = next;
+      socket.on("data", onData);
+      socket.on("error", onError);
+      socket.on("close", onClose);
+    },
+    next(){
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        flush();
+      });
+    }
+  };
+}
+
+function connect(options, secure, timeoutMs){
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect(options) : net.connect(options);
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP server timed out.")));
+    socket.once(secure ? "secureConnect" : "connect", () => {
+      socket.off("error", reject);
+      resolve(socket);
+    });
+    socket.once("error", reject);
+  });
+}
+
+function encodeHeader(value){
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+function formatMessage({ from, to, subject, text }){
+  const domain = (from.match(/@([^>\s]+)/) || [])[1] || os.hostname();
+  const body = Buffer.from(text.replace(/\r?\n/g, "\r\n")).toString("base64").replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject || "")}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body
+  ].join("\r\n");
+}
+
+async function smtpSend({ host, port, secure, user, pass, from, timeoutMs }, { to, subject, text }){
+  const replies = smtpReplies();
+  let socket = await connect({ host, port, servername: host }, secure, timeoutMs);
+  replies.attach(socket);
+  const expect = async (verb, codes) => {
+    const reply = await replies.next();
+    if(!codes.includes(reply.code)){
+      const message = `SMTP ${verb} failed: ${reply.text}`;
+      throw reply.code >= 500 ? permanent(message) : new Error(message);
+    }
+    return reply;
+  };
+  const command = async (line, codes, verb = line.split(" ")[0]) => {
+    socket.write(`${line}\r\n`);
+    return await expect(verb, codes);
+  };
+
+  try{
+    await expect("greeting", [220]);
+    const helo = `EHLO ${os.hostname()}`;
+    const ehlo = await command(helo, [250]);
+    let encrypted = secure;
+    if(!secure && /\bSTARTTLS\b/i.test(ehlo.text)){
+      await command("STARTTLS", [220]);
+      socket = await connect({ socket, servername: host }, true, timeoutMs);
+      replies.attach(socket);
+      await command(helo, [250]);
+      encrypted = true;
+    }
+    if(user){
+      // Never send the password in the clear.
+      if(!encrypted) throw permanent(`SMTP server ${host} does not offer STARTTLS; refusing to log in over an unencrypted connection.`);
+      await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass}`).toString("base64")}`, [235], "AUTH");
+    }
+    const sender = (from.match(/<([^>]+)>/) || [])[1] || from;
+    await command(`MAIL FROM:<${sender}>`, [250], "MAIL FROM");
+    await command(`RCPT TO:<${to}>`, [250, 251], "RCPT TO");
+    await command("DATA", [354]);
+    await command(`${formatMessage({ from, to, subject, text })}\r\n.`, [250], "message");
+    await command("QUIT", [221]).catch(() => {});
+  }finally{
+    socket.destroy();
+  }
+}
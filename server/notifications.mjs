@@ -0,0 +1,90 @@
+// Customer notifications (and low stock emails to admins). index.mjs renders
+// a template per channel into the notification_outbox table and a dispatcher
+// hands each row to a transport from notification-transports.mjs, retrying
+// with backoff.
+
+export const DEFAULT_NOTIFICATION_PREFS = { email: true, sms: true };
+
+// {{name}} placeholders are filled by renderNotification(). SMS text is kept
+// under 160 characters for a typical order code and link.
+export const NOTIFICATION_TEMPLATES = {
+  welcome: {
+    subject: "Welcome to Jazjo Beverage",
+    email: "Hi {{name}},\n\nYour Jazjo Beverage account is ready. Order by the case at {{shopUrl}} and track every delivery from your dashboard.\n\nJazjo Beverage",
+    sms: "Hi {{name}}, welcome to Jazjo Beverage! Your account is ready: {{shopUrl}}"
+  },
+  payment_confirmed: {
+    subject: "Payment received for {{orderCode}}",
+    email: "Hi {{name}},\n\nWe received your {{paymentMethod}} payment of {{total}} for order {{orderCode}}. We'll start preparing it now.\n\nTrack your order: {{orderUrl}}\n\nJazjo Beverage",
+    sms: "Jazjo: Payment of {{total}} for {{orderCode}} received. Track it: {{orderUrl}}"
+  },
+  out_for_delivery: {
+    subject: "{{orderCode}} is out for delivery",
+    email: "Hi {{name}},\n\nOur rider is on the way with order {{orderCode}}. Please have someone ready to receive it{{codNote}}.\n\nTrack your order: {{orderUrl}}\n\nJazjo Beverage",
+    sms: "Jazjo: {{orderCode}} is out for delivery{{codNote}}. {{orderUrl}}"
+  },
+  delivered: {
+    subject: "{{orderCode}} was delivered",
+    email: "Hi {{name}},\n\nOrder {{orderCode}} was delivered. Thank you for ordering from Jazjo Beverage!\n\nProof of delivery and your receipt: {{orderUrl}}\n\nJazjo Beverage",
+    sms: "Jazjo: {{orderCode}} was delivered. Thank you! {{orderUrl}}"
+  },
+  delivery_failed: {
+    subject: "We missed you - {{orderCode}}",
+    email: "Hi {{name}},\n\nOur rider couldn't deliver order {{orderCode}} ({{reason}}). We've booked it into the next available delivery slot; you can pick another one here: {{orderUrl}}\n\nJazjo Beverage",
+    sms: "Jazjo: We couldn't deliver {{orderCode}} ({{reason}}). Rebooked for the next slot; change it here: {{orderUrl}}"
+  },
+  cancelled: {
+    subject: "{{orderCode}} was cancelled",
+    email: "Hi {{name}},\n\nOrder {{orderCode}} was cancelled.{{refundNote}}\n\nDetails: {{orderUrl}}\n\nJazjo Beverage",
+    sms: "Jazjo: {{orderCode}} was cancelled.{{refundNote}} {{orderUrl}}"
+  },
+  // Admins only, email only.
+  low_stock: {
+    subject: "Low stock: {{productName}}",
+    email: "Hi {{name}},\n\n{{productName}} ({{sku}}) is down to {{stockCases}} cases, at or below its reorder point of {{reorderPoint}}.\n\nReorder suggestions: {{inventoryUrl}}\n\nJazjo Beverage",
+    sms: "Jazjo: {{productName}} is down to {{stockCases}} cases. {{inventoryUrl}}"
+  }
+};
+
+function invalid(message){
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function fill(text, data){
+  return text.replace(/\{\{(\w+)\}\}/g, (_, key) => String(data[key] ?? ""));
+}
+
+export function renderNotification(template, data = {}){
+  const t = NOTIFICATION_TEMPLATES[template];
+  if(!t) throw new Error(`Unknown notification template: ${template}`);
+  return { subject: fill(t.subject, data), email: fill(t.email, data), sms: fill(t.sms, data) };
+}
+
+export function normalizeNotificationPrefs(input = {}){
+  const prefs = { ...DEFAULT_NOTIFICATION_PREFS, ...(input || {}) };
+  for(const channel of Object.keys(DEFAULT_NOTIFICATION_PREFS)){
+    if(typeof prefs[channel] !== "boolean") throw invalid(`Turn ${channel} notifications on or off.`);
+  }
+  return { email: prefs.email, sms: prefs.sms };
+}
+
+export function isEmailAddress(value){
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value || ""));
+}
+
+// Philippine mobile numbers as 639XXXXXXXXX, or "" when `contact` isn't one.
+export function normalizeMobileNumber(contact){
+  const digits = String(contact || "").replace(/\D/g, "");
+  if(/^09\d{9}$/.test(digits)) return `63${digits.slice(1)}`;
+  if(/^9\d{9}$/.test(digits)) return `63${digits}`;
+  if(/^639\d{9}$/.test(digits)) return digits;
+  return "";
+}
+
+// Wait before the retry after failed attempt `attempt`: 1, 2, 4, 8... minutes,
+// capped at an hour.
+export function retryDelaySeconds(attempt, { baseSeconds = 60, maxSeconds = 3600 } = {}){
+  return Math.min(maxSeconds, baseSeconds * 2 ** Math.max(0, attempt - 1));
+}
@@ -0,0 +1,205 @@
+// Local stand-in for the parts of the PayMongo API this app uses. Point the
+// main server at it with PAYMONGO_API_BASE=http://localhost:4010 and it will
+// serve checkout sessions and refunds, and send signed webhooks back to
+// APP_BASE_URL/api/paymongo/webhook the way PayMongo does.
+import http from "node:http";
+import crypto from "node:crypto";
+import { env } from "./env.mjs";
+
+const PORT = Number(env("PAYMONGO_STANDIN_PORT") || 4010);
+const STANDIN_BASE = `http://localhost:${PORT}`;
+const APP_BASE_URL = (env("APP_BASE_URL") || `http://localhost:${env("PORT") || 3000}`).replace(/\/$/, "");
+const WEBHOOK_SECRET = env("PAYMONGO_WEBHOOK_SECRET");
+const REFUND_SETTLE_MS = Number(env("PAYMONGO_STANDIN_REFUND_SETTLE_MS") || 1500);
+
+const sessions = new Map();
+const payments = new Map();
+const refunds = new Map();
+
+function makeId(prefix){
+  return `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function nowSeconds(){
+  return Math.floor(Date.now() / 1000);
+}
+
+function sendJson(res, status, body){
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, detail){
+  sendJson(res, status, { errors: [{ code: "parameter_invalid", detail }] });
+}
+
+function readBody(req){
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+async function sendWebhook(type, resource){
+  const body = JSON.stringify({
+    data: {
+      id: makeId("evt"),
+      type: "event",
+      attributes: { type, livemode: false, data: resource, created_at: nowSeconds() }
+    }
+  });
+  const t = nowSeconds();
+  const signature = crypto.createHmac("sha256", WEBHOOK_SECRET).update(`${t}.${body}`).digest("hex");
+  try{
+    const res = await fetch(`${APP_BASE_URL}/api/paymongo/webhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Paymongo-Signature": `t=${t},te=${signature},li=` },
+      body
+    });
+    console.log(`[paymongo stand-in] webhook ${type} -> ${res.status}`);
+  }catch(err){
+    console.error(`[paymongo stand-in] webhook ${type} failed`, err.message);
+  }
+}
+
+function createCheckoutSession(attrs){
+  const id = makeId("cs");
+  const session = {
+    id,
+    type: "checkout_session",
+    attributes: {
+      checkout_url: `${STANDIN_BASE}/checkout/${id}`,
+      line_items: attrs.line_items || [],
+      metadata: attrs.metadata || {},
+      payment_method_types: attrs.payment_method_types || ["qrph"],
+      success_url: attrs.success_url,
+      cancel_url: attrs.cancel_url,
+      status: "active",
+      payments: [],
+      payment_intent: { id: makeId("pi"), type: "payment_intent", attributes: { status: "awaiting_payment_method", payments: [] } },
+      created_at: nowSeconds()
+    }
+  };
+  sessions.set(id, session);
+  return session;
+}
+
+async function payCheckoutSession(session){
+  const amount = session.attributes.line_items.reduce((sum, li) => sum + Number(li.amount || 0) * Number(li.quantity || 1), 0);
+  const payment = {
+    id: makeId("pay"),
+    type: "payment",
+    attributes: { amount, currency: "PHP", status: "paid", refunds: [], metadata: session.attributes.metadata, paid_at: nowSeconds() }
+  };
+  payments.set(payment.id, payment);
+  session.attributes.status = "paid";
+  session.attributes.payments = [payment];
+  session.attributes.payment_intent.attributes.status = "succeeded";
+  session.attributes.payment_intent.attributes.payments = [payment];
+  await sendWebhook("checkout_session.payment.paid", session);
+}
+
+function createRefund(attrs){
+  const payment = payments.get(attrs.payment_id);
+  if(!payment) return { error: "payment_id does not exist." };
+  const refunded = payment.attributes.refunds
+    .filter(r => r.attributes.status !== "failed")
+    .reduce((sum, r) => sum + r.attributes.amount, 0);
+  if(!Number.isInteger(attrs.amount) || attrs.amount <= 0 || attrs.amount > payment.attributes.amount - refunded){
+    return { error: "amount exceeds the refundable balance of the payment." };
+  }
+  const refund = {
+    id: makeId("ref"),
+    type: "refund",
+    attributes: {
+      amount: attrs.amount,
+      currency: "PHP",
+      payment_id: payment.id,
+      reason: attrs.reason,
+      notes: attrs.notes || null,
+      status: "pending",
+      created_at: nowSeconds()
+    }
+  };
+  refunds.set(refund.id, refund);
+  payment.attributes.refunds.push(refund);
+  // PayMongo settles refunds asynchronously; mimic that with a delayed webhook.
+  setTimeout(() => {
+    refund.attributes.status = "succeeded";
+    sendWebhook("refund.updated", refund);
+  }, REFUND_SETTLE_MS);
+  return { refund };
+}
+
+function checkoutPage(session){
+  const total = session.attributes.line_items.reduce((sum, li) => sum + Number(li.amount || 0) * Number(li.quantity || 1), 0) / 100;
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8" /><title>PayMongo stand-in checkout</title></head>
+<body style="font-family:system-ui;max-width:480px;margin:40px auto">
+  <h1>QRPH checkout (stand-in)</h1>
+  <p>Order ${session.attributes.metadata?.order_code || "-"} - PHP ${total.toLocaleString("en-PH")}</p>
+  <form method="post" action="/checkout/${session.id}/pay"><button type="submit">Simulate successful payment</button></form>
+  <p><a href="${session.attributes.cancel_url || "#"}">Cancel</a></p>
+</body></html>`;
+}
+
+const server = http.createServer(async (req, res) => {
+  try{
+    const url = new URL(req.url || "/", STANDIN_BASE);
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    if(req.method === "POST" && url.pathname === "/v1/checkout_sessions"){
+      const body = JSON.parse(await readBody(req) || "{}");
+      sendJson(res, 200, { data: createCheckoutSession(body?.data?.attributes || {}) });
+      return;
+    }
+    if(req.method === "GET" && parts[0] === "v1" && parts[1] === "checkout_sessions" && parts[2]){
+      const session = sessions.get(parts[2]);
+      if(!session) return sendError(res, 404, "No such checkout_session.");
+      sendJson(res, 200, { data: session });
+      return;
+    }
+    if(req.method === "POST" && url.pathname === "/v1/refunds"){
+      const body = JSON.parse(await readBody(req) || "{}");
+      const result = createRefund(body?.data?.attributes || {});
+      if(result.error) return sendError(res, 400, result.error);
+      sendJson(res, 200, { data: result.refund });
+      return;
+    }
+    if(req.method === "GET" && parts[0] === "v1" && parts[1] === "refunds" && parts[2]){
+      const refund = refunds.get(parts[2]);
+      if(!refund) return sendError(res, 404, "No such refund.");
+      sendJson(res, 200, { data: refund });
+      return;
+    }
+    if(req.method === "GET" && parts[0] === "checkout" && parts[1]){
+      const session = sessions.get(parts[1]);
+      if(!session) return sendError(res, 404, "No such checkout_session.");
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(checkoutPage(session));
+      return;
+    }
+    if(req.method === "POST" && parts[0] === "checkout" && parts[1] && parts[2] === "pay"){
+      const session = sessions.get(parts[1]);
+      if(!session) return sendError(res, 404, "No such checkout_session.");
+      if(session.attributes.status !== "paid") await payCheckoutSession(session);
+      res.writeHead(303, { Location: session.attributes.success_url || "/" });
+      res.end();
+      return;
+    }
+    sendError(res, 404, `Stand-in does not implement ${req.method} ${url.pathname}`);
+  }catch(err){
+    console.error(err);
+    sendError(res, 500, err.message || "Stand-in error");
+  }
+});
+
+if(!WEBHOOK_SECRET){
+  console.warn("[paymongo stand-in] PAYMONGO_WEBHOOK_SECRET is empty; webhooks will fail signature checks.");
+}
+
+server.listen(PORT, () => {
+  console.log(`PayMongo stand-in running at ${STANDIN_BASE} (webhooks -> ${APP_BASE_URL}/api/paymongo/webhook)`);
+});
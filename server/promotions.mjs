@@ -0,0 +1,142 @@
+// Voucher rules. Like delivery-fees.mjs this is pure so the cart quote and
+// createOrder() compute the same discount from the same inputs.
+
+export const PROMOTION_TYPES = ["percent", "fixed", "buy_x_get_y"];
+
+function invalid(message){
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function amount(value, label, { allowNull = false } = {}){
+  if(allowNull && (value === null || value === undefined || value === "")) return null;
+  const n = Number(value);
+  if(!Number.isFinite(n) || n < 0) throw invalid(`${label} must be zero or more.`);
+  return Math.round(n * 100) / 100;
+}
+
+function count(value, label, { allowNull = false, min = 0 } = {}){
+  if(allowNull && (value === null || value === undefined || value === "")) return null;
+  const n = Number(value);
+  if(!Number.isInteger(n) || n < min) throw invalid(`${label} must be a whole number of at least ${min}.`);
+  return n;
+}
+
+function timestamp(value, label){
+  if(value === null || value === undefined || value === "") return null;
+  const d = new Date(value);
+  if(Number.isNaN(d.getTime())) throw invalid(`${label} is not a valid date.`);
+  return d.toISOString();
+}
+
+export function normalizePromotionCode(code){
+  return String(code || "").trim().toUpperCase();
+}
+
+// Maps the admin form payload to promotions table columns. With `partial`,
+// only the fields present in the payload are returned (for PATCH).
+export function normalizePromotionPayload(payload = {}, { partial = false } = {}){
+  const out = {};
+  const has = (key) => !partial || Object.prototype.hasOwnProperty.call(payload, key);
+
+  if(has("code")){
+    const code = normalizePromotionCode(payload.code);
+    if(!/^[A-Z0-9_-]{3,32}$/.test(code)) throw invalid("Code must be 3-32 letters, numbers, dashes or underscores.");
+    out.code = code;
+  }
+  if(has("name")){
+    const name = String(payload.name || "").trim();
+    if(!name || name.length > 120) throw invalid("Name is required (up to 120 characters).");
+    out.name = name;
+  }
+  if(has("type")){
+    if(!PROMOTION_TYPES.includes(payload.type)) throw invalid("Type must be percent, fixed or buy_x_get_y.");
+    out.type = payload.type;
+  }
+  if(has("value")) out.value = amount(payload.value ?? 0, "Value");
+  if(has("category")) out.category = String(payload.category || "").trim() || null;
+  if(has("sku")) out.sku = String(payload.sku || "").trim() || null;
+  if(has("buyQty")) out.buy_qty = count(payload.buyQty, "Buy quantity", { allowNull: true, min: 1 });
+  if(has("getQty")) out.get_qty = count(payload.getQty, "Free quantity", { allowNull: true, min: 1 });
+  if(has("minSubtotal")) out.min_subtotal = amount(payload.minSubtotal ?? 0, "Minimum subtotal");
+  if(has("maxDiscount")) out.max_discount = amount(payload.maxDiscount, "Maximum discount", { allowNull: true });
+  if(has("startsAt")) out.starts_at = timestamp(payload.startsAt, "Start date");
+  if(has("endsAt")) out.ends_at = timestamp(payload.endsAt, "End date");
+  if(has("usageLimit")) out.usage_limit = count(payload.usageLimit, "Total usage limit", { allowNull: true, min: 1 });
+  if(has("perCustomerLimit")) out.per_customer_limit = count(payload.perCustomerLimit, "Per-customer limit", { allowNull: true, min: 1 });
+  if(has("isActive")) out.is_active = payload.isActive !== false;
+  return out;
+}
+
+// Cross-field checks, run on the full row (after merging a PATCH onto the
+// stored promotion) so an edit cannot leave a voucher half-configured.
+export function assertPromotionRow(row){
+  const value = Number(row.value || 0);
+  if(row.type === "percent" && (value <= 0 || value > 100)) throw invalid("Percent discount must be between 1 and 100.");
+  if(row.type === "fixed" && value <= 0) throw invalid("Fixed discount must be more than zero.");
+  if(row.type === "buy_x_get_y" && (!row.buy_qty || !row.get_qty)) throw invalid("Buy X get Y needs both quantities.");
+  if(row.type === "buy_x_get_y" && !row.sku && !row.category) throw invalid("Buy X get Y needs a SKU or category.");
+  if(row.starts_at && row.ends_at && row.starts_at >= row.ends_at) throw invalid("End date must be after the start date.");
+  return row;
+}
+
+function lineEligible(promo, line){
+  if(promo.sku && line.sku !== promo.sku) return false;
+  if(promo.category && String(line.category || "").toLowerCase() !== promo.category.toLowerCase()) return false;
+  return true;
+}
+
+// For every (buy + get) cases of eligible items, the cheapest `get` are free.
+// Works on runs of same-priced cases so large quantities stay cheap to price.
+function buyXGetYDiscount(promo, lines){
+  const group = promo.buy_qty + promo.get_qty;
+  const runs = lines
+    .map(line => ({ price: Number(line.unit_price), qty: Number(line.qty) }))
+    .sort((a, b) => b.price - a.price);
+  const totalQty = runs.reduce((sum, r) => sum + r.qty, 0);
+  const limit = Math.floor(totalQty / group) * group;
+  const freeBefore = (n) => Math.floor(n / group) * promo.get_qty + Math.max(0, (n % group) - promo.buy_qty);
+  let position = 0;
+  let discount = 0;
+  for(const run of runs){
+    const from = Math.min(position, limit);
+    const to = Math.min(position + run.qty, limit);
+    discount += (freeBefore(to) - freeBefore(from)) * run.price;
+    position += run.qty;
+  }
+  return discount;
+}
+
+// `lines` are priced order items ({ sku, category, unit_price, qty, line_total }).
+// Usage counts come from promotion_redemptions that were not voided.
+export function evaluatePromotion(promo, { lines = [], subtotal = 0, at = new Date(), totalUses = 0, customerUses = 0 } = {}){
+  const reject = (message) => ({ ok: false, discount: 0, message });
+  if(!promo || !promo.is_active) return reject("This voucher code is not valid.");
+  const now = new Date(at).getTime();
+  if(promo.starts_at && now < new Date(promo.starts_at).getTime()) return reject("This voucher is not active yet.");
+  if(promo.ends_at && now > new Date(promo.ends_at).getTime()) return reject("This voucher has expired.");
+  if(promo.usage_limit && totalUses >= promo.usage_limit) return reject("This voucher has been fully redeemed.");
+  if(promo.per_customer_limit && customerUses >= promo.per_customer_limit) return reject("You have already used this voucher.");
+  if(subtotal < Number(promo.min_subtotal || 0)){
+    return reject(`This voucher needs a subtotal of PHP ${Number(promo.min_subtotal).toLocaleString("en-PH")} or more.`);
+  }
+
+  const eligible = lines.filter(line => lineEligible(promo, line));
+  const eligibleSubtotal = eligible.reduce((sum, line) => sum + Number(line.line_total || 0), 0);
+  if(!eligible.length) return reject("No items in your cart qualify for this voucher.");
+
+  let discount = 0;
+  if(promo.type === "percent") discount = eligibleSubtotal * Number(promo.value) / 100;
+  else if(promo.type === "fixed") discount = Number(promo.value);
+  else if(promo.type === "buy_x_get_y") discount = buyXGetYDiscount(promo, eligible);
+
+  if(promo.max_discount !== null && promo.max_discount !== undefined) discount = Math.min(discount, Number(promo.max_discount));
+  discount = Math.round(Math.min(discount, eligibleSubtotal) * 100) / 100;
+  if(discount <= 0){
+    return reject(promo.type === "buy_x_get_y"
+      ? `Buy ${promo.buy_qty} get ${promo.get_qty} free: add more qualifying cases to use this voucher.`
+      : "This voucher does not apply to your cart.");
+  }
+  return { ok: true, discount, message: `${promo.name}: PHP ${discount.toLocaleString("en-PH")} off` };
+}
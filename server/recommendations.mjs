@@ -0,0 +1,69 @@
+// Product recommendations from every customer's order history. Pure so it
+// can be reasoned about without Supabase: index.mjs loads the rows and passes
+// them in.
+//
+// Ranking, best first:
+//   1. items this customer keeps reordering (in two or more orders)
+//   2. "customers who bought X also bought Y", seeded by the customer's own
+//      orders and favorites
+//   3. items popular across all customers
+// Only active products with stock available are returned.
+
+const MIN_REORDERS = 2;
+
+// `orders` are [{ id, user_id, skus: [sku, ...] }] for orders that were not
+// cancelled. `products` are UI products ({ id: sku, name, availableCases, isActive }).
+export function rankRecommendations({ userId, orders = [], favorites = [], products = [], limit = 6 } = {}){
+  const available = new Map(products.filter(p => p.isActive && p.availableCases > 0).map(p => [p.id, p]));
+  const picked = new Map();
+  const pick = (sku, reason) => {
+    if(picked.size >= limit || picked.has(sku) || !available.has(sku)) return;
+    picked.set(sku, { ...available.get(sku), reason });
+  };
+
+  const mine = orders.filter(o => o.user_id === userId);
+  const reorderCounts = new Map();
+  for(const order of mine){
+    for(const sku of new Set(order.skus)) reorderCounts.set(sku, (reorderCounts.get(sku) || 0) + 1);
+  }
+  [...reorderCounts.entries()]
+    .filter(([, count]) => count >= MIN_REORDERS)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([sku, count]) => pick(sku, `You ordered this ${count} times`));
+
+  const seeds = new Set([...reorderCounts.keys(), ...favorites]);
+  if(seeds.size){
+    const coCounts = new Map();
+    for(const order of orders){
+      if(order.user_id === userId) continue;
+      const skus = new Set(order.skus);
+      const matched = [...skus].filter(sku => seeds.has(sku));
+      if(!matched.length) continue;
+      for(const sku of skus){
+        if(seeds.has(sku)) continue;
+        const entry = coCounts.get(sku) || { count: 0, because: new Map() };
+        entry.count += 1;
+        for(const seed of matched) entry.because.set(seed, (entry.because.get(seed) || 0) + 1);
+        coCounts.set(sku, entry);
+      }
+    }
+    [...coCounts.entries()]
+      .sort((a, b) => b[1].count - a[1].count)
+      .forEach(([sku, entry]) => {
+        const [seed] = [...entry.because.entries()].sort((a, b) => b[1] - a[1])[0];
+        const seedName = products.find(p => p.id === seed)?.name || seed;
+        pick(sku, `Customers who bought ${seedName} also bought this`);
+      });
+  }
+
+  const popularity = new Map();
+  for(const order of orders){
+    for(const sku of new Set(order.skus)) popularity.set(sku, (popularity.get(sku) || 0) + 1);
+  }
+  [...popularity.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([sku]) => pick(sku, "Popular with other customers"));
+
+  for(const sku of available.keys()) pick(sku, "In stock now");
+  return [...picked.values()];
+}
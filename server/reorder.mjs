@@ -0,0 +1,42 @@
+// Reorder suggestions. Average daily sales over the last few weeks decide how
+// long the unreserved stock will last and how many cases to buy: up to the
+// product's target level, or its reorder point plus `coverDays` of sales when
+// it has no target.
+
+export const DEFAULT_REORDER_POINT = 10;
+
+function round(value, places){
+  const f = 10 ** places;
+  return Math.round(value * f) / f;
+}
+
+// `products` are UI products (availableCases, reorderPoint, targetLevel);
+// `soldBySku` maps SKU to cases sold in the last `days` days.
+export function suggestReorders(products, soldBySku, { days, coverDays }){
+  return products
+    .map(p => {
+      const soldCases = Number(soldBySku.get(p.sku) || 0);
+      const dailySales = soldCases / days;
+      const available = Number(p.availableCases || 0);
+      const daysLeft = dailySales > 0 ? available / dailySales : null;
+      const target = p.targetLevel ?? p.reorderPoint + Math.ceil(dailySales * coverDays);
+      const due = available <= p.reorderPoint || (daysLeft !== null && daysLeft < coverDays);
+      return {
+        sku: p.sku,
+        name: p.name,
+        stockCases: p.stockCases,
+        availableCases: available,
+        reorderPoint: p.reorderPoint,
+        targetLevel: p.targetLevel,
+        soldCases,
+        dailySales: round(dailySales, 2),
+        daysLeft: daysLeft === null ? null : round(daysLeft, 1),
+        suggestedCases: due ? Math.max(0, target - available) : 0
+      };
+    })
+    .sort((a, b) =>
+      (b.suggestedCases > 0) - (a.suggestedCases > 0)
+      || (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity)
+      || a.name.localeCompare(b.name)
+    );
+}
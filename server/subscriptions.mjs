@@ -0,0 +1,133 @@
+// Recurring order schedules. Dates are Manila calendar days ("YYYY-MM-DD")
+// so "every Monday" means Monday in the Philippines whatever the server's
+// timezone is. index.mjs owns the database side and calls createOrder().
+
+export const SUBSCRIPTION_CADENCES = {
+  weekly: "Every week",
+  biweekly: "Every 2 weeks",
+  monthly: "Every month"
+};
+
+// QRPH needs the customer at a PayMongo checkout, so scheduled orders are
+// limited to methods that can be settled later.
+export const SUBSCRIPTION_PAYMENT_METHODS = ["Cash on Delivery (COD)", "Bank Transfer"];
+
+export const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const MANILA_OFFSET_MS = 8 * 60 * 60 * 1000;
+const MAX_ITEMS = 30;
+
+function invalid(message){
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseDay(date){
+  return new Date(`${date}T00:00:00Z`);
+}
+
+function formatDay(d){
+  return d.toISOString().slice(0, 10);
+}
+
+export function manilaToday(at = new Date()){
+  return formatDay(new Date(new Date(at).getTime() + MANILA_OFFSET_MS));
+}
+
+export function addDays(date, days){
+  const d = parseDay(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatDay(d);
+}
+
+export function normalizeSubscriptionPayload(payload = {}, { partial = false } = {}){
+  const out = {};
+  const has = (key) => !partial || Object.prototype.hasOwnProperty.call(payload, key);
+
+  if(has("items")){
+    const bySku = new Map();
+    for(const item of Array.isArray(payload.items) ? payload.items : []){
+      const sku = String(item?.productId || "").trim();
+      const qty = Number(item?.qty || 0);
+      if(!sku || !Number.isInteger(qty) || qty <= 0) throw invalid("Each scheduled item needs a product and a whole-case quantity.");
+      bySku.set(sku, (bySku.get(sku) || 0) + qty);
+    }
+    if(!bySku.size) throw invalid("Add at least one item to the schedule.");
+    if(bySku.size > MAX_ITEMS) throw invalid(`A schedule can hold up to ${MAX_ITEMS} products.`);
+    out.items = [...bySku.entries()].map(([productId, qty]) => ({ productId, qty }));
+  }
+  if(has("cadence")){
+    if(!SUBSCRIPTION_CADENCES[payload.cadence]) throw invalid("Cadence must be weekly, biweekly or monthly.");
+    out.cadence = payload.cadence;
+  }
+  if(has("deliveryDay")){
+    const day = Number(payload.deliveryDay);
+    if(!Number.isInteger(day)) throw invalid("Pick a delivery day.");
+    out.delivery_day = day;
+  }
+  if(has("paymentMethod")){
+    const method = SUBSCRIPTION_PAYMENT_METHODS.find(m => m.toLowerCase() === String(payload.paymentMethod || "").trim().toLowerCase());
+    if(!method) throw invalid("Scheduled orders can be paid by Cash on Delivery or Bank Transfer.");
+    out.payment_method = method;
+  }
+  for(const [key, column, label] of [["customerName", "customer_name", "Name"], ["contact", "contact", "Contact"], ["address", "address", "Delivery address"]]){
+    if(!has(key)) continue;
+    const value = String(payload[key] || "").trim();
+    if(!value) throw invalid(`${label} is required.`);
+    out[column] = value;
+  }
+  return out;
+}
+
+// Weekly schedules use delivery_day as a weekday (0 = Sunday); monthly ones
+// use it as a day of the month, capped at 28 so every month has it.
+export function assertSubscriptionRow(row){
+  if(row.cadence === "monthly"){
+    if(row.delivery_day < 1 || row.delivery_day > 28) throw invalid("Monthly deliveries must be on day 1-28 of the month.");
+  } else if(row.delivery_day < 0 || row.delivery_day > 6){
+    throw invalid("Pick a delivery weekday.");
+  }
+  return row;
+}
+
+// First delivery on or after `from`.
+export function firstDeliveryDate({ cadence, delivery_day }, from){
+  const d = parseDay(from);
+  if(cadence === "monthly"){
+    // Move to the 1st before changing month so the 29th-31st don't roll over.
+    const past = d.getUTCDate() > delivery_day;
+    d.setUTCDate(1);
+    if(past) d.setUTCMonth(d.getUTCMonth() + 1);
+    d.setUTCDate(delivery_day);
+    return formatDay(d);
+  }
+  d.setUTCDate(d.getUTCDate() + ((delivery_day - d.getUTCDay() + 7) % 7));
+  return formatDay(d);
+}
+
+export function nextDeliveryDate({ cadence, delivery_day }, current){
+  if(cadence === "weekly") return addDays(current, 7);
+  if(cadence === "biweekly") return addDays(current, 14);
+  const d = parseDay(current);
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + 1);
+  d.setUTCDate(delivery_day);
+  return formatDay(d);
+}
+
+// Deliveries from the subscription's next date up to and including `until`.
+export function upcomingDeliveries(sub, until, limit = 10){
+  const dates = [];
+  let date = sub.next_delivery_on;
+  while(date && date <= until && dates.length < limit){
+    dates.push(date);
+    date = nextDeliveryDate(sub, date);
+  }
+  return dates;
+}
+
+export function describeSchedule({ cadence, delivery_day }){
+  if(cadence === "monthly") return `${SUBSCRIPTION_CADENCES.monthly} on day ${delivery_day}`;
+  return `${SUBSCRIPTION_CADENCES[cadence] || cadence} on ${DAY_NAMES[delivery_day] || "-"}`;
+}
@@ -0,0 +1,26 @@
+-- Stock movement ledger. products.stock_cases is kept as a cached balance;
+-- sum(qty_delta) per product must always equal it.
+create table if not exists public.stock_movements (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references public.products(id) on delete restrict,
+  movement_type text not null check (movement_type in (
+    'opening', 'restock', 'sale', 'cancellation_return', 'write_off', 'count_correction'
+  )),
+  qty_delta integer not null,
+  balance_after integer not null,
+  order_id uuid references public.orders(id) on delete set null,
+  reason text,
+  actor_user_id uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stock_movements_product_created_idx
+  on public.stock_movements (product_id, created_at desc);
+
+alter table public.stock_movements enable row level security;
+
+-- Seed the ledger so existing balances reconcile from day one.
+insert into public.stock_movements (product_id, movement_type, qty_delta, balance_after, reason)
+select p.id, 'opening', p.stock_cases, p.stock_cases, 'Opening balance carried over from products.stock_cases'
+from public.products p
+where not exists (select 1 from public.stock_movements m where m.product_id = p.id);
@@ -0,0 +1,20 @@
+-- Cases held for unpaid orders. Available stock = stock_cases - reserved_cases.
+alter table public.products
+  add column if not exists reserved_cases integer not null default 0 check (reserved_cases >= 0);
+
+create table if not exists public.stock_reservations (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders(id) on delete cascade,
+  product_id uuid not null references public.products(id) on delete restrict,
+  qty integer not null check (qty > 0),
+  status text not null default 'held' check (status in ('held', 'released', 'converted')),
+  expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists stock_reservations_order_idx on public.stock_reservations (order_id);
+create index if not exists stock_reservations_held_expiry_idx
+  on public.stock_reservations (expires_at) where status = 'held';
+
+alter table public.stock_reservations enable row level security;
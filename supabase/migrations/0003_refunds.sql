@@ -0,0 +1,20 @@
+-- PayMongo refunds requested from the admin order screen.
+create table if not exists public.refunds (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders(id) on delete cascade,
+  paymongo_payment_id text not null,
+  paymongo_refund_id text unique,
+  amount numeric(12,2) not null check (amount > 0),
+  reason text not null default 'requested_by_customer',
+  notes text,
+  items jsonb not null default '[]'::jsonb,
+  status text not null default 'pending' check (status in ('pending', 'succeeded', 'failed')),
+  failure_reason text,
+  requested_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists refunds_order_idx on public.refunds (order_id);
+
+alter table public.refunds enable row level security;
@@ -0,0 +1,10 @@
+-- Cash on delivery and bank transfer payments confirmed by staff/admin.
+alter table public.payments
+  add column if not exists proof_reference text,
+  add column if not exists proof_image text,
+  add column if not exists proof_submitted_at timestamptz,
+  add column if not exists reviewed_by uuid,
+  add column if not exists reviewed_at timestamptz,
+  add column if not exists review_note text,
+  add column if not exists collected_amount numeric(12,2),
+  add column if not exists collected_by uuid;
@@ -0,0 +1,14 @@
+-- Admin-configurable delivery fee rules, evaluated by server/delivery-fees.mjs.
+-- A single row (id = 1) holds the whole rule set as JSON.
+create table if not exists public.delivery_fee_rules (
+  id integer primary key default 1 check (id = 1),
+  rules jsonb not null,
+  updated_by uuid,
+  updated_at timestamptz not null default now()
+);
+
+insert into public.delivery_fee_rules (id, rules)
+values (1, '{"baseFee":60,"freeDeliveryMinimum":800,"minimumOrder":0,"deliverOutsideZones":true,"bulkSurcharge":{"minCases":0,"perCase":0},"zones":[],"freeDeliveryWindows":[]}'::jsonb)
+on conflict (id) do nothing;
+
+alter table public.delivery_fee_rules enable row level security;
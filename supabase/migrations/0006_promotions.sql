@@ -0,0 +1,43 @@
+-- Voucher codes and their redemptions. Discount rules are evaluated by
+-- server/promotions.mjs; a redemption is voided when its order is cancelled.
+create table if not exists public.promotions (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique,
+  name text not null,
+  type text not null check (type in ('percent', 'fixed', 'buy_x_get_y')),
+  value numeric(12,2) not null default 0,
+  category text,
+  sku text,
+  buy_qty integer check (buy_qty > 0),
+  get_qty integer check (get_qty > 0),
+  min_subtotal numeric(12,2) not null default 0,
+  max_discount numeric(12,2),
+  starts_at timestamptz,
+  ends_at timestamptz,
+  usage_limit integer check (usage_limit > 0),
+  per_customer_limit integer check (per_customer_limit > 0),
+  is_active boolean not null default true,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.promotion_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  promotion_id uuid not null references public.promotions(id) on delete cascade,
+  order_id uuid not null unique references public.orders(id) on delete cascade,
+  user_id uuid,
+  code text not null,
+  discount numeric(12,2) not null check (discount >= 0),
+  status text not null default 'applied' check (status in ('applied', 'voided')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists promotion_redemptions_promotion_idx
+  on public.promotion_redemptions (promotion_id) where status = 'applied';
+
+alter table public.orders
+  add column if not exists discount numeric(12,2) not null default 0,
+  add column if not exists promo_code text;
+
+alter table public.promotions enable row level security;
+alter table public.promotion_redemptions enable row level security;
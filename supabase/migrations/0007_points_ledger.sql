@@ -0,0 +1,20 @@
+-- Loyalty points ledger. The balance is the sum of points per user; entries
+-- are never edited, and entry_key makes each earn/reversal/expiry idempotent.
+create table if not exists public.points_ledger (
+  id uuid primary key default gen_random_uuid(),
+  entry_key text not null unique,
+  user_id uuid not null,
+  type text not null check (type in ('earn', 'redeem', 'reversal', 'expiry')),
+  points integer not null check (points <> 0),
+  order_id uuid references public.orders(id) on delete set null,
+  source_entry_id uuid references public.points_ledger(id),
+  reason text,
+  expires_at timestamptz,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists points_ledger_user_idx on public.points_ledger (user_id, created_at);
+create index if not exists points_ledger_order_idx on public.points_ledger (order_id);
+
+alter table public.points_ledger enable row level security;
@@ -0,0 +1,51 @@
+-- Reward catalog. Customers spend points on a catalog entry and get a one-time
+-- code (reward_redemptions) that they apply at checkout. The redemption keeps
+-- a snapshot of the reward so later catalog edits don't change issued codes.
+create table if not exists public.reward_catalog (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  type text not null check (type in ('free_item', 'peso_off', 'free_delivery')),
+  points_cost integer not null check (points_cost > 0),
+  sku text,
+  qty integer not null default 1 check (qty > 0),
+  amount numeric(12,2) not null default 0 check (amount >= 0),
+  is_active boolean not null default true,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.reward_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique,
+  user_id uuid not null,
+  reward_id uuid references public.reward_catalog(id) on delete set null,
+  ledger_entry_id uuid references public.points_ledger(id),
+  name text not null,
+  type text not null check (type in ('free_item', 'peso_off', 'free_delivery')),
+  sku text,
+  qty integer not null default 1,
+  amount numeric(12,2) not null default 0,
+  points_cost integer not null,
+  status text not null default 'issued' check (status in ('issued', 'used')),
+  order_id uuid references public.orders(id) on delete set null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists reward_redemptions_user_idx on public.reward_redemptions (user_id, created_at);
+create index if not exists reward_redemptions_order_idx on public.reward_redemptions (order_id);
+
+alter table public.orders add column if not exists reward_code text;
+alter table public.orders add column if not exists reward_discount numeric(12,2) not null default 0;
+
+alter table public.reward_catalog enable row level security;
+alter table public.reward_redemptions enable row level security;
+
+insert into public.reward_catalog (name, description, type, points_cost, sort_order)
+select 'Free Delivery', 'Waive the delivery fee on one order.', 'free_delivery', 500, 1
+where not exists (select 1 from public.reward_catalog);
+
+insert into public.reward_catalog (name, description, type, points_cost, amount, sort_order)
+select 'PHP 100 Off', 'PHP 100 off one order.', 'peso_off', 1000, 100, 2
+where not exists (select 1 from public.reward_catalog where type = 'peso_off');
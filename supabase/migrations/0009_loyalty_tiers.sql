@@ -0,0 +1,15 @@
+-- Membership tier rules, evaluated by server/loyalty-tiers.mjs. A single row
+-- (id = 1) holds the earn rate, spend window and tier list as JSON. Customer
+-- tiers are computed from delivered spend and are not stored.
+create table if not exists public.loyalty_tier_rules (
+  id integer primary key default 1 check (id = 1),
+  rules jsonb not null,
+  updated_by uuid,
+  updated_at timestamptz not null default now()
+);
+
+insert into public.loyalty_tier_rules (id, rules)
+values (1, '{"pointsPer100":10,"windowDays":365,"tiers":[{"name":"Regular","minSpend":0,"multiplier":1,"freeDelivery":false},{"name":"Silver","minSpend":20000,"multiplier":1.25,"freeDelivery":false},{"name":"Gold","minSpend":50000,"multiplier":1.5,"freeDelivery":true}]}'::jsonb)
+on conflict (id) do nothing;
+
+alter table public.loyalty_tier_rules enable row level security;
@@ -0,0 +1,9 @@
+-- Manual points adjustments by admins. They are ordinary ledger entries of
+-- type 'adjustment'; reason and created_by (the admin) are required.
+alter table public.points_ledger drop constraint if exists points_ledger_type_check;
+alter table public.points_ledger add constraint points_ledger_type_check
+  check (type in ('earn', 'redeem', 'reversal', 'expiry', 'adjustment'));
+
+alter table public.points_ledger drop constraint if exists points_ledger_adjustment_audit_check;
+alter table public.points_ledger add constraint points_ledger_adjustment_audit_check
+  check (type <> 'adjustment' or (created_by is not null and coalesce(reason, '') <> ''));
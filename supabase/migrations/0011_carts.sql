@@ -0,0 +1,10 @@
+-- Server-side cart, one row per customer. Items are [{ productId, qty, name,
+-- price }]; price is what the customer last saw and is compared with the
+-- current product price on every read.
+create table if not exists public.carts (
+  user_id uuid primary key,
+  items jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.carts enable row level security;
@@ -0,0 +1,11 @@
+-- Saved products per customer, keyed by SKU like the rest of the storefront API.
+create table if not exists public.favorites (
+  user_id uuid not null,
+  sku text not null,
+  created_at timestamptz not null default now(),
+  primary key (user_id, sku)
+);
+
+create index if not exists order_items_sku_idx on public.order_items (sku);
+
+alter table public.favorites enable row level security;
@@ -0,0 +1,35 @@
+-- Recurring scheduled orders. The server's scheduler places a normal order
+-- through createOrder() ahead of each delivery date and records the outcome in
+-- subscription_runs (one row per subscription per delivery date).
+create table if not exists public.subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  items jsonb not null default '[]'::jsonb,
+  cadence text not null check (cadence in ('weekly', 'biweekly', 'monthly')),
+  delivery_day integer not null check (delivery_day between 0 and 28),
+  payment_method text not null,
+  customer_name text not null,
+  contact text not null,
+  address text not null,
+  status text not null default 'active' check (status in ('active', 'paused', 'cancelled')),
+  next_delivery_on date not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists subscriptions_user_idx on public.subscriptions (user_id);
+create index if not exists subscriptions_due_idx on public.subscriptions (status, next_delivery_on);
+
+create table if not exists public.subscription_runs (
+  id uuid primary key default gen_random_uuid(),
+  subscription_id uuid not null references public.subscriptions (id) on delete cascade,
+  delivery_on date not null,
+  status text not null check (status in ('created', 'partial', 'skipped', 'failed')),
+  order_id uuid references public.orders (id) on delete set null,
+  note text,
+  created_at timestamptz not null default now(),
+  unique (subscription_id, delivery_on)
+);
+
+alter table public.subscriptions enable row level security;
+alter table public.subscription_runs enable row level security;
@@ -0,0 +1,25 @@
+-- Delivery time slots, evaluated by server/delivery-slots.mjs. A single row
+-- (id = 1) holds the slot list with per-slot order and case limits.
+create table if not exists public.delivery_slot_rules (
+  id integer primary key default 1 check (id = 1),
+  rules jsonb not null,
+  updated_by uuid,
+  updated_at timestamptz not null default now()
+);
+
+insert into public.delivery_slot_rules (id, rules)
+values (1, '{"bookingDays":7,"cutoffMinutes":120,"slots":[{"id":"morning","label":"Morning","days":[1,2,3,4,5,6],"start":"08:00","end":"12:00","maxOrders":20,"maxCases":200},{"id":"afternoon","label":"Afternoon","days":[1,2,3,4,5,6],"start":"13:00","end":"17:00","maxOrders":20,"maxCases":200}]}'::jsonb)
+on conflict (id) do nothing;
+
+alter table public.delivery_slot_rules enable row level security;
+
+-- The booked slot is copied onto the order (label and window included) so
+-- renaming or removing a slot later doesn't change existing orders.
+alter table public.orders
+  add column if not exists delivery_date date,
+  add column if not exists delivery_slot text,
+  add column if not exists delivery_slot_label text,
+  add column if not exists delivery_window text,
+  add column if not exists delivery_cases integer not null default 0;
+
+create index if not exists orders_delivery_slot_idx on public.orders (delivery_date, delivery_slot);
@@ -0,0 +1,36 @@
+-- Riders and delivery runs. A run is one rider's trip with an ordered list of
+-- stops; an order can be on one run at a time (cancelling a planned run frees
+-- its orders). Riders are profiles with role 'rider' and work their runs from
+-- rider/rider-runs.html.
+alter table public.profiles drop constraint if exists profiles_role_check;
+alter table public.profiles
+  add constraint profiles_role_check check (role in ('customer', 'staff', 'admin', 'rider'));
+
+create table if not exists public.delivery_runs (
+  id uuid primary key default gen_random_uuid(),
+  run_code text not null unique,
+  rider_id uuid not null,
+  delivery_date date not null,
+  status text not null default 'planned' check (status in ('planned', 'in_progress', 'completed', 'cancelled')),
+  note text,
+  created_by uuid,
+  started_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists delivery_runs_rider_idx on public.delivery_runs (rider_id, status);
+
+create table if not exists public.delivery_run_stops (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references public.delivery_runs (id) on delete cascade,
+  order_id uuid not null unique references public.orders (id) on delete cascade,
+  position integer not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists delivery_run_stops_run_idx on public.delivery_run_stops (run_id, position);
+
+alter table public.delivery_runs enable row level security;
+alter table public.delivery_run_stops enable row level security;
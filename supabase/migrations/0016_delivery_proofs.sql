@@ -0,0 +1,31 @@
+-- Proof of delivery captured when an order is marked Delivered (one row per
+-- order). Photo and signature are stored as data URLs, like bank transfer
+-- proof images on payments.
+create table if not exists public.delivery_proofs (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null unique references public.orders (id) on delete cascade,
+  recipient_name text,
+  photo text,
+  signature text,
+  cash_collected numeric(12,2),
+  captured_by uuid,
+  captured_by_role text,
+  created_at timestamptz not null default now()
+);
+
+alter table public.delivery_proofs enable row level security;
+
+-- Which parts of the proof are required: "always", "cod" (COD orders only) or
+-- "never". Evaluated by server/delivery-proof.mjs.
+create table if not exists public.delivery_proof_policy (
+  id integer primary key default 1 check (id = 1),
+  rules jsonb not null,
+  updated_by uuid,
+  updated_at timestamptz not null default now()
+);
+
+insert into public.delivery_proof_policy (id, rules)
+values (1, '{"photo":"always","signature":"cod","recipientName":"always"}'::jsonb)
+on conflict (id) do nothing;
+
+alter table public.delivery_proof_policy enable row level security;
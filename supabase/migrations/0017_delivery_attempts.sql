@@ -0,0 +1,27 @@
+-- Failed delivery attempts. An order that can't be handed over goes to
+-- delivery_failed, is taken off its run and booked into the next open slot;
+-- after DELIVERY_MAX_ATTEMPTS failures it is cancelled and its stock returned.
+alter table public.orders drop constraint if exists orders_status_check;
+alter table public.orders
+  add constraint orders_status_check check (status in ('pending_payment', 'order_placed', 'preparing', 'in_transit', 'out_for_delivery', 'delivery_failed', 'delivered', 'cancelled'));
+
+alter table public.orders
+  add column if not exists delivery_attempts integer not null default 0,
+  add column if not exists last_failed_reason text;
+
+create table if not exists public.delivery_attempts (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders (id) on delete cascade,
+  attempt_no integer not null,
+  reason text not null check (reason in ('not_home', 'wrong_address', 'refused', 'payment_not_ready', 'no_access', 'other')),
+  note text,
+  run_id uuid references public.delivery_runs (id) on delete set null,
+  recorded_by uuid,
+  recorded_by_role text,
+  created_at timestamptz not null default now(),
+  unique (order_id, attempt_no)
+);
+
+create index if not exists delivery_attempts_run_idx on public.delivery_attempts (run_id);
+
+alter table public.delivery_attempts enable row level security;
@@ -0,0 +1,36 @@
+-- Customer notifications. Messages are rendered into the outbox and sent by
+-- the dispatcher in server/index.mjs; a failed send goes back to 'queued'
+-- with a later next_attempt_at until NOTIFICATION_MAX_ATTEMPTS is reached.
+create table if not exists public.notification_outbox (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  order_id uuid references public.orders (id) on delete set null,
+  template text not null,
+  channel text not null check (channel in ('email', 'sms')),
+  recipient text not null,
+  subject text,
+  body text not null,
+  dedupe_key text not null unique,
+  status text not null default 'queued' check (status in ('queued', 'sending', 'sent', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  claimed_at timestamptz,
+  last_error text,
+  transport text,
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notification_outbox_due_idx on public.notification_outbox (status, next_attempt_at);
+create index if not exists notification_outbox_user_idx on public.notification_outbox (user_id, created_at desc);
+
+-- Channels each customer wants; no row means everything is on.
+create table if not exists public.notification_preferences (
+  user_id uuid primary key,
+  email boolean not null default true,
+  sms boolean not null default true,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.notification_outbox enable row level security;
+alter table public.notification_preferences enable row level security;
@@ -0,0 +1,24 @@
+-- Per-product reorder points. A product is Low Stock at or below its
+-- reorder_point; target_level is what a restock should bring it back up to
+-- (when null the reorder report sizes the order from recent sales instead).
+alter table public.products
+  add column if not exists reorder_point integer not null default 10 check (reorder_point >= 0),
+  add column if not exists target_level integer check (target_level is null or target_level > reorder_point);
+
+-- Raised when a stock movement takes a product from above its reorder point
+-- to at or below it. Admins acknowledge them; a restock back above the
+-- reorder point resolves any that are still open.
+create table if not exists public.stock_alerts (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references public.products (id) on delete cascade,
+  stock_cases integer not null,
+  reorder_point integer not null,
+  created_at timestamptz not null default now(),
+  acknowledged_at timestamptz,
+  acknowledged_by uuid,
+  resolved_at timestamptz
+);
+
+create index if not exists stock_alerts_product_idx on public.stock_alerts (product_id, created_at desc);
+
+alter table public.stock_alerts enable row level security;
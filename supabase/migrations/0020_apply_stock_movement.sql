@@ -0,0 +1,38 @@
+-- A stock movement in one transaction: the compare-and-swap on the product's
+-- balances and its stock_movements row land together or not at all, so the
+-- ledger always sums to products.stock_cases. Returns the new ledger row, or
+-- no rows when either balance has changed since the caller read it (the
+-- server re-reads and tries again).
+create or replace function public.apply_stock_movement(
+  p_product_id uuid,
+  p_prev_stock integer,
+  p_prev_reserved integer,
+  p_next_stock integer,
+  p_next_reserved integer,
+  p_movement_type text,
+  p_order_id uuid default null,
+  p_reason text default null,
+  p_actor_user_id uuid default null
+) returns setof public.stock_movements
+language plpgsql
+as $$
+begin
+  update public.products
+     set stock_cases = p_next_stock,
+         reserved_cases = p_next_reserved
+   where id = p_product_id
+     and stock_cases = p_prev_stock
+     and reserved_cases = p_prev_reserved;
+  if not found then
+    return;
+  end if;
+
+  return query
+    insert into public.stock_movements (product_id, movement_type, qty_delta, balance_after, order_id, reason, actor_user_id)
+    values (p_product_id, p_movement_type, p_next_stock - p_prev_stock, p_next_stock, p_order_id, p_reason, p_actor_user_id)
+    returning *;
+end;
+$$;
+
+revoke execute on function public.apply_stock_movement(uuid, integer, integer, integer, integer, text, uuid, text, uuid) from public, anon, authenticated;
+grant execute on function public.apply_stock_movement(uuid, integer, integer, integer, integer, text, uuid, text, uuid) to service_role;
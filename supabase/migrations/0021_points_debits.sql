@@ -0,0 +1,30 @@
+-- Debits that must not overdraw a customer's points (redemptions, negative
+-- adjustments). The balance check and the insert happen under a per-customer
+-- lock in one transaction, so two debits can't both pass the check and
+-- nothing has to be deleted from the ledger afterwards. Returns the new
+-- entry, or no rows when the balance is too low.
+create or replace function public.post_points_debit(
+  p_entry_key text,
+  p_user_id uuid,
+  p_type text,
+  p_points integer,
+  p_reason text,
+  p_created_by uuid default null
+) returns setof public.points_ledger
+language plpgsql
+as $$
+begin
+  perform pg_advisory_xact_lock(hashtext('points_ledger:' || p_user_id::text));
+  if p_points < 0 and (select coalesce(sum(points), 0) from public.points_ledger where user_id = p_user_id) + p_points < 0 then
+    return;
+  end if;
+
+  return query
+    insert into public.points_ledger (entry_key, user_id, type, points, reason, created_by)
+    values (p_entry_key, p_user_id, p_type, p_points, p_reason, p_created_by)
+    returning *;
+end;
+$$;
+
+revoke execute on function public.post_points_debit(text, uuid, text, integer, text, uuid) from public, anon, authenticated;
+grant execute on function public.post_points_debit(text, uuid, text, integer, text, uuid) to service_role;
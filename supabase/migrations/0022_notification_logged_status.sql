@@ -0,0 +1,5 @@
+-- Rows handled by the console or file transport (local testing) never reach
+-- the customer; they end as 'logged' rather than 'sent'.
+alter table public.notification_outbox drop constraint if exists notification_outbox_status_check;
+alter table public.notification_outbox
+  add constraint notification_outbox_status_check check (status in ('queued', 'sending', 'sent', 'logged', 'failed'));
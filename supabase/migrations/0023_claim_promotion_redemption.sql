@@ -0,0 +1,44 @@
+-- Records a voucher redemption for an order, re-checking the promotion's
+-- usage_limit and per_customer_limit under a per-promotion lock in the same
+-- transaction, so parallel checkouts with one code can't all pass a count
+-- taken earlier. Returns the new redemption, or no rows when a limit has been
+-- reached (the server then drops the order it just created).
+create or replace function public.claim_promotion_redemption(
+  p_promotion_id uuid,
+  p_order_id uuid,
+  p_user_id uuid,
+  p_code text,
+  p_discount numeric
+) returns setof public.promotion_redemptions
+language plpgsql
+as $$
+declare
+  v_promo public.promotions%rowtype;
+begin
+  perform pg_advisory_xact_lock(hashtext('promotion_redemptions:' || p_promotion_id::text));
+  select * into v_promo from public.promotions where id = p_promotion_id;
+  if not found then
+    return;
+  end if;
+  if v_promo.usage_limit is not null and (
+    select count(*) from public.promotion_redemptions
+     where promotion_id = p_promotion_id and status = 'applied'
+  ) >= v_promo.usage_limit then
+    return;
+  end if;
+  if v_promo.per_customer_limit is not null and (
+    select count(*) from public.promotion_redemptions
+     where promotion_id = p_promotion_id and status = 'applied' and user_id = p_user_id
+  ) >= v_promo.per_customer_limit then
+    return;
+  end if;
+
+  return query
+    insert into public.promotion_redemptions (promotion_id, order_id, user_id, code, discount)
+    values (p_promotion_id, p_order_id, p_user_id, p_code, p_discount)
+    returning *;
+end;
+$$;
+
+revoke execute on function public.claim_promotion_redemption(uuid, uuid, uuid, text, numeric) from public, anon, authenticated;
+grant execute on function public.claim_promotion_redemption(uuid, uuid, uuid, text, numeric) to service_role;
@@ -0,0 +1,121 @@
+// Races checkouts, payment webhooks and the unpaid-order sweepers against each
+// other on products with limited stock, and checks that holds are taken,
+// converted and released exactly once.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { table, seedProduct, seedCustomers, orderPayload, assertStockHistoryValid } from "./helpers/supabase-stub.mjs";
+
+const {
+  createOrder,
+  markOrderPaidFromWebhook,
+  sweepExpiredQrphOrders,
+  releaseExpiredReservations
+} = await import("../server/index.mjs");
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function saleCases(orderId){
+  return table("stock_movements")
+    .filter(m => m.order_id === orderId)
+    .reduce((sum, m) => sum - Number(m.qty_delta), 0);
+}
+
+function payWebhook(order, eventId){
+  return markOrderPaidFromWebhook({
+    orderCode: order.order_code,
+    checkoutSessionId: order.paymongo_checkout_session_id,
+    paymentId: `pay_${eventId}`,
+    eventId,
+    rawPayload: {}
+  });
+}
+
+async function placeQrphOrders(sku, count, qty){
+  const customers = seedCustomers(count);
+  const placed = [];
+  for(const [i, customer] of customers.entries()){
+    await createOrder(orderPayload(sku, qty, { paymentMethod: "QRPH" }), customer);
+    const order = table("orders").find(o => o.user_id === customer.user_id);
+    // makeOrderCode() has 900 codes a day; keep lookups by code unambiguous.
+    order.order_code = `${order.order_code}-${sku}-${i}`;
+    placed.push(order);
+  }
+  return placed;
+}
+
+test("parallel orders sell exactly the available cases and never go negative", async () => {
+  const AVAILABLE = 7;
+  const ORDERS = 15;
+  const product = seedProduct({ sku: "COKE-1L", name: "Coke 1L", stock_cases: 10, reserved_cases: 3 });
+  const customers = seedCustomers(ORDERS);
+
+  const results = await Promise.allSettled(customers.map(customer => createOrder(orderPayload("COKE-1L", 1), customer)));
+
+  const placed = results.filter(r => r.status === "fulfilled");
+  const rejected = results.filter(r => r.status === "rejected");
+  for(const r of rejected) assert.equal(r.reason.status, 409, r.reason.message);
+
+  const held = table("stock_reservations")
+    .filter(r => r.product_id === product.id && r.status === "held")
+    .reduce((sum, r) => sum + r.qty, 0);
+  assert.equal(placed.length, AVAILABLE);
+  assert.equal(held, AVAILABLE);
+  assert.equal(product.stock_cases, 10);
+  assert.equal(product.reserved_cases, 3 + AVAILABLE);
+  assertStockHistoryValid(assert);
+});
+
+test("a payment webhook delivered twice at once deducts the stock once", async () => {
+  const product = seedProduct({ sku: "SPRITE-1L", name: "Sprite 1L", stock_cases: 20, reserved_cases: 0 });
+  const orders = await placeQrphOrders("SPRITE-1L", 5, 2);
+  assert.equal(product.reserved_cases, 10);
+
+  await Promise.all(orders.flatMap(order => [
+    payWebhook(order, `evt_${order.id}_a`),
+    payWebhook(order, `evt_${order.id}_b`)
+  ]));
+
+  for(const order of orders){
+    assert.equal(order.payment_status, "paid");
+    assert.equal(order.status, "order_placed");
+    assert.equal(saleCases(order.id), 2, `order ${order.order_code} was deducted ${saleCases(order.id)} cases`);
+  }
+  assert.equal(product.stock_cases, 10);
+  assert.equal(product.reserved_cases, 0);
+  assertStockHistoryValid(assert);
+});
+
+test("a payment racing the expiry sweep either keeps the order or refunds it, never both", async () => {
+  const product = seedProduct({ sku: "ROYAL-1L", name: "Royal 1L", stock_cases: 20, reserved_cases: 0 });
+  const orders = await placeQrphOrders("ROYAL-1L", 8, 2);
+  // Age the orders and their holds past both expiry windows.
+  const past = new Date(Date.now() - 24 * 3_600_000).toISOString();
+  for(const order of orders){
+    order.created_at = past;
+    for(const r of table("stock_reservations").filter(r => r.order_id === order.id)) r.expires_at = past;
+  }
+
+  await Promise.all([
+    sweepExpiredQrphOrders(),
+    releaseExpiredReservations(),
+    // Spread the payments over the sweep so some land before, during and after it.
+    ...orders.map(order => delay(Math.random() * 60).then(() => payWebhook(order, `evt_${order.id}`)))
+  ]);
+
+  let paid = 0;
+  for(const order of orders){
+    if(order.status === "cancelled"){
+      assert.equal(order.payment_status, "refund_pending", `cancelled order ${order.order_code} lost its payment`);
+      assert.equal(saleCases(order.id), 0, `cancelled order ${order.order_code} still holds ${saleCases(order.id)} sold cases`);
+    }else{
+      paid += 1;
+      assert.equal(order.status, "order_placed");
+      assert.equal(order.payment_status, "paid");
+      assert.equal(saleCases(order.id), 2, `paid order ${order.order_code} was deducted ${saleCases(order.id)} cases`);
+    }
+    assert.ok(!table("stock_reservations").some(r => r.order_id === order.id && r.status === "held"));
+  }
+  assert.equal(product.stock_cases, 20 - 2 * paid);
+  assert.equal(product.reserved_cases, 0);
+  assertStockHistoryValid(assert);
+});
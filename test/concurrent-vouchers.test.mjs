@@ -0,0 +1,73 @@
+// Fires parallel checkouts that all carry the same voucher code and checks
+// that its usage_limit and per_customer_limit hold, and that the orders the
+// voucher turned away leave no holds or redemptions behind.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { table, seedProduct, seedCustomers, orderPayload, assertStockHistoryValid } from "./helpers/supabase-stub.mjs";
+
+const { createOrder } = await import("../server/index.mjs");
+
+function seedPromotion(fields){
+  const promo = {
+    id: crypto.randomUUID(),
+    name: fields.code,
+    type: "fixed",
+    value: 50,
+    min_subtotal: 0,
+    max_discount: null,
+    starts_at: null,
+    ends_at: null,
+    usage_limit: null,
+    per_customer_limit: null,
+    is_active: true,
+    ...fields
+  };
+  table("promotions").push(promo);
+  return promo;
+}
+
+async function checkoutInParallel(customers, sku, voucherCode){
+  const results = await Promise.allSettled(customers.map(customer =>
+    createOrder(orderPayload(sku, 1, { voucherCode }), customer)
+  ));
+  for(const r of results.filter(r => r.status === "rejected")){
+    assert.ok([400, 409].includes(r.reason.status), r.reason.message);
+  }
+  return results.filter(r => r.status === "fulfilled").length;
+}
+
+function assertOnlyPlacedOrdersHold(product, placed){
+  const orderIds = new Set(table("orders").map(o => o.id));
+  const held = table("stock_reservations").filter(r => r.product_id === product.id && r.status === "held");
+  assert.ok(held.every(r => orderIds.has(r.order_id)), "a rejected order kept its hold");
+  assert.equal(held.reduce((sum, r) => sum + r.qty, 0), placed);
+  assert.equal(product.reserved_cases, placed);
+}
+
+test("a voucher with a total usage limit is never redeemed past it", async () => {
+  const product = seedProduct({ sku: "PEPSI-1L", name: "Pepsi 1L", stock_cases: 50, reserved_cases: 0 });
+  const promo = seedPromotion({ code: "FIRST3", usage_limit: 3 });
+
+  const placed = await checkoutInParallel(seedCustomers(10), "PEPSI-1L", "FIRST3");
+
+  const redemptions = table("promotion_redemptions").filter(r => r.promotion_id === promo.id && r.status === "applied");
+  assert.equal(placed, 3);
+  assert.equal(redemptions.length, 3);
+  assertOnlyPlacedOrdersHold(product, placed);
+  assertStockHistoryValid(assert);
+});
+
+test("a one-per-customer voucher is used once when the customer checks out several times at once", async () => {
+  const product = seedProduct({ sku: "MUG-1L", name: "Mug 1L", stock_cases: 50, reserved_cases: 0 });
+  const promo = seedPromotion({ code: "ONCE", per_customer_limit: 1 });
+  const [customer] = seedCustomers(1);
+
+  const placed = await checkoutInParallel(Array(6).fill(customer), "MUG-1L", "ONCE");
+
+  const redemptions = table("promotion_redemptions").filter(r => r.promotion_id === promo.id && r.user_id === customer.user_id);
+  assert.equal(placed, 1);
+  assert.equal(redemptions.length, 1);
+  assertOnlyPlacedOrdersHold(product, placed);
+  assertStockHistoryValid(assert);
+});
@@ -0,0 +1,219 @@
+// In-memory stand-in for Supabase's PostgREST API (and the PayMongo checkout
+// endpoints) installed on globalThis.fetch. It applies the same eq./in./neq.
+// filters the server relies on for its compare-and-swap updates, runs the
+// repo's RPCs as single atomic steps like their migrations do, and waits a
+// random few milliseconds per request so parallel calls actually interleave.
+// Import it before server/index.mjs so the env below is in place at load.
+import crypto from "node:crypto";
+
+process.env.SUPABASE_URL = "http://supabase.test";
+process.env.SUPABASE_ANON_KEY = "anon";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service";
+process.env.PAYMONGO_SECRET_KEY = "sk_test_stub";
+process.env.PAYMONGO_API_BASE = "http://paymongo.test";
+process.env.NOTIFY_EMAIL_TRANSPORT = "none";
+process.env.NOTIFY_SMS_TRANSPORT = "none";
+
+const tables = new Map();
+
+// Every products balance after each write, to check nothing ever went negative.
+export const stockHistory = [];
+
+export function table(name){
+  if(!tables.has(name)) tables.set(name, []);
+  return tables.get(name);
+}
+
+function parseValue(raw){
+  if(raw === "null") return null;
+  if(raw === "true") return true;
+  if(raw === "false") return false;
+  return raw;
+}
+
+function matches(row, column, expr){
+  const [op, ...rest] = expr.split(".");
+  const raw = rest.join(".");
+  const value = row[column] ?? null;
+  if(op === "eq") return String(value) === String(parseValue(raw));
+  if(op === "neq") return String(value) !== String(parseValue(raw));
+  if(op === "is") return value === parseValue(raw);
+  if(op === "in" || (op === "not" && rest[0] === "in")){
+    const list = (op === "in" ? raw : rest.slice(1).join(".")).replace(/^\(|\)$/g, "").split(",").map(v => v.replace(/^"|"$/g, ""));
+    return op === "in" ? list.includes(String(value)) : !list.includes(String(value));
+  }
+  if(op === "gte") return String(value) >= raw;
+  if(op === "lte") return String(value) <= raw;
+  if(op === "gt") return String(value) > raw;
+  if(op === "lt") return String(value) < raw;
+  if(op === "ilike") return new RegExp(`^${raw.replace(/\*/g, ".*")}$`, "i").test(String(value ?? ""));
+  throw new Error(`Stub does not support filter ${column}=${expr}`);
+}
+
+function selectRows(name, params){
+  const reserved = new Set(["select", "order", "limit", "offset", "on_conflict", "or"]);
+  let rows = table(name).filter(row => [...params].every(([key, expr]) => reserved.has(key) || matches(row, key, expr)));
+  if(params.has("limit")) rows = rows.slice(0, Number(params.get("limit")));
+  return rows;
+}
+
+function insertRow(name, input){
+  const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...input };
+  table(name).push(row);
+  return row;
+}
+
+function recordStock(){
+  for(const p of table("products")) stockHistory.push({ sku: p.sku, stock: p.stock_cases, reserved: p.reserved_cases });
+}
+
+const rpcs = {
+  apply_stock_movement(args){
+    const product = table("products").find(p =>
+      p.id === args.p_product_id && p.stock_cases === args.p_prev_stock && p.reserved_cases === args.p_prev_reserved
+    );
+    if(!product) return [];
+    product.stock_cases = args.p_next_stock;
+    product.reserved_cases = args.p_next_reserved;
+    recordStock();
+    return [insertRow("stock_movements", {
+      product_id: args.p_product_id,
+      movement_type: args.p_movement_type,
+      qty_delta: args.p_next_stock - args.p_prev_stock,
+      balance_after: args.p_next_stock,
+      order_id: args.p_order_id ?? null,
+      reason: args.p_reason ?? null,
+      actor_user_id: args.p_actor_user_id ?? null
+    })];
+  },
+  claim_promotion_redemption(args){
+    const promo = table("promotions").find(p => p.id === args.p_promotion_id);
+    if(!promo) return [];
+    const uses = table("promotion_redemptions").filter(r => r.promotion_id === promo.id && r.status === "applied");
+    if(promo.usage_limit && uses.length >= promo.usage_limit) return [];
+    if(promo.per_customer_limit && uses.filter(r => r.user_id === args.p_user_id).length >= promo.per_customer_limit) return [];
+    return [insertRow("promotion_redemptions", {
+      promotion_id: promo.id,
+      order_id: args.p_order_id,
+      user_id: args.p_user_id,
+      code: args.p_code,
+      discount: args.p_discount,
+      status: "applied"
+    })];
+  }
+};
+
+// Child tables whose order_id is declared `on delete cascade` in the migrations.
+const ORDER_CASCADES = ["stock_reservations", "promotion_redemptions"];
+
+async function handleRest(url, init){
+  const name = url.pathname.replace("/rest/v1/", "");
+  const method = init.method || "GET";
+  const body = init.body ? JSON.parse(init.body) : null;
+  if(name.startsWith("rpc/")){
+    const rpc = rpcs[name.slice(4)];
+    if(!rpc) throw new Error(`Stub does not implement ${name}`);
+    return rpc(body);
+  }
+  if(method === "GET") return selectRows(name, url.searchParams);
+  if(method === "POST"){
+    const conflictKey = url.searchParams.get("on_conflict");
+    const inserted = [];
+    for(const input of Array.isArray(body) ? body : [body]){
+      if(conflictKey && table(name).some(r => r[conflictKey] === input[conflictKey])) continue;
+      inserted.push(insertRow(name, input));
+    }
+    return inserted;
+  }
+  if(method === "PATCH"){
+    const rows = selectRows(name, url.searchParams);
+    for(const row of rows) Object.assign(row, body);
+    if(name === "products") recordStock();
+    return rows;
+  }
+  if(method === "DELETE"){
+    const rows = selectRows(name, url.searchParams);
+    tables.set(name, table(name).filter(r => !rows.includes(r)));
+    if(name === "orders"){
+      const ids = new Set(rows.map(r => r.id));
+      for(const child of ORDER_CASCADES) tables.set(child, table(child).filter(r => !ids.has(r.order_id)));
+    }
+    return rows;
+  }
+  throw new Error(`Stub does not support ${method}`);
+}
+
+// Checkout sessions are created unpaid and stay that way; tests deliver the
+// payment by calling the webhook handler themselves.
+function handlePaymongo(url, init){
+  const checkout = (id) => ({ id, attributes: { checkout_url: `http://paymongo.test/pay/${id}`, status: "active", payments: [] } });
+  if((init.method || "GET") === "POST" && url.pathname === "/v1/checkout_sessions"){
+    return { data: checkout(`cs_${crypto.randomUUID().replace(/-/g, "")}`) };
+  }
+  const match = url.pathname.match(/^\/v1\/checkout_sessions\/(.+)$/);
+  if(match) return { data: checkout(decodeURIComponent(match[1])) };
+  throw new Error(`Stub does not support PayMongo ${url.pathname}`);
+}
+
+globalThis.fetch = async (input, init = {}) => {
+  const url = new URL(String(input));
+  // Let other requests run between reading and writing so the compare-and-swap
+  // actually sees contention.
+  await new Promise(resolve => setTimeout(resolve, Math.random() * 3));
+  try{
+    let data;
+    if(url.origin === process.env.SUPABASE_URL) data = await handleRest(url, init);
+    else if(url.origin === process.env.PAYMONGO_API_BASE) data = handlePaymongo(url, init);
+    else throw new Error(`Unexpected request to ${url.origin}`);
+    return new Response(JSON.stringify(data), { status: 200, headers: { "Content-Type": "application/json" } });
+  }catch(err){
+    return new Response(JSON.stringify({ message: err.message }), { status: 400 });
+  }
+};
+
+export function seedProduct(fields){
+  const product = {
+    id: crypto.randomUUID(),
+    category: "Soft Drinks",
+    unit: "12 bottles / case",
+    price: 600,
+    reorder_point: 2,
+    target_level: null,
+    image_url: null,
+    is_active: true,
+    ...fields
+  };
+  table("products").push(product);
+  return product;
+}
+
+// Checkout asks for a delivery slot only when slots are configured.
+export function seedCustomers(count){
+  if(!table("delivery_slot_rules").length){
+    table("delivery_slot_rules").push({ id: 1, rules: { bookingDays: 7, cutoffMinutes: 0, slots: [] } });
+  }
+  return Array.from({ length: count }, (_, i) => {
+    const profile = { user_id: crypto.randomUUID(), email: `c${i}@example.com`, role: "customer", full_name: `Customer ${i}` };
+    table("profiles").push(profile);
+    return profile;
+  });
+}
+
+export function orderPayload(sku, qty, fields = {}){
+  return {
+    customerName: "Test Customer",
+    contact: "09171234567",
+    address: "Quezon City, Metro Manila",
+    paymentMethod: "Cash on Delivery (COD)",
+    items: [{ productId: sku, qty }],
+    ...fields
+  };
+}
+
+export function assertStockHistoryValid(assert){
+  assert.ok(stockHistory.length > 0);
+  for(const s of stockHistory){
+    assert.ok(s.stock >= 0 && s.reserved >= 0, `balance went negative: ${JSON.stringify(s)}`);
+    assert.ok(s.reserved <= s.stock, `reserved more than on hand: ${JSON.stringify(s)}`);
+  }
+}
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { createSmtpTransport } from "../server/notification-transports.mjs";
+
+// A plaintext SMTP server that never offers STARTTLS and records every line
+// the client sends.
+async function plaintextSmtpServer(){
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 test ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let idx;
+      while((idx = buffer.indexOf("\r\n")) >= 0){
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        received.push(line);
+        if(inData){
+          if(line === "."){ inData = false; socket.write("250 queued\r\n"); }
+          continue;
+        }
+        const verb = line.split(" ")[0].toUpperCase();
+        if(verb === "EHLO") socket.write("250-test\r\n250 AUTH PLAIN\r\n");
+        else if(verb === "AUTH") socket.write("235 ok\r\n");
+        else if(verb === "DATA"){ inData = true; socket.write("354 go\r\n"); }
+        else if(verb === "QUIT"){ socket.end("221 bye\r\n"); }
+        else socket.write("250 ok\r\n");
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return { port: server.address().port, received, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test("smtp refuses to send credentials when the server offers no STARTTLS", async () => {
+  const smtp = await plaintextSmtpServer();
+  try{
+    const transport = createSmtpTransport({ host: "127.0.0.1", port: smtp.port, user: "shop", pass: "secret", from: "shop@example.com" });
+    await assert.rejects(
+      transport.send({ to: "customer@example.com", subject: "Hi", text: "Hello" }),
+      (err) => err.permanent === true && /STARTTLS/.test(err.message)
+    );
+    assert.ok(!smtp.received.some(line => line.startsWith("AUTH")), "credentials were sent in the clear");
+  }finally{
+    await smtp.close();
+  }
+});
+
+test("smtp without credentials still sends over a plaintext connection", async () => {
+  const smtp = await plaintextSmtpServer();
+  try{
+    const transport = createSmtpTransport({ host: "127.0.0.1", port: smtp.port, from: "shop@example.com" });
+    await transport.send({ to: "customer@example.com", subject: "Hi", text: "Hello" });
+    assert.ok(smtp.received.includes("RCPT TO:<customer@example.com>"));
+  }finally{
+    await smtp.close();
+  }
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { firstDeliveryDate, nextDeliveryDate, upcomingDeliveries } from "../server/subscriptions.mjs";
+
+const monthly = (day) => ({ cadence: "monthly", delivery_day: day });
+
+test("monthly first delivery from the end of a month lands in the next month", () => {
+  assert.equal(firstDeliveryDate(monthly(5), "2027-01-30"), "2027-02-05");
+  assert.equal(firstDeliveryDate(monthly(5), "2026-10-31"), "2026-11-05");
+  assert.equal(firstDeliveryDate(monthly(28), "2027-01-31"), "2027-02-28");
+  assert.equal(firstDeliveryDate(monthly(28), "2024-02-29"), "2024-03-28");
+  assert.equal(firstDeliveryDate(monthly(5), "2026-12-31"), "2027-01-05");
+});
+
+test("monthly first delivery stays in the month when the day is still ahead", () => {
+  assert.equal(firstDeliveryDate(monthly(28), "2027-01-30"), "2027-02-28");
+  assert.equal(firstDeliveryDate(monthly(15), "2027-03-15"), "2027-03-15");
+  assert.equal(firstDeliveryDate(monthly(20), "2027-03-01"), "2027-03-20");
+});
+
+test("monthly deliveries advance one month at a time across month ends", () => {
+  assert.equal(nextDeliveryDate(monthly(28), "2027-01-28"), "2027-02-28");
+  assert.equal(nextDeliveryDate(monthly(5), "2026-12-05"), "2027-01-05");
+  assert.deepEqual(
+    upcomingDeliveries({ ...monthly(28), next_delivery_on: "2026-11-28" }, "2027-03-31"),
+    ["2026-11-28", "2026-12-28", "2027-01-28", "2027-02-28", "2027-03-28"]
+  );
+});
+
+test("weekly first delivery picks the next matching weekday", () => {
+  // 2026-10-31 is a Saturday; 1 = Monday.
+  assert.equal(firstDeliveryDate({ cadence: "weekly", delivery_day: 1 }, "2026-10-31"), "2026-11-02");
+  assert.equal(firstDeliveryDate({ cadence: "weekly", delivery_day: 6 }, "2026-10-31"), "2026-10-31");
+});